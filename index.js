@@ -3,6 +3,7 @@ const dotenv = require("dotenv");
 dotenv.config();
 
 const { createApp } = require("./src/app");
+const { startPaymentExpirySweeper } = require("./src/jobs/paymentExpiry");
 require("./src/config/db");
 require("./src/config/email");
 require("./src/config/google");
@@ -22,4 +23,7 @@ app.listen(port, () => {
   console.log(`Server running on port ${port}`);
 });
 
+// Batalkan otomatis booking PENDING yang melewati batas pembayaran
+startPaymentExpirySweeper();
+
 
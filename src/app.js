@@ -11,6 +11,7 @@ const { profileRouter } = require("./routes/user/profile");
 const { reviewsRouter } = require("./routes/user/reviews");
 const { adminReviewsRouter } = require("./routes/admin/reviews");
 const { adminQuestionsRouter } = require("./routes/admin/questions");
+const { paymentsRouter } = require("./routes/payments");
 const path = require("path");
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
@@ -53,6 +54,7 @@ function createApp() {
     router.use("/admin", adminRouter);
     router.use("/profile", profileRouter);
     router.use("/reviews", reviewsRouter);
+    router.use("/payments", paymentsRouter);
   };
 
   // Mount with /api prefix
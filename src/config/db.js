@@ -246,6 +246,417 @@ if (db) {
         ADD COLUMN IF NOT EXISTS "payment_proof" TEXT;
       `);
 
+      // Model harga per camp (lihat src/utils/pricing.js)
+      await db.query(`
+        ALTER TABLE "camps"
+        ADD COLUMN IF NOT EXISTS "price_model" TEXT NOT NULL DEFAULT 'PER_PERSON',
+        ADD COLUMN IF NOT EXISTS "base_fee" INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS "people_per_pitch" INTEGER NOT NULL DEFAULT 4;
+      `);
+
+      // Persentase uang muka (DP) per camp, 0 = harus lunas
+      await db.query(`
+        ALTER TABLE "camps"
+        ADD COLUMN IF NOT EXISTS "deposit_percent" INTEGER NOT NULL DEFAULT 0;
+      `);
+
+      // Fasilitas camp (misal: toilet, listrik, wifi) untuk filter pencarian, disimpan lowercase
+      await db.query(`
+        ALTER TABLE "camps"
+        ADD COLUMN IF NOT EXISTS "amenities" TEXT[] NOT NULL DEFAULT '{}';
+      `);
+
+      // Rincian harga yang ditagihkan, disimpan saat booking dibuat
+      await db.query(`
+        ALTER TABLE "bookings"
+        ADD COLUMN IF NOT EXISTS "price_breakdown" JSONB;
+      `);
+
+      // Batas waktu pembayaran & alasan pembatalan booking
+      await db.query(`
+        ALTER TABLE "bookings"
+        ADD COLUMN IF NOT EXISTS "payment_deadline" TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS "cancel_reason" TEXT,
+        ADD COLUMN IF NOT EXISTS "cancelled_at" TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS "refund_amount" INTEGER,
+        ADD COLUMN IF NOT EXISTS "refund_percent" INTEGER;
+      `);
+
+      // Waktu unggah bukti bayar, untuk antrian verifikasi admin
+      await db.query(`
+        ALTER TABLE "bookings"
+        ADD COLUMN IF NOT EXISTS "payment_proof_uploaded_at" TIMESTAMP;
+      `);
+
+      // Metode pembayaran yang melunasi booking (MIDTRANS), null = transfer manual
+      await db.query(`
+        ALTER TABLE "bookings"
+        ADD COLUMN IF NOT EXISTS "payment_method" TEXT;
+      `);
+
+      // DP yang berlaku saat booking dibuat (salinan dari camp)
+      await db.query(`
+        ALTER TABLE "bookings"
+        ADD COLUMN IF NOT EXISTS "deposit_percent" INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS "deposit_amount" INTEGER;
+      `);
+
+      // Kode promo / voucher diskon
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "promo_codes" (
+          "id" SERIAL PRIMARY KEY,
+          "public_id" UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+          "code" TEXT UNIQUE NOT NULL,
+          "description" TEXT,
+          "discount_type" TEXT NOT NULL,
+          "discount_value" INTEGER NOT NULL,
+          "max_discount" INTEGER,
+          "valid_from" DATE,
+          "valid_until" DATE,
+          "weekdays" INTEGER[],
+          "min_nights" INTEGER NOT NULL DEFAULT 1,
+          "max_uses" INTEGER,
+          "per_user_limit" INTEGER,
+          "is_active" BOOLEAN NOT NULL DEFAULT true,
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "updated_at" TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      // Camp tempat promo berlaku, kosong = semua camp
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "promo_code_camps" (
+          "promo_code_id" INTEGER NOT NULL REFERENCES "promo_codes"("id") ON DELETE CASCADE,
+          "camp_id" INTEGER NOT NULL REFERENCES "camps"("id") ON DELETE CASCADE,
+          PRIMARY KEY ("promo_code_id", "camp_id")
+        );
+      `);
+
+      // Promo yang dipakai booking: harga bruto, potongan, dan total_price sebagai harga bersih
+      await db.query(`
+        ALTER TABLE "bookings"
+        ADD COLUMN IF NOT EXISTS "promo_code_id" INTEGER REFERENCES "promo_codes"("id"),
+        ADD COLUMN IF NOT EXISTS "promo_code" TEXT,
+        ADD COLUMN IF NOT EXISTS "gross_price" INTEGER,
+        ADD COLUMN IF NOT EXISTS "discount_amount" INTEGER NOT NULL DEFAULT 0;
+      `);
+
+      // Aturan pajak (PB1/PPN) dan biaya layanan platform
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "charge_rules" (
+          "id" SERIAL PRIMARY KEY,
+          "public_id" UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+          "name" TEXT NOT NULL,
+          "charge_type" TEXT NOT NULL,
+          "calculation" TEXT NOT NULL,
+          "value" NUMERIC(12, 2) NOT NULL,
+          "is_inclusive" BOOLEAN NOT NULL DEFAULT false,
+          "is_active" BOOLEAN NOT NULL DEFAULT true,
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "updated_at" TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      await db.query(`
+        ALTER TABLE "bookings"
+        ADD COLUMN IF NOT EXISTS "tax_amount" INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS "service_fee_amount" INTEGER NOT NULL DEFAULT 0;
+      `);
+
+      // Nomor invoice berurutan per tahun terbit
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "invoice_sequences" (
+          "year" INTEGER PRIMARY KEY,
+          "last_number" INTEGER NOT NULL DEFAULT 0
+        );
+      `);
+
+      await db.query(`
+        ALTER TABLE "bookings"
+        ADD COLUMN IF NOT EXISTS "invoice_number" TEXT UNIQUE,
+        ADD COLUMN IF NOT EXISTS "invoice_issued_at" TIMESTAMP;
+      `);
+
+      // Ledger pembayaran booking (DP, pelunasan, pembayaran gateway)
+      const ledgerResult = await db.query(`SELECT to_regclass('public.payments') IS NOT NULL AS "exists"`);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "payments" (
+          "id" SERIAL PRIMARY KEY,
+          "public_id" UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+          "booking_id" INTEGER NOT NULL REFERENCES "bookings"("id") ON DELETE CASCADE,
+          "amount" INTEGER NOT NULL,
+          "method" TEXT NOT NULL,
+          "provider_reference" TEXT,
+          "proof_url" TEXT,
+          "status" TEXT NOT NULL DEFAULT 'CONFIRMED',
+          "note" TEXT,
+          "recorded_by" INTEGER REFERENCES "users"("id"),
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "voided_at" TIMESTAMP,
+          "voided_by" INTEGER REFERENCES "users"("id"),
+          "void_reason" TEXT
+        );
+      `);
+
+      // Booking lama yang sudah lunas sebelum ada ledger dicatat sebagai satu pembayaran.
+      // Hanya sekali saat tabel payments dibuat: setelah itu ledger yang berlaku, pembayaran yang
+      // di-void admin tidak boleh muncul lagi saat restart
+      if (!ledgerResult.rows[0].exists) {
+        await db.query(`
+          INSERT INTO "payments" (booking_id, amount, method, proof_url, status, note, created_at)
+          SELECT b.id, b.total_price, 'TRANSFER', b.payment_proof, 'CONFIRMED', 'LEGACY', b.created_at
+          FROM "bookings" b
+          WHERE b.status IN ('PAID', 'CHECK_IN', 'CHECK_OUT')
+            AND NOT EXISTS (SELECT 1 FROM "payments" p WHERE p.booking_id = b.id);
+        `);
+      }
+
+      // Transaksi Midtrans Snap per booking
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "midtrans_transactions" (
+          "id" SERIAL PRIMARY KEY,
+          "order_id" TEXT UNIQUE NOT NULL,
+          "booking_id" INTEGER NOT NULL REFERENCES "bookings"("id") ON DELETE CASCADE,
+          "gross_amount" INTEGER NOT NULL,
+          "snap_token" TEXT,
+          "redirect_url" TEXT,
+          "transaction_status" TEXT,
+          "fraud_status" TEXT,
+          "payment_type" TEXT,
+          "transaction_id" TEXT,
+          "raw_notification" JSONB,
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "updated_at" TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      // Keputusan admin atas bukti bayar (disetujui/ditolak)
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "payment_reviews" (
+          "id" SERIAL PRIMARY KEY,
+          "booking_id" INTEGER NOT NULL REFERENCES "bookings"("id") ON DELETE CASCADE,
+          "payment_proof" TEXT,
+          "decision" TEXT NOT NULL,
+          "reason" TEXT,
+          "reviewed_by" INTEGER REFERENCES "users"("id"),
+          "reviewed_at" TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      // Riwayat perpindahan status booking
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "booking_status_history" (
+          "id" SERIAL PRIMARY KEY,
+          "booking_id" INTEGER NOT NULL REFERENCES "bookings"("id") ON DELETE CASCADE,
+          "from_status" TEXT,
+          "to_status" TEXT NOT NULL,
+          "changed_by" INTEGER REFERENCES "users"("id"),
+          "reason" TEXT,
+          "created_at" TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      // Riwayat perubahan tanggal/jumlah orang booking
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "booking_changes" (
+          "id" SERIAL PRIMARY KEY,
+          "booking_id" INTEGER NOT NULL REFERENCES "bookings"("id") ON DELETE CASCADE,
+          "changed_by" INTEGER REFERENCES "users"("id"),
+          "reason" TEXT,
+          "old_start_date" TIMESTAMP NOT NULL,
+          "old_end_date" TIMESTAMP NOT NULL,
+          "old_people_count" INTEGER NOT NULL,
+          "old_total_price" INTEGER NOT NULL,
+          "new_start_date" TIMESTAMP NOT NULL,
+          "new_end_date" TIMESTAMP NOT NULL,
+          "new_people_count" INTEGER NOT NULL,
+          "new_total_price" INTEGER NOT NULL,
+          "price_difference" INTEGER NOT NULL,
+          "settlement" TEXT NOT NULL DEFAULT 'NONE',
+          "created_at" TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      // Daftar tamu (manifest) per booking untuk laporan ke pengelola kawasan
+      const guestsResult = await db.query(`SELECT to_regclass('public.booking_guests') IS NOT NULL AS "exists"`);
+      await db.query(`
+        ALTER TABLE "bookings"
+        ADD COLUMN IF NOT EXISTS "guest_manifest_required" BOOLEAN NOT NULL DEFAULT true;
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "booking_guests" (
+          "id" SERIAL PRIMARY KEY,
+          "public_id" UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+          "booking_id" INTEGER NOT NULL REFERENCES "bookings"("id") ON DELETE CASCADE,
+          "full_name" TEXT NOT NULL,
+          "id_type" TEXT NOT NULL,
+          "id_number" TEXT NOT NULL,
+          "phone_number" VARCHAR(20),
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "updated_at" TIMESTAMP DEFAULT NOW(),
+          UNIQUE ("booking_id", "id_type", "id_number")
+        );
+      `);
+
+      // Booking yang sudah ada sebelum manifest dibuat tidak wajib mengisi daftar tamu untuk check-in
+      if (!guestsResult.rows[0].exists) {
+        await db.query(`UPDATE "bookings" SET guest_manifest_required = false`);
+      }
+
+      // Permintaan refund booking yang dibatalkan
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "refunds" (
+          "id" SERIAL PRIMARY KEY,
+          "public_id" UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+          "booking_id" INTEGER NOT NULL REFERENCES "bookings"("id") ON DELETE CASCADE,
+          "eligible_amount" INTEGER NOT NULL,
+          "approved_amount" INTEGER,
+          "payout_method" TEXT,
+          "bank_name" TEXT,
+          "account_number" TEXT,
+          "account_holder" TEXT,
+          "status" TEXT NOT NULL DEFAULT 'REQUESTED',
+          "reason" TEXT,
+          "admin_note" TEXT,
+          "payout_reference" TEXT,
+          "requested_by" INTEGER REFERENCES "users"("id"),
+          "reviewed_by" INTEGER REFERENCES "users"("id"),
+          "reviewed_at" TIMESTAMP,
+          "paid_by" INTEGER REFERENCES "users"("id"),
+          "paid_at" TIMESTAMP,
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "updated_at" TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      // Voucher hadiah yang dibeli user, saldo dipakai untuk membayar booking
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "gift_vouchers" (
+          "id" SERIAL PRIMARY KEY,
+          "public_id" UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+          "code" TEXT UNIQUE NOT NULL,
+          "amount" INTEGER NOT NULL,
+          "balance" INTEGER NOT NULL DEFAULT 0,
+          "status" TEXT NOT NULL DEFAULT 'PENDING',
+          "purchaser_id" INTEGER NOT NULL REFERENCES "users"("id"),
+          "recipient_name" TEXT,
+          "recipient_email" TEXT,
+          "message" TEXT,
+          "payment_reference" TEXT,
+          "confirmed_by" INTEGER REFERENCES "users"("id"),
+          "activated_at" TIMESTAMP,
+          "expires_at" TIMESTAMP,
+          "voided_at" TIMESTAMP,
+          "voided_by" INTEGER REFERENCES "users"("id"),
+          "void_reason" TEXT,
+          "created_at" TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      // Pemakaian saldo voucher per booking (satu baris per pembayaran VOUCHER di ledger)
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "gift_voucher_redemptions" (
+          "id" SERIAL PRIMARY KEY,
+          "voucher_id" INTEGER NOT NULL REFERENCES "gift_vouchers"("id") ON DELETE CASCADE,
+          "booking_id" INTEGER NOT NULL REFERENCES "bookings"("id") ON DELETE CASCADE,
+          "payment_id" INTEGER REFERENCES "payments"("id") ON DELETE SET NULL,
+          "amount" INTEGER NOT NULL,
+          "redeemed_by" INTEGER REFERENCES "users"("id"),
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "reversed_at" TIMESTAMP
+        );
+      `);
+
+      // Kalender tarif per camp (akhir pekan, libur nasional, musim liburan sekolah)
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "camp_rates" (
+          "id" SERIAL PRIMARY KEY,
+          "public_id" uuid UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+          "camp_id" INTEGER NOT NULL REFERENCES "camps"("id") ON DELETE CASCADE,
+          "name" TEXT NOT NULL,
+          "nightly_price" INTEGER NOT NULL,
+          "start_date" DATE,
+          "end_date" DATE,
+          "weekdays" INTEGER[],
+          "priority" INTEGER NOT NULL DEFAULT 0,
+          "is_active" BOOLEAN NOT NULL DEFAULT true,
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "updated_at" TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      // Kalender kapasitas camp: tutup atau kapasitas berbeda pada rentang tanggal tertentu
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "camp_capacity_overrides" (
+          "id" SERIAL PRIMARY KEY,
+          "public_id" uuid UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+          "camp_id" INTEGER NOT NULL REFERENCES "camps"("id") ON DELETE CASCADE,
+          "start_date" DATE NOT NULL,
+          "end_date" DATE NOT NULL,
+          "is_closed" BOOLEAN NOT NULL DEFAULT false,
+          "capacity" INTEGER,
+          "reason" TEXT NOT NULL,
+          "created_by" INTEGER REFERENCES "users"("id"),
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "updated_at" TIMESTAMP DEFAULT NOW(),
+          CHECK ("end_date" >= "start_date"),
+          CHECK ("is_closed" OR "capacity" IS NOT NULL)
+        );
+      `);
+
+      // Aturan booking per camp (durasi, hari kedatangan, jarak waktu pemesanan, jumlah orang)
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "camp_stay_rules" (
+          "id" SERIAL PRIMARY KEY,
+          "public_id" uuid UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+          "camp_id" INTEGER NOT NULL REFERENCES "camps"("id") ON DELETE CASCADE,
+          "name" TEXT NOT NULL,
+          "start_date" DATE,
+          "end_date" DATE,
+          "min_nights" INTEGER,
+          "max_nights" INTEGER,
+          "arrival_weekdays" INTEGER[],
+          "min_lead_hours" INTEGER,
+          "max_advance_days" INTEGER,
+          "max_people" INTEGER,
+          "is_active" BOOLEAN NOT NULL DEFAULT true,
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "updated_at" TIMESTAMP DEFAULT NOW()
+        );
+      `);
+
+      // Site/pitch di dalam camp, masing-masing dengan kapasitas dan tambahan harga sendiri
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "camp_sites" (
+          "id" SERIAL PRIMARY KEY,
+          "public_id" uuid UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+          "camp_id" INTEGER NOT NULL REFERENCES "camps"("id") ON DELETE CASCADE,
+          "name" TEXT NOT NULL,
+          "site_type" TEXT NOT NULL DEFAULT 'TENT',
+          "capacity" INTEGER NOT NULL,
+          "price_modifier" INTEGER NOT NULL DEFAULT 0,
+          "attributes" TEXT[] NOT NULL DEFAULT '{}',
+          "zone" TEXT,
+          "position" INTEGER,
+          "is_active" BOOLEAN NOT NULL DEFAULT true,
+          "created_at" TIMESTAMP DEFAULT NOW(),
+          "updated_at" TIMESTAMP DEFAULT NOW(),
+          UNIQUE ("camp_id", "name")
+        );
+      `);
+
+      // Site yang dipesan booking untuk seluruh durasi menginap
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS "booking_sites" (
+          "id" SERIAL PRIMARY KEY,
+          "booking_id" INTEGER NOT NULL REFERENCES "bookings"("id") ON DELETE CASCADE,
+          "site_id" INTEGER NOT NULL REFERENCES "camp_sites"("id"),
+          "price_modifier" INTEGER NOT NULL DEFAULT 0,
+          "amount" INTEGER NOT NULL DEFAULT 0,
+          UNIQUE ("booking_id", "site_id")
+        );
+      `);
+
       // Create review_questions table
       await db.query(`
         CREATE TABLE IF NOT EXISTS "review_questions" (
@@ -292,6 +703,20 @@ if (db) {
           ) THEN
             ALTER TABLE "reviews" ADD COLUMN "comment" TEXT;
           END IF;
+
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_schema = 'public' AND table_name = 'reviews' AND column_name = 'camp_id'
+          ) THEN
+            ALTER TABLE "reviews" ADD COLUMN "camp_id" INTEGER REFERENCES "camps"("id");
+          END IF;
+
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_schema = 'public' AND table_name = 'reviews' AND column_name = 'rating'
+          ) THEN
+            ALTER TABLE "reviews" ADD COLUMN "rating" INTEGER;
+          END IF;
         END $$;
       `);
 
@@ -1,7 +1,7 @@
 const axios = require("axios");
 
 const sendEmail = async (options) => {
-  const { to, subject, text, html } = options;
+  const { to, subject, text, html, attachments } = options;
 
   if (process.env.BREVO_API_KEY) {
     console.log("[Email] Attempting via Brevo API...");
@@ -15,6 +15,10 @@ const sendEmail = async (options) => {
           subject,
           textContent: text,
           htmlContent: html || text,
+          // attachments: [{ filename, content (base64) }]
+          ...(attachments && attachments.length > 0
+            ? { attachment: attachments.map(({ filename, content }) => ({ name: filename, content })) }
+            : {}),
         },
         { headers: { "api-key": process.env.BREVO_API_KEY.trim() } }
       );
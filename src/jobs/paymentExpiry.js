@@ -0,0 +1,192 @@
+const { db } = require("../config/db");
+const { getIO } = require("../realtime/io");
+const { recordStatusChange } = require("../utils/bookingStatus");
+const { releaseCancelledPayments } = require("../utils/payments");
+
+const DEFAULT_DEADLINE_HOURS = 24;
+const DEFAULT_MIDTRANS_GRACE_MINUTES = 60;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+const EXPIRED_REASON = "PAYMENT_EXPIRED";
+
+/**
+ * Batas waktu pembayaran (jam) dari env PAYMENT_DEADLINE_HOURS, default 24 jam
+ * @returns {number}
+ */
+const getPaymentDeadlineHours = () => {
+  const hours = Number(process.env.PAYMENT_DEADLINE_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_DEADLINE_HOURS;
+};
+
+/**
+ * Masa tenggang (menit) setelah payment_deadline untuk booking yang masih punya checkout Midtrans terbuka,
+ * dari env MIDTRANS_PENDING_GRACE_MINUTES, default 60 menit
+ * @returns {number}
+ */
+const getMidtransGraceMinutes = () => {
+  const minutes = Number(process.env.MIDTRANS_PENDING_GRACE_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_MIDTRANS_GRACE_MINUTES;
+};
+
+/**
+ * Hitung batas waktu upload bukti bayar untuk booking baru
+ * @param {Date} [from] - Waktu booking dibuat
+ * @returns {Date}
+ */
+const getPaymentDeadline = (from = new Date()) =>
+  new Date(from.getTime() + getPaymentDeadlineHours() * 60 * 60 * 1000);
+
+// Booking PENDING tanpa bukti bayar yang sudah lewat batas waktu ($1 = sekarang)
+const OVERDUE_SQL = `b.status = 'PENDING'
+  AND b.payment_proof IS NULL
+  AND b.payment_deadline IS NOT NULL
+  AND b.payment_deadline < $1`;
+
+// Booking yang sudah menerima uang tunai/transfer terkonfirmasi perlu diselesaikan admin (refund), bukan dibatalkan otomatis
+const HAS_CASH_PAYMENT_SQL = `EXISTS (
+  SELECT 1 FROM "payments" p
+  WHERE p.booking_id = b.id AND p.status = 'CONFIRMED' AND p.method <> 'VOUCHER'
+)`;
+
+// Checkout Midtrans yang masih menunggu pembayaran ditunggu sampai masa tenggang setelah payment_deadline habis
+// ($2 = sekarang dikurangi masa tenggang). Token Snap yang tidak pernah dibuka tidak mendapat notifikasi expire,
+// jadi setelah itu booking tetap dibatalkan sweeper; pembayaran yang masuk sesudahnya dibuatkan refund.
+const AWAITING_MIDTRANS_SQL = `(b.payment_deadline >= $2 AND EXISTS (
+  SELECT 1 FROM "midtrans_transactions" m
+  WHERE m.booking_id = b.id AND COALESCE(m.transaction_status, 'pending') = 'pending'
+))`;
+
+// Batas payment_deadline untuk booking dengan checkout Midtrans terbuka
+const getGraceCutoff = (currentTime) => new Date(currentTime.getTime() - getMidtransGraceMinutes() * 60 * 1000);
+
+/**
+ * Batalkan satu booking kedaluwarsa beserta ledger-nya dalam satu transaksi:
+ * pembayaran voucher (misal voucher yang belum menutup DP) dikembalikan ke saldo voucher.
+ * @returns {Promise<Object|null>} - Booking yang dibatalkan, null jika sudah tidak memenuhi syarat
+ */
+const expireBooking = async (queryable, bookingId, currentTime) => {
+  const client = typeof queryable.connect === "function" ? await queryable.connect() : null;
+  const conn = client || queryable;
+  try {
+    await conn.query("BEGIN");
+    const { rows } = await conn.query(
+      `UPDATE "bookings" b
+       SET status = 'CANCELLED', cancel_reason = $4, cancelled_at = $1
+       WHERE b.id = $3 AND ${OVERDUE_SQL}
+         AND NOT ${HAS_CASH_PAYMENT_SQL}
+         AND NOT ${AWAITING_MIDTRANS_SQL}
+       RETURNING b.id, b.public_id, b.user_id, b.camp_id, b.start_date, b.end_date, b.people_count,
+                 b.total_price, b.status, b.payment_deadline`,
+      [currentTime, getGraceCutoff(currentTime), bookingId, EXPIRED_REASON]
+    );
+    if (rows.length === 0) {
+      await conn.query("ROLLBACK");
+      return null;
+    }
+
+    const booking = rows[0];
+    const { voucherRestored } = await releaseCancelledPayments(conn, booking.id, {
+      reason: EXPIRED_REASON,
+      now: currentTime,
+    });
+    await recordStatusChange(conn, {
+      bookingId: booking.id,
+      fromStatus: "PENDING",
+      toStatus: "CANCELLED",
+      reason: EXPIRED_REASON,
+      changedAt: currentTime,
+    });
+    await conn.query("COMMIT");
+    return { ...booking, voucherRestored };
+  } catch (err) {
+    try { await conn.query("ROLLBACK"); } catch (_) {}
+    throw err;
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Batalkan booking PENDING yang belum mengunggah bukti bayar dan sudah melewati payment_deadline.
+ * Booking yang sudah punya payment_proof tidak disentuh karena sedang menunggu verifikasi admin,
+ * begitu juga booking yang sudah menerima pembayaran tunai/transfer terkonfirmasi. Booking yang masih punya
+ * checkout Midtrans yang menunggu pembayaran baru dibatalkan setelah masa tenggang (getMidtransGraceMinutes).
+ * Saldo voucher yang sudah dipakai booking yang dibatalkan dikembalikan ke voucher.
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Jam yang bisa diganti saat test, default () => new Date()
+ * @param {Object} [options.queryable] - db pool/client, default pool utama
+ * @param {Function} [options.emit] - Pengirim event realtime, default io.emit
+ * @returns {Promise<Array>} - Booking yang dibatalkan
+ */
+const expireOverdueBookings = async ({ now = () => new Date(), queryable = db, emit } = {}) => {
+  if (!queryable) return [];
+
+  const currentTime = now();
+  const candidates = await queryable.query(
+    `SELECT b.id FROM "bookings" b
+     WHERE ${OVERDUE_SQL} AND NOT ${HAS_CASH_PAYMENT_SQL} AND NOT ${AWAITING_MIDTRANS_SQL}
+     ORDER BY b.id`,
+    [currentTime, getGraceCutoff(currentTime)]
+  );
+
+  const io = getIO();
+  const send = emit || (io ? (event, payload) => io.emit(event, payload) : null);
+  const expired = [];
+
+  for (const { id } of candidates.rows) {
+    const booking = await expireBooking(queryable, id, currentTime);
+    if (!booking) continue;
+    expired.push(booking);
+
+    console.log(
+      `[PaymentExpiry] Booking ${booking.public_id} dibatalkan: batas pembayaran ${new Date(booking.payment_deadline).toISOString()} terlewati` +
+        (booking.voucherRestored > 0 ? `, voucher Rp${booking.voucherRestored} dikembalikan` : "")
+    );
+    if (send) {
+      send("booking:expired", {
+        id: booking.public_id,
+        userId: booking.user_id,
+        status: booking.status,
+        reason: EXPIRED_REASON,
+        paymentDeadline: booking.payment_deadline,
+      });
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Jalankan expireOverdueBookings secara berkala (env PAYMENT_EXPIRY_SWEEP_MS, default 60 detik)
+ * @param {Object} [options] - Diteruskan ke expireOverdueBookings, plus intervalMs
+ * @returns {Function} - Fungsi untuk menghentikan sweeper
+ */
+const startPaymentExpirySweeper = ({ intervalMs, ...options } = {}) => {
+  const interval = intervalMs || Number(process.env.PAYMENT_EXPIRY_SWEEP_MS) || DEFAULT_SWEEP_INTERVAL_MS;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await expireOverdueBookings(options);
+    } catch (err) {
+      console.error("[PaymentExpiry] Sweep error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, interval);
+  if (typeof timer.unref === "function") timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  EXPIRED_REASON,
+  getPaymentDeadlineHours,
+  getMidtransGraceMinutes,
+  getPaymentDeadline,
+  expireOverdueBookings,
+  startPaymentExpirySweeper,
+};
@@ -0,0 +1,302 @@
+const express = require("express");
+const { db } = require("../../config/db");
+const { authenticate, requireAdmin } = require("../../middleware/auth");
+const {
+  PAYMENT_METHODS,
+  PAYMENT_COLUMNS,
+  formatPayment,
+  getBookingBalance,
+  recordPayment,
+} = require("../../utils/payments");
+const { reverseVoucherRedemption } = require("../../utils/giftVouchers");
+
+const adminBookingPaymentsRouter = express.Router({ mergeParams: true });
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminBookingPayments
+ *   description: Ledger pembayaran per booking (Admin)
+ */
+
+adminBookingPaymentsRouter.use(authenticate, requireAdmin);
+
+const findBooking = async (queryable, bookingPublicId, { lock = false } = {}) => {
+  if (!UUID_REGEX.test(bookingPublicId)) return null;
+  const { rows } = await queryable.query(
+    `SELECT id, public_id, status, total_price FROM "bookings" WHERE public_id = $1${lock ? " FOR UPDATE" : ""}`,
+    [bookingPublicId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * @swagger
+ * /admin/bookings/{bookingId}/payments:
+ *   get:
+ *     summary: Daftar pembayaran booking beserta amount_paid dan balance_due
+ *     tags: [AdminBookingPayments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     responses:
+ *       200:
+ *         description: Ledger pembayaran booking
+ *       404:
+ *         description: Booking tidak ditemukan
+ */
+adminBookingPaymentsRouter.get("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const booking = await findBooking(db, req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+
+    const { rows } = await db.query(
+      `SELECT ${PAYMENT_COLUMNS}
+       FROM "payments" p
+       LEFT JOIN "users" u ON u.id = p.recorded_by
+       WHERE p.booking_id = $1
+       ORDER BY p.created_at ASC, p.id ASC`,
+      [booking.id]
+    );
+    const balance = await getBookingBalance(db, booking.id);
+
+    return res.json({
+      bookingId: booking.public_id,
+      status: booking.status,
+      ...balance,
+      payments: rows.map(formatPayment),
+    });
+  } catch (err) {
+    console.error("Admin Get Booking Payments Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/bookings/{bookingId}/payments:
+ *   post:
+ *     summary: Catat pembayaran booking (DP, pelunasan, tunai di lokasi, dll)
+ *     tags: [AdminBookingPayments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - method
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *               method:
+ *                 type: string
+ *                 enum: [TRANSFER, QRIS, EWALLET, CASH, MIDTRANS]
+ *               providerReference:
+ *                 type: string
+ *               proofUrl:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [PENDING, CONFIRMED]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Pembayaran berhasil dicatat
+ *       400:
+ *         description: Data tidak valid
+ *       404:
+ *         description: Booking tidak ditemukan
+ */
+adminBookingPaymentsRouter.post("/", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const { amount, method, providerReference, proofUrl, status = "CONFIRMED", note } = body;
+
+    if (!Number.isInteger(Number(amount)) || Number(amount) <= 0) {
+      return res.status(400).json({ message: "amount harus berupa angka bulat > 0" });
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ message: `method harus salah satu dari: ${PAYMENT_METHODS.join(", ")}` });
+    }
+    if (method === "VOUCHER") {
+      return res.status(400).json({ message: "Pembayaran voucher dicatat lewat redeem voucher oleh tamu" });
+    }
+    if (!["PENDING", "CONFIRMED"].includes(status)) {
+      return res.status(400).json({ message: "status harus PENDING atau CONFIRMED" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const booking = await findBooking(client, req.params.bookingId, { lock: true });
+    if (!booking) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+
+    const payment = await recordPayment(client, {
+      bookingId: booking.id,
+      amount: parseInt(amount, 10),
+      method,
+      providerReference: providerReference || null,
+      proofUrl: proofUrl || null,
+      status,
+      note: note || null,
+      recordedBy: req.user.id,
+    });
+    const balance = await getBookingBalance(client, booking.id);
+
+    await client.query("COMMIT");
+
+    return res.status(201).json({
+      ...formatPayment({ ...payment, recorded_by_username: req.user.username }),
+      balance,
+    });
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Create Booking Payment Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /admin/bookings/{bookingId}/payments/{paymentId}/void:
+ *   post:
+ *     summary: Batalkan (void) catatan pembayaran
+ *     description: |
+ *       Baris tidak dihapus, hanya berstatus VOID dan tidak lagi dihitung di amount_paid.
+ *       Pembayaran VOUCHER yang di-void mengembalikan saldo ke voucher.
+ *     tags: [AdminBookingPayments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Pembayaran berhasil di-void
+ *       404:
+ *         description: Pembayaran tidak ditemukan
+ *       409:
+ *         description: Pembayaran sudah VOID/REJECTED
+ */
+adminBookingPaymentsRouter.post("/:paymentId/void", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { paymentId } = req.params;
+    if (!UUID_REGEX.test(paymentId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: "Alasan void wajib diisi" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const booking = await findBooking(client, req.params.bookingId, { lock: true });
+    if (!booking) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+
+    const existing = await client.query(
+      'SELECT id, status FROM "payments" WHERE public_id = $1 AND booking_id = $2 FOR UPDATE',
+      [paymentId, booking.id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Pembayaran tidak ditemukan" });
+    }
+    if (!["PENDING", "CONFIRMED"].includes(existing.rows[0].status)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: `Pembayaran berstatus ${existing.rows[0].status} tidak bisa di-void` });
+    }
+
+    await client.query(
+      `UPDATE "payments" SET status = 'VOID', voided_at = NOW(), voided_by = $1, void_reason = $2
+       WHERE id = $3`,
+      [req.user.id, String(reason).trim(), existing.rows[0].id]
+    );
+    const voucherRestored = await reverseVoucherRedemption(client, existing.rows[0].id);
+
+    const { rows } = await client.query(
+      `SELECT ${PAYMENT_COLUMNS} FROM "payments" p LEFT JOIN "users" u ON u.id = p.recorded_by WHERE p.id = $1`,
+      [existing.rows[0].id]
+    );
+    const balance = await getBookingBalance(client, booking.id);
+
+    await client.query("COMMIT");
+
+    return res.json({ ...formatPayment(rows[0]), balance, voucherRestored });
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Void Booking Payment Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+module.exports = { adminBookingPaymentsRouter };
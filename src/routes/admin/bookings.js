@@ -2,6 +2,21 @@ const express = require("express");
 const { db } = require("../../config/db");
 const { authenticate, requireAdmin } = require("../../middleware/auth");
 const { getIO } = require("../../realtime/io");
+const { getBookingQuote } = require("../../utils/pricing");
+const { BOOKING_STATUSES, checkTransition, recordStatusChange } = require("../../utils/bookingStatus");
+const { getPaymentDeadline } = require("../../jobs/paymentExpiry");
+const { sendEmail } = require("../../config/email");
+const {
+  AMOUNT_PAID_SQL,
+  BALANCE_DUE_SQL,
+  getBookingBalance,
+  confirmProofPayment,
+  getDepositShortfallMessage,
+  releaseCancelledPayments,
+} = require("../../utils/payments");
+const { formatRefund, createRefundRequest } = require("../../utils/refunds");
+const { sendBookingConfirmationEmail, verifyCheckInToken } = require("../../utils/checkIn");
+const { GUEST_COUNT_SQL } = require("../../utils/bookingGuests");
 
 const adminBookingsRouter = express.Router();
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
@@ -68,8 +83,17 @@ adminBookingsRouter.get("/", async (req, res) => {
         b.end_date,
         b.people_count,
         b.total_price,
+        COALESCE(b.gross_price, b.total_price) as gross_price,
+        b.discount_amount,
+        b.promo_code,
+        b.tax_amount,
+        b.service_fee_amount,
         b.status,
         b.payment_proof,
+        b.price_breakdown,
+        ${AMOUNT_PAID_SQL} as amount_paid,
+        ${BALANCE_DUE_SQL} as balance_due,
+        b.deposit_amount,
         b.created_at,
         u.username,
         u.email,
@@ -112,18 +136,362 @@ adminBookingsRouter.get("/", async (req, res) => {
 
     const result = await db.query(query, params);
 
-    return res.json(result.rows);
+    return res.json(
+      result.rows.map((row) => ({
+        ...row,
+        price_breakdown: getBookingQuote(row),
+      }))
+    );
   } catch (err) {
     console.error("Admin Bookings Error:", err);
     return res.status(500).json({ message: "Internal server error" });
   }
 });
 
+/**
+ * @swagger
+ * /admin/bookings/payment-proofs:
+ *   get:
+ *     summary: Daftar booking yang menunggu verifikasi bukti bayar
+ *     description: Booking PENDING yang sudah mengunggah payment_proof, urut dari unggahan terlama.
+ *     tags: [AdminBookings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Daftar booking menunggu verifikasi
+ */
+adminBookingsRouter.get("/payment-proofs", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { rows } = await db.query(
+      `SELECT
+         b.public_id,
+         b.start_date,
+         b.end_date,
+         b.people_count,
+         b.total_price,
+         b.status,
+         b.payment_proof,
+         b.payment_proof_uploaded_at,
+         b.created_at,
+         u.username,
+         u.email,
+         u.full_name,
+         c.name as camp_name,
+         (SELECT COUNT(*)::int FROM "payment_reviews" pr
+          WHERE pr.booking_id = b.id AND pr.decision = 'REJECTED') as rejected_count
+       FROM "bookings" b
+       LEFT JOIN "users" u ON b.user_id = u.id
+       LEFT JOIN "camps" c ON b.camp_id = c.id
+       WHERE b.status = 'PENDING' AND b.payment_proof IS NOT NULL
+       ORDER BY b.payment_proof_uploaded_at ASC NULLS FIRST, b.created_at ASC`
+    );
+
+    return res.json(rows);
+  } catch (err) {
+    console.error("Admin Payment Proofs Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/bookings/{id}/payment/approve:
+ *   post:
+ *     summary: Setujui bukti bayar (booking menjadi PAID)
+ *     description: |
+ *       amount adalah nominal yang benar-benar diterima menurut pengecekan admin (bukan nominal yang
+ *       diisi tamu). Booking hanya menjadi PAID jika total pembayaran terkonfirmasi mencapai DP.
+ *     tags: [AdminBookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: Nominal yang diterima sesuai mutasi rekening
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Bukti bayar disetujui
+ *       400:
+ *         description: amount tidak valid
+ *       404:
+ *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Booking tidak sedang menunggu verifikasi, atau nominal diterima belum mencapai DP
+ */
+adminBookingsRouter.post("/:id/payment/approve", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) return res.status(500).json({ message: "Database error" });
+
+    const publicId = req.params.id;
+    if (!UUID_REGEX.test(publicId)) return res.status(400).json({ message: "Invalid UUID" });
+
+    const { amount, note } = req.body || {};
+    if (!Number.isInteger(Number(amount)) || Number(amount) <= 0) {
+      return res.status(400).json({ message: "amount (nominal yang diterima) wajib diisi, angka bulat > 0" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const currentResult = await client.query(
+      'SELECT id, status, public_id, payment_proof, start_date FROM "bookings" WHERE public_id = $1 FOR UPDATE',
+      [publicId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+
+    const row = currentResult.rows[0];
+
+    // Dikonfirmasi dulu agar guard PAID melihat pembayarannya; dibatalkan lewat ROLLBACK jika gagal
+    const balance = await confirmProofPayment(client, row, {
+      amount: parseInt(amount, 10),
+      recordedBy: req.user.id,
+      note: note || null,
+    });
+
+    const transition = checkTransition({ ...row, amount_paid: balance.amountPaid }, "PAID");
+    if (transition.error) {
+      await client.query("ROLLBACK");
+      return res.status(transition.error.status).json(transition.error.body);
+    }
+
+    const shortfall = getDepositShortfallMessage(balance);
+    if (shortfall) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: shortfall, ...balance });
+    }
+
+    const result = await client.query(
+      `UPDATE "bookings" SET status = 'PAID' WHERE id = $1
+       RETURNING id, public_id, user_id, camp_id, start_date, end_date, people_count, total_price, status`,
+      [row.id]
+    );
+
+    const booking = result.rows[0];
+
+    const review = await client.query(
+      `INSERT INTO "payment_reviews" (booking_id, payment_proof, decision, reason, reviewed_by)
+       VALUES ($1, $2, 'APPROVED', $3, $4)
+       RETURNING decision, reason, reviewed_at`,
+      [row.id, row.payment_proof, note || null, req.user.id]
+    );
+
+    await recordStatusChange(client, {
+      bookingId: row.id,
+      fromStatus: row.status,
+      toStatus: "PAID",
+      changedBy: req.user.id,
+      reason: note || "Bukti bayar disetujui",
+    });
+
+    await client.query("COMMIT");
+
+    sendBookingConfirmationEmail(db, row.id).catch((err) =>
+      console.error(`[CheckIn] Confirmation email failed: ${err.message}`)
+    );
+
+    const io = getIO();
+    if (io) {
+      io.emit("booking:statusUpdated", booking);
+    }
+
+    return res.json({ ...booking, amount_paid: balance.amountPaid, balance_due: balance.balanceDue, review: review.rows[0] });
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Approve Payment Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /admin/bookings/{id}/payment/reject:
+ *   post:
+ *     summary: Tolak bukti bayar
+ *     description: |
+ *       payment_proof dikosongkan sehingga booking kembali menunggu unggahan (tetap PENDING),
+ *       payment_deadline diperpanjang dari sekarang, dan alasan penolakan dikirim ke email tamu.
+ *     tags: [AdminBookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Nominal transfer tidak sesuai
+ *     responses:
+ *       200:
+ *         description: Bukti bayar ditolak
+ *       400:
+ *         description: Alasan wajib diisi
+ *       404:
+ *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Booking tidak sedang menunggu verifikasi
+ */
+adminBookingsRouter.post("/:id/payment/reject", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) return res.status(500).json({ message: "Database error" });
+
+    const publicId = req.params.id;
+    if (!UUID_REGEX.test(publicId)) return res.status(400).json({ message: "Invalid UUID" });
+
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: "Alasan penolakan wajib diisi" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const currentResult = await client.query(
+      `SELECT b.id, b.public_id, b.user_id, b.status, b.payment_proof, b.total_price,
+              u.email, u.username, u.full_name, c.name as camp_name
+       FROM "bookings" b
+       LEFT JOIN "users" u ON b.user_id = u.id
+       LEFT JOIN "camps" c ON b.camp_id = c.id
+       WHERE b.public_id = $1
+       FOR UPDATE OF b`,
+      [publicId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+
+    const row = currentResult.rows[0];
+
+    if (row.status !== "PENDING" || !row.payment_proof) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Booking tidak sedang menunggu verifikasi bukti bayar" });
+    }
+
+    // Tamu mendapat batas waktu baru untuk mengunggah ulang
+    const paymentDeadline = getPaymentDeadline();
+
+    await client.query(
+      `UPDATE "bookings"
+       SET payment_proof = NULL, payment_proof_uploaded_at = NULL, payment_deadline = $1
+       WHERE id = $2`,
+      [paymentDeadline, row.id]
+    );
+
+    await client.query(
+      `UPDATE "payments" SET status = 'REJECTED', void_reason = $2, voided_at = NOW(), voided_by = $3
+       WHERE booking_id = $1 AND status = 'PENDING'`,
+      [row.id, String(reason).trim(), req.user.id]
+    );
+
+    const review = await client.query(
+      `INSERT INTO "payment_reviews" (booking_id, payment_proof, decision, reason, reviewed_by)
+       VALUES ($1, $2, 'REJECTED', $3, $4)
+       RETURNING decision, reason, reviewed_at`,
+      [row.id, row.payment_proof, String(reason).trim(), req.user.id]
+    );
+
+    await client.query("COMMIT");
+
+    if (row.email) {
+      sendEmail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+        to: row.email,
+        subject: "Bukti pembayaran ditolak",
+        text:
+          `Halo ${row.full_name || row.username},\n\n` +
+          `Bukti pembayaran untuk booking ${row.camp_name || ""} (${row.public_id}) ditolak dengan alasan:\n` +
+          `${String(reason).trim()}\n\n` +
+          `Silakan unggah ulang bukti pembayaran sebelum ${paymentDeadline.toISOString()}.`,
+      })
+        .then(() => console.log(`[PaymentReview] Rejection email sent to: ${row.email}`))
+        .catch((err) => console.error(`[PaymentReview] Rejection email failed: ${err.message}`));
+    }
+
+    const io = getIO();
+    if (io) {
+      io.emit("booking:paymentRejected", {
+        id: row.public_id,
+        userId: row.user_id,
+        reason: String(reason).trim(),
+        paymentDeadline,
+      });
+    }
+
+    return res.json({
+      id: row.public_id,
+      status: row.status,
+      payment_proof: null,
+      payment_deadline: paymentDeadline,
+      review: review.rows[0],
+    });
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Reject Payment Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
 /**
  * @swagger
  * /admin/bookings/{id}/status:
  *   put:
  *     summary: Update status booking
+ *     description: |
+ *       Alur yang diizinkan: PENDING → PAID/CANCELLED, PAID → CHECK_IN/CANCELLED, CHECK_IN → CHECK_OUT.
+ *       PAID membutuhkan pembayaran terkonfirmasi di ledger (transfer, tunai, voucher, Midtrans) yang mencapai DP
+ *       (amount = nominal bukti bayar yang diterima, jika belum tercatat di ledger). CHECK_IN hanya mulai tanggal menginap, setelah sisa tagihan lunas,
+ *       dan daftar tamu lengkap sesuai jumlah orang (kecuali booking yang dibuat sebelum ada manifest tamu).
+ *       Setiap perpindahan dicatat di booking_status_history beserta admin dan alasannya.
+ *       CANCELLED untuk booking yang sudah dibayar membuat permintaan refund sebesar pembayaran tunai/transfer
+ *       terkonfirmasi; pembayaran voucher dikembalikan ke saldo voucher dan bukti bayar PENDING ditolak.
  *     tags: [AdminBookings]
  *     security:
  *       - bearerAuth: []
@@ -146,6 +514,14 @@ adminBookingsRouter.get("/", async (req, res) => {
  *               status:
  *                 type: string
  *                 enum: [PENDING, PAID, CHECK_IN, CHECK_OUT, CANCELLED]
+ *               reason:
+ *                 type: string
+ *               amount:
+ *                 type: integer
+ *                 description: Untuk PAID, nominal bukti bayar yang diterima menurut pengecekan admin
+ *               allowUnpaidBalance:
+ *                 type: boolean
+ *                 description: Izinkan CHECK_IN walau sisa tagihan (DP) belum lunas, response berisi warning
  *     responses:
  *       200:
  *         description: Status berhasil diupdate
@@ -153,6 +529,8 @@ adminBookingsRouter.get("/", async (req, res) => {
  *         description: Status tidak valid
  *       404:
  *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Perpindahan status tidak diizinkan (berisi allowedNextStates)
  */
 adminBookingsRouter.put("/:id/status", async (req, res) => {
   let client = null;
@@ -160,19 +538,23 @@ adminBookingsRouter.put("/:id/status", async (req, res) => {
     if (!db) return res.status(500).json({ message: "Database error" });
 
     const publicId = req.params.id;
-    const { status } = req.body;
+    const { status, reason, allowUnpaidBalance, amount } = req.body || {};
 
     if (!publicId || !status) return res.status(400).json({ message: "ID dan status wajib diisi" });
     if (!UUID_REGEX.test(publicId)) return res.status(400).json({ message: "Invalid UUID" });
 
-    const allowed = ["PENDING", "PAID", "CHECK_IN", "CHECK_OUT", "CANCELLED"];
-    if (!allowed.includes(status)) return res.status(400).json({ message: "Status tidak valid" });
+    if (!BOOKING_STATUSES.includes(status)) return res.status(400).json({ message: "Status tidak valid" });
+    if (amount !== undefined && amount !== null && (!Number.isInteger(Number(amount)) || Number(amount) <= 0)) {
+      return res.status(400).json({ message: "amount harus berupa angka bulat > 0" });
+    }
 
     client = await db.connect();
     await client.query("BEGIN");
 
     const currentResult = await client.query(
-      'SELECT id, status, public_id FROM "bookings" WHERE public_id = $1 FOR UPDATE',
+      `SELECT b.id, b.status, b.public_id, b.payment_proof, b.start_date, b.people_count, b.guest_manifest_required,
+              ${AMOUNT_PAID_SQL} as amount_paid, ${BALANCE_DUE_SQL} as balance_due, ${GUEST_COUNT_SQL} as guest_count
+       FROM "bookings" b WHERE b.public_id = $1 FOR UPDATE`,
       [publicId]
     );
 
@@ -185,22 +567,111 @@ adminBookingsRouter.put("/:id/status", async (req, res) => {
     const bookingId = row.id;
     const previousStatus = row.status;
 
+    // PAID: nominal bukti bayar yang diterima dikonfirmasi dulu agar guard melihat pembayaran di ledger
+    const balance =
+      status === "PAID" && amount !== undefined && amount !== null
+        ? await confirmProofPayment(client, row, {
+            amount: parseInt(amount, 10),
+            recordedBy: req.user.id,
+            note: reason || null,
+          })
+        : null;
+
+    const transition = checkTransition(balance ? { ...row, amount_paid: balance.amountPaid } : row, status, {
+      allowUnpaidBalance: allowUnpaidBalance === true,
+    });
+    if (transition.error) {
+      await client.query("ROLLBACK");
+      return res.status(transition.error.status).json({ ...transition.error.body, balanceDue: row.balance_due });
+    }
+
+    // PAID hanya jika uang yang sudah diverifikasi mencapai DP
+    if (status === "PAID") {
+      const paidBalance = balance || (await getBookingBalance(client, bookingId));
+      const shortfall = getDepositShortfallMessage(paidBalance);
+      if (shortfall) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ message: shortfall, ...paidBalance });
+      }
+    }
+
+    // Check-in dengan sisa tagihan yang sengaja diizinkan admin tetap diberi peringatan
+    const warning =
+      status === "CHECK_IN" && Number(row.balance_due) > 0
+        ? `Check-in dengan sisa tagihan Rp${Number(row.balance_due)} yang belum dilunasi`
+        : null;
+
+    // Pembatalan: bukti bayar belum diverifikasi ditolak, voucher dikembalikan, sisanya refund tunai
+    const released =
+      status === "CANCELLED"
+        ? await releaseCancelledPayments(client, bookingId, {
+            reason: reason || "Dibatalkan oleh admin",
+            voidedBy: req.user.id,
+          })
+        : null;
+
     const result = await client.query(
-      'UPDATE "bookings" SET status = $1 WHERE id = $2 RETURNING id, public_id, user_id, camp_id, start_date, end_date, people_count, total_price, status',
-      [status, bookingId]
+      `UPDATE "bookings"
+       SET status = $1,
+           cancel_reason = CASE WHEN $3::boolean THEN COALESCE($4, 'Dibatalkan oleh admin') ELSE cancel_reason END,
+           cancelled_at = CASE WHEN $3::boolean THEN NOW() ELSE cancelled_at END,
+           refund_amount = CASE WHEN $3::boolean THEN $5::int ELSE refund_amount END,
+           refund_percent = CASE WHEN $3::boolean THEN 100 ELSE refund_percent END
+       WHERE id = $2
+       RETURNING id, public_id, user_id, camp_id, start_date, end_date, people_count, total_price, status`,
+      [status, bookingId, status === "CANCELLED", reason || null, released ? released.cashPaid : null]
     );
 
     const booking = result.rows[0];
+    let refund = null;
+
+    await recordStatusChange(client, {
+      bookingId,
+      fromStatus: previousStatus,
+      toStatus: status,
+      changedBy: req.user.id,
+      reason: [reason, warning].filter(Boolean).join(" - ") || null,
+    });
+
+    // PAID lewat endpoint ini juga dihitung sebagai verifikasi bukti bayar
+    if (status === "PAID") {
+      await client.query(
+        `INSERT INTO "payment_reviews" (booking_id, payment_proof, decision, reason, reviewed_by)
+         VALUES ($1, $2, 'APPROVED', $3, $4)`,
+        [bookingId, row.payment_proof, reason || null, req.user.id]
+      );
+    }
 
+    // Pembatalan oleh pengelola: seluruh pembayaran terkonfirmasi masuk permintaan refund
+    if (status === "CANCELLED") {
+      const created = await createRefundRequest(client, {
+        bookingId,
+        eligibleAmount: released.cashPaid,
+        reason: reason || "Dibatalkan oleh admin",
+        requestedBy: req.user.id,
+      });
+      refund = created ? formatRefund({ ...created, booking_public_id: booking.public_id }) : null;
+    }
 
     await client.query("COMMIT");
 
+    if (status === "PAID") {
+      sendBookingConfirmationEmail(db, bookingId).catch((err) =>
+        console.error(`[CheckIn] Confirmation email failed: ${err.message}`)
+      );
+    }
+
     const io = getIO();
     if (io) {
       io.emit("booking:statusUpdated", booking);
     }
 
-    return res.json(booking);
+    return res.json({
+      ...booking,
+      ...(refund ? { refund } : {}),
+      ...(released && released.voucherRestored > 0 ? { voucherRestored: released.voucherRestored } : {}),
+      ...(warning ? { warning } : {}),
+    });
   } catch (err) {
     if (client) {
         try { await client.query("ROLLBACK"); } catch (_) {}
@@ -212,4 +683,177 @@ adminBookingsRouter.put("/:id/status", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /admin/bookings/scan:
+ *   post:
+ *     summary: Scan QR check-in booking
+ *     description: |
+ *       Verifikasi token dari QR booking lalu lakukan perpindahan berikutnya dalam satu langkah:
+ *       PAID → CHECK_IN, CHECK_IN → CHECK_OUT. Guard CHECK_IN sama dengan update status
+ *       (mulai tanggal menginap, sisa tagihan lunas kecuali allowUnpaidBalance, daftar tamu lengkap).
+ *       Dengan preview true hanya menampilkan data tamu, peralatan, dan aksi berikutnya tanpa mengubah status.
+ *     tags: [AdminBookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Isi QR check-in booking
+ *               preview:
+ *                 type: boolean
+ *                 default: false
+ *               allowUnpaidBalance:
+ *                 type: boolean
+ *                 description: Izinkan CHECK_IN walau sisa tagihan (DP) belum lunas, response berisi warning
+ *     responses:
+ *       200:
+ *         description: Data booking beserta aksi yang dilakukan (atau aksi berikutnya saat preview)
+ *       400:
+ *         description: Token tidak valid
+ *       404:
+ *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Booking tidak bisa di-check-in/check-out (status atau guard)
+ *       410:
+ *         description: Token sudah kedaluwarsa
+ */
+adminBookingsRouter.post("/scan", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) return res.status(500).json({ message: "Database error" });
+
+    const { token, preview, allowUnpaidBalance } = req.body || {};
+    if (!token) return res.status(400).json({ message: "Token QR wajib diisi" });
+
+    const verified = verifyCheckInToken(token);
+    if (verified.error) {
+      return res.status(verified.error.status).json(verified.error.body);
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const currentResult = await client.query(
+      `SELECT b.id, b.public_id, b.status, b.payment_proof, b.start_date, b.end_date, b.people_count,
+              b.total_price, b.camp_id, b.user_id, b.guest_manifest_required,
+              ${AMOUNT_PAID_SQL} as amount_paid, ${BALANCE_DUE_SQL} as balance_due, ${GUEST_COUNT_SQL} as guest_count,
+              c.name as camp_name, c.location as camp_location,
+              COALESCE(u.full_name, u.username) as customer_name, u.email as customer_email, u.phone_number as customer_phone,
+              (
+                SELECT json_agg(json_build_object('name', e.name, 'quantity', be.quantity, 'nights', be.nights) ORDER BY e.name)
+                FROM "booking_equipments" be
+                JOIN "equipments" e ON e.id = be.equipment_id
+                WHERE be.booking_id = b.id
+              ) as equipments,
+              (
+                SELECT json_agg(json_build_object('fullName', g.full_name, 'idType', g.id_type, 'idNumber', g.id_number) ORDER BY g.id)
+                FROM "booking_guests" g
+                WHERE g.booking_id = b.id
+              ) as guests
+       FROM "bookings" b
+       JOIN "camps" c ON c.id = b.camp_id
+       JOIN "users" u ON u.id = b.user_id
+       WHERE b.public_id = $1
+       FOR UPDATE OF b`,
+      [verified.bookingPublicId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+
+    const row = currentResult.rows[0];
+    const nextStatus = { PAID: "CHECK_IN", CHECK_IN: "CHECK_OUT" }[row.status] || null;
+
+    const details = {
+      id: row.public_id,
+      status: row.status,
+      campName: row.camp_name,
+      campLocation: row.camp_location,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      peopleCount: row.people_count,
+      totalPrice: row.total_price,
+      amountPaid: Number(row.amount_paid),
+      balanceDue: Number(row.balance_due),
+      guest: { name: row.customer_name, email: row.customer_email, phone: row.customer_phone },
+      equipments: row.equipments || [],
+      guests: row.guests || [],
+    };
+
+    if (!nextStatus) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        message: `Booking berstatus ${row.status} tidak bisa di-check-in atau di-check-out`,
+        currentStatus: row.status,
+        booking: details,
+      });
+    }
+
+    const transition = checkTransition(row, nextStatus, { allowUnpaidBalance: allowUnpaidBalance === true });
+
+    if (preview === true) {
+      await client.query("ROLLBACK");
+      return res.json({
+        booking: details,
+        nextAction: nextStatus,
+        canProceed: !transition.error,
+        blockedReason: transition.error ? transition.error.body.message : null,
+      });
+    }
+
+    if (transition.error) {
+      await client.query("ROLLBACK");
+      return res.status(transition.error.status).json({ ...transition.error.body, booking: details });
+    }
+
+    const warning =
+      nextStatus === "CHECK_IN" && Number(row.balance_due) > 0
+        ? `Check-in dengan sisa tagihan Rp${Number(row.balance_due)} yang belum dilunasi`
+        : null;
+
+    const result = await client.query(
+      `UPDATE "bookings" SET status = $1 WHERE id = $2
+       RETURNING id, public_id, user_id, camp_id, start_date, end_date, people_count, total_price, status`,
+      [nextStatus, row.id]
+    );
+
+    await recordStatusChange(client, {
+      bookingId: row.id,
+      fromStatus: row.status,
+      toStatus: nextStatus,
+      changedBy: req.user.id,
+      reason: ["SCAN_QR", warning].filter(Boolean).join(" - "),
+    });
+
+    await client.query("COMMIT");
+
+    const io = getIO();
+    if (io) {
+      io.emit("booking:statusUpdated", result.rows[0]);
+    }
+
+    const response = { action: nextStatus, booking: { ...details, status: nextStatus } };
+    return res.json(warning ? { ...response, warning } : response);
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Scan Check-in Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
 module.exports = { adminBookingsRouter };
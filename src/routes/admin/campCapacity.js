@@ -0,0 +1,397 @@
+const express = require("express");
+const { db } = require("../../config/db");
+const { authenticate, requireAdmin } = require("../../middleware/auth");
+const {
+  OVERRIDE_COLUMNS,
+  formatOverride,
+  validateOverrideBody,
+  findOverrideConflicts,
+} = require("../../utils/campCapacity");
+
+const adminCampCapacityRouter = express.Router({ mergeParams: true });
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminCampCapacity
+ *   description: Kalender kapasitas camp (tutup, kapasitas dikurangi/ditambah per rentang tanggal) (Admin)
+ */
+
+adminCampCapacityRouter.use(authenticate, requireAdmin);
+
+const findCamp = async (campPublicId) => {
+  if (!UUID_REGEX.test(campPublicId)) return null;
+  const { rows } = await db.query('SELECT id FROM "camps" WHERE public_id = $1', [campPublicId]);
+  return rows[0] || null;
+};
+
+// Pesan peringatan untuk admin jika override membuat booking yang sudah ada tidak muat
+const buildWarning = (override, conflicts) => {
+  if (conflicts.bookings.length === 0) return null;
+  const action = override.isClosed ? "penutupan camp" : `kapasitas ${override.capacity} orang`;
+  return `${conflicts.bookings.length} booking aktif bertabrakan dengan ${action} pada ${conflicts.dates.length} tanggal, hubungi tamu untuk reschedule atau pembatalan`;
+};
+
+/**
+ * Simpan override (insert atau update) lalu cek booking yang bertabrakan di transaksi yang sama.
+ * Jika preview, perubahan di-rollback dan hanya peringatannya yang dikembalikan.
+ */
+const saveOverride = async ({ campId, overrideId = null, override, userId, preview }) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    // Kunci camp agar booking baru tidak masuk di antara simpan override dan cek konflik
+    await client.query('SELECT id FROM "camps" WHERE id = $1 FOR UPDATE', [campId]);
+
+    const { rows } = overrideId
+      ? await client.query(
+          `UPDATE "camp_capacity_overrides"
+           SET start_date = $1, end_date = $2, is_closed = $3, capacity = $4, reason = $5, updated_at = NOW()
+           WHERE public_id = $6 AND camp_id = $7
+           RETURNING ${OVERRIDE_COLUMNS}`,
+          [override.startDate, override.endDate, override.isClosed, override.capacity, override.reason, overrideId, campId]
+        )
+      : await client.query(
+          `INSERT INTO "camp_capacity_overrides" (camp_id, start_date, end_date, is_closed, capacity, reason, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING ${OVERRIDE_COLUMNS}`,
+          [campId, override.startDate, override.endDate, override.isClosed, override.capacity, override.reason, userId]
+        );
+
+    const conflicts = await findOverrideConflicts(client, campId, override.startDate, override.endDate);
+
+    await client.query(preview ? "ROLLBACK" : "COMMIT");
+
+    return { row: rows[0], conflicts };
+  } catch (err) {
+    try { await client.query("ROLLBACK"); } catch (_) {}
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/capacity-overrides:
+ *   get:
+ *     summary: Daftar override kapasitas camp
+ *     tags: [AdminCampCapacity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Camp (UUID)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Hanya override yang berakhir pada/setelah tanggal ini
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Hanya override yang dimulai pada/sebelum tanggal ini
+ *     responses:
+ *       200:
+ *         description: Daftar override, urut tanggal mulai
+ *       404:
+ *         description: Camp tidak ditemukan
+ */
+adminCampCapacityRouter.get("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { from, to } = req.query;
+    if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+      return res.status(400).json({ message: "from dan to harus berformat YYYY-MM-DD" });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const { rows } = await db.query(
+      `SELECT ${OVERRIDE_COLUMNS}
+       FROM "camp_capacity_overrides"
+       WHERE camp_id = $1
+         AND ($2::date IS NULL OR end_date >= $2::date)
+         AND ($3::date IS NULL OR start_date <= $3::date)
+       ORDER BY start_date ASC, id ASC`,
+      [camp.id, from || null, to || null]
+    );
+
+    return res.json(rows.map(formatOverride));
+  } catch (err) {
+    console.error("Admin Get Camp Capacity Overrides Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/capacity-overrides:
+ *   post:
+ *     summary: Menutup camp atau mengubah kapasitas pada rentang tanggal
+ *     description: |
+ *       Override menggantikan daily_capacity camp untuk setiap malam di rentang tanggal (inklusif).
+ *       Jika beberapa override mencakup tanggal yang sama, penutupan menang, lalu override terbaru.
+ *       Ketersediaan dan POST /booking langsung mengikuti kalender ini.
+ *
+ *       Booking aktif (PAID/CHECK_IN atau PENDING yang masih menahan kuota) yang tidak lagi muat
+ *       dikembalikan di conflicts beserta warning; booking tersebut tidak diubah otomatis.
+ *       Kirim preview = true untuk melihat konflik tanpa menyimpan.
+ *     tags: [AdminCampCapacity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *               - reason
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               isClosed:
+ *                 type: boolean
+ *                 description: true = camp tutup (capacity diabaikan)
+ *               capacity:
+ *                 type: integer
+ *                 description: Kapasitas harian pengganti, wajib jika isClosed = false
+ *               reason:
+ *                 type: string
+ *                 example: Perawatan jalur sungai
+ *               preview:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Override tersimpan, beserta conflicts dan warning (null jika tidak ada konflik)
+ *       200:
+ *         description: Hasil preview (tidak disimpan)
+ *       400:
+ *         description: Data tidak valid
+ *       404:
+ *         description: Camp tidak ditemukan
+ */
+adminCampCapacityRouter.post("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const { override, error } = validateOverrideBody(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const preview = body.preview === true;
+    const { row, conflicts } = await saveOverride({
+      campId: camp.id,
+      override,
+      userId: req.user.id,
+      preview,
+    });
+
+    return res.status(preview ? 200 : 201).json({
+      ...formatOverride(row),
+      id: preview ? null : row.public_id,
+      preview,
+      warning: buildWarning(override, conflicts),
+      conflicts,
+    });
+  } catch (err) {
+    console.error("Admin Create Camp Capacity Override Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/capacity-overrides/{overrideId}:
+ *   put:
+ *     summary: Update override kapasitas camp
+ *     description: Field yang tidak dikirim tetap memakai nilai lama. Konflik booking dicek ulang seperti POST.
+ *     tags: [AdminCampCapacity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: overrideId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               isClosed:
+ *                 type: boolean
+ *               capacity:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *               preview:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Override tersimpan (atau hasil preview), beserta conflicts dan warning
+ *       400:
+ *         description: Data tidak valid
+ *       404:
+ *         description: Override tidak ditemukan
+ */
+adminCampCapacityRouter.put("/:overrideId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { overrideId } = req.params;
+    if (!UUID_REGEX.test(overrideId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const existing = await db.query(
+      `SELECT ${OVERRIDE_COLUMNS} FROM "camp_capacity_overrides" WHERE public_id = $1 AND camp_id = $2`,
+      [overrideId, camp.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "Override kapasitas tidak ditemukan" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const { override, error } = validateOverrideBody(body, { current: existing.rows[0] });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const preview = body.preview === true;
+    const { row, conflicts } = await saveOverride({
+      campId: camp.id,
+      overrideId,
+      override,
+      userId: req.user.id,
+      preview,
+    });
+
+    return res.json({
+      ...formatOverride(row),
+      preview,
+      warning: buildWarning(override, conflicts),
+      conflicts,
+    });
+  } catch (err) {
+    console.error("Admin Update Camp Capacity Override Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/capacity-overrides/{overrideId}:
+ *   delete:
+ *     summary: Hapus override kapasitas camp (kembali ke daily_capacity)
+ *     tags: [AdminCampCapacity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: overrideId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Override berhasil dihapus
+ *       404:
+ *         description: Override tidak ditemukan
+ */
+adminCampCapacityRouter.delete("/:overrideId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { overrideId } = req.params;
+    if (!UUID_REGEX.test(overrideId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const result = await db.query(
+      'DELETE FROM "camp_capacity_overrides" WHERE public_id = $1 AND camp_id = $2 RETURNING id',
+      [overrideId, camp.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Override kapasitas tidak ditemukan" });
+    }
+
+    return res.json({ message: "Override kapasitas berhasil dihapus" });
+  } catch (err) {
+    console.error("Admin Delete Camp Capacity Override Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+module.exports = { adminCampCapacityRouter };
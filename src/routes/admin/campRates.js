@@ -0,0 +1,388 @@
+const express = require("express");
+const { db } = require("../../config/db");
+const { authenticate, requireAdmin } = require("../../middleware/auth");
+
+const adminCampRatesRouter = express.Router({ mergeParams: true });
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminCampRates
+ *   description: Kalender tarif per camp (akhir pekan, libur, musim) (Admin)
+ */
+
+adminCampRatesRouter.use(authenticate, requireAdmin);
+
+const formatRate = (row) => ({
+  id: row.public_id,
+  name: row.name,
+  nightlyPrice: row.nightly_price,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  weekdays: row.weekdays || [],
+  priority: row.priority,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const RATE_COLUMNS = `public_id, name, nightly_price, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date, weekdays, priority, is_active, created_at, updated_at`;
+
+// Validasi body tarif. Mengembalikan pesan error atau null
+const validateRateBody = (body, { partial = false } = {}) => {
+  const { name, nightlyPrice, startDate, endDate, weekdays, priority } = body;
+
+  if (!partial && (!name || nightlyPrice === undefined)) {
+    return "name dan nightlyPrice wajib diisi";
+  }
+  if (nightlyPrice !== undefined && (!Number.isInteger(Number(nightlyPrice)) || Number(nightlyPrice) < 0)) {
+    return "nightlyPrice harus berupa angka bulat >= 0";
+  }
+  if (startDate && !DATE_REGEX.test(startDate)) {
+    return "startDate harus berformat YYYY-MM-DD";
+  }
+  if (endDate && !DATE_REGEX.test(endDate)) {
+    return "endDate harus berformat YYYY-MM-DD";
+  }
+  if (startDate && endDate && endDate < startDate) {
+    return "endDate tidak boleh lebih kecil dari startDate";
+  }
+  if (weekdays !== undefined && weekdays !== null) {
+    if (!Array.isArray(weekdays) || weekdays.some((d) => !Number.isInteger(Number(d)) || d < 0 || d > 6)) {
+      return "weekdays harus berupa array angka 0 (Minggu) sampai 6 (Sabtu)";
+    }
+  }
+  if (priority !== undefined && !Number.isInteger(Number(priority))) {
+    return "priority harus berupa angka bulat";
+  }
+  return null;
+};
+
+const findCamp = async (campPublicId) => {
+  if (!UUID_REGEX.test(campPublicId)) return null;
+  const { rows } = await db.query('SELECT id FROM "camps" WHERE public_id = $1', [campPublicId]);
+  return rows[0] || null;
+};
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/rates:
+ *   get:
+ *     summary: Daftar aturan tarif camp
+ *     tags: [AdminCampRates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Camp (UUID)
+ *     responses:
+ *       200:
+ *         description: Daftar tarif, urut berdasarkan priority tertinggi
+ *       404:
+ *         description: Camp tidak ditemukan
+ */
+adminCampRatesRouter.get("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const { rows } = await db.query(
+      `SELECT ${RATE_COLUMNS} FROM "camp_rates" WHERE camp_id = $1 ORDER BY priority DESC, id DESC`,
+      [camp.id]
+    );
+
+    return res.json(rows.map(formatRate));
+  } catch (err) {
+    console.error("Admin Get Camp Rates Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/rates:
+ *   post:
+ *     summary: Menambah aturan tarif camp
+ *     description: |
+ *       Tarif menggantikan nightly_price camp untuk malam yang cocok. Jika beberapa tarif cocok,
+ *       priority tertinggi yang dipakai. Rentang tanggal inklusif; weekdays kosong = semua hari.
+ *     tags: [AdminCampRates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - nightlyPrice
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Akhir Pekan
+ *               nightlyPrice:
+ *                 type: integer
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               weekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [6]
+ *               priority:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Tarif berhasil ditambahkan
+ *       400:
+ *         description: Data tidak valid
+ *       404:
+ *         description: Camp tidak ditemukan
+ */
+adminCampRatesRouter.post("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const error = validateRateBody(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const { name, nightlyPrice, startDate, endDate, weekdays, priority } = body;
+
+    const { rows } = await db.query(
+      `INSERT INTO "camp_rates" (camp_id, name, nightly_price, start_date, end_date, weekdays, priority)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${RATE_COLUMNS}`,
+      [
+        camp.id,
+        name,
+        parseInt(nightlyPrice, 10),
+        startDate || null,
+        endDate || null,
+        Array.isArray(weekdays) && weekdays.length > 0 ? weekdays.map(Number) : null,
+        priority !== undefined ? parseInt(priority, 10) : 0,
+      ]
+    );
+
+    return res.status(201).json(formatRate(rows[0]));
+  } catch (err) {
+    console.error("Admin Create Camp Rate Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/rates/{rateId}:
+ *   put:
+ *     summary: Update aturan tarif camp
+ *     tags: [AdminCampRates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: rateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               nightlyPrice:
+ *                 type: integer
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               weekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               priority:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Tarif berhasil diupdate
+ *       404:
+ *         description: Tarif tidak ditemukan
+ */
+adminCampRatesRouter.put("/:rateId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { rateId } = req.params;
+    if (!UUID_REGEX.test(rateId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const error = validateRateBody(body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const { name, nightlyPrice, startDate, endDate, weekdays, priority, isActive } = body;
+
+    const existing = await db.query(
+      `SELECT ${RATE_COLUMNS} FROM "camp_rates" WHERE public_id = $1 AND camp_id = $2`,
+      [rateId, camp.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "Tarif tidak ditemukan" });
+    }
+
+    const nextStart = startDate !== undefined ? startDate : existing.rows[0].start_date;
+    const nextEnd = endDate !== undefined ? endDate : existing.rows[0].end_date;
+    if (nextStart && nextEnd && nextEnd < nextStart) {
+      return res.status(400).json({ message: "endDate tidak boleh lebih kecil dari startDate" });
+    }
+
+    // startDate/endDate/weekdays bisa dikosongkan dengan null, maka tidak memakai COALESCE
+    const { rows } = await db.query(
+      `UPDATE "camp_rates"
+       SET name = COALESCE($1, name),
+           nightly_price = COALESCE($2, nightly_price),
+           start_date = CASE WHEN $3::boolean THEN $4::date ELSE start_date END,
+           end_date = CASE WHEN $5::boolean THEN $6::date ELSE end_date END,
+           weekdays = CASE WHEN $7::boolean THEN $8::integer[] ELSE weekdays END,
+           priority = COALESCE($9, priority),
+           is_active = COALESCE($10, is_active),
+           updated_at = NOW()
+       WHERE public_id = $11 AND camp_id = $12
+       RETURNING ${RATE_COLUMNS}`,
+      [
+        name || null,
+        nightlyPrice !== undefined ? parseInt(nightlyPrice, 10) : null,
+        startDate !== undefined,
+        startDate || null,
+        endDate !== undefined,
+        endDate || null,
+        weekdays !== undefined,
+        Array.isArray(weekdays) && weekdays.length > 0 ? weekdays.map(Number) : null,
+        priority !== undefined ? parseInt(priority, 10) : null,
+        isActive !== undefined ? isActive : null,
+        rateId,
+        camp.id,
+      ]
+    );
+
+    return res.json(formatRate(rows[0]));
+  } catch (err) {
+    console.error("Admin Update Camp Rate Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/rates/{rateId}:
+ *   delete:
+ *     summary: Hapus aturan tarif camp
+ *     tags: [AdminCampRates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: rateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tarif berhasil dihapus
+ *       404:
+ *         description: Tarif tidak ditemukan
+ */
+adminCampRatesRouter.delete("/:rateId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { rateId } = req.params;
+    if (!UUID_REGEX.test(rateId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const result = await db.query(
+      'DELETE FROM "camp_rates" WHERE public_id = $1 AND camp_id = $2 RETURNING id',
+      [rateId, camp.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Tarif tidak ditemukan" });
+    }
+
+    return res.json({ message: "Tarif berhasil dihapus" });
+  } catch (err) {
+    console.error("Admin Delete Camp Rate Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+module.exports = { adminCampRatesRouter };
@@ -0,0 +1,416 @@
+const express = require("express");
+const { db } = require("../../config/db");
+const { authenticate, requireAdmin } = require("../../middleware/auth");
+const { SITE_TYPES, SITE_COLUMNS, formatSite } = require("../../utils/campSites");
+
+const adminCampSitesRouter = express.Router({ mergeParams: true });
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminCampSites
+ *   description: Site/pitch di dalam camp beserta kapasitas dan selisih harga (Admin)
+ */
+
+adminCampSitesRouter.use(authenticate, requireAdmin);
+
+// Validasi body site. Mengembalikan pesan error atau null
+const validateSiteBody = (body, { partial = false } = {}) => {
+  const { name, siteType, capacity, priceModifier, attributes, zone, position } = body;
+
+  if (!partial && (!name || capacity === undefined)) {
+    return "name dan capacity wajib diisi";
+  }
+  if (name !== undefined && (!String(name).trim() || String(name).length > 50)) {
+    return "name tidak boleh kosong dan maksimal 50 karakter";
+  }
+  if (siteType !== undefined && !SITE_TYPES.includes(String(siteType).toUpperCase())) {
+    return `siteType harus salah satu dari: ${SITE_TYPES.join(", ")}`;
+  }
+  if (capacity !== undefined && (!Number.isInteger(Number(capacity)) || Number(capacity) <= 0)) {
+    return "capacity harus berupa angka bulat > 0";
+  }
+  if (priceModifier !== undefined && !Number.isInteger(Number(priceModifier))) {
+    return "priceModifier harus berupa angka bulat (boleh negatif)";
+  }
+  if (attributes !== undefined && attributes !== null) {
+    if (!Array.isArray(attributes) || attributes.some((item) => typeof item !== "string" || !item.trim())) {
+      return "attributes harus berupa array teks";
+    }
+  }
+  if (zone !== undefined && zone !== null && String(zone).length > 50) {
+    return "zone maksimal 50 karakter";
+  }
+  if (position !== undefined && position !== null && !Number.isInteger(Number(position))) {
+    return "position harus berupa angka bulat";
+  }
+  return null;
+};
+
+// Atribut disimpan huruf kecil tanpa duplikat (misal: listrik, dekat-sungai, teduh)
+const normalizeAttributes = (attributes) =>
+  Array.isArray(attributes) ? [...new Set(attributes.map((item) => item.trim().toLowerCase()))] : [];
+
+const findCamp = async (campPublicId) => {
+  if (!UUID_REGEX.test(campPublicId)) return null;
+  const { rows } = await db.query('SELECT id FROM "camps" WHERE public_id = $1', [campPublicId]);
+  return rows[0] || null;
+};
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/sites:
+ *   get:
+ *     summary: Daftar site camp
+ *     tags: [AdminCampSites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Camp (UUID)
+ *     responses:
+ *       200:
+ *         description: Daftar site (termasuk yang nonaktif), urut zone, position, lalu nama
+ *       404:
+ *         description: Camp tidak ditemukan
+ */
+adminCampSitesRouter.get("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const { rows } = await db.query(
+      `SELECT ${SITE_COLUMNS}
+       FROM "camp_sites" s
+       WHERE s.camp_id = $1
+       ORDER BY s.zone ASC NULLS LAST, s.position ASC NULLS LAST, s.name ASC`,
+      [camp.id]
+    );
+
+    return res.json(rows.map(formatSite));
+  } catch (err) {
+    console.error("Admin Get Camp Sites Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/sites:
+ *   post:
+ *     summary: Menambah site camp
+ *     description: |
+ *       Setelah camp memiliki site aktif, booking baru wajib memilih site (siteIds) dengan total
+ *       kapasitas yang cukup. priceModifier ditambahkan per malam per site ke harga camp
+ *       (negatif untuk site yang lebih murah). Kuota harian camp tetap berlaku.
+ *     tags: [AdminCampSites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - capacity
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: A-01
+ *               siteType:
+ *                 type: string
+ *                 enum: [TENT, CAMPERVAN, GLAMPING, CABIN]
+ *               capacity:
+ *                 type: integer
+ *                 example: 4
+ *               priceModifier:
+ *                 type: integer
+ *                 example: 25000
+ *               attributes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [listrik, dekat-sungai]
+ *               zone:
+ *                 type: string
+ *                 example: Zona A
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Site berhasil ditambahkan
+ *       400:
+ *         description: Data tidak valid
+ *       404:
+ *         description: Camp tidak ditemukan
+ *       409:
+ *         description: Nama site sudah dipakai di camp ini
+ */
+adminCampSitesRouter.post("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const error = validateSiteBody(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const { name, siteType, capacity, priceModifier, attributes, zone, position } = body;
+
+    const { rows } = await db.query(
+      `INSERT INTO "camp_sites" AS s (camp_id, name, site_type, capacity, price_modifier, attributes, zone, position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (camp_id, name) DO NOTHING
+       RETURNING ${SITE_COLUMNS}`,
+      [
+        camp.id,
+        String(name).trim(),
+        siteType ? String(siteType).toUpperCase() : "TENT",
+        parseInt(capacity, 10),
+        priceModifier !== undefined ? parseInt(priceModifier, 10) : 0,
+        normalizeAttributes(attributes),
+        zone || null,
+        position !== undefined && position !== null ? parseInt(position, 10) : null,
+      ]
+    );
+
+    if (rows.length === 0) {
+      return res.status(409).json({ message: `Site dengan nama '${String(name).trim()}' sudah ada di camp ini` });
+    }
+
+    return res.status(201).json(formatSite(rows[0]));
+  } catch (err) {
+    console.error("Admin Create Camp Site Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/sites/{siteId}:
+ *   put:
+ *     summary: Update site camp
+ *     description: |
+ *       Perubahan priceModifier hanya berlaku untuk booking baru atau booking yang diubah.
+ *       Site yang dinonaktifkan tidak bisa dipesan lagi, booking yang sudah ada tetap memakainya.
+ *     tags: [AdminCampSites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: siteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               siteType:
+ *                 type: string
+ *                 enum: [TENT, CAMPERVAN, GLAMPING, CABIN]
+ *               capacity:
+ *                 type: integer
+ *               priceModifier:
+ *                 type: integer
+ *               attributes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               zone:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Site berhasil diupdate
+ *       404:
+ *         description: Site tidak ditemukan
+ *       409:
+ *         description: Nama site sudah dipakai di camp ini
+ */
+adminCampSitesRouter.put("/:siteId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { siteId } = req.params;
+    if (!UUID_REGEX.test(siteId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const error = validateSiteBody(body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const { name, siteType, capacity, priceModifier, attributes, zone, position, isActive } = body;
+
+    if (name !== undefined) {
+      const duplicate = await db.query(
+        'SELECT 1 FROM "camp_sites" WHERE camp_id = $1 AND name = $2 AND public_id <> $3',
+        [camp.id, String(name).trim(), siteId]
+      );
+      if (duplicate.rows.length > 0) {
+        return res.status(409).json({ message: `Site dengan nama '${String(name).trim()}' sudah ada di camp ini` });
+      }
+    }
+
+    // zone/position bisa dikosongkan dengan null, maka tidak memakai COALESCE
+    const { rows } = await db.query(
+      `UPDATE "camp_sites" AS s
+       SET name = COALESCE($1, s.name),
+           site_type = COALESCE($2, s.site_type),
+           capacity = COALESCE($3, s.capacity),
+           price_modifier = COALESCE($4, s.price_modifier),
+           attributes = COALESCE($5, s.attributes),
+           zone = CASE WHEN $6::boolean THEN $7 ELSE s.zone END,
+           position = CASE WHEN $8::boolean THEN $9::integer ELSE s.position END,
+           is_active = COALESCE($10, s.is_active),
+           updated_at = NOW()
+       WHERE s.public_id = $11 AND s.camp_id = $12
+       RETURNING ${SITE_COLUMNS}`,
+      [
+        name !== undefined ? String(name).trim() : null,
+        siteType !== undefined ? String(siteType).toUpperCase() : null,
+        capacity !== undefined ? parseInt(capacity, 10) : null,
+        priceModifier !== undefined ? parseInt(priceModifier, 10) : null,
+        attributes !== undefined ? normalizeAttributes(attributes) : null,
+        zone !== undefined,
+        zone || null,
+        position !== undefined,
+        position !== undefined && position !== null ? parseInt(position, 10) : null,
+        isActive !== undefined ? Boolean(isActive) : null,
+        siteId,
+        camp.id,
+      ]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: "Site tidak ditemukan" });
+    }
+
+    return res.json(formatSite(rows[0]));
+  } catch (err) {
+    console.error("Admin Update Camp Site Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/sites/{siteId}:
+ *   delete:
+ *     summary: Hapus site camp
+ *     description: |
+ *       Hanya site yang belum pernah dipesan yang bisa dihapus. Site yang sudah memiliki riwayat
+ *       booking cukup dinonaktifkan (isActive = false) agar rincian booking lama tetap utuh.
+ *     tags: [AdminCampSites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: siteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Site berhasil dihapus
+ *       404:
+ *         description: Site tidak ditemukan
+ *       409:
+ *         description: Site sudah pernah dipesan
+ */
+adminCampSitesRouter.delete("/:siteId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { siteId } = req.params;
+    if (!UUID_REGEX.test(siteId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const existing = await db.query(
+      `SELECT s.id, (SELECT COUNT(*)::int FROM "booking_sites" bs WHERE bs.site_id = s.id) AS booking_count
+       FROM "camp_sites" s
+       WHERE s.public_id = $1 AND s.camp_id = $2`,
+      [siteId, camp.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "Site tidak ditemukan" });
+    }
+    if (existing.rows[0].booking_count > 0) {
+      return res.status(409).json({
+        message: "Site sudah pernah dipesan, nonaktifkan site (isActive = false) sebagai gantinya",
+        bookingCount: existing.rows[0].booking_count,
+      });
+    }
+
+    await db.query('DELETE FROM "camp_sites" WHERE id = $1', [existing.rows[0].id]);
+
+    return res.json({ message: "Site berhasil dihapus" });
+  } catch (err) {
+    console.error("Admin Delete Camp Site Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+module.exports = { adminCampSitesRouter };
@@ -0,0 +1,386 @@
+const express = require("express");
+const { db } = require("../../config/db");
+const { authenticate, requireAdmin } = require("../../middleware/auth");
+const { STAY_RULE_COLUMNS, formatStayRule, validateStayRuleBody } = require("../../utils/stayRules");
+
+const adminCampStayRulesRouter = express.Router({ mergeParams: true });
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminCampStayRules
+ *   description: Aturan booking per camp (min/maks malam, hari check-in, jarak waktu pemesanan) (Admin)
+ */
+
+adminCampStayRulesRouter.use(authenticate, requireAdmin);
+
+// null = aturan tidak dipakai, maka angka kosong disimpan sebagai null
+const toLimit = (value) => (value === undefined || value === null || value === "" ? null : parseInt(value, 10));
+
+const findCamp = async (campPublicId) => {
+  if (!UUID_REGEX.test(campPublicId)) return null;
+  const { rows } = await db.query('SELECT id FROM "camps" WHERE public_id = $1', [campPublicId]);
+  return rows[0] || null;
+};
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/stay-rules:
+ *   get:
+ *     summary: Daftar aturan booking camp
+ *     tags: [AdminCampStayRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Camp (UUID)
+ *     responses:
+ *       200:
+ *         description: Daftar aturan (termasuk yang nonaktif)
+ *       404:
+ *         description: Camp tidak ditemukan
+ */
+adminCampStayRulesRouter.get("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const { rows } = await db.query(
+      `SELECT ${STAY_RULE_COLUMNS} FROM "camp_stay_rules"
+       WHERE camp_id = $1
+       ORDER BY start_date ASC NULLS FIRST, id ASC`,
+      [camp.id]
+    );
+
+    return res.json(rows.map(formatStayRule));
+  } catch (err) {
+    console.error("Admin Get Camp Stay Rules Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/stay-rules:
+ *   post:
+ *     summary: Menambah aturan booking camp
+ *     description: |
+ *       Aturan berlaku untuk booking yang salah satu malamnya ada di rentang startDate-endDate
+ *       (inklusif, kosong = selalu berlaku). Semua aturan yang berlaku harus terpenuhi.
+ *       minLeadHours dihitung sampai jam check-in (env CHECK_IN_HOUR, default 14:00 WIB).
+ *     tags: [AdminCampStayRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Minimal 2 malam akhir pekan panjang
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               minNights:
+ *                 type: integer
+ *               maxNights:
+ *                 type: integer
+ *               arrivalWeekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [5, 6]
+ *               minLeadHours:
+ *                 type: integer
+ *                 example: 24
+ *               maxAdvanceDays:
+ *                 type: integer
+ *                 example: 180
+ *               maxPeople:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Aturan berhasil ditambahkan
+ *       400:
+ *         description: Data tidak valid
+ *       404:
+ *         description: Camp tidak ditemukan
+ */
+adminCampStayRulesRouter.post("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const error = validateStayRuleBody(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const { name, startDate, endDate, arrivalWeekdays } = body;
+
+    const { rows } = await db.query(
+      `INSERT INTO "camp_stay_rules"
+        (camp_id, name, start_date, end_date, min_nights, max_nights, arrival_weekdays,
+         min_lead_hours, max_advance_days, max_people)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING ${STAY_RULE_COLUMNS}`,
+      [
+        camp.id,
+        name,
+        startDate || null,
+        endDate || null,
+        toLimit(body.minNights),
+        toLimit(body.maxNights),
+        Array.isArray(arrivalWeekdays) && arrivalWeekdays.length > 0 ? arrivalWeekdays.map(Number) : null,
+        toLimit(body.minLeadHours),
+        toLimit(body.maxAdvanceDays),
+        toLimit(body.maxPeople),
+      ]
+    );
+
+    return res.status(201).json(formatStayRule(rows[0]));
+  } catch (err) {
+    console.error("Admin Create Camp Stay Rule Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/stay-rules/{ruleId}:
+ *   put:
+ *     summary: Update aturan booking camp
+ *     description: Field yang dikirim null menghapus batas tersebut dari aturan.
+ *     tags: [AdminCampStayRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               minNights:
+ *                 type: integer
+ *               maxNights:
+ *                 type: integer
+ *               arrivalWeekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               minLeadHours:
+ *                 type: integer
+ *               maxAdvanceDays:
+ *                 type: integer
+ *               maxPeople:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Aturan berhasil diupdate
+ *       404:
+ *         description: Aturan tidak ditemukan
+ */
+adminCampStayRulesRouter.put("/:ruleId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { ruleId } = req.params;
+    if (!UUID_REGEX.test(ruleId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const error = validateStayRuleBody(body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const existing = await db.query(
+      `SELECT ${STAY_RULE_COLUMNS} FROM "camp_stay_rules" WHERE public_id = $1 AND camp_id = $2`,
+      [ruleId, camp.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "Aturan booking tidak ditemukan" });
+    }
+    const current = existing.rows[0];
+
+    // Cek ulang pasangan field terhadap nilai lama yang tidak dikirim
+    const nextStart = body.startDate !== undefined ? body.startDate : current.start_date;
+    const nextEnd = body.endDate !== undefined ? body.endDate : current.end_date;
+    if (nextStart && nextEnd && nextEnd < nextStart) {
+      return res.status(400).json({ message: "endDate tidak boleh lebih kecil dari startDate" });
+    }
+    const nextMin = body.minNights !== undefined ? toLimit(body.minNights) : current.min_nights;
+    const nextMax = body.maxNights !== undefined ? toLimit(body.maxNights) : current.max_nights;
+    if (nextMin && nextMax && nextMax < nextMin) {
+      return res.status(400).json({ message: "maxNights tidak boleh lebih kecil dari minNights" });
+    }
+
+    // Semua kolom aturan bisa dikosongkan dengan null, maka tidak memakai COALESCE
+    const provided = (field) => body[field] !== undefined;
+    const { rows } = await db.query(
+      `UPDATE "camp_stay_rules"
+       SET name = COALESCE($1, name),
+           start_date = CASE WHEN $2::boolean THEN $3::date ELSE start_date END,
+           end_date = CASE WHEN $4::boolean THEN $5::date ELSE end_date END,
+           min_nights = CASE WHEN $6::boolean THEN $7::integer ELSE min_nights END,
+           max_nights = CASE WHEN $8::boolean THEN $9::integer ELSE max_nights END,
+           arrival_weekdays = CASE WHEN $10::boolean THEN $11::integer[] ELSE arrival_weekdays END,
+           min_lead_hours = CASE WHEN $12::boolean THEN $13::integer ELSE min_lead_hours END,
+           max_advance_days = CASE WHEN $14::boolean THEN $15::integer ELSE max_advance_days END,
+           max_people = CASE WHEN $16::boolean THEN $17::integer ELSE max_people END,
+           is_active = COALESCE($18, is_active),
+           updated_at = NOW()
+       WHERE public_id = $19 AND camp_id = $20
+       RETURNING ${STAY_RULE_COLUMNS}`,
+      [
+        body.name || null,
+        provided("startDate"),
+        body.startDate || null,
+        provided("endDate"),
+        body.endDate || null,
+        provided("minNights"),
+        toLimit(body.minNights),
+        provided("maxNights"),
+        toLimit(body.maxNights),
+        provided("arrivalWeekdays"),
+        Array.isArray(body.arrivalWeekdays) && body.arrivalWeekdays.length > 0
+          ? body.arrivalWeekdays.map(Number)
+          : null,
+        provided("minLeadHours"),
+        toLimit(body.minLeadHours),
+        provided("maxAdvanceDays"),
+        toLimit(body.maxAdvanceDays),
+        provided("maxPeople"),
+        toLimit(body.maxPeople),
+        body.isActive !== undefined ? body.isActive : null,
+        ruleId,
+        camp.id,
+      ]
+    );
+
+    return res.json(formatStayRule(rows[0]));
+  } catch (err) {
+    console.error("Admin Update Camp Stay Rule Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/camps/{campId}/stay-rules/{ruleId}:
+ *   delete:
+ *     summary: Hapus aturan booking camp
+ *     tags: [AdminCampStayRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Aturan berhasil dihapus
+ *       404:
+ *         description: Aturan tidak ditemukan
+ */
+adminCampStayRulesRouter.delete("/:ruleId", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { ruleId } = req.params;
+    if (!UUID_REGEX.test(ruleId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const camp = await findCamp(req.params.campId);
+    if (!camp) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
+
+    const result = await db.query(
+      'DELETE FROM "camp_stay_rules" WHERE public_id = $1 AND camp_id = $2 RETURNING id',
+      [ruleId, camp.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Aturan booking tidak ditemukan" });
+    }
+
+    return res.json({ message: "Aturan booking berhasil dihapus" });
+  } catch (err) {
+    console.error("Admin Delete Camp Stay Rule Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+module.exports = { adminCampStayRulesRouter };
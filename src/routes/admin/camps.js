@@ -4,6 +4,8 @@ const { authenticate, requireAdmin } = require("../../middleware/auth");
 const { uploadToSupabase } = require("../../utils/supabase");
 const multer = require("multer");
 const path = require("path");
+const { PRICE_MODELS, isValidDepositPercent } = require("../../utils/pricing");
+const { normalizeAmenities } = require("../../utils/campSearch");
 
 const adminCampsRouter = express.Router();
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
@@ -57,7 +59,7 @@ adminCampsRouter.get("/", async (req, res) => {
     }
 
     const result = await db.query(
-      `SELECT id, public_id, name, description, location, nightly_price, daily_capacity, is_active, photo_url, created_at, updated_at
+      `SELECT id, public_id, name, description, location, nightly_price, price_model, base_fee, people_per_pitch, deposit_percent, daily_capacity, is_active, photo_url, amenities, created_at, updated_at
        FROM "camps"
        ORDER BY created_at ASC`
     );
@@ -69,7 +71,12 @@ adminCampsRouter.get("/", async (req, res) => {
         description: row.description,
         location: row.location,
         nightlyPrice: row.nightly_price,
+        priceModel: row.price_model,
+        baseFee: row.base_fee,
+        peoplePerPitch: row.people_per_pitch,
+        depositPercent: row.deposit_percent,
         dailyCapacity: row.daily_capacity,
+        amenities: row.amenities,
         isActive: row.is_active,
         image: row.photo_url,
         image_url: row.photo_url ? (row.photo_url.startsWith('http') ? row.photo_url : `${req.protocol}://${req.get("host")}/${row.photo_url}`) : null,
@@ -112,6 +119,20 @@ adminCampsRouter.get("/", async (req, res) => {
  *                 type: integer
  *               nightlyPrice:
  *                 type: integer
+ *               priceModel:
+ *                 type: string
+ *                 enum: [PER_PERSON, PER_PITCH, PER_PERSON_WITH_BASE]
+ *               baseFee:
+ *                 type: integer
+ *               peoplePerPitch:
+ *                 type: integer
+ *               depositPercent:
+ *                 type: integer
+ *                 description: Persentase DP (0 = harus lunas, 1-100)
+ *               amenities:
+ *                 type: string
+ *                 example: toilet,listrik,wifi
+ *                 description: Fasilitas camp dipisah koma (disimpan lowercase)
  *               image:
  *                 type: string
  *                 format: binary
@@ -123,13 +144,21 @@ adminCampsRouter.get("/", async (req, res) => {
  */
 adminCampsRouter.post("/", upload.single("image"), async (req, res) => {
   try {
-    const { name, description, location, dailyCapacity, nightlyPrice } = req.body;
+    const { name, description, location, dailyCapacity, nightlyPrice, priceModel, baseFee, peoplePerPitch, depositPercent, amenities } = req.body;
     let photoUrl = null;
 
     if (!name || dailyCapacity === undefined || nightlyPrice === undefined) {
       return res.status(400).json({ message: "Nama, kapasitas harian, dan harga per malam wajib diisi" });
     }
 
+    if (depositPercent !== undefined && !isValidDepositPercent(depositPercent)) {
+      return res.status(400).json({ message: "depositPercent harus berupa angka bulat 0-100" });
+    }
+
+    if (priceModel !== undefined && !PRICE_MODELS.includes(priceModel)) {
+      return res.status(400).json({ message: `priceModel harus salah satu dari: ${PRICE_MODELS.join(", ")}` });
+    }
+
     // Jika ada file gambar, upload ke Supabase
     if (req.file) {
       try {
@@ -140,10 +169,22 @@ adminCampsRouter.post("/", upload.single("image"), async (req, res) => {
     }
 
     const result = await db.query(
-      `INSERT INTO "camps" (name, description, location, daily_capacity, nightly_price, photo_url, is_active, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, true, NOW())
+      `INSERT INTO "camps" (name, description, location, daily_capacity, nightly_price, price_model, base_fee, people_per_pitch, photo_url, deposit_percent, amenities, is_active, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, true, NOW())
        RETURNING *`,
-      [name, description, location, dailyCapacity, nightlyPrice, photoUrl]
+      [
+        name,
+        description,
+        location,
+        dailyCapacity,
+        nightlyPrice,
+        priceModel || "PER_PERSON",
+        baseFee !== undefined ? parseInt(baseFee, 10) || 0 : 0,
+        peoplePerPitch !== undefined ? parseInt(peoplePerPitch, 10) || 4 : 4,
+        photoUrl,
+        depositPercent !== undefined ? parseInt(depositPercent, 10) : 0,
+        normalizeAmenities(amenities)
+      ]
     );
 
     const row = result.rows[0];
@@ -153,7 +194,12 @@ adminCampsRouter.post("/", upload.single("image"), async (req, res) => {
         description: row.description,
         location: row.location,
         nightlyPrice: row.nightly_price,
+        priceModel: row.price_model,
+        baseFee: row.base_fee,
+        peoplePerPitch: row.people_per_pitch,
+        depositPercent: row.deposit_percent,
         dailyCapacity: row.daily_capacity,
+        amenities: row.amenities,
         isActive: row.is_active,
         image: row.photo_url,
         image_url: row.photo_url ? `${req.protocol}://${req.get("host")}/${row.photo_url}` : null,
@@ -197,6 +243,20 @@ adminCampsRouter.post("/", upload.single("image"), async (req, res) => {
  *                 type: integer
  *               nightlyPrice:
  *                 type: integer
+ *               priceModel:
+ *                 type: string
+ *                 enum: [PER_PERSON, PER_PITCH, PER_PERSON_WITH_BASE]
+ *               baseFee:
+ *                 type: integer
+ *               peoplePerPitch:
+ *                 type: integer
+ *               depositPercent:
+ *                 type: integer
+ *                 description: Persentase DP (0 = harus lunas, 1-100)
+ *               amenities:
+ *                 type: string
+ *                 example: toilet,listrik,wifi
+ *                 description: Fasilitas camp dipisah koma (disimpan lowercase)
  *               isActive:
  *                 type: boolean
  *               image:
@@ -211,12 +271,20 @@ adminCampsRouter.post("/", upload.single("image"), async (req, res) => {
 adminCampsRouter.put("/:id", upload.single("image"), async (req, res) => {
   try {
     const publicId = req.params.id;
-    const { name, description, location, dailyCapacity, nightlyPrice, isActive } = req.body;
+    const { name, description, location, dailyCapacity, nightlyPrice, priceModel, baseFee, peoplePerPitch, depositPercent, amenities, isActive } = req.body;
 
     if (!UUID_REGEX.test(publicId)) {
       return res.status(400).json({ message: "ID camp tidak valid" });
     }
 
+    if (depositPercent !== undefined && !isValidDepositPercent(depositPercent)) {
+      return res.status(400).json({ message: "depositPercent harus berupa angka bulat 0-100" });
+    }
+
+    if (priceModel !== undefined && !PRICE_MODELS.includes(priceModel)) {
+      return res.status(400).json({ message: `priceModel harus salah satu dari: ${PRICE_MODELS.join(", ")}` });
+    }
+
     // Check existence and get current image
     const check = await db.query('SELECT id, photo_url FROM "camps" WHERE public_id = $1', [publicId]);
     if (check.rows.length === 0) {
@@ -229,6 +297,8 @@ adminCampsRouter.put("/:id", upload.single("image"), async (req, res) => {
     // Konversi ke Integer bulat untuk menghindari pembulatan aneh
     const capacityInt = dailyCapacity !== undefined ? parseInt(dailyCapacity, 10) : undefined;
     const priceInt = nightlyPrice !== undefined ? parseInt(nightlyPrice, 10) : undefined;
+    const baseFeeInt = baseFee !== undefined ? parseInt(baseFee, 10) : undefined;
+    const perPitchInt = peoplePerPitch !== undefined ? parseInt(peoplePerPitch, 10) : undefined;
 
     // Jika ada upload gambar baru ke Supabase
     if (req.file) {
@@ -248,8 +318,13 @@ adminCampsRouter.put("/:id", upload.single("image"), async (req, res) => {
            nightly_price = COALESCE($5, nightly_price),
            is_active = COALESCE($6, is_active),
            photo_url = $7,
+           price_model = COALESCE($8, price_model),
+           base_fee = COALESCE($9, base_fee),
+           people_per_pitch = COALESCE($10, people_per_pitch),
+           deposit_percent = COALESCE($11, deposit_percent),
+           amenities = COALESCE($13::text[], amenities),
            updated_at = NOW()
-       WHERE id = $8
+       WHERE id = $12
        RETURNING *`,
       [
         name || null, 
@@ -259,7 +334,12 @@ adminCampsRouter.put("/:id", upload.single("image"), async (req, res) => {
         priceInt || null, 
         isActive !== undefined ? isActive : null, 
         photoUrl, 
-        id
+        priceModel || null,
+        Number.isNaN(baseFeeInt) || baseFeeInt === undefined ? null : baseFeeInt,
+        perPitchInt || null,
+        depositPercent !== undefined ? parseInt(depositPercent, 10) : null,
+        id,
+        amenities !== undefined ? normalizeAmenities(amenities) : null
       ]
     );
 
@@ -270,7 +350,12 @@ adminCampsRouter.put("/:id", upload.single("image"), async (req, res) => {
         description: row.description,
         location: row.location,
         nightlyPrice: row.nightly_price,
+        priceModel: row.price_model,
+        baseFee: row.base_fee,
+        peoplePerPitch: row.people_per_pitch,
+        depositPercent: row.deposit_percent,
         dailyCapacity: row.daily_capacity,
+        amenities: row.amenities,
         isActive: row.is_active,
         image: row.photo_url,
         image_url: row.photo_url ? (row.photo_url.startsWith('http') ? row.photo_url : `${req.protocol}://${req.get("host")}/${row.photo_url}`) : null,
@@ -0,0 +1,330 @@
+const express = require("express");
+const { db } = require("../../config/db");
+const { authenticate, requireAdmin } = require("../../middleware/auth");
+const { CHARGE_TYPES, CALCULATION_TYPES } = require("../../utils/charges");
+
+const adminChargeRulesRouter = express.Router();
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminChargeRules
+ *   description: Aturan pajak dan biaya layanan booking (Admin)
+ */
+
+adminChargeRulesRouter.use(authenticate, requireAdmin);
+
+const RULE_COLUMNS = "public_id, name, charge_type, calculation, value, is_inclusive, is_active, created_at, updated_at";
+
+const formatRule = (row) => ({
+  id: row.public_id,
+  name: row.name,
+  chargeType: row.charge_type,
+  calculation: row.calculation,
+  value: Number(row.value),
+  isInclusive: row.is_inclusive,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Validasi nilai terhadap jenis perhitungan. Mengembalikan pesan error atau null
+const validateRuleValue = (calculation, value) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    return "value harus berupa angka > 0";
+  }
+  if (calculation === "PERCENT" && number > 100) {
+    return "value untuk PERCENT maksimal 100";
+  }
+  if (calculation === "FLAT" && !Number.isInteger(number)) {
+    return "value untuk FLAT harus berupa angka bulat (Rupiah)";
+  }
+  return null;
+};
+
+// Validasi body aturan. Mengembalikan pesan error atau null
+const validateRuleBody = (body, { partial = false } = {}) => {
+  const { name, chargeType, calculation, value, isInclusive, isActive } = body;
+
+  if (!partial && (!name || !chargeType || !calculation || value === undefined)) {
+    return "name, chargeType, calculation, dan value wajib diisi";
+  }
+  if (chargeType !== undefined && !CHARGE_TYPES.includes(chargeType)) {
+    return `chargeType harus salah satu dari: ${CHARGE_TYPES.join(", ")}`;
+  }
+  if (calculation !== undefined && !CALCULATION_TYPES.includes(calculation)) {
+    return `calculation harus salah satu dari: ${CALCULATION_TYPES.join(", ")}`;
+  }
+  if (isInclusive !== undefined && typeof isInclusive !== "boolean") {
+    return "isInclusive harus berupa boolean";
+  }
+  if (isActive !== undefined && typeof isActive !== "boolean") {
+    return "isActive harus berupa boolean";
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /admin/charge-rules:
+ *   get:
+ *     summary: Daftar aturan pajak dan biaya layanan
+ *     tags: [AdminChargeRules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Daftar aturan
+ */
+adminChargeRulesRouter.get("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { rows } = await db.query(`SELECT ${RULE_COLUMNS} FROM "charge_rules" ORDER BY charge_type ASC, id ASC`);
+
+    return res.json(rows.map(formatRule));
+  } catch (err) {
+    console.error("Admin Get Charge Rules Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/charge-rules:
+ *   post:
+ *     summary: Menambah aturan pajak atau biaya layanan
+ *     description: |
+ *       Aturan aktif diterapkan ke setiap perhitungan harga booking baru (dan saat booking diubah),
+ *       setelah potongan promo. PERCENT dihitung dari harga setelah diskon, FLAT per booking.
+ *       Inclusive berarti sudah termasuk di harga (hanya dipisahkan di rincian), exclusive ditambahkan di atas harga.
+ *     tags: [AdminChargeRules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - chargeType
+ *               - calculation
+ *               - value
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: PB1
+ *               chargeType:
+ *                 type: string
+ *                 enum: [TAX, SERVICE_FEE]
+ *               calculation:
+ *                 type: string
+ *                 enum: [PERCENT, FLAT]
+ *               value:
+ *                 type: number
+ *                 example: 10
+ *               isInclusive:
+ *                 type: boolean
+ *                 default: false
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Aturan berhasil ditambahkan
+ *       400:
+ *         description: Data tidak valid
+ */
+adminChargeRulesRouter.post("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const error = validateRuleBody(body) || validateRuleValue(body.calculation, body.value);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { name, chargeType, calculation, value, isInclusive, isActive } = body;
+
+    const { rows } = await db.query(
+      `INSERT INTO "charge_rules" (name, charge_type, calculation, value, is_inclusive, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${RULE_COLUMNS}`,
+      [
+        String(name).trim(),
+        chargeType,
+        calculation,
+        Number(value),
+        isInclusive === true,
+        isActive !== undefined ? isActive : true,
+      ]
+    );
+
+    return res.status(201).json(formatRule(rows[0]));
+  } catch (err) {
+    console.error("Admin Create Charge Rule Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/charge-rules/{id}:
+ *   put:
+ *     summary: Update aturan pajak atau biaya layanan
+ *     description: Perubahan hanya berlaku untuk perhitungan harga berikutnya, booking yang sudah ada tidak berubah.
+ *     tags: [AdminChargeRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Aturan (UUID)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               chargeType:
+ *                 type: string
+ *                 enum: [TAX, SERVICE_FEE]
+ *               calculation:
+ *                 type: string
+ *                 enum: [PERCENT, FLAT]
+ *               value:
+ *                 type: number
+ *               isInclusive:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Aturan berhasil diupdate
+ *       400:
+ *         description: Data tidak valid
+ *       404:
+ *         description: Aturan tidak ditemukan
+ */
+adminChargeRulesRouter.put("/:id", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { id } = req.params;
+    if (!UUID_REGEX.test(id)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const error = validateRuleBody(body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await db.query('SELECT calculation, value FROM "charge_rules" WHERE public_id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "Aturan tidak ditemukan" });
+    }
+
+    const { name, chargeType, calculation, value, isInclusive, isActive } = body;
+
+    // value dicek terhadap calculation hasil akhir (misal FLAT -> PERCENT tanpa mengubah value)
+    const valueError = validateRuleValue(
+      calculation !== undefined ? calculation : existing.rows[0].calculation,
+      value !== undefined ? value : existing.rows[0].value
+    );
+    if (valueError) {
+      return res.status(400).json({ message: valueError });
+    }
+
+    const { rows } = await db.query(
+      `UPDATE "charge_rules"
+       SET name = COALESCE($1, name),
+           charge_type = COALESCE($2, charge_type),
+           calculation = COALESCE($3, calculation),
+           value = COALESCE($4, value),
+           is_inclusive = COALESCE($5, is_inclusive),
+           is_active = COALESCE($6, is_active),
+           updated_at = NOW()
+       WHERE public_id = $7
+       RETURNING ${RULE_COLUMNS}`,
+      [
+        name ? String(name).trim() : null,
+        chargeType || null,
+        calculation || null,
+        value !== undefined ? Number(value) : null,
+        isInclusive !== undefined ? isInclusive : null,
+        isActive !== undefined ? isActive : null,
+        id,
+      ]
+    );
+
+    return res.json(formatRule(rows[0]));
+  } catch (err) {
+    console.error("Admin Update Charge Rule Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/charge-rules/{id}:
+ *   delete:
+ *     summary: Hapus aturan pajak atau biaya layanan
+ *     description: Rincian pajak dan biaya layanan booking yang sudah ada tetap tersimpan di booking.
+ *     tags: [AdminChargeRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Aturan (UUID)
+ *     responses:
+ *       200:
+ *         description: Aturan berhasil dihapus
+ *       404:
+ *         description: Aturan tidak ditemukan
+ */
+adminChargeRulesRouter.delete("/:id", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { id } = req.params;
+    if (!UUID_REGEX.test(id)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const result = await db.query('DELETE FROM "charge_rules" WHERE public_id = $1 RETURNING id', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Aturan tidak ditemukan" });
+    }
+
+    return res.json({ message: "Aturan berhasil dihapus" });
+  } catch (err) {
+    console.error("Admin Delete Charge Rule Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+module.exports = { adminChargeRulesRouter };
@@ -1,6 +1,7 @@
 const express = require("express");
 const { db } = require("../../config/db");
 const { authenticate, requireAdmin } = require("../../middleware/auth");
+const { AMOUNT_PAID_SQL, AMOUNT_RECEIVED_SQL, BALANCE_DUE_SQL } = require("../../utils/payments");
 
 const adminDashboardRouter = express.Router();
 
@@ -13,6 +14,18 @@ const adminDashboardRouter = express.Router();
 
 adminDashboardRouter.use(authenticate, requireAdmin);
 
+// Baris pendapatan dari ledger: uang yang diterima per booking (semua status, pada tanggal booking dibuat)
+// dan refund yang sudah dibayarkan (negatif, pada tanggal dibayarkan). Totalnya sama dengan AMOUNT_PAID_SQL.
+const REVENUE_ENTRIES_SQL = `
+  SELECT 'BOOKING' as kind, b.created_at as entry_date, ${AMOUNT_RECEIVED_SQL} as amount
+  FROM bookings b
+  WHERE ${AMOUNT_RECEIVED_SQL} > 0
+  UNION ALL
+  SELECT 'REFUND' as kind, r.paid_at as entry_date, -r.approved_amount as amount
+  FROM refunds r
+  WHERE r.status = 'PAID'
+`;
+
 /**
  * @swagger
  * /admin/dashboard/stats:
@@ -23,7 +36,9 @@ adminDashboardRouter.use(authenticate, requireAdmin);
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Data statistik (booking, pendapatan, dll)
+ *         description: |
+ *           Data statistik (booking, pendapatan, dll). revenue = pembayaran CONFIRMED di ledger dikurangi
+ *           refund yang dibayarkan; outstandingBalance = sisa tagihan booking PAID/CHECK_IN/CHECK_OUT.
  */
 adminDashboardRouter.get("/stats", async (req, res) => {
   try {
@@ -32,7 +47,7 @@ adminDashboardRouter.get("/stats", async (req, res) => {
     }
 
     // Parallel queries for efficiency
-    const [bookingStats, revenueStats, activeCamps, lowStockEquipments] = await Promise.all([
+    const [bookingStats, revenueStats, outstandingStats, activeCamps, lowStockEquipments] = await Promise.all([
       // Count total bookings and breakdown by status
       db.query(`
         SELECT 
@@ -45,11 +60,17 @@ adminDashboardRouter.get("/stats", async (req, res) => {
         FROM bookings
       `),
       
-      // Calculate total revenue (only PAID, CHECK_IN, CHECK_OUT)
+      // Calculate total revenue (pembayaran CONFIRMED - refund dibayarkan, semua status booking)
       db.query(`
-        SELECT COALESCE(SUM(total_price), 0) as total_revenue
-        FROM bookings
-        WHERE status IN ('PAID', 'CHECK_IN', 'CHECK_OUT')
+        SELECT COALESCE(SUM(${AMOUNT_PAID_SQL}), 0) as total_revenue
+        FROM bookings b
+      `),
+
+      // Sisa tagihan yang belum dibayar (belum termasuk pendapatan)
+      db.query(`
+        SELECT COALESCE(SUM(GREATEST(${BALANCE_DUE_SQL}, 0)), 0) as outstanding_balance
+        FROM bookings b
+        WHERE b.status IN ('PAID', 'CHECK_IN', 'CHECK_OUT')
       `),
 
       // Count active camps
@@ -73,6 +94,7 @@ adminDashboardRouter.get("/stats", async (req, res) => {
         cancelled: parseInt(bookingStats.rows[0].cancelled),
       },
       revenue: parseInt(revenueStats.rows[0].total_revenue),
+      outstandingBalance: parseInt(outstandingStats.rows[0].outstanding_balance),
       activeCamps: parseInt(activeCamps.rows[0].active_camps),
       lowStockEquipments: lowStockEquipments.rows
     };
@@ -89,6 +111,9 @@ adminDashboardRouter.get("/stats", async (req, res) => {
  * /admin/dashboard/stats/monthly-revenue:
  *   get:
  *     summary: Mendapatkan grafik pendapatan bulanan (12 bulan terakhir)
+ *     description: |
+ *       revenue = uang yang diterima untuk booking yang dibuat pada bulan tersebut, dikurangi refund yang
+ *       dibayarkan pada bulan tersebut (field refunds). bookings = jumlah booking yang sudah menerima pembayaran.
  *     tags: [AdminDashboard]
  *     security:
  *       - bearerAuth: []
@@ -104,18 +129,17 @@ adminDashboardRouter.get("/stats/monthly-revenue", async (req, res) => {
     }
 
     // Query untuk mengambil pendapatan per bulan selama 12 bulan terakhir
-    // Hanya menghitung status PAID, CHECK_IN, CHECK_OUT
+    // Uang diterima per bulan booking dibuat, refund dikurangkan pada bulan dibayarkan
     const query = `
       SELECT 
-        TO_CHAR(date_trunc('month', created_at), 'Mon YYYY') as month_label,
-        EXTRACT(MONTH FROM created_at) as month_number,
-        EXTRACT(YEAR FROM created_at) as year_number,
-        SUM(total_price) as total_revenue,
-        COUNT(id) as total_bookings
-      FROM bookings
-      WHERE 
-        status IN ('PAID', 'CHECK_IN', 'CHECK_OUT') 
-        AND created_at >= NOW() - INTERVAL '12 months'
+        TO_CHAR(date_trunc('month', entry_date), 'Mon YYYY') as month_label,
+        EXTRACT(MONTH FROM entry_date) as month_number,
+        EXTRACT(YEAR FROM entry_date) as year_number,
+        SUM(amount) as total_revenue,
+        COALESCE(-SUM(amount) FILTER (WHERE kind = 'REFUND'), 0) as total_refunds,
+        COUNT(*) FILTER (WHERE kind = 'BOOKING') as total_bookings
+      FROM (${REVENUE_ENTRIES_SQL}) entries
+      WHERE entry_date >= NOW() - INTERVAL '12 months'
       GROUP BY 1, 2, 3
       ORDER BY year_number DESC, month_number DESC
     `;
@@ -127,6 +151,7 @@ adminDashboardRouter.get("/stats/monthly-revenue", async (req, res) => {
     const chartData = result.rows.reverse().map(row => ({
       month: row.month_label,
       revenue: parseInt(row.total_revenue),
+      refunds: parseInt(row.total_refunds),
       bookings: parseInt(row.total_bookings)
     }));
 
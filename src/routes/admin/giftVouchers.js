@@ -0,0 +1,299 @@
+const express = require("express");
+const { db } = require("../../config/db");
+const { authenticate, requireAdmin } = require("../../middleware/auth");
+const { sendEmail } = require("../../config/email");
+const {
+  VOUCHER_STATUSES,
+  VOUCHER_COLUMNS,
+  formatVoucher,
+  getVoucherValidityDays,
+} = require("../../utils/giftVouchers");
+
+const adminGiftVouchersRouter = express.Router();
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminGiftVouchers
+ *   description: Konfirmasi pembelian dan pembatalan voucher hadiah (Admin)
+ */
+
+adminGiftVouchersRouter.use(authenticate, requireAdmin);
+
+const VOUCHER_SELECT = `SELECT ${VOUCHER_COLUMNS}, v.payment_reference,
+    COALESCE(u.full_name, u.username) AS purchaser_name, u.email AS purchaser_email,
+    (SELECT COUNT(*)::int FROM "gift_voucher_redemptions" r WHERE r.voucher_id = v.id AND r.reversed_at IS NULL) AS redemption_count
+  FROM "gift_vouchers" v
+  JOIN "users" u ON u.id = v.purchaser_id`;
+
+const formatVoucherDetail = (row) => ({
+  ...formatVoucher(row),
+  paymentReference: row.payment_reference,
+  purchaserName: row.purchaser_name,
+  purchaserEmail: row.purchaser_email,
+  redemptionCount: row.redemption_count,
+});
+
+const findVoucherDetail = async (queryable, voucherId) => {
+  const { rows } = await queryable.query(`${VOUCHER_SELECT} WHERE v.id = $1`, [voucherId]);
+  return rows[0] ? formatVoucherDetail(rows[0]) : null;
+};
+
+// Kunci baris voucher dan pastikan statusnya sesuai. Mengembalikan { voucher } atau { error: { status, body } }
+const lockVoucher = async (client, publicId, expectedStatuses) => {
+  const { rows } = await client.query('SELECT * FROM "gift_vouchers" WHERE public_id = $1 FOR UPDATE', [publicId]);
+  if (rows.length === 0) {
+    return { error: { status: 404, body: { message: "Voucher tidak ditemukan" } } };
+  }
+  if (!expectedStatuses.includes(rows[0].status)) {
+    return {
+      error: {
+        status: 409,
+        body: { message: `Voucher berstatus ${rows[0].status} tidak bisa diproses`, currentStatus: rows[0].status },
+      },
+    };
+  }
+  return { voucher: rows[0] };
+};
+
+/**
+ * @swagger
+ * /admin/gift-vouchers:
+ *   get:
+ *     summary: Daftar voucher hadiah
+ *     tags: [AdminGiftVouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, ACTIVE, VOID]
+ *     responses:
+ *       200:
+ *         description: Daftar voucher (terbaru dulu)
+ *       400:
+ *         description: Status tidak valid
+ */
+adminGiftVouchersRouter.get("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { status } = req.query;
+    if (status && !VOUCHER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: "Status tidak valid" });
+    }
+
+    const { rows } = await db.query(
+      `${VOUCHER_SELECT}
+       ${status ? "WHERE v.status = $1" : ""}
+       ORDER BY v.created_at DESC, v.id DESC`,
+      status ? [status] : []
+    );
+
+    return res.json(rows.map(formatVoucherDetail));
+  } catch (err) {
+    console.error("Admin Get Gift Vouchers Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/gift-vouchers/{id}/confirm-payment:
+ *   post:
+ *     summary: Konfirmasi pembayaran voucher hadiah
+ *     description: |
+ *       Voucher PENDING menjadi ACTIVE dengan saldo penuh dan masa berlaku GIFT_VOUCHER_VALIDITY_DAYS hari
+ *       (default 365). Kode voucher dikirim ke email penerima (atau pembeli jika penerima kosong).
+ *     tags: [AdminGiftVouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Voucher (UUID)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentReference:
+ *                 type: string
+ *                 description: Nomor referensi transfer pembeli
+ *     responses:
+ *       200:
+ *         description: Voucher aktif
+ *       404:
+ *         description: Voucher tidak ditemukan
+ *       409:
+ *         description: Voucher bukan berstatus PENDING
+ */
+adminGiftVouchersRouter.post("/:id/confirm-payment", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { id } = req.params;
+    if (!UUID_REGEX.test(id)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const { paymentReference } = req.body || {};
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const { voucher, error } = await lockVoucher(client, id, ["PENDING"]);
+    if (error) {
+      await client.query("ROLLBACK");
+      return res.status(error.status).json(error.body);
+    }
+
+    await client.query(
+      `UPDATE "gift_vouchers"
+       SET status = 'ACTIVE', balance = amount, payment_reference = $1, confirmed_by = $2,
+           activated_at = NOW(), expires_at = NOW() + make_interval(days => $3::int)
+       WHERE id = $4`,
+      [paymentReference || null, req.user.id, getVoucherValidityDays(), voucher.id]
+    );
+
+    await client.query("COMMIT");
+
+    const detail = await findVoucherDetail(db, voucher.id);
+
+    const recipientEmail = detail.recipientEmail || detail.purchaserEmail;
+    if (recipientEmail) {
+      const greeting = detail.recipientName || detail.purchaserName;
+      const expiresAt = new Date(detail.expiresAt).toISOString().slice(0, 10);
+      sendEmail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+        to: recipientEmail,
+        subject: "Voucher hadiah camping untuk Anda",
+        text:
+          `Halo ${greeting},\n\n` +
+          (detail.recipientEmail ? `${detail.purchaserName} mengirimkan voucher hadiah camping untuk Anda.\n` : "") +
+          (detail.message ? `Pesan: ${detail.message}\n` : "") +
+          `\nKode voucher: ${detail.code}\n` +
+          `Nilai: Rp${detail.amount}\n` +
+          `Berlaku sampai: ${expiresAt}\n\n` +
+          "Masukkan kode ini saat membayar booking. Saldo voucher bisa dipakai untuk beberapa booking.",
+      })
+        .then(() => console.log(`[GiftVoucher] Voucher email sent to: ${recipientEmail}`))
+        .catch((err) => console.error(`[GiftVoucher] Voucher email failed: ${err.message}`));
+    }
+
+    return res.json(detail);
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Confirm Gift Voucher Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /admin/gift-vouchers/{id}/void:
+ *   post:
+ *     summary: Batalkan voucher hadiah
+ *     description: Hanya voucher PENDING, atau ACTIVE yang belum pernah dipakai, yang bisa dibatalkan.
+ *     tags: [AdminGiftVouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Voucher (UUID)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Voucher dibatalkan
+ *       404:
+ *         description: Voucher tidak ditemukan
+ *       409:
+ *         description: Voucher sudah dibatalkan atau sudah dipakai
+ */
+adminGiftVouchersRouter.post("/:id/void", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { id } = req.params;
+    if (!UUID_REGEX.test(id)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: "Alasan pembatalan wajib diisi" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const { voucher, error } = await lockVoucher(client, id, ["PENDING", "ACTIVE"]);
+    if (error) {
+      await client.query("ROLLBACK");
+      return res.status(error.status).json(error.body);
+    }
+
+    const used = await client.query(
+      'SELECT 1 FROM "gift_voucher_redemptions" WHERE voucher_id = $1 AND reversed_at IS NULL LIMIT 1',
+      [voucher.id]
+    );
+    if (used.rows.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Voucher sudah dipakai untuk pembayaran, tidak bisa dibatalkan" });
+    }
+
+    await client.query(
+      `UPDATE "gift_vouchers"
+       SET status = 'VOID', balance = 0, void_reason = $1, voided_by = $2, voided_at = NOW()
+       WHERE id = $3`,
+      [String(reason).trim(), req.user.id, voucher.id]
+    );
+
+    await client.query("COMMIT");
+
+    return res.json(await findVoucherDetail(db, voucher.id));
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Void Gift Voucher Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+module.exports = { adminGiftVouchersRouter };
@@ -3,8 +3,17 @@ const { authenticate, requireAdmin } = require("../../middleware/auth");
 
 const { adminUsersRouter } = require("./users");
 const { adminCampsRouter } = require("./camps");
+const { adminCampRatesRouter } = require("./campRates");
+const { adminCampSitesRouter } = require("./campSites");
+const { adminCampCapacityRouter } = require("./campCapacity");
+const { adminCampStayRulesRouter } = require("./campStayRules");
 const { adminBookingsRouter } = require("./bookings");
+const { adminBookingPaymentsRouter } = require("./bookingPayments");
+const { adminRefundsRouter } = require("./refunds");
 const { adminEquipmentsRouter } = require("./equipments");
+const { adminPromoCodesRouter } = require("./promoCodes");
+const { adminGiftVouchersRouter } = require("./giftVouchers");
+const { adminChargeRulesRouter } = require("./chargeRules");
 
 const adminRouter = express.Router();
 
@@ -13,9 +22,18 @@ adminRouter.use(authenticate, requireAdmin);
 
 // Mount Sub-Routers
 adminRouter.use("/users", adminUsersRouter);
+adminRouter.use("/camps/:campId/rates", adminCampRatesRouter);
+adminRouter.use("/camps/:campId/sites", adminCampSitesRouter);
+adminRouter.use("/camps/:campId/capacity-overrides", adminCampCapacityRouter);
+adminRouter.use("/camps/:campId/stay-rules", adminCampStayRulesRouter);
 adminRouter.use("/camps", adminCampsRouter);
+adminRouter.use("/bookings/:bookingId/payments", adminBookingPaymentsRouter);
 adminRouter.use("/bookings", adminBookingsRouter);
+adminRouter.use("/refunds", adminRefundsRouter);
 adminRouter.use("/equipments", adminEquipmentsRouter);
+adminRouter.use("/promo-codes", adminPromoCodesRouter);
+adminRouter.use("/gift-vouchers", adminGiftVouchersRouter);
+adminRouter.use("/charge-rules", adminChargeRulesRouter);
 
 /**
  * @swagger
@@ -24,10 +42,28 @@ adminRouter.use("/equipments", adminEquipmentsRouter);
  *     description: Manajemen pengguna
  *   - name: AdminCamps
  *     description: Manajemen lokasi camp
+ *   - name: AdminCampRates
+ *     description: Kalender tarif camp
+ *   - name: AdminCampSites
+ *     description: Site/pitch di dalam camp
+ *   - name: AdminCampCapacity
+ *     description: Kalender kapasitas dan penutupan camp
+ *   - name: AdminCampStayRules
+ *     description: Aturan booking per camp
  *   - name: AdminBookings
  *     description: Manajemen booking
+ *   - name: AdminBookingPayments
+ *     description: Ledger pembayaran booking
+ *   - name: AdminRefunds
+ *     description: Pemrosesan refund
  *   - name: AdminEquipments
  *     description: Manajemen peralatan
+ *   - name: AdminPromoCodes
+ *     description: Manajemen kode promo
+ *   - name: AdminGiftVouchers
+ *     description: Voucher hadiah
+ *   - name: AdminChargeRules
+ *     description: Pajak dan biaya layanan
  */
 
 module.exports = { adminRouter };
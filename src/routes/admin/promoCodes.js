@@ -0,0 +1,570 @@
+const express = require("express");
+const { db } = require("../../config/db");
+const { authenticate, requireAdmin } = require("../../middleware/auth");
+const { DISCOUNT_TYPES, normalizePromoCode } = require("../../utils/promo");
+
+const adminPromoCodesRouter = express.Router();
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const CODE_REGEX = /^[A-Z0-9_-]{3,32}$/;
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminPromoCodes
+ *   description: Manajemen kode promo (Admin)
+ */
+
+adminPromoCodesRouter.use(authenticate, requireAdmin);
+
+const PROMO_COLUMNS = `p.id, p.public_id, p.code, p.description, p.discount_type, p.discount_value, p.max_discount,
+  to_char(p.valid_from, 'YYYY-MM-DD') AS valid_from, to_char(p.valid_until, 'YYYY-MM-DD') AS valid_until,
+  p.weekdays, p.min_nights, p.max_uses, p.per_user_limit, p.is_active, p.created_at, p.updated_at,
+  (SELECT COUNT(*)::int FROM "bookings" b WHERE b.promo_code_id = p.id AND b.status <> 'CANCELLED') AS used_count,
+  (SELECT COALESCE(json_agg(json_build_object('id', c.public_id, 'name', c.name) ORDER BY c.name), '[]'::json)
+   FROM "promo_code_camps" pc JOIN "camps" c ON c.id = pc.camp_id
+   WHERE pc.promo_code_id = p.id) AS camps`;
+
+const formatPromo = (row) => ({
+  id: row.public_id,
+  code: row.code,
+  description: row.description,
+  discountType: row.discount_type,
+  discountValue: row.discount_value,
+  maxDiscount: row.max_discount,
+  validFrom: row.valid_from,
+  validUntil: row.valid_until,
+  weekdays: row.weekdays || [],
+  minNights: row.min_nights,
+  maxUses: row.max_uses,
+  perUserLimit: row.per_user_limit,
+  usedCount: row.used_count,
+  camps: row.camps,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const isPositiveIntOrNull = (value) =>
+  value === null || (Number.isInteger(Number(value)) && Number(value) > 0);
+
+// Validasi body promo. Mengembalikan pesan error atau null
+const validatePromoBody = (body, { partial = false } = {}) => {
+  const {
+    code, discountType, discountValue, maxDiscount, validFrom, validUntil,
+    weekdays, minNights, maxUses, perUserLimit, campIds,
+  } = body;
+
+  if (!partial && (!code || !discountType || discountValue === undefined)) {
+    return "code, discountType, dan discountValue wajib diisi";
+  }
+  if (code !== undefined && !CODE_REGEX.test(normalizePromoCode(code))) {
+    return "code harus 3-32 karakter huruf, angka, - atau _";
+  }
+  if (discountType !== undefined && !DISCOUNT_TYPES.includes(discountType)) {
+    return `discountType harus salah satu dari: ${DISCOUNT_TYPES.join(", ")}`;
+  }
+  if (discountValue !== undefined && (!Number.isInteger(Number(discountValue)) || Number(discountValue) <= 0)) {
+    return "discountValue harus berupa angka bulat > 0";
+  }
+  if (discountType === "PERCENT" && Number(discountValue) > 100) {
+    return "discountValue untuk PERCENT maksimal 100";
+  }
+  if (maxDiscount !== undefined && !isPositiveIntOrNull(maxDiscount)) {
+    return "maxDiscount harus berupa angka bulat > 0";
+  }
+  if (validFrom && !DATE_REGEX.test(validFrom)) {
+    return "validFrom harus berformat YYYY-MM-DD";
+  }
+  if (validUntil && !DATE_REGEX.test(validUntil)) {
+    return "validUntil harus berformat YYYY-MM-DD";
+  }
+  if (validFrom && validUntil && validUntil < validFrom) {
+    return "validUntil tidak boleh lebih kecil dari validFrom";
+  }
+  if (weekdays !== undefined && weekdays !== null) {
+    if (!Array.isArray(weekdays) || weekdays.some((d) => !Number.isInteger(Number(d)) || d < 0 || d > 6)) {
+      return "weekdays harus berupa array angka 0 (Minggu) sampai 6 (Sabtu)";
+    }
+  }
+  if (minNights !== undefined && (!Number.isInteger(Number(minNights)) || Number(minNights) < 1)) {
+    return "minNights harus berupa angka bulat >= 1";
+  }
+  if (maxUses !== undefined && !isPositiveIntOrNull(maxUses)) {
+    return "maxUses harus berupa angka bulat > 0";
+  }
+  if (perUserLimit !== undefined && !isPositiveIntOrNull(perUserLimit)) {
+    return "perUserLimit harus berupa angka bulat > 0";
+  }
+  if (campIds !== undefined && campIds !== null) {
+    if (!Array.isArray(campIds) || campIds.some((id) => !UUID_REGEX.test(id))) {
+      return "campIds harus berupa array UUID camp";
+    }
+  }
+  return null;
+};
+
+// Ubah campIds (UUID) menjadi ID internal. Mengembalikan null jika ada camp yang tidak ditemukan
+const resolveCampIds = async (queryable, campIds) => {
+  const unique = [...new Set(campIds)];
+  if (unique.length === 0) return [];
+  const { rows } = await queryable.query('SELECT id FROM "camps" WHERE public_id = ANY($1::uuid[])', [unique]);
+  return rows.length === unique.length ? rows.map((row) => row.id) : null;
+};
+
+const replacePromoCamps = async (queryable, promoId, campIds) => {
+  await queryable.query('DELETE FROM "promo_code_camps" WHERE promo_code_id = $1', [promoId]);
+  for (const campId of campIds) {
+    await queryable.query('INSERT INTO "promo_code_camps" (promo_code_id, camp_id) VALUES ($1, $2)', [
+      promoId,
+      campId,
+    ]);
+  }
+};
+
+const findPromo = async (queryable, publicId) => {
+  const { rows } = await queryable.query(`SELECT ${PROMO_COLUMNS} FROM "promo_codes" p WHERE p.public_id = $1`, [
+    publicId,
+  ]);
+  return rows[0] || null;
+};
+
+/**
+ * @swagger
+ * /admin/promo-codes:
+ *   get:
+ *     summary: Daftar kode promo beserta jumlah pemakaian
+ *     tags: [AdminPromoCodes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Daftar kode promo (terbaru dulu)
+ */
+adminPromoCodesRouter.get("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { rows } = await db.query(`SELECT ${PROMO_COLUMNS} FROM "promo_codes" p ORDER BY p.created_at DESC, p.id DESC`);
+
+    return res.json(rows.map(formatPromo));
+  } catch (err) {
+    console.error("Admin Get Promo Codes Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/promo-codes/{id}:
+ *   get:
+ *     summary: Detail kode promo
+ *     tags: [AdminPromoCodes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Promo (UUID)
+ *     responses:
+ *       200:
+ *         description: Detail kode promo
+ *       404:
+ *         description: Kode promo tidak ditemukan
+ */
+adminPromoCodesRouter.get("/:id", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const promo = await findPromo(db, req.params.id);
+    if (!promo) {
+      return res.status(404).json({ message: "Kode promo tidak ditemukan" });
+    }
+
+    return res.json(formatPromo(promo));
+  } catch (err) {
+    console.error("Admin Get Promo Code Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/promo-codes:
+ *   post:
+ *     summary: Membuat kode promo
+ *     description: |
+ *       Promo berlaku jika setiap malam menginap berada di antara validFrom dan validUntil (inklusif)
+ *       dan jatuh pada weekdays (kosong = semua hari). maxUses dan perUserLimit menghitung booking
+ *       yang tidak CANCELLED. campIds kosong = berlaku di semua camp.
+ *     tags: [AdminPromoCodes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - discountType
+ *               - discountValue
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: MARET20
+ *               description:
+ *                 type: string
+ *               discountType:
+ *                 type: string
+ *                 enum: [PERCENT, FIXED]
+ *               discountValue:
+ *                 type: integer
+ *                 example: 20
+ *               maxDiscount:
+ *                 type: integer
+ *                 description: Batas potongan untuk PERCENT (Rupiah)
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *               validUntil:
+ *                 type: string
+ *                 format: date
+ *               weekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [0, 1, 2, 3, 4]
+ *               minNights:
+ *                 type: integer
+ *               maxUses:
+ *                 type: integer
+ *               perUserLimit:
+ *                 type: integer
+ *               campIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Kode promo berhasil dibuat
+ *       400:
+ *         description: Data tidak valid atau camp tidak ditemukan
+ *       409:
+ *         description: Kode promo sudah dipakai
+ */
+adminPromoCodesRouter.post("/", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const error = validatePromoBody(body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const {
+      code, description, discountType, discountValue, maxDiscount, validFrom, validUntil,
+      weekdays, minNights, maxUses, perUserLimit, campIds,
+    } = body;
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const campRowIds = await resolveCampIds(client, campIds || []);
+    if (!campRowIds) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "Camp pada campIds tidak ditemukan" });
+    }
+
+    const duplicate = await client.query('SELECT 1 FROM "promo_codes" WHERE code = $1', [normalizePromoCode(code)]);
+    if (duplicate.rows.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Kode promo sudah dipakai" });
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO "promo_codes"
+        (code, description, discount_type, discount_value, max_discount, valid_from, valid_until,
+         weekdays, min_nights, max_uses, per_user_limit)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING id, public_id`,
+      [
+        normalizePromoCode(code),
+        description || null,
+        discountType,
+        parseInt(discountValue, 10),
+        maxDiscount ? parseInt(maxDiscount, 10) : null,
+        validFrom || null,
+        validUntil || null,
+        Array.isArray(weekdays) && weekdays.length > 0 ? weekdays.map(Number) : null,
+        minNights !== undefined ? parseInt(minNights, 10) : 1,
+        maxUses ? parseInt(maxUses, 10) : null,
+        perUserLimit ? parseInt(perUserLimit, 10) : null,
+      ]
+    );
+
+    await replacePromoCamps(client, inserted.rows[0].id, campRowIds);
+
+    await client.query("COMMIT");
+
+    return res.status(201).json(formatPromo(await findPromo(db, inserted.rows[0].public_id)));
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Create Promo Code Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /admin/promo-codes/{id}:
+ *   put:
+ *     summary: Update kode promo
+ *     description: Field yang tidak dikirim tidak berubah. campIds menggantikan seluruh daftar camp.
+ *     tags: [AdminPromoCodes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               discountType:
+ *                 type: string
+ *                 enum: [PERCENT, FIXED]
+ *               discountValue:
+ *                 type: integer
+ *               maxDiscount:
+ *                 type: integer
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *               validUntil:
+ *                 type: string
+ *                 format: date
+ *               weekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               minNights:
+ *                 type: integer
+ *               maxUses:
+ *                 type: integer
+ *               perUserLimit:
+ *                 type: integer
+ *               campIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Kode promo berhasil diupdate
+ *       400:
+ *         description: Data tidak valid
+ *       404:
+ *         description: Kode promo tidak ditemukan
+ */
+adminPromoCodesRouter.put("/:id", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { id } = req.params;
+    if (!UUID_REGEX.test(id)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    if (body.code !== undefined) {
+      return res.status(400).json({ message: "code tidak bisa diubah, buat kode promo baru" });
+    }
+    const error = validatePromoBody(body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const {
+      description, discountType, discountValue, maxDiscount, validFrom, validUntil,
+      weekdays, minNights, maxUses, perUserLimit, campIds, isActive,
+    } = body;
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const existing = await findPromo(client, id);
+    if (!existing) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Kode promo tidak ditemukan" });
+    }
+
+    const nextType = discountType !== undefined ? discountType : existing.discount_type;
+    const nextValue = discountValue !== undefined ? Number(discountValue) : existing.discount_value;
+    if (nextType === "PERCENT" && nextValue > 100) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "discountValue untuk PERCENT maksimal 100" });
+    }
+
+    const nextFrom = validFrom !== undefined ? validFrom : existing.valid_from;
+    const nextUntil = validUntil !== undefined ? validUntil : existing.valid_until;
+    if (nextFrom && nextUntil && nextUntil < nextFrom) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "validUntil tidak boleh lebih kecil dari validFrom" });
+    }
+
+    let campRowIds = null;
+    if (campIds !== undefined) {
+      campRowIds = await resolveCampIds(client, campIds || []);
+      if (!campRowIds) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ message: "Camp pada campIds tidak ditemukan" });
+      }
+    }
+
+    // Field opsional bisa dikosongkan dengan null, maka tidak memakai COALESCE
+    await client.query(
+      `UPDATE "promo_codes"
+       SET description = CASE WHEN $1::boolean THEN $2 ELSE description END,
+           discount_type = COALESCE($3, discount_type),
+           discount_value = COALESCE($4, discount_value),
+           max_discount = CASE WHEN $5::boolean THEN $6::integer ELSE max_discount END,
+           valid_from = CASE WHEN $7::boolean THEN $8::date ELSE valid_from END,
+           valid_until = CASE WHEN $9::boolean THEN $10::date ELSE valid_until END,
+           weekdays = CASE WHEN $11::boolean THEN $12::integer[] ELSE weekdays END,
+           min_nights = COALESCE($13, min_nights),
+           max_uses = CASE WHEN $14::boolean THEN $15::integer ELSE max_uses END,
+           per_user_limit = CASE WHEN $16::boolean THEN $17::integer ELSE per_user_limit END,
+           is_active = COALESCE($18, is_active),
+           updated_at = NOW()
+       WHERE id = $19`,
+      [
+        description !== undefined,
+        description || null,
+        discountType || null,
+        discountValue !== undefined ? parseInt(discountValue, 10) : null,
+        maxDiscount !== undefined,
+        maxDiscount ? parseInt(maxDiscount, 10) : null,
+        validFrom !== undefined,
+        validFrom || null,
+        validUntil !== undefined,
+        validUntil || null,
+        weekdays !== undefined,
+        Array.isArray(weekdays) && weekdays.length > 0 ? weekdays.map(Number) : null,
+        minNights !== undefined ? parseInt(minNights, 10) : null,
+        maxUses !== undefined,
+        maxUses ? parseInt(maxUses, 10) : null,
+        perUserLimit !== undefined,
+        perUserLimit ? parseInt(perUserLimit, 10) : null,
+        isActive !== undefined ? isActive : null,
+        existing.id,
+      ]
+    );
+
+    if (campRowIds) {
+      await replacePromoCamps(client, existing.id, campRowIds);
+    }
+
+    await client.query("COMMIT");
+
+    return res.json(formatPromo(await findPromo(db, id)));
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Update Promo Code Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /admin/promo-codes/{id}:
+ *   delete:
+ *     summary: Hapus kode promo
+ *     description: Promo yang sudah dipakai booking tidak bisa dihapus, nonaktifkan dengan isActive = false.
+ *     tags: [AdminPromoCodes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Kode promo berhasil dihapus
+ *       404:
+ *         description: Kode promo tidak ditemukan
+ *       409:
+ *         description: Kode promo sudah dipakai booking
+ */
+adminPromoCodesRouter.delete("/:id", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { id } = req.params;
+    if (!UUID_REGEX.test(id)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const existing = await db.query(
+      `SELECT p.id, EXISTS (SELECT 1 FROM "bookings" b WHERE b.promo_code_id = p.id) AS is_used
+       FROM "promo_codes" p WHERE p.public_id = $1`,
+      [id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "Kode promo tidak ditemukan" });
+    }
+    if (existing.rows[0].is_used) {
+      return res.status(409).json({
+        message: "Kode promo sudah dipakai booking, nonaktifkan saja (isActive = false)",
+      });
+    }
+
+    await db.query('DELETE FROM "promo_codes" WHERE id = $1', [existing.rows[0].id]);
+
+    return res.json({ message: "Kode promo berhasil dihapus" });
+  } catch (err) {
+    console.error("Admin Delete Promo Code Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+module.exports = { adminPromoCodesRouter };
@@ -0,0 +1,381 @@
+const express = require("express");
+const { db } = require("../../config/db");
+const { authenticate, requireAdmin } = require("../../middleware/auth");
+const { getIO } = require("../../realtime/io");
+const { getBookingBalance, recordPayment } = require("../../utils/payments");
+const { REFUND_STATUSES, REFUND_COLUMNS, formatRefund } = require("../../utils/refunds");
+
+const adminRefundsRouter = express.Router();
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminRefunds
+ *   description: Pemrosesan refund booking yang dibatalkan (Admin)
+ */
+
+adminRefundsRouter.use(authenticate, requireAdmin);
+
+const REFUND_SELECT = `SELECT ${REFUND_COLUMNS}, b.public_id AS booking_public_id,
+    COALESCE(u.full_name, u.username) AS customer_name, u.email AS customer_email, c.name AS camp_name
+  FROM "refunds" r
+  JOIN "bookings" b ON b.id = r.booking_id
+  JOIN "users" u ON u.id = b.user_id
+  JOIN "camps" c ON c.id = b.camp_id`;
+
+const formatRefundDetail = (row) => ({
+  ...formatRefund(row),
+  customerName: row.customer_name,
+  customerEmail: row.customer_email,
+  campName: row.camp_name,
+});
+
+const findRefundDetail = async (queryable, refundId) => {
+  const { rows } = await queryable.query(`${REFUND_SELECT} WHERE r.id = $1`, [refundId]);
+  return rows[0] ? formatRefundDetail(rows[0]) : null;
+};
+
+// Kunci baris refund dan pastikan statusnya sesuai. Mengembalikan { refund } atau { error: { status, body } }
+const lockRefund = async (client, publicId, expectedStatuses) => {
+  const { rows } = await client.query('SELECT * FROM "refunds" WHERE public_id = $1 FOR UPDATE', [publicId]);
+  if (rows.length === 0) {
+    return { error: { status: 404, body: { message: "Refund tidak ditemukan" } } };
+  }
+  if (!expectedStatuses.includes(rows[0].status)) {
+    return {
+      error: {
+        status: 409,
+        body: { message: `Refund berstatus ${rows[0].status} tidak bisa diproses`, currentStatus: rows[0].status },
+      },
+    };
+  }
+  return { refund: rows[0] };
+};
+
+/**
+ * @swagger
+ * /admin/refunds:
+ *   get:
+ *     summary: Daftar permintaan refund
+ *     tags: [AdminRefunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, PAID, REJECTED]
+ *     responses:
+ *       200:
+ *         description: Daftar refund (terlama dulu)
+ *       400:
+ *         description: Status tidak valid
+ */
+adminRefundsRouter.get("/", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { status } = req.query;
+    if (status && !REFUND_STATUSES.includes(status)) {
+      return res.status(400).json({ message: "Status tidak valid" });
+    }
+
+    const { rows } = await db.query(
+      `${REFUND_SELECT}
+       ${status ? "WHERE r.status = $1" : ""}
+       ORDER BY r.created_at ASC, r.id ASC`,
+      status ? [status] : []
+    );
+
+    return res.json(rows.map(formatRefundDetail));
+  } catch (err) {
+    console.error("Admin Get Refunds Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/refunds/{id}/approve:
+ *   post:
+ *     summary: Setujui permintaan refund
+ *     description: approvedAmount default eligible_amount, maksimal sebesar pembayaran terkonfirmasi booking.
+ *     tags: [AdminRefunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Refund (UUID)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               approvedAmount:
+ *                 type: integer
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund disetujui
+ *       400:
+ *         description: Nominal tidak valid
+ *       404:
+ *         description: Refund tidak ditemukan
+ *       409:
+ *         description: Refund bukan berstatus REQUESTED
+ */
+adminRefundsRouter.post("/:id/approve", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { id } = req.params;
+    if (!UUID_REGEX.test(id)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const { approvedAmount, note } = req.body || {};
+    if (
+      approvedAmount !== undefined &&
+      (!Number.isInteger(Number(approvedAmount)) || Number(approvedAmount) <= 0)
+    ) {
+      return res.status(400).json({ message: "approvedAmount harus berupa angka bulat > 0" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const { refund, error } = await lockRefund(client, id, ["REQUESTED"]);
+    if (error) {
+      await client.query("ROLLBACK");
+      return res.status(error.status).json(error.body);
+    }
+
+    const amount = approvedAmount !== undefined ? Number(approvedAmount) : Number(refund.eligible_amount);
+    const balance = await getBookingBalance(client, refund.booking_id);
+    if (amount > balance.amountPaid) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        message: `approvedAmount melebihi pembayaran terkonfirmasi (Rp${balance.amountPaid})`,
+        amountPaid: balance.amountPaid,
+      });
+    }
+
+    await client.query(
+      `UPDATE "refunds"
+       SET status = 'APPROVED', approved_amount = $1, admin_note = $2, reviewed_by = $3, reviewed_at = NOW(), updated_at = NOW()
+       WHERE id = $4`,
+      [amount, note || null, req.user.id, refund.id]
+    );
+
+    await client.query("COMMIT");
+
+    return res.json(await findRefundDetail(db, refund.id));
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Approve Refund Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /admin/refunds/{id}/reject:
+ *   post:
+ *     summary: Tolak permintaan refund
+ *     tags: [AdminRefunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Refund (UUID)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund ditolak
+ *       404:
+ *         description: Refund tidak ditemukan
+ *       409:
+ *         description: Refund sudah dibayarkan atau ditolak
+ */
+adminRefundsRouter.post("/:id/reject", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { id } = req.params;
+    if (!UUID_REGEX.test(id)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: "Alasan penolakan wajib diisi" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const { refund, error } = await lockRefund(client, id, ["REQUESTED", "APPROVED"]);
+    if (error) {
+      await client.query("ROLLBACK");
+      return res.status(error.status).json(error.body);
+    }
+
+    await client.query(
+      `UPDATE "refunds"
+       SET status = 'REJECTED', admin_note = $1, reviewed_by = $2, reviewed_at = NOW(), updated_at = NOW()
+       WHERE id = $3`,
+      [String(reason).trim(), req.user.id, refund.id]
+    );
+
+    await client.query("COMMIT");
+
+    return res.json(await findRefundDetail(db, refund.id));
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Reject Refund Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /admin/refunds/{id}/pay:
+ *   post:
+ *     summary: Tandai refund sudah dibayarkan ke tamu
+ *     description: |
+ *       Refund harus APPROVED dan rekening tujuan sudah diisi. Nominal dicatat sebagai baris negatif
+ *       di ledger payments sehingga amount_paid booking, laporan bulanan, dan grafik pendapatan ikut berkurang.
+ *     tags: [AdminRefunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Refund (UUID)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               payoutReference:
+ *                 type: string
+ *                 description: Nomor referensi transfer
+ *     responses:
+ *       200:
+ *         description: Refund dibayarkan
+ *       404:
+ *         description: Refund tidak ditemukan
+ *       409:
+ *         description: Refund belum disetujui atau rekening tujuan belum diisi
+ */
+adminRefundsRouter.post("/:id/pay", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { id } = req.params;
+    if (!UUID_REGEX.test(id)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    const { payoutReference } = req.body || {};
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const { refund, error } = await lockRefund(client, id, ["APPROVED"]);
+    if (error) {
+      await client.query("ROLLBACK");
+      return res.status(error.status).json(error.body);
+    }
+    if (!refund.payout_method) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Rekening tujuan refund belum diisi tamu" });
+    }
+
+    await recordPayment(client, {
+      bookingId: refund.booking_id,
+      amount: -Number(refund.approved_amount),
+      method: refund.payout_method,
+      providerReference: payoutReference || null,
+      note: "REFUND",
+      recordedBy: req.user.id,
+    });
+
+    await client.query(
+      `UPDATE "refunds"
+       SET status = 'PAID', payout_reference = $1, paid_by = $2, paid_at = NOW(), updated_at = NOW()
+       WHERE id = $3`,
+      [payoutReference || null, req.user.id, refund.id]
+    );
+
+    await client.query("COMMIT");
+
+    const detail = await findRefundDetail(db, refund.id);
+
+    const io = getIO();
+    if (io) {
+      io.emit("booking:refundPaid", {
+        id: detail.bookingId,
+        refundId: detail.id,
+        amount: detail.approvedAmount,
+      });
+    }
+
+    return res.json(detail);
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Admin Pay Refund Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+module.exports = { adminRefundsRouter };
@@ -2,8 +2,20 @@ const express = require("express");
 const { db } = require("../../config/db");
 const { authenticate, requireAdmin } = require("../../middleware/auth");
 const ExcelJS = require("exceljs");
+const { getBookingQuote } = require("../../utils/pricing");
+const { AMOUNT_RECEIVED_SQL, BALANCE_DUE_SQL } = require("../../utils/payments");
 
 const reportsRouter = express.Router();
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MANIFEST_FORMATS = ["xlsx", "csv"];
+
+// Nilai sel CSV: dikutip jika mengandung pemisah, kutip, atau baris baru
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
 /**
  * @swagger
@@ -19,6 +31,16 @@ reportsRouter.use(authenticate, requireAdmin);
  * /admin/reports/download:
  *   get:
  *     summary: Download laporan bulanan (Excel)
+ *     description: |
+ *       Berisi booking yang sudah menerima pembayaran (semua status) dan refund yang dibayarkan pada
+ *       periode tersebut sebagai baris negatif (status REFUND). Pendapatan (kolom Diterima) dihitung dari
+ *       pembayaran CONFIRMED di ledger dikurangi refund; Sisa Tagihan ditampilkan terpisah dan tidak
+ *       termasuk pendapatan. Total Harga adalah nilai tagihan booking.
+ *       Harga Bruto dan Diskon menunjukkan potongan kode promo. Subtotal adalah harga sebelum pajak dan
+ *       biaya layanan, sehingga Subtotal + Pajak + Biaya Layanan = Total Harga (untuk aturan inclusive
+ *       maupun exclusive).
+ *       Voucher hadiah tidak dihitung sebagai pendapatan; penjualan, pemakaian, dan saldo beredar
+ *       per akhir periode ditampilkan di bagian Kewajiban Voucher Hadiah di bawah grand total.
  *     tags: [AdminReports]
  *     security:
  *       - bearerAuth: []
@@ -69,20 +91,109 @@ reportsRouter.get("/download", async (req, res) => {
         b.end_date,
         b.people_count,
         b.total_price,
-        b.status
+        b.gross_price,
+        b.discount_amount,
+        b.tax_amount,
+        b.service_fee_amount,
+        b.price_breakdown,
+        b.status,
+        ${AMOUNT_RECEIVED_SQL} as received_amount,
+        ${BALANCE_DUE_SQL} as balance_due,
+        (
+          SELECT json_agg(json_build_object(
+            'name', e.name,
+            'quantity', be.quantity,
+            'price', be.price,
+            'nights', be.nights
+          ))
+          FROM booking_equipments be
+          JOIN equipments e ON e.id = be.equipment_id
+          WHERE be.booking_id = b.id
+        ) as equipments
       FROM bookings b
       JOIN users u ON b.user_id = u.id
       JOIN camps c ON b.camp_id = c.id
       WHERE 
         EXTRACT(MONTH FROM b.created_at) = $1 
         AND EXTRACT(YEAR FROM b.created_at) = $2
-        AND b.status IN ('PAID', 'CHECK_IN', 'CHECK_OUT')
+        AND ${AMOUNT_RECEIVED_SQL} > 0
       ORDER BY b.created_at DESC
     `;
 
     const result = await db.query(query, [month, year]);
 
-    if (result.rows.length === 0) {
+    // Refund yang dibayarkan pada periode ini masuk sebagai baris negatif
+    const refundResult = await db.query(
+      `SELECT
+        b.public_id as "Booking ID",
+        r.paid_at,
+        COALESCE(u.full_name, u.username) as "Nama Customer",
+        u.email as "Email",
+        c.name as "Lokasi Camp",
+        b.start_date,
+        b.end_date,
+        b.people_count,
+        r.approved_amount
+      FROM refunds r
+      JOIN bookings b ON b.id = r.booking_id
+      JOIN users u ON b.user_id = u.id
+      JOIN camps c ON b.camp_id = c.id
+      WHERE
+        r.status = 'PAID'
+        AND EXTRACT(MONTH FROM r.paid_at) = $1
+        AND EXTRACT(YEAR FROM r.paid_at) = $2
+      ORDER BY r.paid_at DESC`,
+      [month, year]
+    );
+
+    // Voucher hadiah adalah kewajiban (uang diterima di muka), bukan pendapatan: ditampilkan terpisah.
+    // Saldo dihitung per akhir periode dari riwayat pemakaian, bukan saldo saat ini.
+    const voucherResult = await db.query(
+      `WITH period AS (
+        SELECT make_date($2::int, $1::int, 1)::timestamp AS period_start,
+               (make_date($2::int, $1::int, 1) + INTERVAL '1 month')::timestamp AS period_end
+      )
+      SELECT
+        v.code,
+        COALESCE(u.full_name, u.username) AS purchaser_name,
+        v.activated_at,
+        v.expires_at,
+        v.amount,
+        v.amount - COALESCE((
+          SELECT SUM(r.amount) FROM gift_voucher_redemptions r
+          WHERE r.voucher_id = v.id AND r.created_at < period.period_end
+            AND (r.reversed_at IS NULL OR r.reversed_at >= period.period_end)
+        ), 0)::int AS balance_at_end,
+        COALESCE((
+          SELECT SUM(r.amount) FROM gift_voucher_redemptions r
+          WHERE r.voucher_id = v.id AND r.reversed_at IS NULL
+            AND r.created_at >= period.period_start AND r.created_at < period.period_end
+        ), 0)::int AS redeemed_in_period,
+        (v.activated_at >= period.period_start) AS sold_in_period
+      FROM gift_vouchers v
+      JOIN users u ON u.id = v.purchaser_id
+      CROSS JOIN period
+      WHERE v.activated_at IS NOT NULL
+        AND v.activated_at < period.period_end
+        AND (v.voided_at IS NULL OR v.voided_at >= period.period_start)
+      ORDER BY v.activated_at ASC`,
+      [month, year]
+    );
+
+    const periodEnd = new Date(Date.UTC(Number(year), Number(month), 1));
+    const voucherSold = voucherResult.rows.filter((row) => row.sold_in_period);
+    const voucherRedeemed = voucherResult.rows.reduce((sum, row) => sum + row.redeemed_in_period, 0);
+    const outstandingVouchers = voucherResult.rows.filter(
+      (row) => row.balance_at_end > 0 && (!row.expires_at || new Date(row.expires_at) >= periodEnd)
+    );
+
+    if (
+      result.rows.length === 0 &&
+      refundResult.rows.length === 0 &&
+      voucherSold.length === 0 &&
+      voucherRedeemed === 0 &&
+      outstandingVouchers.length === 0
+    ) {
       return res.status(404).json({ message: "Tidak ada data transaksi pada periode ini" });
     }
 
@@ -106,7 +217,7 @@ reportsRouter.get("/download", async (req, res) => {
     };
 
     // 3. Judul & Info (Header Report)
-    worksheet.mergeCells('A1:J2'); // Merge 2 baris untuk judul
+    worksheet.mergeCells('A1:S2'); // Merge 2 baris untuk judul
     const titleCell = worksheet.getCell('A1');
     titleCell.value = "LAPORAN PENDAPATAN CAMPING";
     titleCell.alignment = { vertical: 'middle', horizontal: 'center' };
@@ -131,9 +242,10 @@ reportsRouter.get("/download", async (req, res) => {
     const headerRowIdx = 7;
     const tableHeaderRow = worksheet.getRow(headerRowIdx);
     tableHeaderRow.values = [
-      "Booking ID", "Tanggal Booking", "Nama Customer", "Email", 
+      "Booking ID", "Tanggal Transaksi", "Nama Customer", "Email", 
       "Lokasi Camp", "Check In", "Check Out", "Jumlah Orang", 
-      "Total Harga", "Status"
+      "Biaya Camp", "Sewa Alat", "Harga Bruto", "Diskon", "Subtotal", "Pajak",
+      "Biaya Layanan", "Total Harga", "Diterima", "Sisa Tagihan", "Status"
     ];
     tableHeaderRow.height = 25; // Lebih tinggi biar lega
     
@@ -146,26 +258,62 @@ reportsRouter.get("/download", async (req, res) => {
 
     // 5. Isi Data (Mulai Baris 8)
     let currentRowIndex = 8;
+    let totalGross = 0;
+    let totalDiscount = 0;
+    let totalSubtotal = 0;
+    let totalTax = 0;
+    let totalServiceFee = 0;
+    let totalPrice = 0;
     let totalRevenue = 0;
+    let totalOutstanding = 0;
 
-    result.rows.forEach((row, index) => {
+    // Pendapatan = uang yang diterima (ledger), refund tercatat di baris REFUND.
+    // Booking batal tidak punya tagihan; harga hanya ditampilkan untuk booking aktif
+    const reportRows = [
+      ...result.rows.map((row) => {
+        if (row.status === 'CANCELLED') {
+          return { row, date: row.created_at, campTotal: null, equipmentTotal: null, gross: null, discount: null, subtotal: null, tax: null, serviceFee: null, amount: null, received: row.received_amount, balanceDue: null, status: row.status };
+        }
+        const quote = getBookingQuote(row);
+        const discount = Number(row.discount_amount) || 0;
+        const tax = Number(row.tax_amount) || 0;
+        const serviceFee = Number(row.service_fee_amount) || 0;
+        const exclusiveCharges = (quote.charges || []).filter((charge) => !charge.inclusive).reduce((sum, charge) => sum + charge.amount, 0);
+        const gross = row.gross_price !== null ? Number(row.gross_price) : quote.totalPrice - exclusiveCharges + discount;
+        return { row, date: row.created_at, campTotal: quote.campTotal, equipmentTotal: quote.equipmentTotal, gross, discount, subtotal: quote.totalPrice - tax - serviceFee, tax, serviceFee, amount: quote.totalPrice, received: row.received_amount, balanceDue: Math.max(0, row.balance_due), status: row.status };
+      }),
+      ...refundResult.rows.map((row) => ({
+        row, date: row.paid_at, campTotal: null, equipmentTotal: null, gross: null, discount: null, subtotal: null, tax: null, serviceFee: null, amount: null, received: -row.approved_amount, balanceDue: null, status: 'REFUND'
+      })),
+    ];
+
+    reportRows.forEach(({ row, date, campTotal, equipmentTotal, gross, discount, subtotal, tax, serviceFee, amount, received, balanceDue, status }, index) => {
       const rowData = worksheet.getRow(currentRowIndex);
       
       rowData.values = [
         row["Booking ID"],
-        new Date(row.created_at).toLocaleString("id-ID"),
+        new Date(date).toLocaleString("id-ID"),
         row["Nama Customer"],
         row["Email"],
         row["Lokasi Camp"],
         new Date(row.start_date).toLocaleDateString("id-ID"),
         new Date(row.end_date).toLocaleDateString("id-ID"),
         row.people_count,
-        parseInt(row.total_price),
-        row.status
+        campTotal,
+        equipmentTotal,
+        gross,
+        discount,
+        subtotal,
+        tax,
+        serviceFee,
+        amount,
+        received,
+        balanceDue,
+        status
       ];
 
       // Styling Per Cell
-      rowData.eachCell((cell, colNumber) => {
+      rowData.eachCell({ includeEmpty: true }, (cell, colNumber) => {
         cell.font = { name: 'Segoe UI', size: 10 };
         cell.border = styles.border;
         cell.alignment = { vertical: 'middle' };
@@ -178,24 +326,34 @@ reportsRouter.get("/download", async (req, res) => {
         // Alignment Khusus
         if (colNumber === 2 || colNumber === 6 || colNumber === 7) { // Tanggal
           cell.alignment = { horizontal: 'center', vertical: 'middle' };
-        } else if (colNumber === 8 || colNumber === 9) { // Angka
+        } else if (colNumber >= 8 && colNumber <= 18) { // Angka
           cell.alignment = { horizontal: 'right', vertical: 'middle' };
         }
 
-        // Warna Status (Kolom 10)
-        if (colNumber === 10) {
+        // Warna Status (Kolom 19)
+        if (colNumber === 19) {
           cell.alignment = { horizontal: 'center', vertical: 'middle' };
           cell.font = { bold: true, name: 'Segoe UI', size: 9 };
-          if (row.status === 'PAID') cell.font.color = { argb: 'FF27AE60' }; // Hijau
-          else if (row.status === 'CHECK_IN') cell.font.color = { argb: 'FF2980B9' }; // Biru
-          else if (row.status === 'CHECK_OUT') cell.font.color = { argb: 'FF7F8C8D' }; // Abu
+          if (status === 'PAID') cell.font.color = { argb: 'FF27AE60' }; // Hijau
+          else if (status === 'CHECK_IN') cell.font.color = { argb: 'FF2980B9' }; // Biru
+          else if (status === 'CHECK_OUT') cell.font.color = { argb: 'FF7F8C8D' }; // Abu
+          else if (status === 'CANCELLED' || status === 'REFUND') cell.font.color = { argb: 'FFC0392B' }; // Merah
         }
       });
 
       // Format Currency
-      rowData.getCell(9).numFmt = '"Rp"#,##0';
+      for (let colNumber = 9; colNumber <= 18; colNumber++) {
+        rowData.getCell(colNumber).numFmt = '"Rp"#,##0';
+      }
 
-      totalRevenue += parseInt(row.total_price);
+      totalGross += gross || 0;
+      totalDiscount += discount || 0;
+      totalSubtotal += subtotal || 0;
+      totalTax += tax || 0;
+      totalServiceFee += serviceFee || 0;
+      totalPrice += amount || 0;
+      totalRevenue += received;
+      totalOutstanding += balanceDue || 0;
       currentRowIndex++;
     });
 
@@ -203,26 +361,94 @@ reportsRouter.get("/download", async (req, res) => {
     const totalRowIdx = currentRowIndex + 1;
     const totalRow = worksheet.getRow(totalRowIdx);
     
-    totalRow.getCell(8).value = "GRAND TOTAL"; 
-    totalRow.getCell(9).value = totalRevenue;
+    totalRow.getCell(10).value = "GRAND TOTAL"; 
+    totalRow.getCell(11).value = totalGross;
+    totalRow.getCell(12).value = totalDiscount;
+    totalRow.getCell(13).value = totalSubtotal;
+    totalRow.getCell(14).value = totalTax;
+    totalRow.getCell(15).value = totalServiceFee;
+    totalRow.getCell(16).value = totalPrice;
+    totalRow.getCell(17).value = totalRevenue;
+    totalRow.getCell(18).value = totalOutstanding;
     
     // Styling Baris Total
     totalRow.height = 30;
     
-    const totalLabelCell = totalRow.getCell(8);
+    const totalLabelCell = totalRow.getCell(10);
     totalLabelCell.font = { bold: true, size: 12, name: 'Segoe UI', color: { argb: 'FF2C3E50' } };
     totalLabelCell.fill = styles.totalRowFill;
     totalLabelCell.alignment = { horizontal: 'right', vertical: 'middle' };
     totalLabelCell.border = styles.border;
 
-    const totalValueCell = totalRow.getCell(9);
-    totalValueCell.font = { bold: true, size: 13, name: 'Segoe UI', color: { argb: 'FF2C3E50' } };
-    totalValueCell.fill = styles.totalRowFill;
-    totalValueCell.alignment = { horizontal: 'right', vertical: 'middle' };
-    totalValueCell.border = styles.border;
-    totalValueCell.numFmt = '"Rp"#,##0';
+    [11, 12, 13, 14, 15, 16, 17, 18].forEach((colNumber) => {
+      const totalValueCell = totalRow.getCell(colNumber);
+      totalValueCell.font = { bold: true, size: colNumber === 17 ? 13 : 11, name: 'Segoe UI', color: { argb: 'FF2C3E50' } };
+      totalValueCell.fill = styles.totalRowFill;
+      totalValueCell.alignment = { horizontal: 'right', vertical: 'middle' };
+      totalValueCell.border = styles.border;
+      totalValueCell.numFmt = '"Rp"#,##0';
+    });
+
+    // 7. Kewajiban Voucher Hadiah (terpisah dari pendapatan)
+    let voucherRowIdx = totalRowIdx + 3;
+    const voucherTitleCell = worksheet.getCell(voucherRowIdx, 1);
+    voucherTitleCell.value = "KEWAJIBAN VOUCHER HADIAH";
+    voucherTitleCell.font = { name: 'Segoe UI', size: 13, bold: true, color: { argb: 'FF2C3E50' } };
+    voucherRowIdx += 1;
+
+    const totalVoucherBalance = outstandingVouchers.reduce((sum, row) => sum + row.balance_at_end, 0);
+    [
+      ["Voucher terjual", voucherSold.reduce((sum, row) => sum + row.amount, 0), `${voucherSold.length} voucher`],
+      ["Voucher terpakai", voucherRedeemed, null],
+      ["Saldo beredar akhir periode", totalVoucherBalance, `${outstandingVouchers.length} voucher`],
+    ].forEach(([label, value, note]) => {
+      const summaryRow = worksheet.getRow(voucherRowIdx);
+      summaryRow.getCell(1).value = label;
+      summaryRow.getCell(1).font = styles.subHeaderFont;
+      summaryRow.getCell(2).value = value;
+      summaryRow.getCell(2).numFmt = '"Rp"#,##0';
+      summaryRow.getCell(2).font = { name: 'Segoe UI', size: 11, bold: true };
+      summaryRow.getCell(3).value = note;
+      summaryRow.getCell(3).font = { name: 'Segoe UI', size: 10, color: { argb: 'FF7F8C8D' } };
+      voucherRowIdx++;
+    });
 
-    // 7. Auto Width
+    if (outstandingVouchers.length > 0) {
+      voucherRowIdx += 1;
+      const voucherHeaderRow = worksheet.getRow(voucherRowIdx);
+      voucherHeaderRow.values = ["Kode Voucher", "Tanggal Aktif", "Pembeli", "Berlaku Sampai", "Nilai", "Terpakai", "Sisa Saldo"];
+      voucherHeaderRow.eachCell((cell) => {
+        cell.fill = styles.tableHeaderFill;
+        cell.font = styles.tableHeaderFont;
+        cell.alignment = { horizontal: 'center', vertical: 'middle' };
+        cell.border = styles.border;
+      });
+      voucherRowIdx++;
+
+      outstandingVouchers.forEach((row) => {
+        const voucherRow = worksheet.getRow(voucherRowIdx);
+        voucherRow.values = [
+          row.code,
+          new Date(row.activated_at).toLocaleDateString("id-ID"),
+          row.purchaser_name,
+          row.expires_at ? new Date(row.expires_at).toLocaleDateString("id-ID") : "-",
+          row.amount,
+          row.amount - row.balance_at_end,
+          row.balance_at_end,
+        ];
+        voucherRow.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+          cell.font = { name: 'Segoe UI', size: 10 };
+          cell.border = styles.border;
+          if (colNumber >= 5) {
+            cell.alignment = { horizontal: 'right', vertical: 'middle' };
+            cell.numFmt = '"Rp"#,##0';
+          }
+        });
+        voucherRowIdx++;
+      });
+    }
+
+    // 8. Auto Width
     worksheet.columns = [
       { width: 38 }, // ID
       { width: 22 }, // Tgl
@@ -232,11 +458,20 @@ reportsRouter.get("/download", async (req, res) => {
       { width: 15 }, // In
       { width: 15 }, // Out
       { width: 15 }, // Org
+      { width: 18 }, // Camp
+      { width: 18 }, // Alat
+      { width: 18 }, // Bruto
+      { width: 15 }, // Diskon
+      { width: 18 }, // Subtotal
+      { width: 15 }, // Pajak
+      { width: 16 }, // Biaya Layanan
       { width: 20 }, // Harga
+      { width: 20 }, // Diterima
+      { width: 18 }, // Sisa Tagihan
       { width: 15 }, // Status
     ];
 
-    // 8. Kirim File ke User
+    // 9. Kirim File ke User
     res.setHeader(
       "Content-Type",
       "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
@@ -258,4 +493,211 @@ reportsRouter.get("/download", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /admin/reports/manifest:
+ *   get:
+ *     summary: Download manifest tamu menginap per tanggal (Excel/CSV)
+ *     description: |
+ *       Satu baris per tamu dari booking PAID/CHECK_IN/CHECK_OUT yang menginap pada malam tanggal tersebut
+ *       (check-in <= tanggal < check-out). Booking yang sudah check-out sebelum malam itu tidak ikut.
+ *       Booking yang daftar tamunya belum lengkap tetap muncul dengan baris "(Belum diisi)" untuk sisa orangnya
+ *       sehingga jumlah baris sama dengan jumlah orang di lokasi.
+ *     tags: [AdminReports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Tanggal malam menginap (YYYY-MM-DD)
+ *       - in: query
+ *         name: campId
+ *         schema:
+ *           type: string
+ *         description: Filter camp (UUID)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv]
+ *           default: xlsx
+ *     responses:
+ *       200:
+ *         description: File manifest tamu
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Parameter tidak valid
+ *       404:
+ *         description: Tidak ada tamu menginap pada tanggal tersebut
+ */
+reportsRouter.get("/manifest", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { date, campId } = req.query;
+    const format = String(req.query.format || "xlsx").toLowerCase();
+
+    if (!date || !DATE_REGEX.test(date) || Number.isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: "Parameter date wajib diisi dengan format YYYY-MM-DD" });
+    }
+    if (campId && !UUID_REGEX.test(campId)) {
+      return res.status(400).json({ message: "campId harus berupa UUID yang valid" });
+    }
+    if (!MANIFEST_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format harus salah satu dari: ${MANIFEST_FORMATS.join(", ")}` });
+    }
+
+    const { rows } = await db.query(
+      `SELECT
+        b.id AS booking_id,
+        b.public_id AS booking_public_id,
+        b.start_date,
+        b.end_date,
+        b.people_count,
+        b.status,
+        c.name AS camp_name,
+        COALESCE(u.full_name, u.username) AS customer_name,
+        u.phone_number AS customer_phone,
+        g.full_name,
+        g.id_type,
+        g.id_number,
+        g.phone_number
+      FROM bookings b
+      JOIN camps c ON c.id = b.camp_id
+      JOIN users u ON u.id = b.user_id
+      LEFT JOIN booking_guests g ON g.booking_id = b.id
+      WHERE b.start_date::date <= $1::date
+        AND b.end_date::date > $1::date
+        AND b.status IN ('PAID', 'CHECK_IN', 'CHECK_OUT')
+        AND ($2::uuid IS NULL OR c.public_id = $2::uuid)
+        AND NOT (b.status = 'CHECK_OUT' AND EXISTS (
+          SELECT 1 FROM booking_status_history h
+          WHERE h.booking_id = b.id AND h.to_status = 'CHECK_OUT' AND h.created_at < $1::date + INTERVAL '1 day'
+        ))
+      ORDER BY c.name ASC, b.start_date ASC, b.id ASC, g.id ASC`,
+      [date, campId || null]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: "Tidak ada tamu menginap pada tanggal ini" });
+    }
+
+    // Satu baris per tamu; sisa orang yang belum didaftarkan diisi baris "(Belum diisi)"
+    const guestRows = [];
+    const bookingIds = [...new Set(rows.map((row) => row.booking_id))];
+    bookingIds.forEach((bookingId) => {
+      const bookingRows = rows.filter((row) => row.booking_id === bookingId);
+      const registered = bookingRows.filter((row) => row.full_name !== null);
+      const missing = Math.max(0, bookingRows[0].people_count - registered.length);
+      registered.forEach((row) => guestRows.push(row));
+      for (let i = 0; i < missing; i += 1) {
+        guestRows.push({ ...bookingRows[0], full_name: "(Belum diisi)", id_type: null, id_number: null, phone_number: null });
+      }
+    });
+
+    const headers = [
+      "No", "Camp", "Booking ID", "Nama Tamu", "Jenis Identitas", "Nomor Identitas", "Telepon Tamu",
+      "Pemesan", "Telepon Pemesan", "Check In", "Check Out", "Status Booking",
+    ];
+    const toValues = (row, index) => [
+      index + 1,
+      row.camp_name,
+      row.booking_public_id,
+      row.full_name,
+      row.id_type,
+      row.id_number,
+      row.phone_number,
+      row.customer_name,
+      row.customer_phone,
+      new Date(row.start_date).toLocaleDateString("id-ID"),
+      new Date(row.end_date).toLocaleDateString("id-ID"),
+      row.status,
+    ];
+
+    if (format === "csv") {
+      const lines = [headers, ...guestRows.map(toValues)].map((values) => values.map(toCsvValue).join(","));
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename=Manifest-Tamu-${date}.csv`);
+      // BOM agar Excel membaca UTF-8 dengan benar
+      return res.send(`\uFEFF${lines.join("\r\n")}\r\n`);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet("Manifest Tamu");
+    const border = {
+      top: { style: 'thin', color: { argb: 'FFBDC3C7' } },
+      left: { style: 'thin', color: { argb: 'FFBDC3C7' } },
+      bottom: { style: 'thin', color: { argb: 'FFBDC3C7' } },
+      right: { style: 'thin', color: { argb: 'FFBDC3C7' } }
+    };
+
+    worksheet.mergeCells('A1:L2');
+    const titleCell = worksheet.getCell('A1');
+    titleCell.value = "MANIFEST TAMU MENGINAP";
+    titleCell.alignment = { vertical: 'middle', horizontal: 'center' };
+    titleCell.font = { name: 'Segoe UI', size: 16, bold: true, color: { argb: 'FF2C3E50' } };
+
+    worksheet.getCell('A4').value = "Tanggal Menginap";
+    worksheet.getCell('B4').value = `: ${new Date(date).toLocaleDateString("id-ID")}`;
+    worksheet.getCell('A5').value = "Jumlah Tamu";
+    worksheet.getCell('B5').value = `: ${guestRows.length} orang (${bookingIds.length} booking)`;
+    worksheet.getCell('A6').value = "Tanggal Cetak";
+    worksheet.getCell('B6').value = `: ${new Date().toLocaleString("id-ID")}`;
+    ['A4', 'A5', 'A6'].forEach((ref) => {
+      worksheet.getCell(ref).font = { name: 'Segoe UI', size: 11, bold: true, color: { argb: 'FF7F8C8D' } };
+    });
+
+    const headerRow = worksheet.getRow(8);
+    headerRow.values = headers;
+    headerRow.height = 25;
+    headerRow.eachCell((cell) => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2C3E50' } };
+      cell.font = { name: 'Segoe UI', size: 11, bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+      cell.border = border;
+    });
+
+    guestRows.forEach((row, index) => {
+      const dataRow = worksheet.getRow(9 + index);
+      dataRow.values = toValues(row, index);
+      dataRow.eachCell({ includeEmpty: true }, (cell) => {
+        cell.border = border;
+        cell.font = { name: 'Segoe UI', size: 10, italic: row.id_number === null };
+      });
+    });
+
+    worksheet.columns = [
+      { width: 6 }, { width: 25 }, { width: 38 }, { width: 28 }, { width: 16 }, { width: 22 },
+      { width: 16 }, { width: 25 }, { width: 16 }, { width: 14 }, { width: 14 }, { width: 16 },
+    ];
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename=Manifest-Tamu-${date}.xlsx`);
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    console.error("Download Manifest Error:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+});
+
 module.exports = { reportsRouter };
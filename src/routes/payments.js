@@ -0,0 +1,262 @@
+const express = require("express");
+const { db } = require("../config/db");
+const { getIO } = require("../realtime/io");
+const { verifyNotificationSignature, mapTransactionStatus } = require("../utils/midtrans");
+const { checkTransition, recordStatusChange } = require("../utils/bookingStatus");
+const { getBookingBalance, recordPayment, releaseCancelledPayments } = require("../utils/payments");
+const { sendBookingConfirmationEmail } = require("../utils/checkIn");
+const { createRefundRequest } = require("../utils/refunds");
+const { checkStoredBookingConflicts } = require("../utils/bookingCheck");
+
+const CAPACITY_CONFLICT_REASON = "MIDTRANS_CAPACITY_CONFLICT";
+
+const paymentsRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Integrasi payment gateway
+ */
+
+/**
+ * @swagger
+ * /payments/midtrans/notification:
+ *   post:
+ *     summary: Webhook notifikasi transaksi Midtrans
+ *     description: |
+ *       Dipanggil oleh Midtrans, bukan oleh client. signature_key diverifikasi dengan server key.
+ *       settlement / capture (accept) → booking PAID, expire / cancel → booking CANCELLED (hanya jika tidak ada
+ *       order checkout lain untuk booking yang sama yang masih menunggu pembayaran).
+ *       Saat booking dibatalkan, bukti bayar yang belum diverifikasi ditolak, voucher dikembalikan ke saldonya, dan
+ *       pembayaran terkonfirmasi lainnya dibuatkan permintaan refund.
+ *       Pembayaran yang diterima untuk booking yang sudah CANCELLED dicatat di ledger dan dibuatkan permintaan refund.
+ *       Jika pembayaran masuk setelah payment_deadline (kuota booking sudah tidak ditahan), kuota camp, site, dan
+ *       alat dicek ulang; jika sudah terpakai booking lain, booking dibatalkan dan pembayarannya dibuatkan permintaan refund.
+ *       Notifikasi yang sama boleh dikirim berulang kali; yang sudah diproses tidak mengubah apa pun.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               order_id:
+ *                 type: string
+ *               status_code:
+ *                 type: string
+ *               gross_amount:
+ *                 type: string
+ *               signature_key:
+ *                 type: string
+ *               transaction_status:
+ *                 type: string
+ *               fraud_status:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Notifikasi diterima
+ *       403:
+ *         description: Signature tidak valid
+ *       404:
+ *         description: Transaksi tidak ditemukan
+ */
+paymentsRouter.post("/midtrans/notification", async (req, res) => {
+  let client = null;
+  try {
+    if (!db) return res.status(500).json({ message: "Database error" });
+
+    const notification = req.body || {};
+
+    if (!verifyNotificationSignature(notification)) {
+      console.warn(`[Midtrans] Signature tidak valid untuk order ${notification.order_id}`);
+      return res.status(403).json({ message: "Invalid signature" });
+    }
+
+    const {
+      order_id: orderId,
+      transaction_status: transactionStatus,
+      fraud_status: fraudStatus,
+      payment_type: paymentType,
+      transaction_id: transactionId,
+      gross_amount: grossAmount,
+    } = notification;
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const trxResult = await client.query(
+      `SELECT id, booking_id, gross_amount, transaction_status, fraud_status
+       FROM "midtrans_transactions" WHERE order_id = $1 FOR UPDATE`,
+      [orderId]
+    );
+
+    if (trxResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Transaksi tidak ditemukan" });
+    }
+
+    const trx = trxResult.rows[0];
+
+    if (trx.transaction_status === transactionStatus && (trx.fraud_status || null) === (fraudStatus || null)) {
+      await client.query("ROLLBACK");
+      return res.json({ message: "Notifikasi sudah diproses" });
+    }
+
+    await client.query(
+      `UPDATE "midtrans_transactions"
+       SET transaction_status = $1, fraud_status = $2, payment_type = $3, transaction_id = $4,
+           raw_notification = $5, updated_at = NOW()
+       WHERE id = $6`,
+      [transactionStatus, fraudStatus || null, paymentType || null, transactionId || null, JSON.stringify(notification), trx.id]
+    );
+
+    let nextStatus = mapTransactionStatus(notification);
+
+    if (nextStatus === "PAID" && Number(grossAmount) !== Number(trx.gross_amount)) {
+      console.warn(`[Midtrans] Nominal order ${orderId} tidak sesuai: ${grossAmount} != ${trx.gross_amount}`);
+      nextStatus = null;
+    }
+
+    const bookingResult = await client.query(
+      `SELECT id, public_id, user_id, camp_id, status, payment_proof, payment_deadline, start_date, end_date, people_count
+       FROM "bookings" WHERE id = $1 FOR UPDATE`,
+      [trx.booking_id]
+    );
+    const booking = bookingResult.rows[0];
+    let updated = null;
+
+    // Uang yang sudah diterima Midtrans selalu dicatat di ledger, walau status booking tidak bisa berubah
+    const alreadyPaid = mapTransactionStatus(trx) === "PAID";
+    if (nextStatus === "PAID" && !alreadyPaid) {
+      await recordPayment(client, {
+        bookingId: trx.booking_id,
+        amount: Number(trx.gross_amount),
+        method: "MIDTRANS",
+        providerReference: transactionId || orderId,
+        note: paymentType || null,
+      });
+    }
+
+    // expire/cancel hanya membatalkan booking yang belum dibayar (notifikasi bisa datang tidak berurutan)
+    if (nextStatus === "CANCELLED" && booking && booking.status !== "PENDING") {
+      nextStatus = null;
+    }
+
+    // Order lama yang kedaluwarsa tidak membatalkan booking selama checkout yang lebih baru masih terbuka
+    if (nextStatus === "CANCELLED") {
+      const openOrders = await client.query(
+        `SELECT 1 FROM "midtrans_transactions"
+         WHERE booking_id = $1 AND id <> $2 AND COALESCE(transaction_status, 'pending') = 'pending'
+         LIMIT 1`,
+        [trx.booking_id, trx.id]
+      );
+      if (openOrders.rows.length > 0) nextStatus = null;
+    }
+
+    // Uang masuk untuk booking yang sudah dibatalkan (misal sudah kedaluwarsa) harus dikembalikan
+    if (nextStatus === "PAID" && !alreadyPaid && booking && booking.status === "CANCELLED") {
+      await createRefundRequest(client, {
+        bookingId: booking.id,
+        eligibleAmount: Number(trx.gross_amount),
+        reason: `Pembayaran Midtrans ${orderId} diterima setelah booking dibatalkan`,
+      });
+      console.warn(`[Midtrans] Order ${orderId} dibayar untuk booking ${booking.public_id} yang sudah CANCELLED, refund dibuat`);
+      nextStatus = null;
+    }
+
+    // Hold booking lepas setelah payment_deadline, jadi kuotanya bisa sudah dipakai booking lain
+    let reason = `MIDTRANS_${String(transactionStatus).toUpperCase()}`;
+    if (
+      nextStatus === "PAID" &&
+      booking &&
+      booking.status === "PENDING" &&
+      !booking.payment_proof &&
+      booking.payment_deadline &&
+      new Date(booking.payment_deadline) <= new Date()
+    ) {
+      const conflicts = await checkStoredBookingConflicts(client, booking);
+      if (conflicts.length > 0) {
+        console.warn(
+          `[Midtrans] Order ${orderId} dibayar setelah batas waktu, kuota booking ${booking.public_id} sudah terpakai (${conflicts[0].type}), booking dibatalkan`
+        );
+        nextStatus = "CANCELLED";
+        reason = CAPACITY_CONFLICT_REASON;
+      }
+    }
+
+    if (nextStatus && booking && booking.status !== nextStatus) {
+      const { amountPaid } = await getBookingBalance(client, booking.id);
+      const transition = checkTransition({ ...booking, amount_paid: amountPaid }, nextStatus);
+
+      if (transition.error) {
+        // Tetap dibalas 200 agar Midtrans tidak mengirim ulang; kasus ini perlu dicek admin
+        console.warn(
+          `[Midtrans] Order ${orderId} (${transactionStatus}) tidak bisa mengubah booking ${booking.public_id}: ${transition.error.body.message}`
+        );
+      } else {
+        // Pembatalan: bukti bayar belum diverifikasi ditolak, voucher dikembalikan, sisanya refund tunai
+        const released =
+          nextStatus === "CANCELLED" ? await releaseCancelledPayments(client, booking.id, { reason }) : null;
+
+        const result = await client.query(
+          `UPDATE "bookings"
+           SET status = $1,
+               payment_method = CASE WHEN $2::boolean THEN 'MIDTRANS' ELSE payment_method END,
+               cancel_reason = CASE WHEN $2::boolean THEN cancel_reason ELSE $3 END,
+               cancelled_at = CASE WHEN $2::boolean THEN cancelled_at ELSE NOW() END,
+               refund_amount = CASE WHEN $2::boolean THEN refund_amount ELSE $5::int END,
+               refund_percent = CASE WHEN $2::boolean THEN refund_percent ELSE 100 END
+           WHERE id = $4
+           RETURNING id, public_id, user_id, camp_id, start_date, end_date, people_count, total_price, status`,
+          [nextStatus, nextStatus === "PAID", reason, booking.id, released ? released.cashPaid : null]
+        );
+        updated = result.rows[0];
+
+        await recordStatusChange(client, {
+          bookingId: booking.id,
+          fromStatus: booking.status,
+          toStatus: nextStatus,
+          reason,
+        });
+
+        if (released) {
+          await createRefundRequest(client, {
+            bookingId: booking.id,
+            eligibleAmount: released.cashPaid,
+            reason:
+              reason === CAPACITY_CONFLICT_REASON
+                ? `Pembayaran Midtrans ${orderId} diterima setelah batas waktu, kuota sudah terpakai booking lain`
+                : `Pembayaran Midtrans ${orderId} ${transactionStatus}, booking dibatalkan`,
+          });
+        }
+      }
+    }
+
+    await client.query("COMMIT");
+
+    if (updated && updated.status === "PAID") {
+      sendBookingConfirmationEmail(db, updated.id).catch((err) =>
+        console.error(`[CheckIn] Confirmation email failed: ${err.message}`)
+      );
+    }
+
+    const io = getIO();
+    if (io && updated) {
+      io.emit("booking:statusUpdated", updated);
+    }
+
+    return res.json({ message: "OK" });
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Midtrans Notification Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+module.exports = { paymentsRouter };
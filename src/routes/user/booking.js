@@ -5,80 +5,140 @@ const { uploadToSupabase } = require("../../utils/supabase");
 const multer = require("multer");
 const path = require("path");
 const { getIO } = require("../../realtime/io");
+const {
+  countNights,
+  toDateKey,
+  buildQuote,
+  loadCampRates,
+  calculateDeposit,
+  getBookingQuote,
+} = require("../../utils/pricing");
+const { checkBookingRequest, conflictToResponse } = require("../../utils/bookingCheck");
+const { loadUpcomingStayRules, violationsToResponse } = require("../../utils/stayRules");
+const { getPaymentDeadline } = require("../../jobs/paymentExpiry");
+const { calculateRefund, getRefundPolicy } = require("../../utils/refundPolicy");
+const { REFUND_COLUMNS, formatRefund, parsePayoutDetails, createRefundRequest } = require("../../utils/refunds");
+const { applyPromoToQuote, findPromoById } = require("../../utils/promo");
+const { loadChargeRules, applyChargesToQuote } = require("../../utils/charges");
+const {
+  getAllowedTransitions,
+  checkTransition,
+  getBookingActions,
+  recordStatusChange,
+} = require("../../utils/bookingStatus");
+const { getSnapClient, isMidtransConfigured } = require("../../utils/midtrans");
+const {
+  AMOUNT_PAID_SQL,
+  BALANCE_DUE_SQL,
+  PAYMENT_COLUMNS,
+  formatPayment,
+  getBookingBalance,
+  recordPayment,
+  releaseCancelledPayments,
+} = require("../../utils/payments");
+const { normalizeVoucherCode } = require("../../utils/giftVouchers");
+const { assignInvoiceNumber, loadInvoiceData, buildInvoicePdf } = require("../../utils/invoice");
+const { getCheckInQr, sendBookingConfirmationEmail } = require("../../utils/checkIn");
+const {
+  GUEST_COLUMNS,
+  GUEST_EDITABLE_STATUSES,
+  formatGuest,
+  validateGuestBody,
+  lockGuestBooking,
+  listBookingGuests,
+} = require("../../utils/bookingGuests");
+const {
+  getCampDailyUsage,
+  getEquipmentDailyUsage,
+  lockOverlappingBookings,
+} = require("../../utils/availability");
+const {
+  formatSite,
+  getSiteAvailability,
+  loadBookingSites,
+  saveBookingSites,
+} = require("../../utils/campSites");
+const { parseCalendarRange, buildCampCalendar } = require("../../utils/campCalendar");
+const { parseCampSearch, searchCamps } = require("../../utils/campSearch");
 
 const bookingRouter = express.Router();
 
-// ENDPOINT PUBLIC: Cek availability dengan URL simple (sesuai frontend)
-bookingRouter.get("/availability", async (req, res) => {
-  try {
-    if (!db) {
-      return res.status(500).json({ message: "Database is not configured on the server" });
-    }
+/**
+ * Ketersediaan camp per hari dan status site untuk rentang tanggal (dipakai kedua endpoint availability)
+ * @param {string} campPublicId - UUID camp
+ * @param {Object} query - { startDate, endDate }
+ * @returns {Promise<Object>} - { data } atau { error: { status, body } }
+ */
+const getCampAvailability = async (campPublicId, { startDate, endDate }) => {
+  if (!campPublicId || !startDate || !endDate) {
+    return { error: { status: 400, body: { message: "campId, startDate, dan endDate wajib diisi" } } };
+  }
 
-    const { campId, startDate, endDate } = req.query;
+  if (!UUID_REGEX.test(campPublicId)) {
+    return { error: { status: 400, body: { message: "campId harus berupa UUID yang valid" } } };
+  }
 
-    if (!campId || !startDate || !endDate) {
-      return res.status(400).json({ message: "campId, startDate, dan endDate wajib diisi" });
-    }
+  const start = new Date(startDate);
+  const end = new Date(endDate);
 
-    if (!UUID_REGEX.test(campId)) {
-      return res.status(400).json({ message: "campId harus berupa UUID yang valid" });
-    }
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: { status: 400, body: { message: "Format tanggal tidak valid" } } };
+  }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+  if (end <= start) {
+    return { error: { status: 400, body: { message: "endDate harus lebih besar dari startDate" } } };
+  }
 
-    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
-      return res.status(400).json({ message: "Format tanggal tidak valid" });
-    }
+  const campResult = await db.query(
+    'SELECT id, public_id, daily_capacity FROM "camps" WHERE public_id = $1 AND is_active = true',
+    [campPublicId]
+  );
 
-    if (end <= start) {
-      return res.status(400).json({ message: "endDate harus lebih besar dari startDate" });
-    }
+  if (campResult.rows.length === 0) {
+    return { error: { status: 404, body: { message: "Camp tidak ditemukan" } } };
+  }
 
-    const campResult = await db.query(
-      'SELECT id, public_id, daily_capacity FROM "camps" WHERE public_id = $1 AND is_active = true',
-      [campId]
-    );
+  const campRow = campResult.rows[0];
+
+  const [usage, sites] = await Promise.all([
+    getCampDailyUsage(db, campRow.id, startDate, endDate),
+    getSiteAvailability(db, campRow.id, startDate, endDate),
+  ]);
+
+  const availability = usage.map((row) => ({
+    date: row.day,
+    capacity: row.capacity,
+    isClosed: row.isClosed,
+    reason: row.reason,
+    used: row.confirmed + row.held,
+    confirmed: row.confirmed,
+    held: row.held,
+    remaining: Math.max(0, row.capacity - row.confirmed - row.held),
+  }));
+
+  return {
+    data: {
+      campId: campPublicId,
+      capacity: campRow.daily_capacity,
+      availability,
+      sites,
+    },
+  };
+};
 
-    if (campResult.rows.length === 0) {
-      return res.status(404).json({ message: "Camp tidak ditemukan" });
+// ENDPOINT PUBLIC: Cek availability dengan URL simple (sesuai frontend)
+bookingRouter.get("/availability", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured on the server" });
     }
 
-    const campRow = campResult.rows[0];
-    const campIdInternal = campRow.id;
-    const capacity = campRow.daily_capacity;
-
-    const query = `
-      WITH days AS (
-        SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
-      )
-      SELECT
-        d.day,
-        COALESCE(SUM(b.people_count), 0) AS used
-      FROM days d
-      LEFT JOIN "bookings" b
-        ON b.camp_id = $1
-       AND b.status IN ('PAID', 'CHECK_IN')
-       AND d.day >= b.start_date::date
-       AND d.day < b.end_date::date
-      GROUP BY d.day
-      ORDER BY d.day;
-    `;
-
-    const { rows } = await db.query(query, [campIdInternal, startDate, endDate]);
-
-    const availability = rows.map((row) => ({
-      date: row.day,
-      used: Number(row.used),
-      remaining: capacity - Number(row.used),
-    }));
+    const result = await getCampAvailability(req.query.campId, req.query);
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
 
-    return res.json({
-      campId: campId,
-      capacity,
-      availability,
-    });
+    return res.json(result.data);
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Internal server error" });
@@ -101,11 +161,82 @@ const upload = multer({
  * @swagger
  * /booking/camps:
  *   get:
- *     summary: Mendapatkan daftar semua camp yang aktif (Public)
+ *     summary: Mencari camp yang aktif (Public)
+ *     description: |
+ *       Tanpa parameter mengembalikan semua camp aktif urut nama (per halaman `limit`).
+ *       Jika startDate & endDate diisi, hanya camp yang sisa kuotanya cukup untuk peopleCount di setiap
+ *       malam dan lolos aturan booking yang dikembalikan, beserta `stay` (total harga menginap termasuk
+ *       pajak & biaya layanan). Filter & sort harga memakai `pricePerNight`: total camp per malam untuk
+ *       rombongan jika tanggal diisi, selain itu harga dasar per malam camp.
  *     tags: [Booking]
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: peopleCount
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Cari di lokasi atau nama camp
+ *       - in: query
+ *         name: amenities
+ *         schema:
+ *           type: string
+ *           example: toilet,listrik
+ *         description: Camp harus memiliki semua fasilitas (dipisah koma)
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, price, price_desc, rating, popularity]
+ *           default: name
+ *         description: rating & popularity (booking terbayar 90 hari terakhir) urut dari yang tertinggi
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor dari halaman sebelumnya
  *     responses:
  *       200:
- *         description: Daftar camp tersedia
+ *         description: |
+ *           { data, nextCursor }. data berisi camp beserta amenities, rating, reviewCount, popularity,
+ *           pricePerNight, stay (null jika tanpa tanggal) dan stayRules: aturan booking yang masih/akan
+ *           berlaku (minNights, maxNights, arrivalWeekdays, minLeadHours, maxAdvanceDays, maxPeople,
+ *           startDate/endDate null = berlaku setiap saat). nextCursor null jika tidak ada halaman berikutnya.
+ *       400:
+ *         description: Parameter pencarian tidak valid
  */
 bookingRouter.get("/camps", async (req, res) => {
   try {
@@ -113,23 +244,36 @@ bookingRouter.get("/camps", async (req, res) => {
       return res.status(500).json({ message: "Database is not configured" });
     }
 
-    const result = await db.query(
-      `SELECT public_id, name, description, location, nightly_price, photo_url 
-       FROM "camps" 
-       WHERE is_active = true 
-       ORDER BY name ASC`
-    );
+    const search = parseCampSearch(req.query);
+    if (search.error) {
+      return res.status(400).json({ message: search.error });
+    }
+
+    const { camps, nextCursor } = await searchCamps(db, search.filters);
+    const stayRules = await loadUpcomingStayRules(db, camps.map((row) => row.id));
 
-    return res.json(
-      result.rows.map((row) => ({
+    return res.json({
+      data: camps.map((row) => ({
         id: row.public_id,
         name: row.name,
         description: row.description,
         location: row.location,
         nightlyPrice: row.nightly_price,
+        priceModel: row.price_model,
+        baseFee: row.base_fee,
+        peoplePerPitch: row.people_per_pitch,
+        depositPercent: row.deposit_percent,
+        amenities: row.amenities,
+        rating: row.rating,
+        reviewCount: row.review_count,
+        popularity: row.popularity,
+        pricePerNight: row.pricePerNight,
+        stay: row.stay,
+        stayRules: stayRules.get(row.id),
         image_url: row.photo_url ? (row.photo_url.startsWith('http') ? row.photo_url : `${req.protocol}://${req.get("host")}/${row.photo_url}`) : null,
-      }))
-    );
+      })),
+      nextCursor,
+    });
   } catch (err) {
     console.error("Get User Camps Error:", err);
     return res.status(500).json({ message: "Internal server error" });
@@ -143,7 +287,6 @@ bookingRouter.get("/camps", async (req, res) => {
  *   description: Manajemen pemesanan camping dan peralatan
  */
 
-const PRICE_PER_PERSON_PER_DAY = 10000;
 const UUID_REGEX =
   /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
@@ -207,45 +350,29 @@ bookingRouter.get("/equipments", authenticate, async (req, res) => {
 
     const equipments = equipmentsResult.rows;
 
-      const usageQuery = `
-      WITH days AS (
-        SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
-      )
-      SELECT
-        d.day,
-        COALESCE(SUM(be.quantity), 0) as used
-      FROM days d
-      LEFT JOIN "bookings" b
-        ON b.status IN ('PAID', 'CHECK_IN')
-        AND d.day >= b.start_date::date
-        AND d.day < b.end_date::date
-      LEFT JOIN "booking_equipments" be
-        ON be.booking_id = b.id
-        AND be.equipment_id = $1
-      GROUP BY d.day
-    `;
-
     const resultWithAvailability = [];
 
     for (const eq of equipments) {
-      const usageResult = await db.query(usageQuery, [
-        eq.id,
-        startDate,
-        endDate,
-      ]);
+      const usage = await getEquipmentDailyUsage(db, eq.id, startDate, endDate);
 
+      let maxConfirmed = 0;
       let maxUsed = 0;
-      for (const row of usageResult.rows) {
-        const used = Number(row.used);
+      let maxHeld = 0;
+      for (const row of usage) {
+        const used = row.confirmed + row.held;
         if (used > maxUsed) {
           maxUsed = used;
         }
+        maxConfirmed = Math.max(maxConfirmed, row.confirmed);
+        maxHeld = Math.max(maxHeld, row.held);
       }
 
       const remaining = Number(eq.stock) - maxUsed;
 
       resultWithAvailability.push({
         ...eq,
+        confirmedStock: maxConfirmed,
+        heldStock: maxHeld,
         availableStock: remaining < 0 ? 0 : remaining,
       });
     }
@@ -286,7 +413,10 @@ bookingRouter.get("/equipments", authenticate, async (req, res) => {
  *         description: Tanggal selesai
  *     responses:
  *       200:
- *         description: Ketersediaan camp
+ *         description: |
+ *           Ketersediaan camp per hari (kapasitas hari itu mengikuti kalender kapasitas camp,
+ *           isClosed = true jika camp tutup), ditambah daftar site aktif beserta status available dan
+ *           tanggal yang sudah dipesan (bookedDates)
  *       400:
  *         description: Input tidak valid
  *       404:
@@ -303,83 +433,103 @@ bookingRouter.get(
           .json({ message: "Database is not configured on the server" });
       }
 
-      const campPublicId = req.params.campId;
-      const { startDate, endDate } = req.query;
-
-      if (!campPublicId || !startDate || !endDate) {
-        return res.status(400).json({
-          message: "campId, startDate, dan endDate wajib diisi",
-        });
-      }
-
-      if (!UUID_REGEX.test(campPublicId)) {
-        return res
-          .status(400)
-          .json({ message: "campId harus berupa UUID yang valid" });
+      const result = await getCampAvailability(req.params.campId, req.query);
+      if (result.error) {
+        return res.status(result.error.status).json(result.error.body);
       }
 
-      const start = new Date(startDate);
-      const end = new Date(endDate);
+      return res.json(result.data);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
 
-      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
-        return res.status(400).json({ message: "Format tanggal tidak valid" });
-      }
+/**
+ * @swagger
+ * /booking/camps/{campId}/calendar:
+ *   get:
+ *     summary: Kalender ketersediaan camp beberapa bulan (Public)
+ *     description: |
+ *       Satu request untuk widget pemilih tanggal. Kalender dimulai dari tanggal 1 bulan `from`
+ *       sepanjang `months` bulan. Response di-cache (Cache-Control + ETag) sehingga request ulang
+ *       dengan If-None-Match mendapat 304.
+ *     tags: [Booking]
+ *     parameters:
+ *       - in: path
+ *         name: campId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Camp (UUID)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2026-11"
+ *         description: Bulan awal (YYYY-MM atau YYYY-MM-DD), default bulan ini
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 6
+ *           default: 3
+ *         description: Jumlah bulan
+ *     responses:
+ *       200:
+ *         description: |
+ *           Data per hari: status (open, limited, full, closed), capacity, remaining, price dan rateName
+ *           (harga per malam sesuai tarif musiman), canCheckIn (boleh check-in pada tanggal itu: setiap
+ *           malam dari menginap minNights malam masih buka dan tersisa kuota minimal 1 orang),
+ *           minNights (minimal malam dari aturan booking yang mencakup malam-malam menginap),
+ *           arrivalRestrictions (kode aturan yang membuat tanggal tidak bisa dipakai check-in, dicek
+ *           seperti POST /booking untuk menginap minNights malam) dan reason (alasan camp tutup)
+ *       400:
+ *         description: Parameter tidak valid
+ *       404:
+ *         description: Camp tidak ditemukan
+ */
+bookingRouter.get("/camps/:campId/calendar", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured on the server" });
+    }
 
-      if (end <= start) {
-        return res
-          .status(400)
-          .json({ message: "endDate harus lebih besar dari startDate" });
-      }
+    const campPublicId = req.params.campId;
+    if (!UUID_REGEX.test(campPublicId)) {
+      return res.status(400).json({ message: "campId harus berupa UUID yang valid" });
+    }
 
-      const campResult = await db.query(
-        'SELECT id, public_id, daily_capacity FROM "camps" WHERE public_id = $1 AND is_active = true',
-        [campPublicId]
-      );
+    const range = parseCalendarRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
 
-      if (campResult.rows.length === 0) {
-        return res.status(404).json({ message: "Camp tidak ditemukan" });
-      }
+    const campResult = await db.query(
+      'SELECT id, public_id, nightly_price, daily_capacity FROM "camps" WHERE public_id = $1 AND is_active = true',
+      [campPublicId]
+    );
+    if (campResult.rows.length === 0) {
+      return res.status(404).json({ message: "Camp tidak ditemukan" });
+    }
 
-      const campRow = campResult.rows[0];
-      const campId = campRow.id;
-      const capacity = campRow.daily_capacity;
-
-      const query = `
-        WITH days AS (
-          SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
-        )
-        SELECT
-          d.day,
-          COALESCE(SUM(b.people_count), 0) AS used
-        FROM days d
-        LEFT JOIN "bookings" b
-          ON b.camp_id = $1
-         AND b.status IN ('PAID', 'CHECK_IN')
-         AND d.day >= b.start_date::date
-         AND d.day < b.end_date::date
-        GROUP BY d.day
-        ORDER BY d.day;
-      `;
-
-      const { rows } = await db.query(query, [campId, startDate, endDate]);
-
-      const availability = rows.map((row) => ({
-        date: row.day,
-        used: Number(row.used),
-        remaining: capacity - Number(row.used),
-      }));
+    const days = await buildCampCalendar(db, campResult.rows[0], range);
 
-      return res.json({
-        campId: campPublicId,
-        capacity,
-        availability,
-      });
-    } catch (err) {
-      console.error(err);
-      return res.status(500).json({ message: "Internal server error" });
-    }
+    res.set("Cache-Control", "public, max-age=60, stale-while-revalidate=300");
+    return res.json({
+      campId: campPublicId,
+      from: range.from,
+      to: days[days.length - 1].date,
+      months: range.months,
+      days,
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Internal server error" });
   }
-);
+});
 
 /**
  * @swagger
@@ -422,13 +572,28 @@ bookingRouter.get(
  *                       type: integer
  *                     nights:
  *                       type: integer
+ *               promoCode:
+ *                 type: string
+ *                 description: Kode promo (opsional), potongan disimpan di booking
+ *               siteIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: |
+ *                   Site yang dipesan (wajib jika camp punya site aktif). Total kapasitas site harus
+ *                   cukup untuk peopleCount; selisih harga site (priceModifier) dihitung per malam.
  *     responses:
  *       201:
- *         description: Booking berhasil dibuat
+ *         description: |
+ *           Booking berhasil dibuat. totalPrice adalah harga penuh, depositAmount adalah nominal
+ *           yang cukup dibayar untuk konfirmasi (sama dengan totalPrice jika camp tidak memakai DP).
  *       400:
- *         description: Input tidak valid atau kuota penuh
+ *         description: |
+ *           Input tidak valid, kuota penuh, site sudah dipesan, atau kode promo tidak berlaku.
+ *           Pelanggaran aturan booking camp dikembalikan dengan code STAY_RULE_VIOLATION dan daftar
+ *           violations (code: MIN_NIGHTS, MAX_NIGHTS, ARRIVAL_WEEKDAY, MIN_LEAD_TIME, MAX_ADVANCE, MAX_PEOPLE).
  *       404:
- *         description: Camp tidak ditemukan
+ *         description: Camp, site, atau kode promo tidak ditemukan
  */
 bookingRouter.post("/", authenticate, async (req, res) => {
   const client = db && (await db.connect());
@@ -447,213 +612,40 @@ bookingRouter.post("/", authenticate, async (req, res) => {
       startDate,
       endDate,
       peopleCount,
-      equipments,
     } = body;
 
-    if (!campPublicId || !startDate || !endDate || !peopleCount) {
-      return res.status(400).json({
-        message: "campId, startDate, endDate, dan peopleCount wajib diisi",
-      });
-    }
-
-    if (!UUID_REGEX.test(campPublicId)) {
-      return res
-        .status(400)
-        .json({ message: "campId harus berupa UUID yang valid" });
-    }
-
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-
-    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
-      return res.status(400).json({ message: "Format tanggal tidak valid" });
-    }
-
-    if (end <= start) {
-      return res
-        .status(400)
-        .json({ message: "endDate harus lebih besar dari startDate" });
-    }
-
-    if (peopleCount <= 0) {
-      return res
-        .status(400)
-        .json({ message: "peopleCount harus lebih besar dari 0" });
-    }
-
     await client.query("BEGIN");
 
-    const campResult = await client.query(
-      'SELECT id, public_id, daily_capacity FROM "camps" WHERE public_id = $1 AND is_active = true FOR UPDATE',
-      [campPublicId]
-    );
+    const check = await checkBookingRequest(client, body, {
+      lock: true,
+      userId: req.user.id,
+      requireSites: true,
+    });
 
-    if (campResult.rows.length === 0) {
+    if (check.error) {
       await client.query("ROLLBACK");
-      return res.status(404).json({ message: "Camp tidak ditemukan" });
+      return res.status(check.error.status).json(check.error.body);
     }
 
-    const campRow = campResult.rows[0];
-    const campId = campRow.id;
-    const capacity = campRow.daily_capacity;
-
-    const lockQuery = `
-      SELECT id
-      FROM "bookings"
-      WHERE camp_id = $1
-      AND status IN ('PAID', 'CHECK_IN')
-      AND start_date::date < $3::date
-      AND end_date::date > $2::date
-      FOR UPDATE;
-    `;
-
-    await client.query(lockQuery, [campId, startDate, endDate]);
-
-    const availabilityQuery = `
-      WITH days AS (
-        SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
-      )
-      SELECT
-        d.day,
-        COALESCE(SUM(b.people_count), 0) AS used
-      FROM days d
-      LEFT JOIN "bookings" b
-        ON b.camp_id = $1
-       AND b.status IN ('PAID', 'CHECK_IN')
-       AND d.day >= b.start_date::date
-       AND d.day < b.end_date::date
-      GROUP BY d.day
-      ORDER BY d.day;
-    `;
-
-    const availabilityResult = await client.query(availabilityQuery, [
-      campId,
-      startDate,
-      endDate,
-    ]);
-
-    const insufficient = availabilityResult.rows.find((row) => {
-      const used = Number(row.used);
-      return used + Number(peopleCount) > capacity;
-    });
-
-    if (insufficient) {
+    if (check.ruleViolations.length > 0) {
       await client.query("ROLLBACK");
-      return res.status(400).json({
-        message: "Kuota penuh pada tanggal yang dipilih",
-        date: insufficient.day,
-      });
+      return res.status(400).json(violationsToResponse(check.ruleViolations));
     }
 
-    const msPerDay = 1000 * 60 * 60 * 24;
-    const startUTC = Date.UTC(
-      start.getUTCFullYear(),
-      start.getUTCMonth(),
-      start.getUTCDate()
-    );
-    const endUTC = Date.UTC(
-      end.getUTCFullYear(),
-      end.getUTCMonth(),
-      end.getUTCDate()
-    );
-    const nights = Math.max(1, Math.floor((endUTC - startUTC) / msPerDay));
-
-    let totalPrice = nights * PRICE_PER_PERSON_PER_DAY * Number(peopleCount);
-    const equipmentInserts = [];
-
-    if (equipments && Array.isArray(equipments) && equipments.length > 0) {
-      for (const item of equipments) {
-        const {
-          equipmentId: equipmentPublicId,
-          quantity,
-          nights: itemNights,
-        } = item;
-        if (quantity <= 0) continue;
-
-        if (!UUID_REGEX.test(equipmentPublicId)) {
-          await client.query("ROLLBACK");
-          return res.status(400).json({
-            message: "equipmentId harus berupa UUID yang valid",
-          });
-        }
-
-        const eqResult = await client.query(
-          'SELECT * FROM "equipments" WHERE public_id = $1',
-          [equipmentPublicId]
-        );
-        if (eqResult.rows.length === 0) {
-          await client.query("ROLLBACK");
-          return res.status(400).json({
-            message: `Alat dengan ID ${equipmentPublicId} tidak ditemukan`,
-          });
-        }
-        const eq = eqResult.rows[0];
-        const equipmentId = eq.id;
-
-        let rentalNights = Number(itemNights);
-        if (!itemNights && itemNights !== 0) {
-          rentalNights = nights;
-        }
-        if (!Number.isFinite(rentalNights) || rentalNights <= 0) {
-          await client.query("ROLLBACK");
-          return res
-            .status(400)
-            .json({ message: "nights untuk alat harus lebih besar dari 0" });
-        }
-        if (rentalNights > nights) {
-          await client.query("ROLLBACK");
-          return res.status(400).json({
-            message: "nights untuk alat tidak boleh melebihi durasi menginap",
-          });
-        }
-
-        const usageQuery = `
-          WITH days AS (
-            SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
-          )
-          SELECT
-            d.day,
-            COALESCE(SUM(be.quantity), 0) as used
-          FROM days d
-          LEFT JOIN bookings b
-            ON b.status IN ('PAID', 'CHECK_IN')
-            AND d.day >= b.start_date::date
-            AND d.day < b.end_date::date
-          LEFT JOIN booking_equipments be
-            ON be.booking_id = b.id
-            AND be.equipment_id = $1
-          GROUP BY d.day
-        `;
-
-        const usageResult = await client.query(usageQuery, [
-          equipmentId,
-          startDate,
-          endDate,
-        ]);
-
-        const isFull = usageResult.rows.find(
-          (row) => Number(row.used) + Number(quantity) > eq.stock
-        );
-        if (isFull) {
-          await client.query("ROLLBACK");
-          return res
-            .status(400)
-            .json({ message: `Stok alat '${eq.name}' tidak mencukupi (sisa: ${eq.stock - Number(isFull.used)})` });
-        }
-
-        const itemPriceTotal = eq.price * quantity * rentalNights;
-        totalPrice += itemPriceTotal;
-        equipmentInserts.push({
-          equipmentId,
-          quantity,
-          nights: rentalNights,
-          price: itemPriceTotal,
-        });
-      }
+    if (check.conflicts.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json(conflictToResponse(check.conflicts[0]));
     }
 
+    const { camp: campRow, nights, selectedEquipments, selectedSites, quote, promo } = check;
+    const campId = campRow.id;
+    const totalPrice = quote.totalPrice;
+    const depositPercent = Number(campRow.deposit_percent) || 0;
+    const depositAmount = calculateDeposit(totalPrice, depositPercent);
+    const paymentDeadline = getPaymentDeadline();
+
     const insertResult = await client.query(
-      'INSERT INTO "bookings" (user_id, camp_id, start_date, end_date, people_count, total_price, status) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, public_id, status',
+      'INSERT INTO "bookings" (user_id, camp_id, start_date, end_date, people_count, total_price, price_breakdown, status, payment_deadline, deposit_percent, deposit_amount, promo_code_id, promo_code, gross_price, discount_amount, tax_amount, service_fee_amount) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING id, public_id, status, payment_deadline',
       [
         req.user.id,
         campId,
@@ -661,20 +653,38 @@ bookingRouter.post("/", authenticate, async (req, res) => {
         endDate,
         peopleCount,
         totalPrice,
+        JSON.stringify(quote),
         "PENDING",
+        paymentDeadline,
+        depositPercent,
+        depositAmount,
+        promo ? promo.id : null,
+        quote.promoCode,
+        quote.grossPrice,
+        quote.discountAmount,
+        quote.taxAmount,
+        quote.serviceFeeAmount,
       ]
     );
 
     const bookingRow = insertResult.rows[0];
     const bookingId = bookingRow.id;
 
-    for (const ins of equipmentInserts) {
+    for (const item of selectedEquipments) {
       await client.query(
         'INSERT INTO "booking_equipments" (booking_id, equipment_id, quantity, nights, price) VALUES ($1, $2, $3, $4, $5)',
-        [bookingId, ins.equipmentId, ins.quantity, ins.nights, ins.price]
+        [
+          bookingId,
+          item.equipment.id,
+          item.quantity,
+          item.nights,
+          item.equipment.price * item.quantity * item.nights,
+        ]
       );
     }
 
+    await saveBookingSites(client, bookingId, selectedSites, nights);
+
     await client.query("COMMIT");
 
     const io = getIO();
@@ -689,6 +699,7 @@ bookingRouter.post("/", authenticate, async (req, res) => {
         peopleCount,
         totalPrice,
         status: bookingRow.status,
+        paymentDeadline: bookingRow.payment_deadline,
       });
     }
 
@@ -698,8 +709,20 @@ bookingRouter.post("/", authenticate, async (req, res) => {
       startDate,
       endDate,
       peopleCount,
+      grossPrice: quote.grossPrice,
+      discountAmount: quote.discountAmount,
+      promoCode: quote.promoCode,
+      subtotal: quote.subtotal,
+      taxAmount: quote.taxAmount,
+      serviceFeeAmount: quote.serviceFeeAmount,
       totalPrice,
+      depositPercent,
+      depositAmount,
+      priceBreakdown: quote,
+      nightlyBreakdown: quote.perNight,
+      sites: selectedSites.map(formatSite),
       status: bookingRow.status,
+      paymentDeadline: bookingRow.payment_deadline,
     });
   } catch (err) {
     if (client) {
@@ -716,19 +739,17 @@ bookingRouter.post("/", authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /booking/{bookingId}/equipments:
- *   put:
- *     summary: Update peralatan booking
+ * /booking/quote:
+ *   post:
+ *     summary: Hitung harga booking tanpa membuat booking
+ *     description: |
+ *       Menjalankan validasi yang sama dengan POST /booking (kuota harian camp, site, stok alat,
+ *       durasi sewa alat) lalu mengembalikan rincian harga beserta konflik kuota/stok.
+ *       Rincian sudah termasuk pajak dan biaya layanan yang aktif (taxAmount, serviceFeeAmount).
+ *       Tidak ada data yang ditulis ke database.
  *     tags: [Booking]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: bookingId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID Booking (UUID)
  *     requestBody:
  *       required: true
  *       content:
@@ -736,8 +757,21 @@ bookingRouter.post("/", authenticate, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - equipments
+ *               - campId
+ *               - startDate
+ *               - endDate
+ *               - peopleCount
  *             properties:
+ *               campId:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               peopleCount:
+ *                 type: integer
  *               equipments:
  *                 type: array
  *                 items:
@@ -749,13 +783,118 @@ bookingRouter.post("/", authenticate, async (req, res) => {
  *                       type: integer
  *                     nights:
  *                       type: integer
+ *               promoCode:
+ *                 type: string
+ *               siteIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *     responses:
  *       200:
- *         description: Peralatan berhasil diupdate
+ *         description: |
+ *           Rincian harga, daftar konflik, dan pelanggaran aturan booking (ruleViolations).
+ *           available = false jika ada konflik atau pelanggaran aturan.
  *       400:
- *         description: Input tidak valid
+ *         description: Input tidak valid atau kode promo tidak berlaku
+ *       404:
+ *         description: Camp atau kode promo tidak ditemukan
+ */
+bookingRouter.post("/quote", authenticate, async (req, res) => {
+  try {
+    if (!db) {
+      return res
+        .status(500)
+        .json({ message: "Database is not configured on the server" });
+    }
+
+    const body =
+      req.body && typeof req.body === "object" ? req.body : {};
+
+    const check = await checkBookingRequest(db, body, { userId: req.user.id });
+
+    if (check.error) {
+      return res.status(check.error.status).json(check.error.body);
+    }
+
+    const { quote, conflicts, ruleViolations } = check;
+
+    return res.json({
+      campId: body.campId,
+      startDate: body.startDate,
+      endDate: body.endDate,
+      peopleCount: Number(body.peopleCount),
+      nights: check.nights,
+      available: conflicts.length === 0 && ruleViolations.length === 0,
+      conflicts,
+      ruleViolations,
+      grossPrice: quote.grossPrice,
+      discountAmount: quote.discountAmount,
+      promoCode: quote.promoCode,
+      subtotal: quote.subtotal,
+      taxAmount: quote.taxAmount,
+      serviceFeeAmount: quote.serviceFeeAmount,
+      totalPrice: quote.totalPrice,
+      depositPercent: Number(check.camp.deposit_percent) || 0,
+      depositAmount: calculateDeposit(quote.totalPrice, check.camp.deposit_percent),
+      priceBreakdown: quote,
+      nightlyBreakdown: quote.perNight,
+      sites: check.selectedSites.map(formatSite),
+    });
+  } catch (err) {
+    console.error("Booking quote error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/equipments:
+ *   put:
+ *     summary: Update peralatan booking
+ *     description: |
+ *       Hanya untuk booking PENDING. Harga, DP, dan sisa tagihan dihitung ulang; perubahan harga
+ *       dicatat di booking_changes.
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - equipments
+ *             properties:
+ *               equipments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     equipmentId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     nights:
+ *                       type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Peralatan berhasil diupdate beserta total, DP, dan sisa tagihan baru
+ *       400:
+ *         description: Input tidak valid
  *       404:
  *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Booking bukan PENDING
  */
 bookingRouter.put("/:bookingId/equipments", authenticate, async (req, res) => {
   const client = db && (await db.connect());
@@ -787,7 +926,7 @@ bookingRouter.put("/:bookingId/equipments", authenticate, async (req, res) => {
     await client.query("BEGIN");
 
     const bookingResult = await client.query(
-      'SELECT id, public_id, user_id, camp_id, start_date, end_date, people_count, total_price FROM "bookings" WHERE public_id = $1 FOR UPDATE',
+      'SELECT id, public_id, user_id, camp_id, start_date, end_date, people_count, total_price, status, deposit_percent, promo_code_id FROM "bookings" WHERE public_id = $1 FOR UPDATE',
       [bookingPublicId]
     );
 
@@ -804,29 +943,23 @@ bookingRouter.put("/:bookingId/equipments", authenticate, async (req, res) => {
       return res.status(403).json({ message: "Forbidden" });
     }
 
+    // Alat hanya bisa diganti sebelum booking dibayar; setelah itu gunakan PATCH /booking/{bookingId}
+    if (booking.status !== "PENDING") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        message: `Peralatan booking dengan status ${booking.status} tidak bisa diubah`,
+      });
+    }
+
     const startDate = booking.start_date;
     const endDate = booking.end_date;
     const peopleCount = booking.people_count;
     const campId = booking.camp_id;
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-
-    const msPerDay = 1000 * 60 * 60 * 24;
-    const startUTC = Date.UTC(
-      start.getUTCFullYear(),
-      start.getUTCMonth(),
-      start.getUTCDate()
-    );
-    const endUTC = Date.UTC(
-      end.getUTCFullYear(),
-      end.getUTCMonth(),
-      end.getUTCDate()
-    );
-    const nights = Math.max(1, Math.floor((endUTC - startUTC) / msPerDay));
+    const nights = countNights(startDate, endDate);
 
     const campResult = await client.query(
-      'SELECT id, daily_capacity FROM "camps" WHERE id = $1 AND is_active = true FOR UPDATE',
+      'SELECT id, name, daily_capacity, nightly_price, price_model, base_fee, people_per_pitch FROM "camps" WHERE id = $1 AND is_active = true FOR UPDATE',
       [campId]
     );
 
@@ -835,50 +968,25 @@ bookingRouter.put("/:bookingId/equipments", authenticate, async (req, res) => {
       return res.status(404).json({ message: "Camp tidak ditemukan" });
     }
 
-    const capacity = campResult.rows[0].daily_capacity;
-
-    const lockQuery = `
-      SELECT id
-      FROM "bookings"
-      WHERE camp_id = $1
-        AND status IN ('PAID', 'CHECK_IN')
-        AND start_date::date < $3::date
-        AND end_date::date > $2::date
-      FOR UPDATE;
-    `;
-
-    await client.query(lockQuery, [campId, startDate, endDate]);
-
-    const availabilityQuery = `
-      WITH days AS (
-        SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
-      )
-      SELECT
-        d.day,
-        COALESCE(SUM(b.people_count), 0) AS used
-      FROM days d
-      LEFT JOIN "bookings" b
-        ON b.camp_id = $1
-       AND b.status IN ('PAID', 'CHECK_IN')
-       AND d.day >= b.start_date::date
-       AND d.day < b.end_date::date
-      GROUP BY d.day
-      ORDER BY d.day;
-    `;
-
-    const availabilityResult = await client.query(availabilityQuery, [
-      campId,
-      startDate,
-      endDate,
-    ]);
+    const campRow = campResult.rows[0];
+
+    await lockOverlappingBookings(client, campId, startDate, endDate);
 
-    const insufficient = availabilityResult.rows.find((row) => {
-      const used = Number(row.used);
-      return used + Number(peopleCount) > capacity;
+    const campUsage = await getCampDailyUsage(client, campId, startDate, endDate, {
+      excludeBookingId: bookingId,
     });
 
+    const insufficient = campUsage.find(
+      (row) => row.confirmed + row.held + Number(peopleCount) > row.capacity
+    );
+
     if (insufficient) {
       await client.query("ROLLBACK");
+      if (insufficient.isClosed) {
+        return res.status(400).json(
+          conflictToResponse({ type: "closed", date: insufficient.day, reason: insufficient.reason })
+        );
+      }
       return res.status(400).json({
         message: "Kuota penuh pada tanggal yang dipilih",
         date: insufficient.day,
@@ -890,10 +998,7 @@ bookingRouter.put("/:bookingId/equipments", authenticate, async (req, res) => {
       [bookingId]
     );
 
-    let totalPrice =
-      nights * PRICE_PER_PERSON_PER_DAY * Number(peopleCount);
-
-    const equipmentInserts = [];
+    const selectedEquipments = [];
 
     for (const item of equipments) {
       const {
@@ -901,7 +1006,7 @@ bookingRouter.put("/:bookingId/equipments", authenticate, async (req, res) => {
         quantity,
         nights: itemNights,
       } = item;
-      if (!equipmentId || !quantity || quantity <= 0) {
+      if (!equipmentPublicId || !quantity || quantity <= 0) {
         await client.query("ROLLBACK");
         return res.status(400).json({
           message: "equipmentId dan quantity untuk setiap alat wajib diisi",
@@ -923,10 +1028,9 @@ bookingRouter.put("/:bookingId/equipments", authenticate, async (req, res) => {
         await client.query("ROLLBACK");
         return res
           .status(400)
-          .json({ message: `Alat dengan ID ${equipmentId} tidak ditemukan` });
+          .json({ message: `Alat dengan ID ${equipmentPublicId} tidak ditemukan` });
       }
       const eq = eqResult.rows[0];
-      const equipmentId = eq.id;
 
       let rentalNights = Number(itemNights);
       if (!itemNights && itemNights !== 0) {
@@ -945,77 +1049,124 @@ bookingRouter.put("/:bookingId/equipments", authenticate, async (req, res) => {
         });
       }
 
-      const usageQuery = `
-        WITH days AS (
-          SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
-        )
-        SELECT
-          d.day,
-          COALESCE(SUM(be.quantity), 0) as used
-        FROM days d
-        LEFT JOIN bookings b
-          ON b.status IN ('PAID', 'CHECK_IN')
-          AND d.day >= b.start_date::date
-          AND d.day < b.end_date::date
-        LEFT JOIN booking_equipments be
-          ON be.booking_id = b.id
-          AND be.equipment_id = $1
-        GROUP BY d.day
-      `;
-
-      const usageResult = await client.query(usageQuery, [
-        equipmentId,
-        startDate,
-        endDate,
-      ]);
+      const usage = await getEquipmentDailyUsage(client, eq.id, startDate, endDate, {
+        excludeBookingId: bookingId,
+      });
 
-      const isFull = usageResult.rows.find(
-        (row) => Number(row.used) + Number(quantity) > eq.stock
+      const isFull = usage.find(
+        (row) => row.confirmed + row.held + Number(quantity) > eq.stock
       );
       if (isFull) {
         await client.query("ROLLBACK");
         return res.status(400).json({
           message: `Stok alat '${eq.name}' tidak mencukupi (sisa: ${
-            eq.stock - Number(isFull.used)
+            eq.stock - isFull.confirmed - isFull.held
           })`,
         });
       }
 
-      const itemPriceTotal = eq.price * quantity * rentalNights;
-      totalPrice += itemPriceTotal;
-      equipmentInserts.push({
-        equipmentId,
+      selectedEquipments.push({
+        equipment: eq,
         quantity,
         nights: rentalNights,
-        price: itemPriceTotal,
       });
     }
 
-    for (const ins of equipmentInserts) {
+    // Promo yang sudah dipakai booking tetap berlaku, potongan, pajak, dan biaya layanan dihitung ulang dari harga baru
+    const rates = await loadCampRates(client, campId, startDate, endDate);
+    const sites = await loadBookingSites(client, bookingId);
+    const quote = applyChargesToQuote(
+      applyPromoToQuote(
+        buildQuote({
+          camp: campRow,
+          startDate,
+          nights,
+          peopleCount,
+          rates,
+          equipments: selectedEquipments,
+          sites,
+        }),
+        await findPromoById(client, booking.promo_code_id)
+      ),
+      await loadChargeRules(client)
+    );
+    const totalPrice = quote.totalPrice;
+
+    for (const item of selectedEquipments) {
       await client.query(
         'INSERT INTO "booking_equipments" (booking_id, equipment_id, quantity, nights, price) VALUES ($1, $2, $3, $4, $5)',
-        [bookingId, ins.equipmentId, ins.quantity, ins.nights, ins.price]
+        [
+          bookingId,
+          item.equipment.id,
+          item.quantity,
+          item.nights,
+          item.equipment.price * item.quantity * item.nights,
+        ]
       );
     }
 
+    await saveBookingSites(client, bookingId, sites, nights);
+
+    const previousTotal = Number(booking.total_price);
+    const priceDifference = totalPrice - previousTotal;
+    const depositAmount = calculateDeposit(totalPrice, booking.deposit_percent);
+
+    // Pembayaran yang sudah terkonfirmasi (mis. voucher sebagian) dicatat sebagai kekurangan atau refund
+    const { amountPaid } = await getBookingBalance(client, bookingId);
+    let settlement = "NONE";
+    if (amountPaid > 0 && priceDifference > 0) settlement = "OWED";
+    if (amountPaid > 0 && priceDifference < 0) settlement = "REFUND";
+
+    await client.query(
+      'UPDATE "bookings" SET total_price = $1, price_breakdown = $2, deposit_amount = $3, gross_price = $4, discount_amount = $5, tax_amount = $6, service_fee_amount = $7 WHERE id = $8',
+      [
+        totalPrice,
+        JSON.stringify(quote),
+        depositAmount,
+        quote.grossPrice,
+        quote.discountAmount,
+        quote.taxAmount,
+        quote.serviceFeeAmount,
+        bookingId,
+      ]
+    );
+
     await client.query(
-      'UPDATE "bookings" SET total_price = $1 WHERE id = $2',
-      [totalPrice, bookingId]
+      `INSERT INTO "booking_changes"
+        (booking_id, changed_by, reason, old_start_date, old_end_date, old_people_count, old_total_price,
+         new_start_date, new_end_date, new_people_count, new_total_price, price_difference, settlement)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $4, $5, $6, $8, $9, $10)`,
+      [
+        bookingId,
+        req.user.id,
+        body.reason || "Perubahan peralatan",
+        startDate,
+        endDate,
+        peopleCount,
+        previousTotal,
+        totalPrice,
+        priceDifference,
+        settlement,
+      ]
     );
 
+    const balance = await getBookingBalance(client, bookingId);
+
     await client.query("COMMIT");
 
-    return res.status(201).json({
-      message: "Booking berhasil dibuat. Silakan lakukan pembayaran.",
+    return res.json({
+      message: "Peralatan booking berhasil diubah",
       id: booking.public_id,
+      status: booking.status,
       totalPrice,
-      status: "PENDING",
-      payment_instructions: {
-        method: "QRIS / Transfer Bank",
-        account_name: "Potrobayan Camping Ground",
-        qr_url: "https://arfkxqnuczyrbkizvsqv.supabase.co/storage/v1/object/public/bookings/qris.png",
-        instructions: "Silakan scan QRIS di atas atau transfer ke rekening yang tertera, lalu unggah bukti pembayaran melalui tombol 'Upload Bukti'."
-      }
+      previousTotalPrice: previousTotal,
+      priceDifference,
+      settlement,
+      depositAmount,
+      amountPaid: balance.amountPaid,
+      depositDue: balance.depositDue,
+      balanceDue: balance.balanceDue,
+      priceBreakdown: quote,
     });
   } catch (err) {
     if (client) {
@@ -1030,6 +1181,314 @@ bookingRouter.put("/:bookingId/equipments", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /booking/{bookingId}:
+ *   patch:
+ *     summary: Ubah tanggal atau jumlah orang pada booking
+ *     description: |
+ *       Menjalankan ulang pengecekan kuota dan stok alat (dengan lock) seperti POST /booking,
+ *       menghitung ulang harga, dan mencatat selisih harga sebagai kekurangan bayar atau refund.
+ *       Nilai sebelumnya disimpan di booking_changes. Durasi sewa alat dipotong jika melebihi durasi baru.
+ *       Promo yang syaratnya tidak lagi terpenuhi dilepas dari booking (alasannya di promoRemoved).
+ *       Site booking tetap sama kecuali siteIds dikirim; ketersediaan site dicek ulang untuk tanggal baru.
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               peopleCount:
+ *                 type: integer
+ *               siteIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Ganti site yang dipesan (opsional)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking berhasil diubah beserta selisih harga
+ *       400:
+ *         description: Input tidak valid, kuota/stok tidak cukup, atau melanggar aturan booking camp
+ *       404:
+ *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Status booking tidak bisa diubah
+ */
+bookingRouter.patch("/:bookingId", authenticate, async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "bookingId harus berupa UUID yang valid" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const { startDate, endDate, peopleCount, siteIds, reason } = body;
+
+    if (
+      startDate === undefined &&
+      endDate === undefined &&
+      peopleCount === undefined &&
+      siteIds === undefined
+    ) {
+      return res.status(400).json({ message: "startDate, endDate, peopleCount, atau siteIds wajib diisi" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const bookingResult = await client.query(
+      `SELECT b.id, b.public_id, b.user_id, b.start_date, b.end_date, b.people_count, b.total_price, b.status,
+              b.deposit_percent, b.promo_code_id, c.public_id AS camp_public_id
+       FROM "bookings" b
+       JOIN "camps" c ON c.id = b.camp_id
+       WHERE b.public_id = $1
+       FOR UPDATE OF b`,
+      [bookingPublicId]
+    );
+
+    if (bookingResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+
+    const booking = bookingResult.rows[0];
+
+    if (booking.user_id !== req.user.id && req.user.role !== "ADMIN") {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    if (!["PENDING", "PAID"].includes(booking.status)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        message: `Booking dengan status ${booking.status} tidak bisa diubah`,
+      });
+    }
+
+    const next = {
+      startDate: startDate !== undefined ? startDate : toDateKey(booking.start_date),
+      endDate: endDate !== undefined ? endDate : toDateKey(booking.end_date),
+      peopleCount: peopleCount !== undefined ? Number(peopleCount) : booking.people_count,
+      siteIds:
+        siteIds !== undefined
+          ? siteIds
+          : (await loadBookingSites(client, booking.id)).map((site) => site.public_id),
+    };
+
+    // Jumlah orang tidak boleh lebih kecil dari tamu yang sudah terdaftar di manifest
+    const guestCountResult = await client.query(
+      'SELECT COUNT(*)::int AS count FROM "booking_guests" WHERE booking_id = $1',
+      [booking.id]
+    );
+    if (next.peopleCount < guestCountResult.rows[0].count) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        message: `Sudah ada ${guestCountResult.rows[0].count} tamu terdaftar, hapus tamu terlebih dahulu sebelum mengurangi jumlah orang`,
+        guestCount: guestCountResult.rows[0].count,
+      });
+    }
+
+    const currentEquipments = await client.query(
+      `SELECT e.public_id, be.quantity, be.nights
+       FROM "booking_equipments" be
+       JOIN "equipments" e ON e.id = be.equipment_id
+       WHERE be.booking_id = $1`,
+      [booking.id]
+    );
+
+    // Durasi sewa alat tidak boleh melebihi durasi menginap yang baru
+    const newNights = countNights(next.startDate, next.endDate);
+    const equipments = currentEquipments.rows.map((row) => ({
+      equipmentId: row.public_id,
+      quantity: row.quantity,
+      nights: Math.min(row.nights, newNights),
+    }));
+
+    // Promo tetap dipakai selama syaratnya (tanggal, minimal malam, camp) masih terpenuhi
+    const check = await checkBookingRequest(
+      client,
+      { campId: booking.camp_public_id, ...next, equipments },
+      {
+        lock: true,
+        excludeBookingId: booking.id,
+        userId: booking.user_id,
+        promo: await findPromoById(client, booking.promo_code_id),
+        // Jarak waktu pemesanan hanya dicek ulang jika tanggal check-in dipindah
+        checkRuleTiming: next.startDate !== toDateKey(booking.start_date),
+      }
+    );
+
+    if (check.error) {
+      await client.query("ROLLBACK");
+      return res.status(check.error.status).json(check.error.body);
+    }
+
+    if (check.ruleViolations.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json(violationsToResponse(check.ruleViolations));
+    }
+
+    if (check.conflicts.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json(conflictToResponse(check.conflicts[0]));
+    }
+
+    const { selectedEquipments, selectedSites, quote, promo, promoRemoved } = check;
+
+    const previousTotal = Number(booking.total_price);
+    const priceDifference = quote.totalPrice - previousTotal;
+
+    // Booking tanpa pembayaran terkonfirmasi cukup mengubah total tagihan; yang sudah
+    // ada pembayaran di ledger mencatat kekurangan atau refund
+    const { amountPaid } = await getBookingBalance(client, booking.id);
+    const isPaid = amountPaid > 0;
+    let settlement = "NONE";
+    if (isPaid && priceDifference > 0) settlement = "OWED";
+    if (isPaid && priceDifference < 0) settlement = "REFUND";
+
+    await client.query(
+      `UPDATE "bookings"
+       SET start_date = $1, end_date = $2, people_count = $3, total_price = $4, price_breakdown = $5, deposit_amount = $6,
+           promo_code_id = $7, promo_code = $8, gross_price = $9, discount_amount = $10,
+           tax_amount = $11, service_fee_amount = $12
+       WHERE id = $13`,
+      [
+        next.startDate,
+        next.endDate,
+        next.peopleCount,
+        quote.totalPrice,
+        JSON.stringify(quote),
+        calculateDeposit(quote.totalPrice, booking.deposit_percent),
+        promo ? promo.id : null,
+        quote.promoCode,
+        quote.grossPrice,
+        quote.discountAmount,
+        quote.taxAmount,
+        quote.serviceFeeAmount,
+        booking.id,
+      ]
+    );
+
+    await client.query('DELETE FROM "booking_equipments" WHERE booking_id = $1', [booking.id]);
+    for (const item of selectedEquipments) {
+      await client.query(
+        'INSERT INTO "booking_equipments" (booking_id, equipment_id, quantity, nights, price) VALUES ($1, $2, $3, $4, $5)',
+        [
+          booking.id,
+          item.equipment.id,
+          item.quantity,
+          item.nights,
+          item.equipment.price * item.quantity * item.nights,
+        ]
+      );
+    }
+
+    await saveBookingSites(client, booking.id, selectedSites, newNights);
+
+    await client.query(
+      `INSERT INTO "booking_changes"
+        (booking_id, changed_by, reason, old_start_date, old_end_date, old_people_count, old_total_price,
+         new_start_date, new_end_date, new_people_count, new_total_price, price_difference, settlement)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [
+        booking.id,
+        req.user.id,
+        reason || null,
+        booking.start_date,
+        booking.end_date,
+        booking.people_count,
+        previousTotal,
+        next.startDate,
+        next.endDate,
+        next.peopleCount,
+        quote.totalPrice,
+        priceDifference,
+        settlement,
+      ]
+    );
+
+    await client.query("COMMIT");
+
+    const io = getIO();
+    if (io) {
+      io.emit("booking:updated", {
+        id: booking.public_id,
+        userId: booking.user_id,
+        startDate: next.startDate,
+        endDate: next.endDate,
+        peopleCount: next.peopleCount,
+        totalPrice: quote.totalPrice,
+        priceDifference,
+        settlement,
+      });
+    }
+
+    return res.json({
+      message: "Booking berhasil diubah",
+      id: booking.public_id,
+      status: booking.status,
+      startDate: next.startDate,
+      endDate: next.endDate,
+      peopleCount: next.peopleCount,
+      previous: {
+        startDate: booking.start_date,
+        endDate: booking.end_date,
+        peopleCount: booking.people_count,
+        totalPrice: previousTotal,
+      },
+      grossPrice: quote.grossPrice,
+      discountAmount: quote.discountAmount,
+      promoCode: quote.promoCode,
+      promoRemoved,
+      subtotal: quote.subtotal,
+      taxAmount: quote.taxAmount,
+      serviceFeeAmount: quote.serviceFeeAmount,
+      totalPrice: quote.totalPrice,
+      priceDifference,
+      settlement,
+      amountOwed: settlement === "OWED" ? priceDifference : 0,
+      amountToRefund: settlement === "REFUND" ? -priceDifference : 0,
+      priceBreakdown: quote,
+      nightlyBreakdown: quote.perNight,
+      sites: selectedSites.map(formatSite),
+    });
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Modify Booking Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
 /**
  * @swagger
  * /booking/{bookingId}/pay:
@@ -1054,16 +1513,32 @@ bookingRouter.put("/:bookingId/equipments", authenticate, async (req, res) => {
  *               payment_proof:
  *                 type: string
  *                 format: binary
+ *               amount:
+ *                 type: integer
+ *                 description: |
+ *                   Nominal yang ditransfer (default DP yang belum dibayar, atau sisa tagihan), maksimal sisa tagihan.
+ *                   Hanya informasi untuk admin; yang dicatat saat disetujui adalah nominal yang diverifikasi admin.
+ *                   Unggah ulang menggantikan bukti bayar yang masih menunggu verifikasi.
  *     responses:
  *       200:
  *         description: Bukti pembayaran berhasil diunggah
  *       400:
- *         description: Booking tidak valid atau sudah dibayar
+ *         description: Booking tidak valid, sudah dibayar, atau amount melebihi sisa tagihan
  *       404:
  *         description: Booking tidak ditemukan
  */
+// Nominal bukti bayar dari tamu: opsional, maksimal sisa tagihan. Mengembalikan pesan error atau null
+const validateProofAmount = (balance, declared) => {
+  if (balance.balanceDue <= 0) return "Booking sudah lunas";
+  if (declared === undefined || declared === null || declared === "") return null;
+  if (!Number.isInteger(Number(declared)) || Number(declared) <= 0) return "amount harus berupa angka bulat > 0";
+  if (Number(declared) > balance.balanceDue) return `amount tidak boleh melebihi sisa tagihan Rp${balance.balanceDue}`;
+  return null;
+};
+
 // Upload Payment Proof (Manual Verification Flow)
 bookingRouter.post("/:bookingId/pay", authenticate, upload.single("payment_proof"), async (req, res) => {
+  let client = null;
   try {
     if (!db) {
       return res.status(500).json({ message: "Database is not configured" });
@@ -1076,7 +1551,7 @@ bookingRouter.post("/:bookingId/pay", authenticate, upload.single("payment_proof
     }
 
     const { rows } = await db.query(
-      'SELECT id, user_id, status FROM "bookings" WHERE public_id = $1',
+      'SELECT id, user_id, status, payment_deadline FROM "bookings" WHERE public_id = $1',
       [bookingPublicId]
     );
 
@@ -1095,10 +1570,23 @@ bookingRouter.post("/:bookingId/pay", authenticate, upload.single("payment_proof
       return res.status(400).json({ message: `Status booking adalah ${booking.status}, tidak bisa mengunggah bukti.` });
     }
 
+    if (booking.payment_deadline && new Date(booking.payment_deadline) < new Date()) {
+      return res.status(400).json({
+        message: "Batas waktu pembayaran telah lewat, silakan buat booking baru.",
+        paymentDeadline: booking.payment_deadline,
+      });
+    }
+
     if (!req.file) {
       return res.status(400).json({ message: "File bukti pembayaran wajib diunggah" });
     }
 
+    const declared = req.body ? req.body.amount : undefined;
+    const initialError = validateProofAmount(await getBookingBalance(db, booking.id), declared);
+    if (initialError) {
+      return res.status(400).json({ message: initialError });
+    }
+
     // Upload to Supabase Storage (Bucket: bookings, Folder: payments)
     let paymentProofUrl;
     try {
@@ -1107,20 +1595,1462 @@ bookingRouter.post("/:bookingId/pay", authenticate, upload.single("payment_proof
       return res.status(500).json({ message: "Gagal mengunggah bukti ke Supabase" });
     }
 
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const locked = await client.query('SELECT id, status FROM "bookings" WHERE id = $1 FOR UPDATE', [booking.id]);
+    if (locked.rows[0].status !== "PENDING") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: `Status booking adalah ${locked.rows[0].status}, tidak bisa mengunggah bukti.` });
+    }
+    const balance = await getBookingBalance(client, booking.id);
+    const lockedError = validateProofAmount(balance, declared);
+    if (lockedError) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: lockedError });
+    }
+    const amount = declared ? parseInt(declared, 10) : balance.depositDue || balance.balanceDue;
+
     // Update payment_proof, but keep status as PENDING (Admin will verify)
-    await db.query('UPDATE "bookings" SET payment_proof = $1 WHERE id = $2', [
+    await client.query('UPDATE "bookings" SET payment_proof = $1, payment_proof_uploaded_at = NOW() WHERE id = $2', [
       paymentProofUrl,
       booking.id,
     ]);
 
-    return res.json({ 
-      message: "Bukti pembayaran berhasil diunggah. Menunggu verifikasi admin.",
+    // Catat di ledger sebagai pembayaran PENDING (nominal dari tamu, hanya informasi untuk admin).
+    // Unggah ulang menggantikan bukti yang masih PENDING, bukan menambah baris baru
+    const replaced = await client.query(
+      `UPDATE "payments" SET amount = $2, proof_url = $3, recorded_by = $4, created_at = NOW()
+       WHERE booking_id = $1 AND status = 'PENDING' AND method = 'TRANSFER' AND proof_url IS NOT NULL
+       RETURNING id`,
+      [booking.id, amount, paymentProofUrl, req.user.id]
+    );
+    if (replaced.rows.length === 0) {
+      await recordPayment(client, {
+        bookingId: booking.id,
+        amount,
+        method: "TRANSFER",
+        proofUrl: paymentProofUrl,
+        status: "PENDING",
+        recordedBy: req.user.id,
+      });
+    }
+
+    await client.query("COMMIT");
+
+    return res.json({ 
+      message: "Bukti pembayaran berhasil diunggah. Menunggu verifikasi admin.",
       payment_proof_url: paymentProofUrl
     });
 
   } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
     console.error("Payment Upload Error:", err);
     return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/checkout:
+ *   post:
+ *     summary: Bayar booking lewat Midtrans Snap
+ *     description: |
+ *       Membuat transaksi Snap. Booking PENDING di camp dengan DP ditagih sebesar DP kecuali payFull = true;
+ *       booking PAID yang masih punya sisa tagihan bisa melunasi sisanya di sini.
+ *       Jika transaksi Snap sebelumnya masih menunggu pembayaran dengan nominal yang sama, token yang sama dikembalikan.
+ *       Status booking diperbarui lewat webhook POST /payments/midtrans/notification.
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               payFull:
+ *                 type: boolean
+ *                 description: Bayar lunas walaupun camp memakai DP
+ *     responses:
+ *       200:
+ *         description: Token dan redirect URL Snap
+ *       400:
+ *         description: Batas waktu pembayaran telah lewat
+ *       404:
+ *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Booking tidak bisa dibayar (sudah lunas, bukan PENDING/PAID, atau bukti bayar sedang diverifikasi)
+ *       502:
+ *         description: Gagal membuat transaksi Midtrans
+ */
+bookingRouter.post("/:bookingId/checkout", authenticate, async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    if (!isMidtransConfigured()) {
+      return res.status(503).json({ message: "Pembayaran Midtrans belum dikonfigurasi" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+
+    const { rows } = await db.query(
+      `SELECT b.id, b.public_id, b.user_id, b.status, b.total_price, b.payment_proof, b.payment_deadline,
+              u.email, u.username, u.full_name, u.phone_number
+       FROM "bookings" b
+       JOIN "users" u ON u.id = b.user_id
+       WHERE b.public_id = $1`,
+      [bookingPublicId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+
+    const booking = rows[0];
+
+    if (booking.user_id !== req.user.id) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    if (!["PENDING", "PAID"].includes(booking.status)) {
+      return res.status(409).json({ message: `Status booking adalah ${booking.status}, tidak bisa dibayar.` });
+    }
+
+    if (booking.status === "PENDING" && booking.payment_proof) {
+      return res.status(409).json({ message: "Bukti pembayaran sedang diverifikasi admin" });
+    }
+
+    if (booking.status === "PENDING" && booking.payment_deadline && new Date(booking.payment_deadline) < new Date()) {
+      return res.status(400).json({
+        message: "Batas waktu pembayaran telah lewat, silakan buat booking baru.",
+        paymentDeadline: booking.payment_deadline,
+      });
+    }
+
+    // Yang ditagihkan dihitung dari ledger: DP yang belum dibayar, atau seluruh sisa tagihan
+    const balance = await getBookingBalance(db, booking.id);
+    if (balance.balanceDue <= 0) {
+      return res.status(409).json({ message: "Booking sudah lunas" });
+    }
+    const payFull = Boolean(req.body && req.body.payFull);
+    const grossAmount = !payFull && balance.depositDue > 0 ? balance.depositDue : balance.balanceDue;
+
+    const existing = await db.query(
+      `SELECT order_id, snap_token, redirect_url FROM "midtrans_transactions"
+       WHERE booking_id = $1 AND gross_amount = $2 AND COALESCE(transaction_status, 'pending') = 'pending'
+       ORDER BY id DESC LIMIT 1`,
+      [booking.id, grossAmount]
+    );
+
+    if (existing.rows.length > 0) {
+      const trx = existing.rows[0];
+      return res.json({
+        orderId: trx.order_id,
+        token: trx.snap_token,
+        redirectUrl: trx.redirect_url,
+        grossAmount,
+        paymentDeadline: booking.payment_deadline,
+      });
+    }
+
+    // order_id Midtrans harus unik per transaksi, jadi booking yang checkout ulang mendapat order baru
+    const orderId = `${booking.public_id}-${Date.now()}`;
+
+    let transaction;
+    try {
+      transaction = await getSnapClient().createTransaction({
+        transaction_details: { order_id: orderId, gross_amount: grossAmount },
+        customer_details: {
+          first_name: booking.full_name || booking.username,
+          email: booking.email,
+          phone: booking.phone_number || undefined,
+        },
+      });
+    } catch (gatewayError) {
+      console.error("Midtrans Create Transaction Error:", gatewayError.message);
+      return res.status(502).json({ message: "Gagal membuat transaksi Midtrans" });
+    }
+
+    await db.query(
+      `INSERT INTO "midtrans_transactions" (order_id, booking_id, gross_amount, snap_token, redirect_url)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [orderId, booking.id, grossAmount, transaction.token, transaction.redirect_url]
+    );
+
+    return res.json({
+      orderId,
+      token: transaction.token,
+      redirectUrl: transaction.redirect_url,
+      grossAmount,
+      paymentDeadline: booking.payment_deadline,
+    });
+  } catch (err) {
+    console.error("Checkout Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/redeem-voucher:
+ *   post:
+ *     summary: Membayar booking dengan saldo voucher hadiah
+ *     description: |
+ *       Saldo voucher dipotong sebesar amount (default seluruh sisa tagihan, maksimal saldo voucher)
+ *       dan dicatat sebagai pembayaran VOUCHER di ledger. Satu voucher bisa dipakai sebagian di
+ *       beberapa booking. Booking PENDING langsung menjadi PAID jika DP sudah terpenuhi.
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: GV-ABCD-EFGH
+ *               amount:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Voucher berhasil dipakai beserta saldo booking dan voucher
+ *       400:
+ *         description: Nominal tidak valid atau batas pembayaran lewat
+ *       403:
+ *         description: Bukan pemilik booking
+ *       404:
+ *         description: Booking atau voucher tidak ditemukan
+ *       409:
+ *         description: Booking tidak bisa dibayar, sudah lunas, atau voucher tidak bisa dipakai
+ */
+bookingRouter.post("/:bookingId/redeem-voucher", authenticate, async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    if (!body.code) {
+      return res.status(400).json({ message: "code wajib diisi" });
+    }
+    if (body.amount !== undefined && (!Number.isInteger(Number(body.amount)) || Number(body.amount) <= 0)) {
+      return res.status(400).json({ message: "amount harus berupa angka bulat > 0" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const bookingResult = await client.query(
+      `SELECT id, public_id, user_id, camp_id, start_date, end_date, people_count, total_price, status,
+              payment_proof, payment_deadline
+       FROM "bookings" WHERE public_id = $1 FOR UPDATE`,
+      [bookingPublicId]
+    );
+    if (bookingResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+    const booking = bookingResult.rows[0];
+
+    if (booking.user_id !== req.user.id) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if (!["PENDING", "PAID"].includes(booking.status)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: `Status booking adalah ${booking.status}, tidak bisa dibayar.` });
+    }
+    if (booking.status === "PENDING" && booking.payment_deadline && new Date(booking.payment_deadline) < new Date()) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        message: "Batas waktu pembayaran telah lewat, silakan buat booking baru.",
+        paymentDeadline: booking.payment_deadline,
+      });
+    }
+
+    const voucherResult = await client.query(
+      'SELECT id, code, balance, status, expires_at FROM "gift_vouchers" WHERE code = $1 FOR UPDATE',
+      [normalizeVoucherCode(body.code)]
+    );
+    if (voucherResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Voucher tidak ditemukan" });
+    }
+    const voucher = voucherResult.rows[0];
+
+    if (voucher.status !== "ACTIVE") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        message: voucher.status === "PENDING" ? "Voucher belum aktif, pembayaran belum dikonfirmasi" : "Voucher sudah dibatalkan",
+      });
+    }
+    if (voucher.expires_at && new Date(voucher.expires_at) <= new Date()) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Voucher sudah kedaluwarsa", expiresAt: voucher.expires_at });
+    }
+    if (Number(voucher.balance) <= 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Saldo voucher sudah habis" });
+    }
+
+    const balance = await getBookingBalance(client, booking.id);
+    if (balance.balanceDue <= 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Booking sudah lunas" });
+    }
+
+    const requested = body.amount !== undefined ? Number(body.amount) : null;
+    if (requested !== null && requested > Number(voucher.balance)) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: `Saldo voucher tidak cukup (sisa Rp${voucher.balance})` });
+    }
+    if (requested !== null && requested > balance.balanceDue) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: `amount melebihi sisa tagihan (Rp${balance.balanceDue})` });
+    }
+    const amount = requested !== null ? requested : Math.min(Number(voucher.balance), balance.balanceDue);
+
+    const payment = await recordPayment(client, {
+      bookingId: booking.id,
+      amount,
+      method: "VOUCHER",
+      providerReference: voucher.code,
+      recordedBy: req.user.id,
+    });
+    await client.query(
+      `INSERT INTO "gift_voucher_redemptions" (voucher_id, booking_id, payment_id, amount, redeemed_by)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [voucher.id, booking.id, payment.id, amount, req.user.id]
+    );
+    const voucherUpdate = await client.query(
+      'UPDATE "gift_vouchers" SET balance = balance - $1 WHERE id = $2 RETURNING balance',
+      [amount, voucher.id]
+    );
+
+    // DP sudah terpenuhi dari voucher: booking PENDING langsung terkonfirmasi
+    const nextBalance = await getBookingBalance(client, booking.id);
+    let updated = null;
+    if (booking.status === "PENDING" && nextBalance.depositDue <= 0) {
+      const transition = checkTransition({ ...booking, amount_paid: nextBalance.amountPaid }, "PAID");
+      if (transition.ok) {
+        const result = await client.query(
+          `UPDATE "bookings" SET status = 'PAID', payment_method = 'VOUCHER' WHERE id = $1
+           RETURNING id, public_id, user_id, camp_id, start_date, end_date, people_count, total_price, status`,
+          [booking.id]
+        );
+        updated = result.rows[0];
+        await recordStatusChange(client, {
+          bookingId: booking.id,
+          fromStatus: booking.status,
+          toStatus: "PAID",
+          changedBy: req.user.id,
+          reason: `VOUCHER ${voucher.code}`,
+        });
+      }
+    }
+
+    await client.query("COMMIT");
+
+    if (updated) {
+      sendBookingConfirmationEmail(db, updated.id).catch((err) =>
+        console.error(`[CheckIn] Confirmation email failed: ${err.message}`)
+      );
+    }
+
+    const io = getIO();
+    if (io && updated) {
+      io.emit("booking:statusUpdated", updated);
+    }
+
+    return res.json({
+      message: "Voucher berhasil dipakai",
+      id: booking.public_id,
+      status: updated ? updated.status : booking.status,
+      amountRedeemed: amount,
+      voucher: { code: voucher.code, balance: voucherUpdate.rows[0].balance },
+      ...nextBalance,
+    });
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Redeem Voucher Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/cancel:
+ *   post:
+ *     summary: Membatalkan booking oleh pemilik
+ *     description: |
+ *       Refund dihitung dari kebijakan bertingkat (env REFUND_POLICY) berdasarkan jumlah hari
+ *       sebelum start_date, hanya dari pembayaran terkonfirmasi (bukti bayar yang belum diverifikasi ditolak).
+ *       Pembayaran voucher dikembalikan penuh ke saldo voucher (voucherRestored), bukan refund tunai.
+ *       Booking yang sudah CHECK_IN, CHECK_OUT, atau CANCELLED tidak bisa dibatalkan.
+ *       Jika ada refund, permintaan refund (REQUESTED) dibuat otomatis dan diproses admin.
+ *       Rekening tujuan boleh dikirim di sini atau menyusul lewat PUT /booking/{bookingId}/refund.
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               payoutMethod:
+ *                 type: string
+ *                 enum: [TRANSFER, EWALLET, CASH]
+ *               bankName:
+ *                 type: string
+ *               accountNumber:
+ *                 type: string
+ *               accountHolder:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking dibatalkan beserta jumlah refund
+ *       400:
+ *         description: Data rekening refund tidak valid
+ *       403:
+ *         description: Bukan pemilik booking
+ *       404:
+ *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Status booking tidak bisa dibatalkan
+ */
+bookingRouter.post("/:bookingId/cancel", authenticate, async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+
+    const { error: payoutError, payout } = parsePayoutDetails(body);
+    if (payoutError) {
+      return res.status(400).json({ message: payoutError });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      'SELECT id, public_id, user_id, camp_id, start_date, end_date, people_count, total_price, status, payment_proof FROM "bookings" WHERE public_id = $1 FOR UPDATE',
+      [bookingPublicId]
+    );
+
+    if (rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+
+    const booking = rows[0];
+
+    if (booking.user_id !== req.user.id) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    if (!getAllowedTransitions(booking.status).includes("CANCELLED")) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        message: `Booking dengan status ${booking.status} tidak bisa dibatalkan`,
+      });
+    }
+
+    // Refund tunai hanya dari pembayaran terkonfirmasi; bukti bayar yang belum diverifikasi ditolak
+    // dan pembayaran voucher dikembalikan ke saldo voucher
+    const { cashPaid: amountPaid, voucherRestored } = await releaseCancelledPayments(client, booking.id, {
+      reason: "Booking dibatalkan oleh tamu",
+      voidedBy: req.user.id,
+    });
+    const refund = calculateRefund({ amountPaid, startDate: booking.start_date });
+
+    const updateResult = await client.query(
+      `UPDATE "bookings"
+       SET status = 'CANCELLED', cancel_reason = $1, cancelled_at = NOW(), refund_amount = $2, refund_percent = $3
+       WHERE id = $4
+       RETURNING public_id, status, cancelled_at, refund_amount, refund_percent`,
+      [body.reason || "Dibatalkan oleh tamu", refund.amount, refund.percent, booking.id]
+    );
+
+    await recordStatusChange(client, {
+      bookingId: booking.id,
+      fromStatus: booking.status,
+      toStatus: "CANCELLED",
+      changedBy: req.user.id,
+      reason: body.reason || "Dibatalkan oleh tamu",
+    });
+
+    const refundRequest = await createRefundRequest(client, {
+      bookingId: booking.id,
+      eligibleAmount: refund.amount,
+      reason: body.reason || "Dibatalkan oleh tamu",
+      requestedBy: req.user.id,
+      payout,
+    });
+
+    await client.query("COMMIT");
+
+    const updated = updateResult.rows[0];
+
+    const io = getIO();
+    if (io) {
+      io.emit("booking:cancelled", {
+        id: updated.public_id,
+        userId: booking.user_id,
+        status: updated.status,
+        cancelledBy: "USER",
+        refundAmount: updated.refund_amount,
+      });
+    }
+
+    return res.json({
+      message: "Booking berhasil dibatalkan",
+      id: updated.public_id,
+      status: updated.status,
+      cancelledAt: updated.cancelled_at,
+      amountPaid,
+      voucherRestored,
+      daysBeforeStart: refund.daysBefore,
+      refundPercent: updated.refund_percent,
+      refundAmount: updated.refund_amount,
+      refundPolicy: getRefundPolicy(),
+      refund: refundRequest ? formatRefund({ ...refundRequest, booking_public_id: updated.public_id }) : null,
+    });
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Cancel Booking Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/refund:
+ *   get:
+ *     summary: Melihat status refund booking milik user
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     responses:
+ *       200:
+ *         description: Daftar refund booking (terbaru dulu)
+ *       403:
+ *         description: Bukan pemilik booking
+ *       404:
+ *         description: Booking tidak ditemukan
+ */
+bookingRouter.get("/:bookingId/refund", authenticate, async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+
+    const bookingResult = await db.query('SELECT id, public_id, user_id FROM "bookings" WHERE public_id = $1', [
+      bookingPublicId,
+    ]);
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+    const booking = bookingResult.rows[0];
+    if (booking.user_id !== req.user.id) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const { rows } = await db.query(
+      `SELECT ${REFUND_COLUMNS}, b.public_id AS booking_public_id
+       FROM "refunds" r
+       JOIN "bookings" b ON b.id = r.booking_id
+       WHERE r.booking_id = $1
+       ORDER BY r.created_at DESC, r.id DESC`,
+      [booking.id]
+    );
+
+    return res.json(rows.map(formatRefund));
+  } catch (err) {
+    console.error("Get Booking Refund Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/refund:
+ *   put:
+ *     summary: Mengisi atau mengubah rekening tujuan refund
+ *     description: Hanya untuk refund yang belum dibayarkan (REQUESTED atau APPROVED).
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - payoutMethod
+ *             properties:
+ *               payoutMethod:
+ *                 type: string
+ *                 enum: [TRANSFER, EWALLET, CASH]
+ *               bankName:
+ *                 type: string
+ *               accountNumber:
+ *                 type: string
+ *               accountHolder:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rekening refund tersimpan
+ *       400:
+ *         description: Data rekening tidak valid
+ *       403:
+ *         description: Bukan pemilik booking
+ *       404:
+ *         description: Booking atau refund yang masih berjalan tidak ditemukan
+ */
+bookingRouter.put("/:bookingId/refund", authenticate, async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    if (!body.payoutMethod) {
+      return res.status(400).json({ message: "payoutMethod wajib diisi" });
+    }
+    const { error: payoutError, payout } = parsePayoutDetails(body);
+    if (payoutError) {
+      return res.status(400).json({ message: payoutError });
+    }
+
+    const bookingResult = await db.query('SELECT id, public_id, user_id FROM "bookings" WHERE public_id = $1', [
+      bookingPublicId,
+    ]);
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+    const booking = bookingResult.rows[0];
+    if (booking.user_id !== req.user.id) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const { rows } = await db.query(
+      `UPDATE "refunds"
+       SET payout_method = $1, bank_name = $2, account_number = $3, account_holder = $4, updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM "refunds" WHERE booking_id = $5 AND status IN ('REQUESTED', 'APPROVED')
+         ORDER BY created_at DESC, id DESC LIMIT 1
+       )
+       RETURNING *`,
+      [payout.payoutMethod, payout.bankName, payout.accountNumber, payout.accountHolder, booking.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ message: "Tidak ada refund yang sedang diproses untuk booking ini" });
+    }
+
+    return res.json(formatRefund({ ...rows[0], booking_public_id: booking.public_id }));
+  } catch (err) {
+    console.error("Update Booking Refund Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/invoice.pdf:
+ *   get:
+ *     summary: Download invoice PDF booking
+ *     description: |
+ *       Untuk pemilik booking dan admin. Nomor invoice (INV/<tahun>/<urutan>) diterbitkan saat invoice
+ *       pertama kali diunduh dan tidak berubah setelahnya. Berisi baris camp, sewa alat, diskon, pajak,
+ *       biaya layanan, dan pembayaran terkonfirmasi. Booking yang sudah lunas diberi watermark LUNAS
+ *       dan berlaku sebagai bukti pembayaran (e-receipt).
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     responses:
+ *       200:
+ *         description: File PDF invoice
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Bukan pemilik booking
+ *       404:
+ *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Booking dibatalkan tanpa pembayaran
+ */
+bookingRouter.get("/:bookingId/invoice.pdf", authenticate, async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const bookingResult = await client.query(
+      `SELECT id, user_id, status, invoice_number, invoice_issued_at FROM "bookings" WHERE public_id = $1 FOR UPDATE`,
+      [bookingPublicId]
+    );
+    if (bookingResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+    const booking = bookingResult.rows[0];
+
+    if (booking.user_id !== req.user.id && req.user.role !== "ADMIN") {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    // Booking batal tetap bisa diunduh invoicenya jika sempat dibayar (untuk bukti refund/reimburse)
+    const balance = await getBookingBalance(client, booking.id);
+    if (booking.status === "CANCELLED" && !booking.invoice_number && balance.amountPaid <= 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Booking dibatalkan tanpa pembayaran, invoice tidak diterbitkan" });
+    }
+
+    const { invoiceNumber, issuedAt } = await assignInvoiceNumber(client, booking);
+    const invoice = await loadInvoiceData(client, booking.id);
+
+    await client.query("COMMIT");
+    client.release();
+    client = null;
+
+    const doc = buildInvoicePdf({ ...invoice, invoiceNumber, issuedAt });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="Invoice-${invoiceNumber.replace(/\//g, "-")}.pdf"`
+    );
+
+    doc.pipe(res);
+    doc.end();
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Booking Invoice Error:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/guests:
+ *   get:
+ *     summary: Daftar tamu (manifest) booking
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     responses:
+ *       200:
+ *         description: Daftar tamu beserta kelengkapannya terhadap jumlah orang
+ *       403:
+ *         description: Bukan pemilik booking
+ *       404:
+ *         description: Booking tidak ditemukan
+ */
+bookingRouter.get("/:bookingId/guests", authenticate, async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+
+    const bookingResult = await db.query(
+      'SELECT id, public_id, user_id, status, people_count FROM "bookings" WHERE public_id = $1',
+      [bookingPublicId]
+    );
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+    const booking = bookingResult.rows[0];
+    if (booking.user_id !== req.user.id && req.user.role !== "ADMIN") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const guests = await listBookingGuests(db, booking.id);
+
+    return res.json({
+      bookingId: booking.public_id,
+      peopleCount: booking.people_count,
+      guestCount: guests.length,
+      isComplete: guests.length === booking.people_count,
+      editable: GUEST_EDITABLE_STATUSES.includes(booking.status),
+      guests,
+    });
+  } catch (err) {
+    console.error("Get Booking Guests Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/guests:
+ *   post:
+ *     summary: Menambah tamu ke manifest booking
+ *     description: |
+ *       Jumlah tamu maksimal sama dengan jumlah orang booking. Daftar tamu bisa diubah sampai check-in
+ *       (status PENDING atau PAID), dan wajib lengkap sebelum check-in. KTP dan KIA memakai NIK 16 digit.
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fullName
+ *               - idType
+ *               - idNumber
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               idType:
+ *                 type: string
+ *                 enum: [KTP, SIM, PASPOR, KIA, LAINNYA]
+ *               idNumber:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tamu ditambahkan
+ *       400:
+ *         description: Data tamu tidak valid
+ *       403:
+ *         description: Bukan pemilik booking
+ *       404:
+ *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Daftar tamu sudah penuh, identitas ganda, atau booking sudah check-in/selesai
+ */
+bookingRouter.post("/:bookingId/guests", authenticate, async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+
+    const { guest, error: validationError } = validateGuestBody(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const { booking, error } = await lockGuestBooking(client, bookingPublicId, req.user);
+    if (error) {
+      await client.query("ROLLBACK");
+      return res.status(error.status).json(error.body);
+    }
+
+    const existing = await client.query(
+      'SELECT id_type, id_number FROM "booking_guests" WHERE booking_id = $1',
+      [booking.id]
+    );
+    if (existing.rows.length >= booking.people_count) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        message: `Daftar tamu sudah lengkap (${booking.people_count} orang)`,
+        peopleCount: booking.people_count,
+      });
+    }
+    if (existing.rows.some((row) => row.id_type === guest.idType && row.id_number === guest.idNumber)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Nomor identitas sudah terdaftar di booking ini" });
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO "booking_guests" (booking_id, full_name, id_type, id_number, phone_number)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${GUEST_COLUMNS}`,
+      [booking.id, guest.fullName, guest.idType, guest.idNumber, guest.phoneNumber]
+    );
+
+    await client.query("COMMIT");
+
+    return res.status(201).json(formatGuest(rows[0]));
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Add Booking Guest Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/guests/{guestId}:
+ *   put:
+ *     summary: Mengubah data tamu
+ *     description: Hanya field yang dikirim yang diubah. Hanya sampai check-in (status PENDING atau PAID).
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *       - in: path
+ *         name: guestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Tamu (UUID)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               idType:
+ *                 type: string
+ *                 enum: [KTP, SIM, PASPOR, KIA, LAINNYA]
+ *               idNumber:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Data tamu diubah
+ *       400:
+ *         description: Data tamu tidak valid
+ *       404:
+ *         description: Booking atau tamu tidak ditemukan
+ *       409:
+ *         description: Identitas ganda atau booking sudah check-in/selesai
+ */
+bookingRouter.put("/:bookingId/guests/:guestId", authenticate, async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { bookingId: bookingPublicId, guestId } = req.params;
+    if (!UUID_REGEX.test(bookingPublicId) || !UUID_REGEX.test(guestId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const { booking, error } = await lockGuestBooking(client, bookingPublicId, req.user);
+    if (error) {
+      await client.query("ROLLBACK");
+      return res.status(error.status).json(error.body);
+    }
+
+    const current = await client.query(
+      'SELECT id, full_name, id_type, id_number, phone_number FROM "booking_guests" WHERE public_id = $1 AND booking_id = $2',
+      [guestId, booking.id]
+    );
+    if (current.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Tamu tidak ditemukan" });
+    }
+
+    const { guest, error: validationError } = validateGuestBody(req.body || {}, { current: current.rows[0] });
+    if (validationError) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: validationError });
+    }
+
+    const duplicate = await client.query(
+      'SELECT 1 FROM "booking_guests" WHERE booking_id = $1 AND id_type = $2 AND id_number = $3 AND id <> $4',
+      [booking.id, guest.idType, guest.idNumber, current.rows[0].id]
+    );
+    if (duplicate.rows.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ message: "Nomor identitas sudah terdaftar di booking ini" });
+    }
+
+    const { rows } = await client.query(
+      `UPDATE "booking_guests"
+       SET full_name = $1, id_type = $2, id_number = $3, phone_number = $4, updated_at = NOW()
+       WHERE id = $5
+       RETURNING ${GUEST_COLUMNS}`,
+      [guest.fullName, guest.idType, guest.idNumber, guest.phoneNumber, current.rows[0].id]
+    );
+
+    await client.query("COMMIT");
+
+    return res.json(formatGuest(rows[0]));
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Update Booking Guest Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/guests/{guestId}:
+ *   delete:
+ *     summary: Menghapus tamu dari manifest booking
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *       - in: path
+ *         name: guestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Tamu (UUID)
+ *     responses:
+ *       200:
+ *         description: Tamu dihapus
+ *       404:
+ *         description: Booking atau tamu tidak ditemukan
+ *       409:
+ *         description: Booking sudah check-in/selesai
+ */
+bookingRouter.delete("/:bookingId/guests/:guestId", authenticate, async (req, res) => {
+  let client = null;
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { bookingId: bookingPublicId, guestId } = req.params;
+    if (!UUID_REGEX.test(bookingPublicId) || !UUID_REGEX.test(guestId)) {
+      return res.status(400).json({ message: "Invalid UUID" });
+    }
+
+    client = await db.connect();
+    await client.query("BEGIN");
+
+    const { booking, error } = await lockGuestBooking(client, bookingPublicId, req.user);
+    if (error) {
+      await client.query("ROLLBACK");
+      return res.status(error.status).json(error.body);
+    }
+
+    const result = await client.query(
+      'DELETE FROM "booking_guests" WHERE public_id = $1 AND booking_id = $2 RETURNING id',
+      [guestId, booking.id]
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Tamu tidak ditemukan" });
+    }
+
+    await client.query("COMMIT");
+
+    return res.json({ message: "Tamu berhasil dihapus" });
+  } catch (err) {
+    if (client) {
+      try { await client.query("ROLLBACK"); } catch (_) {}
+    }
+    console.error("Delete Booking Guest Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}:
+ *   get:
+ *     summary: Detail booking
+ *     description: |
+ *       Info camp, tanggal, site, rincian harga, alat, daftar tamu, status pembayaran dan bukti bayar, riwayat status,
+ *       status review, QR check-in (PAID/CHECK_IN), dan aksi yang tersedia (pay, cancel, modify, review).
+ *       Hanya untuk pemilik booking atau admin.
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     responses:
+ *       200:
+ *         description: Detail booking
+ *       400:
+ *         description: ID booking tidak valid
+ *       403:
+ *         description: Bukan pemilik booking
+ *       404:
+ *         description: Booking tidak ditemukan
+ */
+bookingRouter.get("/:bookingId", authenticate, async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+
+    const bookingResult = await db.query(
+      `SELECT b.id, b.public_id, b.user_id, b.status, b.start_date, b.end_date, b.people_count,
+              b.total_price, b.price_breakdown, b.gross_price, b.discount_amount, b.promo_code,
+              b.tax_amount, b.service_fee_amount, b.deposit_percent, b.deposit_amount,
+              b.payment_proof, b.payment_method, b.payment_deadline, b.invoice_number,
+              b.cancel_reason, b.cancelled_at, b.refund_amount, b.created_at,
+              ${AMOUNT_PAID_SQL} AS amount_paid, ${BALANCE_DUE_SQL} AS balance_due,
+              c.public_id AS camp_public_id, c.name AS camp_name, c.location AS camp_location,
+              c.photo_url AS camp_photo_url
+       FROM "bookings" b
+       JOIN "camps" c ON c.id = b.camp_id
+       WHERE b.public_id = $1`,
+      [bookingPublicId]
+    );
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+    const booking = bookingResult.rows[0];
+
+    if (booking.user_id !== req.user.id && req.user.role !== "ADMIN") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    // Data sensitif milik user, jangan disimpan di cache browser
+    res.setHeader("Cache-Control", "no-store");
+
+    const [equipmentResult, paymentResult, historyResult, reviewResult, guests, sites] = await Promise.all([
+      db.query(
+        `SELECT e.public_id, e.name, be.quantity, be.nights, be.price
+         FROM "booking_equipments" be
+         JOIN "equipments" e ON e.id = be.equipment_id
+         WHERE be.booking_id = $1
+         ORDER BY be.id ASC`,
+        [booking.id]
+      ),
+      db.query(
+        `SELECT ${PAYMENT_COLUMNS}
+         FROM "payments" p
+         LEFT JOIN "users" u ON u.id = p.recorded_by
+         WHERE p.booking_id = $1
+         ORDER BY p.created_at ASC, p.id ASC`,
+        [booking.id]
+      ),
+      db.query(
+        `SELECT h.from_status, h.to_status, h.reason, h.created_at, u.role AS changed_by_role
+         FROM "booking_status_history" h
+         LEFT JOIN "users" u ON u.id = h.changed_by
+         WHERE h.booking_id = $1
+         ORDER BY h.created_at ASC, h.id ASC`,
+        [booking.id]
+      ),
+      db.query('SELECT total_score, created_at FROM "reviews" WHERE booking_id = $1 LIMIT 1', [booking.id]),
+      listBookingGuests(db, booking.id),
+      loadBookingSites(db, booking.id),
+    ]);
+
+    const equipments = equipmentResult.rows.map((row) => ({
+      id: row.public_id,
+      name: row.name,
+      quantity: Number(row.quantity),
+      nights: Number(row.nights),
+      price: Number(row.price),
+    }));
+    const quote = getBookingQuote({ ...booking, equipments: equipmentResult.rows });
+    const review = reviewResult.rows[0] || null;
+    const amountPaid = Number(booking.amount_paid);
+    const balanceDue = Number(booking.balance_due);
+    const depositAmount = booking.deposit_amount !== null ? Number(booking.deposit_amount) : Number(booking.total_price);
+
+    return res.json({
+      id: booking.public_id,
+      status: booking.status,
+      createdAt: booking.created_at,
+      camp: {
+        id: booking.camp_public_id,
+        name: booking.camp_name,
+        location: booking.camp_location,
+        photoUrl: booking.camp_photo_url,
+      },
+      startDate: booking.start_date,
+      endDate: booking.end_date,
+      nights: countNights(booking.start_date, booking.end_date),
+      peopleCount: booking.people_count,
+      sites: sites.map(formatSite),
+      price: {
+        lines: quote.lines,
+        charges: quote.charges || [],
+        grossPrice: booking.gross_price !== null ? Number(booking.gross_price) : Number(booking.total_price),
+        discountAmount: Number(booking.discount_amount) || 0,
+        promoCode: booking.promo_code,
+        subtotal:
+          Number(booking.total_price) - (Number(booking.tax_amount) || 0) - (Number(booking.service_fee_amount) || 0),
+        taxAmount: Number(booking.tax_amount) || 0,
+        serviceFeeAmount: Number(booking.service_fee_amount) || 0,
+        totalPrice: Number(booking.total_price),
+      },
+      equipments,
+      guests: {
+        required: booking.people_count,
+        isComplete: guests.length === booking.people_count,
+        items: guests,
+      },
+      payment: {
+        isPaid: amountPaid > 0 && balanceDue <= 0,
+        method: booking.payment_method,
+        proof: booking.payment_proof,
+        deadline: booking.status === "PENDING" ? booking.payment_deadline : null,
+        depositPercent: booking.deposit_percent,
+        depositAmount,
+        depositDue: Math.max(0, depositAmount - amountPaid),
+        amountPaid,
+        balanceDue,
+        invoiceNumber: booking.invoice_number,
+        payments: paymentResult.rows.map(formatPayment),
+      },
+      cancellation:
+        booking.status === "CANCELLED"
+          ? { reason: booking.cancel_reason, cancelledAt: booking.cancelled_at, refundAmount: booking.refund_amount }
+          : null,
+      statusHistory: historyResult.rows.map((row) => ({
+        fromStatus: row.from_status,
+        toStatus: row.to_status,
+        reason: row.reason,
+        changedBy: row.changed_by_role || "SYSTEM",
+        changedAt: row.created_at,
+      })),
+      review: {
+        submitted: Boolean(review),
+        totalScore: review ? review.total_score : null,
+        submittedAt: review ? review.created_at : null,
+      },
+      checkIn: await getCheckInQr(booking),
+      allowedActions: getBookingActions(booking, { hasReview: Boolean(review) }),
+    });
+  } catch (err) {
+    console.error("Get Booking Detail Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{bookingId}/check-in-qr:
+ *   get:
+ *     summary: QR check-in booking milik user
+ *     description: |
+ *       Token bertanda tangan untuk ditunjukkan ke petugas gerbang saat check in dan check out.
+ *       Hanya tersedia untuk booking PAID atau CHECK_IN, berlaku sampai 2 hari setelah tanggal check-out.
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID Booking (UUID)
+ *     responses:
+ *       200:
+ *         description: Token dan gambar QR (data URL PNG)
+ *       403:
+ *         description: Bukan pemilik booking
+ *       404:
+ *         description: Booking tidak ditemukan
+ *       409:
+ *         description: Status booking belum/tidak lagi memiliki QR check-in
+ */
+bookingRouter.get("/:bookingId/check-in-qr", authenticate, async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const bookingPublicId = req.params.bookingId;
+    if (!bookingPublicId || !UUID_REGEX.test(bookingPublicId)) {
+      return res.status(400).json({ message: "Invalid booking ID" });
+    }
+
+    const bookingResult = await db.query(
+      'SELECT id, public_id, user_id, status, end_date FROM "bookings" WHERE public_id = $1',
+      [bookingPublicId]
+    );
+    if (bookingResult.rows.length === 0) {
+      return res.status(404).json({ message: "Booking tidak ditemukan" });
+    }
+    const booking = bookingResult.rows[0];
+    if (booking.user_id !== req.user.id) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const checkIn = await getCheckInQr(booking);
+    if (!checkIn) {
+      return res.status(409).json({
+        message: `Booking berstatus ${booking.status} tidak memiliki QR check-in`,
+        currentStatus: booking.status,
+      });
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.json({ bookingId: booking.public_id, status: booking.status, ...checkIn });
+  } catch (err) {
+    console.error("Get Check-in QR Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
   }
 });
 
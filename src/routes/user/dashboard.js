@@ -1,6 +1,7 @@
 const express = require("express");
 const { db } = require("../../config/db");
 const { authenticate } = require("../../middleware/auth");
+const { AMOUNT_PAID_SQL, BALANCE_DUE_SQL } = require("../../utils/payments");
 
 const dashboardRouter = express.Router();
 
@@ -51,9 +52,19 @@ dashboardRouter.get("/history", authenticate, async (req, res) => {
         b.end_date,
         b.people_count,
         b.total_price,
+        b.discount_amount,
+        b.promo_code,
+        b.tax_amount,
+        b.service_fee_amount,
         b.status,
         b.created_at,
         b.payment_proof,
+        b.payment_deadline,
+        b.cancel_reason,
+        b.refund_amount,
+        ${AMOUNT_PAID_SQL} as amount_paid,
+        ${BALANCE_DUE_SQL} as balance_due,
+        b.deposit_amount,
         c.name as camp_name,
         c.public_id as camp_public_id,
         (
@@ -4,6 +4,12 @@ const { authenticate } = require("../../middleware/auth");
 const { uploadToSupabase } = require("../../utils/supabase");
 const multer = require("multer");
 const path = require("path");
+const {
+  MIN_VOUCHER_AMOUNT,
+  VOUCHER_COLUMNS,
+  formatVoucher,
+  generateVoucherCode,
+} = require("../../utils/giftVouchers");
 
 const profileRouter = express.Router();
 
@@ -194,5 +200,139 @@ profileRouter.post("/update", authenticate, uploadMiddleware, updateProfileHandl
 profileRouter.put("/update", authenticate, uploadMiddleware, updateProfileHandler);
 
 
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @swagger
+ * /profile/vouchers:
+ *   get:
+ *     summary: Daftar voucher hadiah yang dibeli user beserta riwayat pemakaiannya
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Daftar voucher (terbaru dulu)
+ */
+profileRouter.get("/vouchers", authenticate, async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const { rows } = await db.query(
+      `SELECT ${VOUCHER_COLUMNS},
+        (
+          SELECT COALESCE(json_agg(json_build_object(
+            'amount', r.amount,
+            'redeemedAt', r.created_at,
+            'reversedAt', r.reversed_at
+          ) ORDER BY r.created_at), '[]'::json)
+          FROM gift_voucher_redemptions r
+          WHERE r.voucher_id = v.id
+        ) as redemptions
+       FROM gift_vouchers v
+       WHERE v.purchaser_id = $1
+       ORDER BY v.created_at DESC, v.id DESC`,
+      [req.user.id]
+    );
+
+    return res.json(rows.map((row) => ({ ...formatVoucher(row), redemptions: row.redemptions })));
+  } catch (err) {
+    console.error("Get Profile Vouchers Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /profile/vouchers:
+ *   post:
+ *     summary: Membeli voucher hadiah
+ *     description: |
+ *       Voucher dibuat berstatus PENDING dan aktif setelah admin mengonfirmasi pembayarannya.
+ *       Kode voucher bisa diberikan ke siapa saja dan dipakai untuk membayar booking.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 example: 250000
+ *               recipientName:
+ *                 type: string
+ *               recipientEmail:
+ *                 type: string
+ *                 description: Kode voucher dikirim ke email ini setelah aktif
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Voucher dibuat, menunggu pembayaran
+ *       400:
+ *         description: Data tidak valid
+ */
+profileRouter.post("/vouchers", authenticate, async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ message: "Database is not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const { amount, recipientName, recipientEmail, message } = body;
+
+    if (!Number.isInteger(Number(amount)) || Number(amount) < MIN_VOUCHER_AMOUNT) {
+      return res.status(400).json({ message: `amount harus berupa angka bulat minimal ${MIN_VOUCHER_AMOUNT}` });
+    }
+    if (recipientEmail && !EMAIL_REGEX.test(recipientEmail)) {
+      return res.status(400).json({ message: "recipientEmail tidak valid" });
+    }
+
+    // Kode acak bisa bentrok (sangat jarang), coba ulang dengan kode baru
+    let voucher = null;
+    for (let attempt = 0; attempt < 5 && !voucher; attempt++) {
+      const { rows } = await db.query(
+        `INSERT INTO gift_vouchers (code, amount, purchaser_id, recipient_name, recipient_email, message)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (code) DO NOTHING
+         RETURNING public_id, code, amount, balance, status, recipient_name, recipient_email, message,
+                   activated_at, expires_at, voided_at, void_reason, created_at`,
+        [
+          generateVoucherCode(),
+          parseInt(amount, 10),
+          req.user.id,
+          recipientName || null,
+          recipientEmail || null,
+          message || null,
+        ]
+      );
+      voucher = rows[0] || null;
+    }
+    if (!voucher) {
+      return res.status(500).json({ message: "Gagal membuat kode voucher, silakan coba lagi" });
+    }
+
+    return res.status(201).json({
+      ...formatVoucher(voucher),
+      payment_instructions: {
+        method: "QRIS / Transfer Bank",
+        account_name: "Potrobayan Camping Ground",
+        qr_url: "https://arfkxqnuczyrbkizvsqv.supabase.co/storage/v1/object/public/bookings/qris.png",
+        instructions: `Silakan transfer Rp${voucher.amount} dengan berita "${voucher.code}". Voucher aktif setelah pembayaran dikonfirmasi admin.`
+      }
+    });
+  } catch (err) {
+    console.error("Create Profile Voucher Error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
 
 module.exports = { profileRouter };
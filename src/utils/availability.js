@@ -0,0 +1,177 @@
+// Booking yang sudah pasti memakai kuota
+const CONFIRMED_SQL = "b.status IN ('PAID', 'CHECK_IN')";
+
+// Booking PENDING yang masih menahan kuota (hold): belum lewat payment_deadline,
+// atau sudah mengunggah bukti bayar dan menunggu verifikasi admin
+const HOLD_SQL = "(b.status = 'PENDING' AND (b.payment_proof IS NOT NULL OR b.payment_deadline > NOW()))";
+
+// Override kapasitas yang berlaku untuk tanggal d.day pada camp c: penutupan menang, lalu yang terbaru
+const CAPACITY_OVERRIDE_SQL = `
+  SELECT o.is_closed, o.capacity, o.reason
+  FROM "camp_capacity_overrides" o
+  WHERE o.camp_id = c.id AND d.day BETWEEN o.start_date AND o.end_date
+  ORDER BY o.is_closed DESC, o.id DESC
+  LIMIT 1`;
+
+/**
+ * Pemakaian kuota orang per hari untuk satu camp, dipisah confirmed dan held, beserta kapasitas
+ * hari itu (daily_capacity camp atau override dari kalender kapasitas; 0 jika camp tutup)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} campId - ID internal camp
+ * @param {string|Date} startDate - Malam pertama
+ * @param {string|Date} endDate - Tanggal check-out (tidak dihitung)
+ * @param {Object} [options]
+ * @param {number} [options.excludeBookingId] - Abaikan booking ini (misal saat booking diubah)
+ * @returns {Promise<Array>} - [{ day, confirmed, held, capacity, isClosed, reason }]
+ */
+const getCampDailyUsage = async (queryable, campId, startDate, endDate, { excludeBookingId = null } = {}) => {
+  const { rows } = await queryable.query(
+    `WITH days AS (
+       SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
+     ),
+     usage AS (
+       SELECT
+         d.day,
+         COALESCE(SUM(b.people_count) FILTER (WHERE ${CONFIRMED_SQL}), 0) AS confirmed,
+         COALESCE(SUM(b.people_count) FILTER (WHERE ${HOLD_SQL}), 0) AS held
+       FROM days d
+       LEFT JOIN "bookings" b
+         ON b.camp_id = $1
+        AND (${CONFIRMED_SQL} OR ${HOLD_SQL})
+        AND ($4::int IS NULL OR b.id <> $4::int)
+        AND d.day >= b.start_date::date
+        AND d.day < b.end_date::date
+       GROUP BY d.day
+     )
+     SELECT
+       d.day,
+       d.confirmed,
+       d.held,
+       CASE WHEN o.is_closed THEN 0 ELSE COALESCE(o.capacity, c.daily_capacity) END AS capacity,
+       COALESCE(o.is_closed, false) AS is_closed,
+       o.reason
+     FROM usage d
+     JOIN "camps" c ON c.id = $1
+     LEFT JOIN LATERAL (${CAPACITY_OVERRIDE_SQL}) o ON true
+     ORDER BY d.day`,
+    [campId, startDate, endDate, excludeBookingId]
+  );
+
+  return rows.map((row) => ({
+    day: row.day,
+    confirmed: Number(row.confirmed),
+    held: Number(row.held),
+    capacity: Number(row.capacity),
+    isClosed: row.is_closed,
+    reason: row.reason,
+  }));
+};
+
+/**
+ * Sisa kuota terkecil sepanjang rentang tanggal untuk beberapa camp sekaligus (untuk pencarian camp)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Array<number>} campIds - ID internal camp
+ * @param {string|Date} startDate - Malam pertama
+ * @param {string|Date} endDate - Tanggal check-out (tidak dihitung)
+ * @returns {Promise<Map>} - camp_id -> sisa kuota terkecil (0 jika ada hari yang tutup)
+ */
+const getCampsMinRemaining = async (queryable, campIds, startDate, endDate) => {
+  if (campIds.length === 0) return new Map();
+
+  const { rows } = await queryable.query(
+    `WITH days AS (
+       SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
+     ),
+     usage AS (
+       SELECT c.id AS camp_id, d.day, COALESCE(SUM(b.people_count), 0) AS used
+       FROM "camps" c
+       CROSS JOIN days d
+       LEFT JOIN "bookings" b
+         ON b.camp_id = c.id
+        AND (${CONFIRMED_SQL} OR ${HOLD_SQL})
+        AND d.day >= b.start_date::date
+        AND d.day < b.end_date::date
+       WHERE c.id = ANY($1::int[])
+       GROUP BY c.id, d.day
+     )
+     SELECT
+       c.id AS camp_id,
+       MIN(CASE WHEN o.is_closed THEN 0 ELSE COALESCE(o.capacity, c.daily_capacity) END - d.used) AS remaining
+     FROM usage d
+     JOIN "camps" c ON c.id = d.camp_id
+     LEFT JOIN LATERAL (${CAPACITY_OVERRIDE_SQL}) o ON true
+     GROUP BY c.id`,
+    [campIds, startDate, endDate]
+  );
+
+  return new Map(rows.map((row) => [row.camp_id, Math.max(0, Number(row.remaining))]));
+};
+
+/**
+ * Pemakaian stok satu alat per hari (semua camp), dipisah confirmed dan held
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} equipmentId - ID internal alat
+ * @param {string|Date} startDate - Malam pertama
+ * @param {string|Date} endDate - Tanggal check-out (tidak dihitung)
+ * @param {Object} [options]
+ * @param {number} [options.excludeBookingId] - Abaikan booking ini
+ * @returns {Promise<Array>} - [{ day, confirmed, held }]
+ */
+const getEquipmentDailyUsage = async (queryable, equipmentId, startDate, endDate, { excludeBookingId = null } = {}) => {
+  const { rows } = await queryable.query(
+    `WITH days AS (
+       SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
+     )
+     SELECT
+       d.day,
+       COALESCE(SUM(be.quantity) FILTER (WHERE ${CONFIRMED_SQL}), 0) AS confirmed,
+       COALESCE(SUM(be.quantity) FILTER (WHERE ${HOLD_SQL}), 0) AS held
+     FROM days d
+     LEFT JOIN "bookings" b
+       ON (${CONFIRMED_SQL} OR ${HOLD_SQL})
+      AND ($4::int IS NULL OR b.id <> $4::int)
+      AND d.day >= b.start_date::date
+      AND d.day < b.end_date::date
+     LEFT JOIN "booking_equipments" be
+       ON be.booking_id = b.id
+      AND be.equipment_id = $1
+     GROUP BY d.day
+     ORDER BY d.day`,
+    [equipmentId, startDate, endDate, excludeBookingId]
+  );
+
+  return rows.map((row) => ({
+    day: row.day,
+    confirmed: Number(row.confirmed),
+    held: Number(row.held),
+  }));
+};
+
+/**
+ * Kunci booking confirmed & hold yang bersinggungan dengan rentang tanggal (di dalam transaksi)
+ * @param {Object} client - Client transaksi
+ * @param {number} campId - ID internal camp
+ * @param {string|Date} startDate
+ * @param {string|Date} endDate
+ */
+const lockOverlappingBookings = async (client, campId, startDate, endDate) => {
+  await client.query(
+    `SELECT b.id
+     FROM "bookings" b
+     WHERE b.camp_id = $1
+       AND (${CONFIRMED_SQL} OR ${HOLD_SQL})
+       AND b.start_date::date < $3::date
+       AND b.end_date::date > $2::date
+     FOR UPDATE`,
+    [campId, startDate, endDate]
+  );
+};
+
+module.exports = {
+  CONFIRMED_SQL,
+  HOLD_SQL,
+  getCampDailyUsage,
+  getCampsMinRemaining,
+  getEquipmentDailyUsage,
+  lockOverlappingBookings,
+};
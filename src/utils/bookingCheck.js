@@ -0,0 +1,397 @@
+const { countNights, buildQuote, loadCampRates } = require("./pricing");
+const { resolvePromoCode, checkPromoEligibility, applyPromoToQuote } = require("./promo");
+const { loadChargeRules, applyChargesToQuote } = require("./charges");
+const {
+  getCampDailyUsage,
+  getEquipmentDailyUsage,
+  lockOverlappingBookings,
+} = require("./availability");
+const { resolveSites, campHasSites, getSiteBookedNights } = require("./campSites");
+const { loadStayRules, checkStayRules } = require("./stayRules");
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const inputError = (status, message, extra = {}) => ({
+  error: { status, body: { message, ...extra } },
+});
+
+// Konflik kuota camp per hari (tutup atau kuota tidak cukup untuk peopleCount)
+const findCampConflicts = (campUsage, peopleCount) => {
+  const conflicts = [];
+  for (const row of campUsage) {
+    const used = row.confirmed + row.held;
+    if (row.isClosed) {
+      conflicts.push({ type: "closed", date: row.day, reason: row.reason });
+    } else if (used + Number(peopleCount) > row.capacity) {
+      conflicts.push({
+        type: "capacity",
+        date: row.day,
+        requested: Number(peopleCount),
+        capacity: row.capacity,
+        confirmed: row.confirmed,
+        held: row.held,
+        remaining: Math.max(0, row.capacity - used),
+      });
+    }
+  }
+  return conflicts;
+};
+
+/**
+ * Validasi permintaan booking dan hitung harganya tanpa menulis ke database.
+ * Dipakai bersama oleh POST /booking (dengan lock di dalam transaksi) dan POST /booking/quote.
+ *
+ * Error input (format salah, camp/alat tidak ditemukan, nights alat tidak valid) dikembalikan
+ * sebagai `error`. Kuota camp dan stok alat yang tidak cukup (termasuk tanggal camp tutup dan
+ * kapasitas dari kalender kapasitas camp) dikembalikan sebagai `conflicts`
+ * agar pemanggil bisa memilih untuk menolak (booking) atau sekadar melaporkannya (quote).
+ *
+ * Kode promo yang tidak berlaku juga dikembalikan sebagai `error`. Pajak dan biaya layanan
+ * yang aktif selalu ditambahkan setelah potongan promo.
+ *
+ * Site yang dipilih harus milik camp dan total kapasitasnya cukup untuk peopleCount (error input);
+ * site yang sudah dipesan booking lain pada salah satu malam dikembalikan sebagai konflik `site`.
+ *
+ * Aturan booking camp (min/maks malam, hari check-in, jarak waktu pemesanan, maks orang) dikembalikan
+ * sebagai `ruleViolations` dengan kode yang bisa dibaca mesin; pemanggil yang menyimpan booking menolaknya.
+ *
+ * @param {Object} client - db pool atau client transaksi
+ * @param {Object} input - { campId, startDate, endDate, peopleCount, equipments, promoCode, siteIds }
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - Kunci baris camp, booking & promo (FOR UPDATE), wajib di dalam transaksi
+ * @param {number} [options.excludeBookingId] - Booking yang sedang diubah, tidak ikut dihitung pemakaiannya
+ * @param {number} [options.userId] - Pemesan, untuk batas pemakaian promo per user
+ * @param {Object|null} [options.promo] - Promo yang sudah tercatat di booking (input.promoCode diabaikan).
+ *   Tetap dipakai selama syarat tanggal, minimal malam, dan camp terpenuhi; jika tidak, dilepas dan
+ *   alasannya dikembalikan di promoRemoved.
+ * @param {boolean} [options.requireSites] - Tolak jika camp punya site aktif tetapi siteIds kosong
+ * @param {boolean} [options.checkRuleTiming] - Cek aturan jarak waktu pemesanan (min lead hours, maks hari ke depan)
+ * @returns {Promise<Object>} - { error } atau
+ *   { camp, nights, selectedEquipments, selectedSites, quote, conflicts, ruleViolations, promo, promoRemoved }
+ */
+const checkBookingRequest = async (
+  client,
+  input,
+  {
+    lock = false,
+    excludeBookingId = null,
+    userId = null,
+    promo: existingPromo,
+    requireSites = false,
+    checkRuleTiming = true,
+  } = {}
+) => {
+  const {
+    campId: campPublicId,
+    startDate,
+    endDate,
+    peopleCount,
+    equipments,
+    promoCode,
+    siteIds,
+  } = input;
+
+  if (!campPublicId || !startDate || !endDate || !peopleCount) {
+    return inputError(400, "campId, startDate, endDate, dan peopleCount wajib diisi");
+  }
+
+  if (!UUID_REGEX.test(campPublicId)) {
+    return inputError(400, "campId harus berupa UUID yang valid");
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return inputError(400, "Format tanggal tidak valid");
+  }
+
+  if (end <= start) {
+    return inputError(400, "endDate harus lebih besar dari startDate");
+  }
+
+  if (peopleCount <= 0) {
+    return inputError(400, "peopleCount harus lebih besar dari 0");
+  }
+
+  const campResult = await client.query(
+    `SELECT id, public_id, name, daily_capacity, nightly_price, price_model, base_fee, people_per_pitch, deposit_percent
+     FROM "camps" WHERE public_id = $1 AND is_active = true${lock ? " FOR UPDATE" : ""}`,
+    [campPublicId]
+  );
+
+  if (campResult.rows.length === 0) {
+    return inputError(404, "Camp tidak ditemukan");
+  }
+
+  const camp = campResult.rows[0];
+
+  const ruleViolations = checkStayRules(
+    await loadStayRules(client, camp.id, startDate, endDate),
+    { startDate, endDate, peopleCount },
+    { checkTiming: checkRuleTiming }
+  );
+
+  if (lock) {
+    await lockOverlappingBookings(client, camp.id, startDate, endDate);
+  }
+
+  const campUsage = await getCampDailyUsage(client, camp.id, startDate, endDate, {
+    excludeBookingId,
+  });
+  const conflicts = findCampConflicts(campUsage, peopleCount);
+
+  let selectedSites = [];
+  if (siteIds !== undefined && siteIds !== null) {
+    const resolved = await resolveSites(client, camp.id, siteIds);
+    if (resolved.error) return resolved;
+    selectedSites = resolved.sites;
+  }
+
+  if (selectedSites.length === 0) {
+    if (requireSites && (await campHasSites(client, camp.id))) {
+      return inputError(400, "Pilih minimal satu site untuk camp ini");
+    }
+  } else {
+    const siteCapacity = selectedSites.reduce((sum, site) => sum + Number(site.capacity), 0);
+    if (siteCapacity < Number(peopleCount)) {
+      return inputError(
+        400,
+        `Kapasitas site yang dipilih (${siteCapacity} orang) kurang dari peopleCount`,
+        { siteCapacity }
+      );
+    }
+
+    const bookedNights = await getSiteBookedNights(
+      client,
+      selectedSites.map((site) => site.id),
+      startDate,
+      endDate,
+      { excludeBookingId }
+    );
+    for (const site of selectedSites) {
+      const taken = bookedNights.find((night) => night.siteId === site.id);
+      if (taken) {
+        conflicts.push({
+          type: "site",
+          siteId: site.public_id,
+          name: site.name,
+          date: taken.day,
+        });
+      }
+    }
+  }
+
+  const nights = countNights(start, end);
+  const selectedEquipments = [];
+
+  if (equipments && Array.isArray(equipments) && equipments.length > 0) {
+    for (const item of equipments) {
+      const {
+        equipmentId: equipmentPublicId,
+        quantity,
+        nights: itemNights,
+      } = item;
+      if (quantity <= 0) continue;
+
+      if (!UUID_REGEX.test(equipmentPublicId)) {
+        return inputError(400, "equipmentId harus berupa UUID yang valid");
+      }
+
+      const eqResult = await client.query(
+        'SELECT * FROM "equipments" WHERE public_id = $1',
+        [equipmentPublicId]
+      );
+      if (eqResult.rows.length === 0) {
+        return inputError(400, `Alat dengan ID ${equipmentPublicId} tidak ditemukan`);
+      }
+      const eq = eqResult.rows[0];
+
+      let rentalNights = Number(itemNights);
+      if (!itemNights && itemNights !== 0) {
+        rentalNights = nights;
+      }
+      if (!Number.isFinite(rentalNights) || rentalNights <= 0) {
+        return inputError(400, "nights untuk alat harus lebih besar dari 0");
+      }
+      if (rentalNights > nights) {
+        return inputError(400, "nights untuk alat tidak boleh melebihi durasi menginap");
+      }
+
+      const usage = await getEquipmentDailyUsage(client, eq.id, startDate, endDate, {
+        excludeBookingId,
+      });
+
+      const isFull = usage.find(
+        (row) => row.confirmed + row.held + Number(quantity) > eq.stock
+      );
+      if (isFull) {
+        conflicts.push({
+          type: "equipment",
+          equipmentId: eq.public_id,
+          name: eq.name,
+          date: isFull.day,
+          requested: Number(quantity),
+          remaining: Math.max(0, eq.stock - isFull.confirmed - isFull.held),
+        });
+      }
+
+      selectedEquipments.push({
+        equipment: eq,
+        quantity,
+        nights: rentalNights,
+      });
+    }
+  }
+
+  let promo = null;
+  let promoRemoved = null;
+  if (existingPromo !== undefined) {
+    if (existingPromo) {
+      const promoCheck = await checkPromoEligibility(
+        client,
+        existingPromo,
+        { campId: camp.id, startDate, nights, userId },
+        { checkUsage: false }
+      );
+      if (promoCheck) {
+        promoRemoved = promoCheck.error.body.message;
+      } else {
+        promo = existingPromo;
+      }
+    }
+  } else if (promoCode) {
+    const resolved = await resolvePromoCode(
+      client,
+      promoCode,
+      { campId: camp.id, startDate, nights, userId },
+      { lock }
+    );
+    if (resolved.error) return resolved;
+    promo = resolved.promo;
+  }
+
+  const rates = await loadCampRates(client, camp.id, startDate, endDate);
+  const quote = applyChargesToQuote(
+    applyPromoToQuote(
+      buildQuote({
+        camp,
+        startDate,
+        nights,
+        peopleCount,
+        rates,
+        equipments: selectedEquipments,
+        sites: selectedSites,
+      }),
+      promo
+    ),
+    await loadChargeRules(client)
+  );
+
+  return {
+    camp,
+    nights,
+    selectedEquipments,
+    selectedSites,
+    quote,
+    conflicts,
+    ruleViolations,
+    promo,
+    promoRemoved,
+  };
+};
+
+/**
+ * Cek ulang kuota camp, site, dan stok alat untuk booking yang sudah tersimpan, tanpa menghitung booking itu
+ * sendiri. Dipakai saat booking yang hold-nya sudah lepas (lewat payment_deadline) akan dikonfirmasi.
+ * Wajib di dalam transaksi; booking lain yang bersinggungan dikunci.
+ * @param {Object} client - Client transaksi
+ * @param {Object} booking - Baris booking (id, camp_id, start_date, end_date, people_count)
+ * @returns {Promise<Array>} - Konflik dengan format yang sama seperti `conflicts` dari checkBookingRequest
+ */
+const checkStoredBookingConflicts = async (client, booking) => {
+  const { id, camp_id: campId, start_date: startDate, end_date: endDate, people_count: peopleCount } = booking;
+
+  await lockOverlappingBookings(client, campId, startDate, endDate);
+
+  const campUsage = await getCampDailyUsage(client, campId, startDate, endDate, { excludeBookingId: id });
+  const conflicts = findCampConflicts(campUsage, peopleCount);
+
+  const sites = await client.query(
+    `SELECT s.id, s.public_id, s.name
+     FROM "booking_sites" bs JOIN "camp_sites" s ON s.id = bs.site_id
+     WHERE bs.booking_id = $1`,
+    [id]
+  );
+  const bookedNights = await getSiteBookedNights(
+    client,
+    sites.rows.map((site) => site.id),
+    startDate,
+    endDate,
+    { excludeBookingId: id }
+  );
+  for (const site of sites.rows) {
+    const taken = bookedNights.find((night) => night.siteId === site.id);
+    if (taken) {
+      conflicts.push({ type: "site", siteId: site.public_id, name: site.name, date: taken.day });
+    }
+  }
+
+  const equipments = await client.query(
+    `SELECT e.id, e.public_id, e.name, e.stock, SUM(be.quantity) AS quantity
+     FROM "booking_equipments" be JOIN "equipments" e ON e.id = be.equipment_id
+     WHERE be.booking_id = $1
+     GROUP BY e.id`,
+    [id]
+  );
+  for (const eq of equipments.rows) {
+    const usage = await getEquipmentDailyUsage(client, eq.id, startDate, endDate, { excludeBookingId: id });
+    const isFull = usage.find((row) => row.confirmed + row.held + Number(eq.quantity) > eq.stock);
+    if (isFull) {
+      conflicts.push({
+        type: "equipment",
+        equipmentId: eq.public_id,
+        name: eq.name,
+        date: isFull.day,
+        requested: Number(eq.quantity),
+        remaining: Math.max(0, eq.stock - isFull.confirmed - isFull.held),
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Ubah konflik pertama menjadi body error 400 (format pesan sama seperti sebelumnya)
+ * @param {Object} conflict - Item dari `conflicts`
+ * @returns {Object}
+ */
+const conflictToResponse = (conflict) => {
+  if (conflict.type === "closed") {
+    return {
+      message: `Camp tutup pada tanggal yang dipilih (${conflict.reason})`,
+      date: conflict.date,
+      reason: conflict.reason,
+    };
+  }
+  if (conflict.type === "capacity") {
+    return {
+      message: "Kuota penuh pada tanggal yang dipilih",
+      date: conflict.date,
+    };
+  }
+  if (conflict.type === "site") {
+    return {
+      message: `Site '${conflict.name}' sudah dipesan pada tanggal yang dipilih`,
+      siteId: conflict.siteId,
+      date: conflict.date,
+    };
+  }
+  return {
+    message: `Stok alat '${conflict.name}' tidak mencukupi (sisa: ${conflict.remaining})`,
+  };
+};
+
+module.exports = { checkBookingRequest, checkStoredBookingConflicts, conflictToResponse };
@@ -0,0 +1,122 @@
+const GUEST_ID_TYPES = ["KTP", "SIM", "PASPOR", "KIA", "LAINNYA"];
+// Daftar tamu bisa diubah sampai booking check-in
+const GUEST_EDITABLE_STATUSES = ["PENDING", "PAID"];
+// NIK di KTP dan KIA selalu 16 digit
+const NIK_REGEX = /^\d{16}$/;
+const ID_NUMBER_REGEX = /^[A-Z0-9]{4,30}$/;
+const PHONE_REGEX = /^\+?[0-9]{8,15}$/;
+
+const GUEST_COLUMNS = "public_id, full_name, id_type, id_number, phone_number, created_at, updated_at";
+
+// Jumlah tamu terdaftar untuk booking alias b (dipakai di SELECT)
+const GUEST_COUNT_SQL = `(SELECT COUNT(*)::int FROM "booking_guests" g WHERE g.booking_id = b.id)`;
+
+const formatGuest = (row) => ({
+  id: row.public_id,
+  fullName: row.full_name,
+  idType: row.id_type,
+  idNumber: row.id_number,
+  phoneNumber: row.phone_number,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Nomor identitas disimpan tanpa spasi/titik/strip dan huruf besar agar duplikat terdeteksi
+const normalizeIdNumber = (value) => String(value || "").replace(/[\s.-]/g, "").toUpperCase();
+
+/**
+ * Validasi dan normalisasi body tamu
+ * @param {Object} body - { fullName, idType, idNumber, phoneNumber }
+ * @param {Object} [options]
+ * @param {Object} [options.current] - Baris tamu saat ini (untuk update sebagian)
+ * @returns {Object} - { guest: { fullName, idType, idNumber, phoneNumber } } atau { error }
+ */
+const validateGuestBody = (body, { current = null } = {}) => {
+  const fullName = body.fullName !== undefined ? String(body.fullName).trim() : current ? current.full_name : "";
+  const idType = body.idType !== undefined ? String(body.idType).toUpperCase() : current ? current.id_type : "";
+  const idNumber = body.idNumber !== undefined ? normalizeIdNumber(body.idNumber) : current ? current.id_number : "";
+  const phoneNumber =
+    body.phoneNumber !== undefined
+      ? body.phoneNumber
+        ? String(body.phoneNumber).replace(/[\s-]/g, "")
+        : null
+      : current
+        ? current.phone_number
+        : null;
+
+  if (!fullName || !idType || !idNumber) {
+    return { error: "fullName, idType, dan idNumber wajib diisi" };
+  }
+  if (fullName.length > 100) {
+    return { error: "fullName maksimal 100 karakter" };
+  }
+  if (!GUEST_ID_TYPES.includes(idType)) {
+    return { error: `idType harus salah satu dari: ${GUEST_ID_TYPES.join(", ")}` };
+  }
+  if (["KTP", "KIA"].includes(idType) && !NIK_REGEX.test(idNumber)) {
+    return { error: `Nomor ${idType} (NIK) harus 16 digit angka` };
+  }
+  if (!ID_NUMBER_REGEX.test(idNumber)) {
+    return { error: "idNumber harus 4-30 karakter huruf/angka" };
+  }
+  if (phoneNumber && !PHONE_REGEX.test(phoneNumber)) {
+    return { error: "phoneNumber tidak valid" };
+  }
+
+  return { guest: { fullName, idType, idNumber, phoneNumber } };
+};
+
+/**
+ * Kunci booking untuk mengubah daftar tamu: pemilik atau admin, status masih PENDING/PAID
+ * @param {Object} client - Client transaksi
+ * @param {string} bookingPublicId
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} - { booking } atau { error: { status, body } }
+ */
+const lockGuestBooking = async (client, bookingPublicId, user) => {
+  const { rows } = await client.query(
+    'SELECT id, public_id, user_id, status, people_count FROM "bookings" WHERE public_id = $1 FOR UPDATE',
+    [bookingPublicId]
+  );
+  if (rows.length === 0) {
+    return { error: { status: 404, body: { message: "Booking tidak ditemukan" } } };
+  }
+  const booking = rows[0];
+  if (booking.user_id !== user.id && user.role !== "ADMIN") {
+    return { error: { status: 403, body: { message: "Forbidden" } } };
+  }
+  if (!GUEST_EDITABLE_STATUSES.includes(booking.status)) {
+    return {
+      error: {
+        status: 409,
+        body: { message: `Daftar tamu booking berstatus ${booking.status} tidak bisa diubah`, currentStatus: booking.status },
+      },
+    };
+  }
+  return { booking };
+};
+
+/**
+ * Daftar tamu satu booking
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} bookingId - ID internal booking
+ * @returns {Promise<Array>}
+ */
+const listBookingGuests = async (queryable, bookingId) => {
+  const { rows } = await queryable.query(
+    `SELECT ${GUEST_COLUMNS} FROM "booking_guests" WHERE booking_id = $1 ORDER BY id ASC`,
+    [bookingId]
+  );
+  return rows.map(formatGuest);
+};
+
+module.exports = {
+  GUEST_ID_TYPES,
+  GUEST_EDITABLE_STATUSES,
+  GUEST_COLUMNS,
+  GUEST_COUNT_SQL,
+  formatGuest,
+  validateGuestBody,
+  lockGuestBooking,
+  listBookingGuests,
+};
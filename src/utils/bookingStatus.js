@@ -0,0 +1,137 @@
+const BOOKING_STATUSES = ["PENDING", "PAID", "CHECK_IN", "CHECK_OUT", "CANCELLED"];
+
+// Alur status booking: status tujuan yang boleh dari tiap status
+const TRANSITIONS = {
+  PENDING: ["PAID", "CANCELLED"],
+  PAID: ["CHECK_IN", "CANCELLED"],
+  CHECK_IN: ["CHECK_OUT"],
+  CHECK_OUT: [],
+  CANCELLED: [],
+};
+
+// Syarat tambahan per status tujuan. Mengembalikan pesan error atau null
+const GUARDS = {
+  // Dasarnya pembayaran CONFIRMED di ledger (transfer terverifikasi, tunai, voucher, Midtrans), bukan bukti bayar
+  PAID: (booking) =>
+    Number(booking.amount_paid) > 0 ? null : "Booking belum memiliki pembayaran terkonfirmasi",
+  CHECK_IN: (booking, { now, allowUnpaidBalance }) => {
+    if (now < new Date(booking.start_date)) return "Check-in hanya bisa dilakukan mulai tanggal menginap";
+    if (Number(booking.balance_due) > 0 && !allowUnpaidBalance) {
+      return `Sisa tagihan Rp${Number(booking.balance_due)} belum dilunasi`;
+    }
+    // Manifest tamu wajib lengkap sebelum masuk kawasan (hanya jika guest_count ikut di-SELECT),
+    // kecuali booking yang dibuat sebelum ada manifest (guest_manifest_required = false)
+    if (
+      booking.guest_count !== undefined &&
+      booking.guest_manifest_required !== false &&
+      Number(booking.guest_count) < Number(booking.people_count)
+    ) {
+      return `Daftar tamu belum lengkap (${Number(booking.guest_count)} dari ${Number(booking.people_count)} orang)`;
+    }
+    return null;
+  },
+};
+
+/**
+ * Status tujuan yang boleh dari status saat ini
+ * @param {string} status
+ * @returns {Array<string>}
+ */
+const getAllowedTransitions = (status) => TRANSITIONS[status] || [];
+
+/**
+ * Cek apakah booking boleh pindah ke status tujuan (alur + guard)
+ * @param {Object} booking - Baris booking (status, amount_paid, start_date, balance_due, guest_count,
+ *   guest_manifest_required, people_count)
+ * @param {string} nextStatus - Status tujuan
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Waktu acuan guard, default sekarang
+ * @param {boolean} [options.allowUnpaidBalance] - Izinkan CHECK_IN walau sisa tagihan belum lunas
+ * @returns {Object} - { ok: true } atau { error: { status, body } }
+ */
+const checkTransition = (booking, nextStatus, { now = new Date(), allowUnpaidBalance = false } = {}) => {
+  const allowedNextStates = getAllowedTransitions(booking.status);
+
+  if (!allowedNextStates.includes(nextStatus)) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          message: `Status tidak bisa diubah dari ${booking.status} ke ${nextStatus}`,
+          currentStatus: booking.status,
+          allowedNextStates,
+        },
+      },
+    };
+  }
+
+  const guard = GUARDS[nextStatus];
+  const guardError = guard ? guard(booking, { now, allowUnpaidBalance }) : null;
+  if (guardError) {
+    return {
+      error: {
+        status: 409,
+        body: { message: guardError, currentStatus: booking.status, allowedNextStates },
+      },
+    };
+  }
+
+  return { ok: true };
+};
+
+/**
+ * Aksi yang bisa dilakukan tamu pada booking, mengikuti syarat endpoint masing-masing:
+ * pay (unggah bukti/checkout/voucher), cancel, modify (PATCH booking), review (setelah CHECK_OUT)
+ * @param {Object} booking - Baris booking (status, payment_proof, payment_deadline, balance_due)
+ * @param {Object} [options]
+ * @param {boolean} [options.hasReview] - Booking sudah direview
+ * @param {Date} [options.now] - Waktu acuan, default sekarang
+ * @returns {Object} - { pay, cancel, modify, review }
+ */
+const getBookingActions = (booking, { hasReview = false, now = new Date() } = {}) => {
+  const hasBalance = Number(booking.balance_due) > 0;
+  const deadlinePassed = Boolean(booking.payment_deadline) && new Date(booking.payment_deadline) < now;
+
+  // Booking PENDING yang bukti bayarnya sedang diverifikasi admin tidak ditawari bayar lagi
+  const pay =
+    (booking.status === "PENDING" && hasBalance && !deadlinePassed && !booking.payment_proof) ||
+    (booking.status === "PAID" && hasBalance);
+
+  return {
+    pay,
+    cancel: getAllowedTransitions(booking.status).includes("CANCELLED"),
+    modify: ["PENDING", "PAID"].includes(booking.status),
+    review: booking.status === "CHECK_OUT" && !hasReview,
+  };
+};
+
+/**
+ * Catat perpindahan status ke booking_status_history (panggil di dalam transaksi yang sama)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Object} entry
+ * @param {number} entry.bookingId - ID internal booking
+ * @param {string|null} entry.fromStatus
+ * @param {string} entry.toStatus
+ * @param {number|null} [entry.changedBy] - User/admin pelaku, null = sistem
+ * @param {string|null} [entry.reason]
+ * @param {Date|null} [entry.changedAt] - Waktu perubahan, default NOW() database
+ */
+const recordStatusChange = async (
+  queryable,
+  { bookingId, fromStatus, toStatus, changedBy = null, reason = null, changedAt = null }
+) => {
+  await queryable.query(
+    `INSERT INTO "booking_status_history" (booking_id, from_status, to_status, changed_by, reason, created_at)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()))`,
+    [bookingId, fromStatus, toStatus, changedBy, reason, changedAt]
+  );
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  getAllowedTransitions,
+  checkTransition,
+  getBookingActions,
+  recordStatusChange,
+};
@@ -0,0 +1,142 @@
+const { getCampDailyUsage } = require("./availability");
+const { toDateKey, loadCampRates, resolveNightlyPrices } = require("./pricing");
+const { loadStayRules, filterStayRules, checkStayRules } = require("./stayRules");
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const MAX_CALENDAR_MONTHS = 6;
+// Sisa kuota <= 20% kapasitas ditandai "limited" agar widget bisa memberi tanda hampir penuh
+const LIMITED_RATIO = 0.2;
+
+const CALENDAR_STATUSES = ["open", "limited", "full", "closed"];
+
+const getRemaining = (row) => Math.max(0, row.capacity - row.confirmed - row.held);
+
+const getDayStatus = (row, remaining) => {
+  if (row.isClosed || row.capacity <= 0) return "closed";
+  if (remaining <= 0) return "full";
+  if (remaining <= Math.max(1, Math.floor(row.capacity * LIMITED_RATIO))) return "limited";
+  return "open";
+};
+
+const addDays = (date, days) => toDateKey(new Date(`${date}T00:00:00Z`).getTime() + days * MS_PER_DAY);
+
+/**
+ * Jumlah malam terpendek dari tanggal check-in yang memenuhi min_nights semua aturan
+ * yang mencakup malam-malam tersebut (menambah malam bisa masuk ke aturan berikutnya)
+ * @param {Array} rules - Hasil loadStayRules
+ * @param {string} date - Tanggal check-in
+ * @returns {number}
+ */
+const getShortestStay = (rules, date) => {
+  let nights = 1;
+  for (;;) {
+    const required = filterStayRules(rules, date, addDays(date, nights)).reduce(
+      (max, rule) => Math.max(max, rule.min_nights || 0),
+      0
+    );
+    if (required <= nights) return nights;
+    nights = required;
+  }
+};
+
+/**
+ * Rentang kalender dari parameter from (YYYY-MM atau YYYY-MM-DD) dan months.
+ * Kalender selalu dimulai dari tanggal 1 bulan tersebut.
+ * @param {Object} query - { from, months }
+ * @param {Date} [now]
+ * @returns {Object} - { from, to, months } (to = hari setelah hari terakhir) atau { error }
+ */
+const parseCalendarRange = ({ from, months }, now = new Date()) => {
+  const monthCount = months === undefined || months === "" ? 3 : Number(months);
+  if (!Number.isInteger(monthCount) || monthCount < 1 || monthCount > MAX_CALENDAR_MONTHS) {
+    return { error: `months harus berupa angka 1 sampai ${MAX_CALENDAR_MONTHS}` };
+  }
+
+  let year = now.getUTCFullYear();
+  let month = now.getUTCMonth();
+  if (from) {
+    const match = /^(\d{4})-(\d{2})(-\d{2})?$/.exec(from);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      return { error: "from harus berformat YYYY-MM atau YYYY-MM-DD" };
+    }
+    year = Number(match[1]);
+    month = Number(match[2]) - 1;
+  }
+
+  return {
+    from: toDateKey(Date.UTC(year, month, 1)),
+    to: toDateKey(Date.UTC(year, month + monthCount, 1)),
+    months: monthCount,
+  };
+};
+
+/**
+ * Kalender ketersediaan per hari untuk widget tanggal: status kuota, sisa tempat, harga malam itu,
+ * dan apakah tamu bisa check-in pada tanggal tersebut menurut aturan booking camp dan sisa kuota
+ * setiap malam menginap terpendek yang diizinkan (bisa melewati akhir rentang kalender).
+ * Pemakaian kuota seluruh rentang diambil dalam satu query (getCampDailyUsage).
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Object} camp - Baris camp (id, name, nightly_price, ...)
+ * @param {Object} range - Hasil parseCalendarRange
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Array>} - [{ date, status, capacity, remaining, price, rateName, canCheckIn, minNights, arrivalRestrictions, reason }]
+ */
+const buildCampCalendar = async (queryable, camp, { from, to }, { now = new Date() } = {}) => {
+  // Aturan tanpa batas akhir: menginap dari hari terakhir kalender bisa melewati rentang kalender
+  const [rates, rules] = await Promise.all([
+    loadCampRates(queryable, camp.id, from, to),
+    loadStayRules(queryable, camp.id, from, null),
+  ]);
+  const dayCount = Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / MS_PER_DAY);
+  const dates = Array.from({ length: dayCount }, (_, index) => addDays(from, index));
+  const shortestStays = dates.map((date) => getShortestStay(rules, date));
+
+  // Pemakaian kuota diambil sampai check-out terjauh agar malam setelah akhir kalender ikut dicek
+  const usageEnd = dates.reduce((end, date, index) => {
+    const checkOut = addDays(date, shortestStays[index]);
+    return checkOut > end ? checkOut : end;
+  }, to);
+  const usage = await getCampDailyUsage(queryable, camp.id, from, usageEnd);
+  const prices = resolveNightlyPrices(camp, rates, from, dayCount);
+  const today = toDateKey(now);
+
+  return dates.map((date, index) => {
+    const row = usage[index];
+    const remaining = getRemaining(row);
+    const status = getDayStatus(row, remaining);
+
+    // Dicek seperti POST /booking untuk menginap terpendek yang diizinkan dari tanggal ini
+    const nights = shortestStays[index];
+    const nightsAvailable = usage
+      .slice(index, index + nights)
+      .every((night) => !night.isClosed && getRemaining(night) >= 1);
+    const arrivalRestrictions = [
+      ...new Set(
+        checkStayRules(rules, { startDate: date, endDate: addDays(date, nights), peopleCount: 1 }, { now }).map(
+          (violation) => violation.code
+        )
+      ),
+    ];
+
+    return {
+      date,
+      status,
+      capacity: row.capacity,
+      remaining,
+      price: prices[index].unitPrice,
+      rateName: prices[index].rateName,
+      canCheckIn: date >= today && nightsAvailable && arrivalRestrictions.length === 0,
+      minNights: nights > 1 ? nights : null,
+      arrivalRestrictions,
+      reason: row.reason,
+    };
+  });
+};
+
+module.exports = {
+  CALENDAR_STATUSES,
+  MAX_CALENDAR_MONTHS,
+  parseCalendarRange,
+  buildCampCalendar,
+};
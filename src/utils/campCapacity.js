@@ -0,0 +1,124 @@
+const { CONFIRMED_SQL, HOLD_SQL, getCampDailyUsage } = require("./availability");
+const { toDateKey } = require("./pricing");
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const OVERRIDE_COLUMNS = `public_id, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date, is_closed, capacity, reason, created_at, updated_at`;
+
+const formatOverride = (row) => ({
+  id: row.public_id,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  isClosed: row.is_closed,
+  capacity: row.is_closed ? 0 : row.capacity,
+  reason: row.reason,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Validasi dan normalisasi body override kapasitas
+ * @param {Object} body - { startDate, endDate, isClosed, capacity, reason }
+ * @param {Object} [options]
+ * @param {Object} [options.current] - Baris override saat ini (untuk update sebagian)
+ * @returns {Object} - { override: { startDate, endDate, isClosed, capacity, reason } } atau { error }
+ */
+const validateOverrideBody = (body, { current = null } = {}) => {
+  const startDate = body.startDate !== undefined ? body.startDate : current && current.start_date;
+  const endDate = body.endDate !== undefined ? body.endDate : current && current.end_date;
+  const isClosed = body.isClosed !== undefined ? Boolean(body.isClosed) : current ? current.is_closed : false;
+  const reason = body.reason !== undefined ? String(body.reason || "").trim() : current && current.reason;
+  let capacity = body.capacity !== undefined ? body.capacity : current ? current.capacity : null;
+
+  if (!startDate || !endDate || !reason) {
+    return { error: "startDate, endDate, dan reason wajib diisi" };
+  }
+  if (!DATE_REGEX.test(startDate) || !DATE_REGEX.test(endDate)) {
+    return { error: "startDate dan endDate harus berformat YYYY-MM-DD" };
+  }
+  if (endDate < startDate) {
+    return { error: "endDate tidak boleh lebih kecil dari startDate" };
+  }
+  if (reason.length > 200) {
+    return { error: "reason maksimal 200 karakter" };
+  }
+
+  if (isClosed) {
+    capacity = null;
+  } else if (capacity === null || capacity === undefined || capacity === "") {
+    return { error: "capacity wajib diisi jika camp tidak ditutup" };
+  } else if (!Number.isInteger(Number(capacity)) || Number(capacity) < 0) {
+    return { error: "capacity harus berupa angka bulat >= 0" };
+  }
+
+  return {
+    override: {
+      startDate,
+      endDate,
+      isClosed,
+      capacity: capacity === null ? null : Number(capacity),
+      reason,
+    },
+  };
+};
+
+/**
+ * Booking aktif (confirmed atau hold) yang tidak lagi muat setelah override berlaku:
+ * semua booking pada tanggal camp tutup, atau booking pada tanggal yang pemakaiannya melebihi kapasitas baru
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} campId - ID internal camp
+ * @param {string} startDate - YYYY-MM-DD (inklusif)
+ * @param {string} endDate - YYYY-MM-DD (inklusif)
+ * @returns {Promise<Object>} - { dates: [{ date, capacity, used, isClosed }], bookings: [...] }
+ */
+const findOverrideConflicts = async (queryable, campId, startDate, endDate) => {
+  const checkoutDate = toDateKey(new Date(`${endDate}T00:00:00Z`).getTime() + MS_PER_DAY);
+  const usage = await getCampDailyUsage(queryable, campId, startDate, checkoutDate);
+  const overbooked = usage.filter((row) => row.confirmed + row.held > row.capacity);
+
+  if (overbooked.length === 0) {
+    return { dates: [], bookings: [] };
+  }
+
+  const { rows } = await queryable.query(
+    `SELECT b.public_id, b.status, b.start_date, b.end_date, b.people_count,
+            COALESCE(u.full_name, u.username) AS customer_name, u.email AS customer_email
+     FROM "bookings" b
+     JOIN "users" u ON u.id = b.user_id
+     WHERE b.camp_id = $1
+       AND (${CONFIRMED_SQL} OR ${HOLD_SQL})
+       AND EXISTS (
+         SELECT 1 FROM unnest($2::date[]) AS d(day)
+         WHERE d.day >= b.start_date::date AND d.day < b.end_date::date
+       )
+     ORDER BY b.start_date ASC, b.id ASC`,
+    [campId, overbooked.map((row) => toDateKey(row.day))]
+  );
+
+  return {
+    dates: overbooked.map((row) => ({
+      date: row.day,
+      capacity: row.capacity,
+      used: row.confirmed + row.held,
+      isClosed: row.isClosed,
+    })),
+    bookings: rows.map((row) => ({
+      id: row.public_id,
+      status: row.status,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      peopleCount: row.people_count,
+      customerName: row.customer_name,
+      customerEmail: row.customer_email,
+    })),
+  };
+};
+
+module.exports = {
+  OVERRIDE_COLUMNS,
+  formatOverride,
+  validateOverrideBody,
+  findOverrideConflicts,
+};
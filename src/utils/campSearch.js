@@ -0,0 +1,323 @@
+const { getCampsMinRemaining } = require("./availability");
+const { countNights, toDateKey, buildQuote, loadCampsRates } = require("./pricing");
+const { applyPromoToQuote } = require("./promo");
+const { loadChargeRules, applyChargesToQuote } = require("./charges");
+const { loadCampsStayRules, checkStayRules } = require("./stayRules");
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// Popularitas = jumlah booking terbayar (PAID, CHECK_IN, CHECK_OUT) yang dibuat dalam rentang ini
+const POPULARITY_WINDOW_DAYS = 90;
+
+// Urutan hasil: ekspresi SQL nilai sort + arah (NULL selalu di akhir); public_id sebagai pemutus seri agar
+// cursor stabil. Sort harga saat tanggal diisi memakai pricePerNight hasil quote (tarif musiman), jadi
+// diurutkan setelah semua kandidat dihitung (byQuote)
+const SORTS = {
+  name: { sql: 'lower(c.name) COLLATE "C"', type: "text", direction: 1 },
+  price: { sql: "c.nightly_price", type: "numeric", direction: 1, byQuote: true },
+  price_desc: { sql: "c.nightly_price", type: "numeric", direction: -1, byQuote: true },
+  rating: { sql: "r.rating", type: "numeric", direction: -1 },
+  popularity: { sql: "p.popularity", type: "numeric", direction: -1 },
+};
+
+/**
+ * Normalisasi daftar fasilitas: array atau string dipisah koma, lowercase, tanpa duplikat
+ * @param {Array|string} value
+ * @returns {Array<string>}
+ */
+const normalizeAmenities = (value) => {
+  const items = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(items.map((item) => String(item).trim().toLowerCase()).filter(Boolean))];
+};
+
+const encodeCursor = (sortValue, id) => Buffer.from(JSON.stringify([sortValue, id])).toString("base64url");
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Array.isArray(decoded) || decoded.length !== 2 || !UUID_REGEX.test(decoded[1])) return null;
+    const [value] = decoded;
+    const validValue = sort.type === "text" ? typeof value === "string" : value === null || Number.isFinite(value);
+    return validValue ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const compareBy = (sort) => (a, b) => {
+  const left = a[0];
+  const right = b[0];
+  if (left !== right) {
+    if (left === null) return 1;
+    if (right === null) return -1;
+    return (left < right ? -1 : 1) * sort.direction;
+  }
+  return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+};
+
+const toNumberOrNull = (value) => (value === undefined || value === "" ? null : Number(value));
+
+/**
+ * Validasi query pencarian camp
+ * @param {Object} query - req.query
+ * @returns {Object} - { filters } atau { error }
+ */
+const parseCampSearch = (query) => {
+  const { startDate, endDate, location, sort = "name", cursor } = query;
+  const peopleCount = toNumberOrNull(query.peopleCount);
+  const minPrice = toNumberOrNull(query.minPrice);
+  const maxPrice = toNumberOrNull(query.maxPrice);
+  const minRating = toNumberOrNull(query.minRating);
+  const limit = toNumberOrNull(query.limit) ?? DEFAULT_LIMIT;
+
+  if (Boolean(startDate) !== Boolean(endDate)) {
+    return { error: "startDate dan endDate harus diisi bersamaan" };
+  }
+  if (startDate && (!DATE_REGEX.test(startDate) || !DATE_REGEX.test(endDate))) {
+    return { error: "startDate dan endDate harus berformat YYYY-MM-DD" };
+  }
+  if (startDate && endDate <= startDate) {
+    return { error: "endDate harus lebih besar dari startDate" };
+  }
+  if (peopleCount !== null && (!Number.isInteger(peopleCount) || peopleCount < 1)) {
+    return { error: "peopleCount harus berupa angka bulat >= 1" };
+  }
+  for (const [field, value] of [["minPrice", minPrice], ["maxPrice", maxPrice]]) {
+    if (value !== null && (!Number.isFinite(value) || value < 0)) {
+      return { error: `${field} harus berupa angka >= 0` };
+    }
+  }
+  if (minPrice !== null && maxPrice !== null && maxPrice < minPrice) {
+    return { error: "maxPrice tidak boleh lebih kecil dari minPrice" };
+  }
+  if (minRating !== null && (!Number.isFinite(minRating) || minRating < 1 || minRating > 5)) {
+    return { error: "minRating harus berupa angka 1 sampai 5" };
+  }
+  if (!SORTS[sort]) {
+    return { error: `sort harus salah satu dari: ${Object.keys(SORTS).join(", ")}` };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit harus berupa angka 1 sampai ${MAX_LIMIT}` };
+  }
+  const after = cursor ? decodeCursor(cursor, SORTS[sort]) : null;
+  if (cursor && !after) {
+    return { error: "cursor tidak valid" };
+  }
+
+  return {
+    filters: {
+      startDate: startDate || null,
+      endDate: endDate || null,
+      peopleCount: peopleCount || 1,
+      minPrice,
+      maxPrice,
+      location: location ? String(location).trim() : null,
+      amenities: normalizeAmenities(query.amenities),
+      minRating,
+      sort,
+      limit,
+      after,
+    },
+  };
+};
+
+/**
+ * Kondisi SQL "sesudah cursor" untuk urutan sort (NULL di akhir, lalu public_id naik)
+ * @param {Object} sort - Item SORTS
+ * @param {Array} after - [nilai sort, public_id] dari cursor
+ * @param {Array} params - Parameter query, nilai cursor ditambahkan ke sini
+ * @returns {string}
+ */
+const buildCursorCondition = (sort, after, params) => {
+  params.push(after[1]);
+  const idParam = `$${params.length}`;
+  if (after[0] === null) {
+    return `(${sort.sql} IS NULL AND c.public_id > ${idParam}::uuid)`;
+  }
+  params.push(after[0]);
+  const valueParam = `$${params.length}::${sort.type}`;
+  const operator = sort.direction === 1 ? ">" : "<";
+  return `(${sort.sql} IS NULL OR ${sort.sql} ${operator} ${valueParam}
+    OR (${sort.sql} = ${valueParam} AND c.public_id > ${idParam}::uuid))`;
+};
+
+/**
+ * Ambil camp aktif yang lolos filter lokasi, fasilitas, rating (dan harga jika tanpa tanggal),
+ * urut sesuai sort mulai setelah cursor
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Object} filters - Hasil parseCampSearch
+ * @param {Object} options - { after, limit } (limit null = semua kandidat)
+ * @returns {Promise<Array>}
+ */
+const loadCandidateCamps = async (queryable, filters, { after, limit }) => {
+  const sort = SORTS[filters.sort];
+  const params = [filters.location, filters.amenities, filters.minRating, POPULARITY_WINDOW_DAYS];
+  const conditions = [];
+
+  // Tanpa tanggal, pricePerNight = nightly_price sehingga filter harga bisa langsung di SQL
+  if (!filters.startDate) {
+    params.push(filters.minPrice, filters.maxPrice);
+    conditions.push(`($5::numeric IS NULL OR c.nightly_price >= $5::numeric)`);
+    conditions.push(`($6::numeric IS NULL OR c.nightly_price <= $6::numeric)`);
+  }
+  if (after) {
+    conditions.push(buildCursorCondition(sort, after, params));
+  }
+  let limitSql = "";
+  if (limit) {
+    params.push(limit);
+    limitSql = `LIMIT $${params.length}`;
+  }
+
+  const { rows } = await queryable.query(
+    `SELECT c.id, c.public_id, c.name, c.description, c.location, c.nightly_price, c.price_model,
+            c.base_fee, c.people_per_pitch, c.deposit_percent, c.daily_capacity, c.photo_url, c.amenities,
+            r.rating, COALESCE(r.review_count, 0) AS review_count, COALESCE(p.popularity, 0) AS popularity,
+            ${sort.sql} AS sort_value
+     FROM "camps" c
+     LEFT JOIN LATERAL (
+       SELECT ROUND(AVG(rv.rating)::numeric, 1) AS rating, COUNT(*) AS review_count
+       FROM "reviews" rv
+       WHERE rv.camp_id = c.id AND rv.rating IS NOT NULL
+     ) r ON true
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*) AS popularity
+       FROM "bookings" b
+       WHERE b.camp_id = c.id
+         AND b.status IN ('PAID', 'CHECK_IN', 'CHECK_OUT')
+         AND b.created_at >= NOW() - make_interval(days => $4)
+     ) p ON true
+     WHERE c.is_active = true
+       AND ($1::text IS NULL OR c.location ILIKE '%' || $1 || '%' OR c.name ILIKE '%' || $1 || '%')
+       AND c.amenities @> $2::text[]
+       AND ($3::numeric IS NULL OR r.rating >= $3::numeric)
+       ${conditions.map((condition) => `AND ${condition}`).join("\n       ")}
+     ORDER BY ${sort.sql} ${sort.direction === 1 ? "ASC" : "DESC"} NULLS LAST, c.public_id ASC
+     ${limitSql}`,
+    params
+  );
+
+  const toSortValue = (value) => (sort.type === "text" || value === null ? value : Number(value));
+  return rows.map((row) => ({
+    ...row,
+    rating: row.rating === null ? null : Number(row.rating),
+    review_count: Number(row.review_count),
+    popularity: Number(row.popularity),
+    pricePerNight: Number(row.nightly_price),
+    stay: null,
+    sortKey: [toSortValue(row.sort_value), row.public_id],
+  }));
+};
+
+/**
+ * Saring camp yang sisa kuotanya cukup dan lolos aturan booking untuk tanggal pencarian, lalu hitung
+ * harga menginap (termasuk pajak & biaya layanan). Jumlah query tetap, tidak bergantung jumlah camp.
+ * @returns {Promise<Array>} - Camp yang bisa dipesan, dengan stay dan pricePerNight dari quote
+ */
+const quoteCampStays = async (queryable, camps, { startDate, endDate, peopleCount }, chargeRules, now) => {
+  const remaining = await getCampsMinRemaining(
+    queryable,
+    camps.map((camp) => camp.id),
+    startDate,
+    endDate
+  );
+  const available = camps.filter((camp) => (remaining.get(camp.id) || 0) >= peopleCount);
+  const campIds = available.map((camp) => camp.id);
+  const [rates, rules] = await Promise.all([
+    loadCampsRates(queryable, campIds, startDate, endDate),
+    loadCampsStayRules(queryable, campIds, startDate, endDate),
+  ]);
+
+  const nights = countNights(startDate, endDate);
+  return available
+    .filter((camp) => checkStayRules(rules.get(camp.id), { startDate, endDate, peopleCount }, { now }).length === 0)
+    .map((camp) => {
+      const quote = applyChargesToQuote(
+        applyPromoToQuote(
+          buildQuote({ camp, startDate, nights, peopleCount, rates: rates.get(camp.id) }),
+          null
+        ),
+        chargeRules
+      );
+      return {
+        ...camp,
+        pricePerNight: Math.round(quote.campTotal / nights),
+        stay: {
+          startDate: toDateKey(startDate),
+          endDate: toDateKey(endDate),
+          nights,
+          peopleCount,
+          campTotal: quote.campTotal,
+          taxAmount: quote.taxAmount,
+          serviceFeeAmount: quote.serviceFeeAmount,
+          totalPrice: quote.totalPrice,
+          remaining: remaining.get(camp.id),
+        },
+      };
+    });
+};
+
+/**
+ * Cari camp aktif sesuai filter. Jika tanggal diisi, hanya camp dengan sisa kuota >= peopleCount
+ * di setiap malam dan lolos aturan booking yang dikembalikan, beserta total harga menginap.
+ * pricePerNight (dasar filter & sort harga) = total camp / malam untuk rombongan jika tanggal diisi,
+ * selain itu nightly_price camp.
+ *
+ * Filter, sort, dan cursor dijalankan di SQL dengan LIMIT. Jika tanggal diisi, kandidat diambil per
+ * batch (limit + 1) dan disaring kuota & aturan booking sampai satu halaman terisi; hanya sort harga
+ * dengan tanggal yang menghitung semua kandidat karena urutannya bergantung pada hasil quote.
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Object} filters - Hasil parseCampSearch
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { camps, nextCursor }
+ */
+const searchCamps = async (queryable, filters, { now = new Date() } = {}) => {
+  const sort = SORTS[filters.sort];
+  const sortByQuote = Boolean(filters.startDate) && sort.byQuote;
+  const batchSize = sortByQuote ? null : filters.limit + 1;
+  const chargeRules = filters.startDate ? await loadChargeRules(queryable) : null;
+  const inPriceRange = (camp) =>
+    (filters.minPrice === null || camp.pricePerNight >= filters.minPrice) &&
+    (filters.maxPrice === null || camp.pricePerNight <= filters.maxPrice);
+
+  let matches = [];
+  let after = sortByQuote ? null : filters.after;
+  for (;;) {
+    const candidates = await loadCandidateCamps(queryable, filters, { after, limit: batchSize });
+    const camps = filters.startDate
+      ? (await quoteCampStays(queryable, candidates, filters, chargeRules, now)).filter(inPriceRange)
+      : candidates;
+    matches.push(...camps);
+
+    if (sortByQuote || candidates.length < batchSize || matches.length > filters.limit) break;
+    after = candidates[candidates.length - 1].sortKey;
+  }
+
+  if (sortByQuote) {
+    const compare = compareBy(sort);
+    matches = matches
+      .map((camp) => ({ ...camp, sortKey: [camp.pricePerNight, camp.public_id] }))
+      .sort((a, b) => compare(a.sortKey, b.sortKey));
+    if (filters.after) {
+      matches = matches.filter((camp) => compare(camp.sortKey, filters.after) > 0);
+    }
+  }
+
+  const page = matches.slice(0, filters.limit);
+  const last = page[page.length - 1];
+
+  return {
+    camps: page,
+    nextCursor: matches.length > filters.limit ? encodeCursor(last.sortKey[0], last.sortKey[1]) : null,
+  };
+};
+
+module.exports = {
+  POPULARITY_WINDOW_DAYS,
+  normalizeAmenities,
+  parseCampSearch,
+  searchCamps,
+};
@@ -0,0 +1,180 @@
+const { CONFIRMED_SQL, HOLD_SQL } = require("./availability");
+
+const SITE_TYPES = ["TENT", "CAMPERVAN", "GLAMPING", "CABIN"];
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const SITE_COLUMNS = `s.id, s.public_id, s.name, s.site_type, s.capacity, s.price_modifier, s.attributes,
+  s.zone, s.position, s.is_active, s.created_at, s.updated_at`;
+
+const formatSite = (row) => ({
+  id: row.public_id,
+  name: row.name,
+  siteType: row.site_type,
+  capacity: row.capacity,
+  priceModifier: row.price_modifier,
+  attributes: row.attributes || [],
+  zone: row.zone,
+  position: row.position,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const siteError = (status, message) => ({ error: { status, body: { message } } });
+
+/**
+ * Ambil site yang dipilih untuk booking: harus aktif, milik camp yang sama, dan tidak duplikat
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} campId - ID internal camp
+ * @param {Array<string>} siteIds - public_id site
+ * @returns {Promise<Object>} - { sites } atau { error: { status, body } }
+ */
+const resolveSites = async (queryable, campId, siteIds) => {
+  if (!Array.isArray(siteIds)) {
+    return siteError(400, "siteIds harus berupa array");
+  }
+  if (siteIds.some((siteId) => !UUID_REGEX.test(String(siteId)))) {
+    return siteError(400, "siteId harus berupa UUID yang valid");
+  }
+  const uniqueIds = [...new Set(siteIds.map((siteId) => String(siteId).toLowerCase()))];
+  if (uniqueIds.length !== siteIds.length) {
+    return siteError(400, "siteIds tidak boleh duplikat");
+  }
+  if (uniqueIds.length === 0) {
+    return { sites: [] };
+  }
+
+  const { rows } = await queryable.query(
+    `SELECT ${SITE_COLUMNS}
+     FROM "camp_sites" s
+     WHERE s.camp_id = $1 AND s.is_active = true AND s.public_id = ANY($2::uuid[])
+     ORDER BY s.zone ASC NULLS LAST, s.position ASC NULLS LAST, s.name ASC`,
+    [campId, uniqueIds]
+  );
+  if (rows.length !== uniqueIds.length) {
+    return siteError(404, "Site tidak ditemukan di camp ini");
+  }
+  return { sites: rows };
+};
+
+/**
+ * Apakah camp memiliki site aktif (booking baru wajib memilih site)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} campId - ID internal camp
+ * @returns {Promise<boolean>}
+ */
+const campHasSites = async (queryable, campId) => {
+  const { rows } = await queryable.query(
+    'SELECT 1 FROM "camp_sites" WHERE camp_id = $1 AND is_active = true LIMIT 1',
+    [campId]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Malam-malam site sudah dipesan booking lain (confirmed atau hold) pada rentang tanggal
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Array<number>} siteIds - ID internal site
+ * @param {string|Date} startDate - Malam pertama
+ * @param {string|Date} endDate - Tanggal check-out (tidak dihitung)
+ * @param {Object} [options]
+ * @param {number} [options.excludeBookingId] - Abaikan booking ini (misal saat booking diubah)
+ * @returns {Promise<Array>} - [{ siteId, day }] urut per site lalu tanggal
+ */
+const getSiteBookedNights = async (queryable, siteIds, startDate, endDate, { excludeBookingId = null } = {}) => {
+  if (siteIds.length === 0) return [];
+  const { rows } = await queryable.query(
+    `WITH days AS (
+       SELECT generate_series($2::date, ($3::date - INTERVAL '1 day'), INTERVAL '1 day')::date AS day
+     )
+     SELECT DISTINCT bs.site_id, d.day
+     FROM "booking_sites" bs
+     JOIN "bookings" b ON b.id = bs.booking_id
+     JOIN days d ON d.day >= b.start_date::date AND d.day < b.end_date::date
+     WHERE bs.site_id = ANY($1::int[])
+       AND (${CONFIRMED_SQL} OR ${HOLD_SQL})
+       AND ($4::int IS NULL OR b.id <> $4::int)
+     ORDER BY bs.site_id, d.day`,
+    [siteIds, startDate, endDate, excludeBookingId]
+  );
+  return rows.map((row) => ({ siteId: row.site_id, day: row.day }));
+};
+
+/**
+ * Ketersediaan semua site aktif camp pada rentang tanggal (untuk endpoint availability)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} campId - ID internal camp
+ * @param {string|Date} startDate - Malam pertama
+ * @param {string|Date} endDate - Tanggal check-out (tidak dihitung)
+ * @returns {Promise<Array>} - [{ ...formatSite, available, bookedDates }]
+ */
+const getSiteAvailability = async (queryable, campId, startDate, endDate) => {
+  const { rows } = await queryable.query(
+    `SELECT ${SITE_COLUMNS}
+     FROM "camp_sites" s
+     WHERE s.camp_id = $1 AND s.is_active = true
+     ORDER BY s.zone ASC NULLS LAST, s.position ASC NULLS LAST, s.name ASC`,
+    [campId]
+  );
+  const booked = await getSiteBookedNights(
+    queryable,
+    rows.map((row) => row.id),
+    startDate,
+    endDate
+  );
+
+  return rows.map((row) => {
+    const bookedDates = booked.filter((night) => night.siteId === row.id).map((night) => night.day);
+    return { ...formatSite(row), available: bookedDates.length === 0, bookedDates };
+  });
+};
+
+/**
+ * Site yang sudah tercatat di booking, dalam bentuk baris camp_sites (untuk menghitung ulang harga)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} bookingId - ID internal booking
+ * @returns {Promise<Array>}
+ */
+const loadBookingSites = async (queryable, bookingId) => {
+  const { rows } = await queryable.query(
+    `SELECT ${SITE_COLUMNS}
+     FROM "booking_sites" bs
+     JOIN "camp_sites" s ON s.id = bs.site_id
+     WHERE bs.booking_id = $1
+     ORDER BY s.zone ASC NULLS LAST, s.position ASC NULLS LAST, s.name ASC`,
+    [bookingId]
+  );
+  return rows;
+};
+
+/**
+ * Simpan ulang site booking dari hasil quote (panggil di dalam transaksi yang sama)
+ * @param {Object} client - Client transaksi
+ * @param {number} bookingId - ID internal booking
+ * @param {Array} sites - Baris camp_sites yang dipesan
+ * @param {number} nights - Jumlah malam
+ */
+const saveBookingSites = async (client, bookingId, sites, nights) => {
+  await client.query('DELETE FROM "booking_sites" WHERE booking_id = $1', [bookingId]);
+  for (const site of sites) {
+    await client.query(
+      `INSERT INTO "booking_sites" (booking_id, site_id, price_modifier, amount)
+       VALUES ($1, $2, $3, $4)`,
+      [bookingId, site.id, site.price_modifier, Number(site.price_modifier) * nights]
+    );
+  }
+};
+
+module.exports = {
+  SITE_TYPES,
+  SITE_COLUMNS,
+  formatSite,
+  resolveSites,
+  campHasSites,
+  getSiteBookedNights,
+  getSiteAvailability,
+  loadBookingSites,
+  saveBookingSites,
+};
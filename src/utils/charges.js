@@ -0,0 +1,104 @@
+const CHARGE_TYPES = ["TAX", "SERVICE_FEE"];
+const CALCULATION_TYPES = ["PERCENT", "FLAT"];
+
+const CHARGE_LINE_TYPES = { TAX: "tax", SERVICE_FEE: "service_fee" };
+
+/**
+ * Ambil aturan pajak dan biaya layanan yang aktif
+ * @param {Object} queryable - db pool atau client transaksi
+ * @returns {Promise<Array>}
+ */
+const loadChargeRules = async (queryable) => {
+  const { rows } = await queryable.query(
+    `SELECT id, name, charge_type, calculation, value, is_inclusive
+     FROM "charge_rules"
+     WHERE is_active = true
+     ORDER BY charge_type ASC, id ASC`
+  );
+  return rows;
+};
+
+const describeRule = (rule) =>
+  rule.calculation === "PERCENT" ? `${rule.name} (${Number(rule.value)}%)` : rule.name;
+
+/**
+ * Tambahkan pajak dan biaya layanan ke quote (setelah potongan promo).
+ * Exclusive: ditambahkan di atas harga, PERCENT dihitung dari harga setelah diskon.
+ * Inclusive: sudah termasuk di harga; nominalnya dipisahkan dari harga (FLAT dulu, lalu PERCENT
+ * dari sisanya) sehingga totalPrice tidak berubah.
+ * subtotal = totalPrice - taxAmount - serviceFeeAmount (harga sebelum pajak dan biaya layanan).
+ * @param {Object} quote - Hasil applyPromoToQuote
+ * @param {Array} rules - Hasil loadChargeRules
+ * @returns {Object}
+ */
+const applyChargesToQuote = (quote, rules = []) => {
+  const price = Number(quote.totalPrice) || 0;
+  const charges = [];
+
+  const inclusiveFlat = rules.filter((rule) => rule.is_inclusive && rule.calculation === "FLAT");
+  const inclusivePercent = rules.filter((rule) => rule.is_inclusive && rule.calculation === "PERCENT");
+  const exclusive = rules.filter((rule) => !rule.is_inclusive);
+
+  let remaining = price;
+  for (const rule of inclusiveFlat) {
+    const amount = Math.min(Number(rule.value), remaining);
+    remaining -= amount;
+    charges.push({ rule, amount });
+  }
+
+  const percentTotal = inclusivePercent.reduce((sum, rule) => sum + Number(rule.value), 0);
+  const net = remaining / (1 + percentTotal / 100);
+  for (const rule of inclusivePercent) {
+    charges.push({ rule, amount: Math.round((net * Number(rule.value)) / 100) });
+  }
+
+  for (const rule of exclusive) {
+    const amount = rule.calculation === "PERCENT" ? Math.round((price * Number(rule.value)) / 100) : Number(rule.value);
+    charges.push({ rule, amount });
+  }
+
+  const sumOf = (type) =>
+    charges.filter(({ rule }) => rule.charge_type === type).reduce((sum, { amount }) => sum + amount, 0);
+  const taxAmount = sumOf("TAX");
+  const serviceFeeAmount = sumOf("SERVICE_FEE");
+  const exclusiveTotal = charges
+    .filter(({ rule }) => !rule.is_inclusive)
+    .reduce((sum, { amount }) => sum + amount, 0);
+  const totalPrice = price + exclusiveTotal;
+
+  return {
+    ...quote,
+    lines: [
+      ...quote.lines,
+      ...charges
+        .filter(({ rule }) => !rule.is_inclusive)
+        .map(({ rule, amount }) => ({
+          type: CHARGE_LINE_TYPES[rule.charge_type],
+          description: describeRule(rule),
+          unitPrice: null,
+          quantity: 1,
+          nights: null,
+          amount,
+        })),
+    ],
+    charges: charges.map(({ rule, amount }) => ({
+      type: rule.charge_type,
+      name: rule.name,
+      calculation: rule.calculation,
+      value: Number(rule.value),
+      inclusive: rule.is_inclusive,
+      amount,
+    })),
+    subtotal: totalPrice - taxAmount - serviceFeeAmount,
+    taxAmount,
+    serviceFeeAmount,
+    totalPrice,
+  };
+};
+
+module.exports = {
+  CHARGE_TYPES,
+  CALCULATION_TYPES,
+  loadChargeRules,
+  applyChargesToQuote,
+};
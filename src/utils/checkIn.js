@@ -0,0 +1,124 @@
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const { sendEmail } = require("../config/email");
+
+// Booking yang memegang token check-in: PAID (untuk check-in) dan CHECK_IN (untuk check-out)
+const CHECK_IN_TOKEN_STATUSES = ["PAID", "CHECK_IN"];
+const TOKEN_PURPOSE = "CHECK_IN";
+// Token masih berlaku sampai 2 hari setelah tanggal check-out agar check-out terlambat tetap bisa dipindai
+const TOKEN_GRACE_SECONDS = 2 * 24 * 60 * 60;
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+const getTokenSecret = () => {
+  const secret = process.env.CHECKIN_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("CHECKIN_TOKEN_SECRET is not configured");
+  }
+  return secret;
+};
+
+/**
+ * Buat token check-in bertanda tangan untuk booking. Token selalu sama untuk booking yang sama
+ * (tanpa iat, exp dari tanggal check-out) sehingga QR di email dan di detail booking identik.
+ * @param {Object} booking - Baris booking (public_id, end_date)
+ * @returns {string}
+ */
+const createCheckInToken = (booking) =>
+  jwt.sign(
+    {
+      bookingId: booking.public_id,
+      purpose: TOKEN_PURPOSE,
+      exp: Math.floor(new Date(booking.end_date).getTime() / 1000) + TOKEN_GRACE_SECONDS,
+    },
+    getTokenSecret(),
+    { noTimestamp: true }
+  );
+
+/**
+ * Verifikasi token check-in dari hasil scan QR
+ * @param {string} token
+ * @returns {Object} - { bookingPublicId } atau { error: { status, body } }
+ */
+const verifyCheckInToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token || "").trim(), getTokenSecret());
+    if (payload.purpose !== TOKEN_PURPOSE || !payload.bookingId) {
+      return { error: { status: 400, body: { message: "QR bukan token check-in booking" } } };
+    }
+    return { bookingPublicId: payload.bookingId };
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return { error: { status: 410, body: { message: "QR check-in sudah kedaluwarsa" } } };
+    }
+    return { error: { status: 400, body: { message: "QR check-in tidak valid" } } };
+  }
+};
+
+/**
+ * Token dan gambar QR (data URL PNG) untuk ditampilkan di aplikasi, null jika status booking
+ * tidak memegang token check-in
+ * @param {Object} booking - Baris booking (public_id, end_date, status)
+ * @returns {Promise<Object|null>} - { token, qrCode }
+ */
+const getCheckInQr = async (booking) => {
+  if (!CHECK_IN_TOKEN_STATUSES.includes(booking.status)) return null;
+  const token = createCheckInToken(booking);
+  return { token, qrCode: await QRCode.toDataURL(token, { margin: 1, width: 320 }) };
+};
+
+/**
+ * Kirim email konfirmasi booking PAID beserta QR check-in (inline dan lampiran PNG).
+ * Dipanggil setelah COMMIT, di background.
+ * @param {Object} queryable - db pool
+ * @param {number} bookingId - ID internal booking
+ * @returns {Promise<void>}
+ */
+const sendBookingConfirmationEmail = async (queryable, bookingId) => {
+  const { rows } = await queryable.query(
+    `SELECT b.public_id, b.status, b.start_date, b.end_date, b.people_count,
+            COALESCE(u.full_name, u.username) AS customer_name, u.email, c.name AS camp_name
+     FROM "bookings" b
+     JOIN "users" u ON u.id = b.user_id
+     JOIN "camps" c ON c.id = b.camp_id
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  const booking = rows[0];
+  if (!booking || !booking.email || !CHECK_IN_TOKEN_STATUSES.includes(booking.status)) return;
+
+  const token = createCheckInToken(booking);
+  const qrPng = await QRCode.toBuffer(token, { margin: 1, width: 320 });
+  const formatDate = (value) => new Date(value).toLocaleDateString("id-ID");
+
+  await sendEmail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: booking.email,
+    subject: `Booking ${booking.camp_name} terkonfirmasi`,
+    text:
+      `Halo ${booking.customer_name},\n\n` +
+      `Pembayaran booking ${booking.camp_name} (${booking.public_id}) sudah kami terima.\n` +
+      `Check in: ${formatDate(booking.start_date)}\n` +
+      `Check out: ${formatDate(booking.end_date)}\n` +
+      `Jumlah orang: ${booking.people_count}\n\n` +
+      "Tunjukkan QR terlampir kepada petugas gerbang saat check in dan check out.",
+    html:
+      `<p>Halo ${escapeHtml(booking.customer_name)},</p>` +
+      `<p>Pembayaran booking <b>${escapeHtml(booking.camp_name)}</b> (${booking.public_id}) sudah kami terima.</p>` +
+      `<p>Check in: ${formatDate(booking.start_date)}<br>Check out: ${formatDate(booking.end_date)}<br>` +
+      `Jumlah orang: ${booking.people_count}</p>` +
+      "<p>Tunjukkan QR berikut kepada petugas gerbang saat check in dan check out:</p>" +
+      `<p><img src="data:image/png;base64,${qrPng.toString("base64")}" alt="QR check-in" width="240" height="240"></p>`,
+    attachments: [{ filename: `checkin-${booking.public_id}.png`, content: qrPng.toString("base64") }],
+  });
+  console.log(`[CheckIn] Confirmation email sent to: ${booking.email}`);
+};
+
+module.exports = {
+  CHECK_IN_TOKEN_STATUSES,
+  createCheckInToken,
+  verifyCheckInToken,
+  getCheckInQr,
+  sendBookingConfirmationEmail,
+};
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+
+const VOUCHER_STATUSES = ["PENDING", "ACTIVE", "VOID"];
+const MIN_VOUCHER_AMOUNT = 50000;
+const DEFAULT_VALIDITY_DAYS = 365;
+// Tanpa 0/O dan 1/I agar kode mudah diketik ulang
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const VOUCHER_COLUMNS = `v.public_id, v.code, v.amount, v.balance, v.status, v.recipient_name, v.recipient_email,
+  v.message, v.activated_at, v.expires_at, v.voided_at, v.void_reason, v.created_at`;
+
+const formatVoucher = (row) => ({
+  id: row.public_id,
+  code: row.code,
+  amount: row.amount,
+  balance: row.balance,
+  status: row.status,
+  isExpired: Boolean(row.expires_at && new Date(row.expires_at) <= new Date()),
+  recipientName: row.recipient_name,
+  recipientEmail: row.recipient_email,
+  message: row.message,
+  activatedAt: row.activated_at,
+  expiresAt: row.expires_at,
+  voidedAt: row.voided_at,
+  voidReason: row.void_reason,
+  createdAt: row.created_at,
+});
+
+/**
+ * Masa berlaku voucher sejak pembayaran dikonfirmasi, dari env GIFT_VOUCHER_VALIDITY_DAYS
+ * @returns {number}
+ */
+const getVoucherValidityDays = () => {
+  const days = parseInt(process.env.GIFT_VOUCHER_VALIDITY_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_VALIDITY_DAYS;
+};
+
+/**
+ * Buat kode voucher acak, format GV-XXXX-XXXX
+ * @returns {string}
+ */
+const generateVoucherCode = () => {
+  const pick = () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  const block = () => Array.from({ length: 4 }, pick).join("");
+  return `GV-${block()}-${block()}`;
+};
+
+const normalizeVoucherCode = (code) => String(code || "").trim().toUpperCase();
+
+/**
+ * Kembalikan saldo voucher dari pembayaran VOUCHER yang di-void (panggil di dalam transaksi yang sama)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} paymentId - ID internal baris payments
+ * @returns {Promise<number>} - Nominal yang dikembalikan ke voucher, 0 jika bukan pembayaran voucher
+ */
+const reverseVoucherRedemption = async (queryable, paymentId, { now = null } = {}) => {
+  const { rows } = await queryable.query(
+    `UPDATE "gift_voucher_redemptions" SET reversed_at = COALESCE($2, NOW())
+     WHERE payment_id = $1 AND reversed_at IS NULL
+     RETURNING voucher_id, amount`,
+    [paymentId, now]
+  );
+  if (rows.length === 0) return 0;
+
+  await queryable.query('UPDATE "gift_vouchers" SET balance = balance + $1 WHERE id = $2', [
+    rows[0].amount,
+    rows[0].voucher_id,
+  ]);
+  return Number(rows[0].amount);
+};
+
+module.exports = {
+  VOUCHER_STATUSES,
+  MIN_VOUCHER_AMOUNT,
+  VOUCHER_COLUMNS,
+  formatVoucher,
+  getVoucherValidityDays,
+  generateVoucherCode,
+  normalizeVoucherCode,
+  reverseVoucherRedemption,
+};
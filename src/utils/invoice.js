@@ -0,0 +1,351 @@
+const PDFDocument = require("pdfkit");
+const { getBookingQuote, countNights } = require("./pricing");
+const { getBookingBalance } = require("./payments");
+
+const ISSUER_NAME = "Potrobayan Camping Ground";
+const INVOICE_PREFIX = "INV";
+
+const PAGE_MARGIN = 50;
+const COLORS = { primary: "#2C3E50", muted: "#7F8C8D", border: "#BDC3C7", paid: "#27AE60" };
+
+const formatRupiah = (value) => `${Number(value) < 0 ? "-" : ""}Rp${Math.abs(Number(value) || 0).toLocaleString("id-ID")}`;
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString("id-ID", { day: "numeric", month: "long", year: "numeric", timeZone: "Asia/Jakarta" });
+
+/**
+ * Beri nomor invoice ke booking jika belum punya. Nomor berurutan per tahun terbit:
+ * INV/<tahun>/<urutan 5 digit>, misal INV/2026/00042. Nomor yang sudah terbit tidak pernah berubah.
+ * @param {Object} client - Client transaksi (baris booking sebaiknya sudah dikunci FOR UPDATE)
+ * @param {Object} booking - Baris booking (id, invoice_number, invoice_issued_at)
+ * @returns {Promise<Object>} - { invoiceNumber, issuedAt }
+ */
+const assignInvoiceNumber = async (client, booking) => {
+  if (booking.invoice_number) {
+    return { invoiceNumber: booking.invoice_number, issuedAt: booking.invoice_issued_at };
+  }
+
+  const sequence = await client.query(
+    `INSERT INTO "invoice_sequences" (year, last_number)
+     VALUES (EXTRACT(YEAR FROM NOW() AT TIME ZONE 'Asia/Jakarta')::int, 1)
+     ON CONFLICT (year) DO UPDATE SET last_number = "invoice_sequences".last_number + 1
+     RETURNING year, last_number`
+  );
+  const { year, last_number: lastNumber } = sequence.rows[0];
+  const invoiceNumber = `${INVOICE_PREFIX}/${year}/${String(lastNumber).padStart(5, "0")}`;
+
+  const { rows } = await client.query(
+    `UPDATE "bookings" SET invoice_number = $1, invoice_issued_at = NOW()
+     WHERE id = $2
+     RETURNING invoice_number, invoice_issued_at`,
+    [invoiceNumber, booking.id]
+  );
+  return { invoiceNumber: rows[0].invoice_number, issuedAt: rows[0].invoice_issued_at };
+};
+
+/**
+ * Kumpulkan data invoice: booking, tamu, camp, baris harga, alat dari booking_equipments,
+ * pajak/biaya layanan, dan pembayaran terkonfirmasi
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} bookingId - ID internal booking
+ * @returns {Promise<Object|null>}
+ */
+const loadInvoiceData = async (queryable, bookingId) => {
+  const bookingResult = await queryable.query(
+    `SELECT b.id, b.public_id, b.status, b.start_date, b.end_date, b.people_count, b.total_price, b.price_breakdown,
+            b.gross_price, b.discount_amount, b.promo_code, b.tax_amount, b.service_fee_amount,
+            b.invoice_number, b.invoice_issued_at,
+            COALESCE(u.full_name, u.username) AS customer_name, u.email AS customer_email, u.phone_number AS customer_phone,
+            c.name AS camp_name, c.location AS camp_location
+     FROM "bookings" b
+     JOIN "users" u ON u.id = b.user_id
+     JOIN "camps" c ON c.id = b.camp_id
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  if (bookingResult.rows.length === 0) return null;
+  const booking = bookingResult.rows[0];
+
+  const equipmentResult = await queryable.query(
+    `SELECT e.name, be.quantity, be.nights, be.price
+     FROM "booking_equipments" be
+     JOIN "equipments" e ON e.id = be.equipment_id
+     WHERE be.booking_id = $1
+     ORDER BY be.id ASC`,
+    [bookingId]
+  );
+
+  const paymentResult = await queryable.query(
+    `SELECT amount, method, provider_reference, note, created_at
+     FROM "payments"
+     WHERE booking_id = $1 AND status = 'CONFIRMED'
+     ORDER BY created_at ASC, id ASC`,
+    [bookingId]
+  );
+
+  const quote = getBookingQuote({ ...booking, equipments: equipmentResult.rows });
+  const balance = await getBookingBalance(queryable, bookingId);
+
+  const lines = [
+    ...quote.lines
+      .filter((line) => ["camp", "base_fee", "site"].includes(line.type))
+      .map((line) => ({
+        description: line.description,
+        quantity: line.quantity,
+        nights: line.nights,
+        unitPrice: line.unitPrice,
+        amount: line.amount,
+      })),
+    ...equipmentResult.rows.map((row) => ({
+      description: `Sewa ${row.name}`,
+      quantity: Number(row.quantity),
+      nights: Number(row.nights),
+      unitPrice: row.quantity && row.nights ? Math.round(Number(row.price) / (row.quantity * row.nights)) : null,
+      amount: Number(row.price),
+    })),
+  ];
+
+  if (Number(booking.discount_amount) > 0) {
+    lines.push({
+      description: booking.promo_code ? `Diskon promo ${booking.promo_code}` : "Diskon",
+      quantity: null,
+      nights: null,
+      unitPrice: null,
+      amount: -Number(booking.discount_amount),
+    });
+  }
+
+  // Booking sebelum aturan pajak tercatat tidak punya rincian charges, cukup totalnya
+  const charges = quote.charges
+    ? quote.charges.map((charge) => ({
+        description: charge.calculation === "PERCENT" ? `${charge.name} ${charge.value}%` : charge.name,
+        inclusive: charge.inclusive,
+        amount: charge.amount,
+      }))
+    : [
+        { description: "Pajak", inclusive: false, amount: Number(booking.tax_amount) || 0 },
+        { description: "Biaya layanan", inclusive: false, amount: Number(booking.service_fee_amount) || 0 },
+      ].filter((charge) => charge.amount > 0);
+
+  const taxTotal = (Number(booking.tax_amount) || 0) + (Number(booking.service_fee_amount) || 0);
+
+  return {
+    booking,
+    nights: countNights(booking.start_date, booking.end_date),
+    lines,
+    charges,
+    subtotal: Number(booking.total_price) - taxTotal,
+    totalPrice: Number(booking.total_price),
+    payments: paymentResult.rows.map((row) => ({
+      date: row.created_at,
+      method: row.method,
+      reference: row.note === "REFUND" ? `Refund${row.provider_reference ? ` ${row.provider_reference}` : ""}` : row.provider_reference,
+      amount: Number(row.amount),
+    })),
+    amountPaid: balance.amountPaid,
+    balanceDue: balance.balanceDue,
+    isPaid: balance.balanceDue <= 0 && balance.amountPaid > 0,
+  };
+};
+
+// Tulis satu baris tabel. columns: [{ text, width, align }]
+const drawRow = (doc, y, columns, { bold = false, color = COLORS.primary } = {}) => {
+  let x = PAGE_MARGIN;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor(color);
+  const heights = columns.map(({ text, width, align = "left" }) => {
+    const value = text === null || text === undefined ? "" : String(text);
+    doc.text(value, x + 4, y, { width: width - 8, align });
+    const height = doc.heightOfString(value, { width: width - 8 });
+    x += width;
+    return height;
+  });
+  return y + Math.max(...heights) + 6;
+};
+
+const drawDivider = (doc, y) => {
+  doc
+    .moveTo(PAGE_MARGIN, y)
+    .lineTo(doc.page.width - PAGE_MARGIN, y)
+    .lineWidth(0.5)
+    .strokeColor(COLORS.border)
+    .stroke();
+  return y + 6;
+};
+
+// Pindah halaman jika sisa ruang tidak cukup
+const ensureSpace = (doc, y, needed = 40) => {
+  if (y + needed > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+    return PAGE_MARGIN;
+  }
+  return y;
+};
+
+const drawWatermark = (doc) => {
+  doc.save();
+  doc
+    .rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] })
+    .font("Helvetica-Bold")
+    .fontSize(110)
+    .fillColor(COLORS.paid)
+    .fillOpacity(0.12)
+    .text("LUNAS", 0, doc.page.height / 2 - 60, { width: doc.page.width, align: "center" });
+  doc.restore();
+};
+
+/**
+ * Buat dokumen PDF invoice. Booking yang sudah lunas diberi watermark LUNAS dan berlaku
+ * sebagai bukti pembayaran (e-receipt). Pemanggil melakukan pipe ke response lalu doc.end().
+ * @param {Object} invoice - Hasil loadInvoiceData ditambah { invoiceNumber, issuedAt }
+ * @returns {PDFDocument}
+ */
+const buildInvoicePdf = (invoice) => {
+  const { booking } = invoice;
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: PAGE_MARGIN,
+    info: { Title: `Invoice ${invoice.invoiceNumber}`, Author: ISSUER_NAME },
+  });
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  if (invoice.isPaid) {
+    drawWatermark(doc);
+    doc.on("pageAdded", () => drawWatermark(doc));
+  }
+
+  // Header
+  doc.font("Helvetica-Bold").fontSize(16).fillColor(COLORS.primary).text(ISSUER_NAME, PAGE_MARGIN, PAGE_MARGIN);
+  doc.font("Helvetica-Bold").fontSize(20).text("INVOICE", PAGE_MARGIN, PAGE_MARGIN, { width: contentWidth, align: "right" });
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor(COLORS.muted)
+    .text(`No. ${invoice.invoiceNumber}`, PAGE_MARGIN, PAGE_MARGIN + 26, { width: contentWidth, align: "right" })
+    .text(`Tanggal terbit: ${formatDate(invoice.issuedAt)}`, { width: contentWidth, align: "right" })
+    .text(`Booking ID: ${booking.public_id}`, { width: contentWidth, align: "right" });
+
+  let y = drawDivider(doc, PAGE_MARGIN + 70);
+
+  // Tamu & detail menginap
+  const half = contentWidth / 2;
+  doc.font("Helvetica-Bold").fontSize(10).fillColor(COLORS.primary).text("Ditagihkan kepada", PAGE_MARGIN, y);
+  doc.text("Detail menginap", PAGE_MARGIN + half, y);
+  doc.font("Helvetica").fontSize(9);
+  const customerLines = [booking.customer_name, booking.customer_email, booking.customer_phone].filter(Boolean);
+  const stayLines = [
+    `${booking.camp_name}${booking.camp_location ? `, ${booking.camp_location}` : ""}`,
+    `Check in: ${formatDate(booking.start_date)}`,
+    `Check out: ${formatDate(booking.end_date)}`,
+    `${invoice.nights} malam, ${booking.people_count} orang`,
+  ];
+  doc.text(customerLines.join("\n"), PAGE_MARGIN, y + 14, { width: half - 10 });
+  doc.text(stayLines.join("\n"), PAGE_MARGIN + half, y + 14, { width: half });
+  y += 14 + Math.max(customerLines.length, stayLines.length) * 12 + 14;
+
+  // Rincian biaya
+  const itemColumns = [
+    { width: contentWidth * 0.44 },
+    { width: contentWidth * 0.1, align: "right" },
+    { width: contentWidth * 0.1, align: "right" },
+    { width: contentWidth * 0.16, align: "right" },
+    { width: contentWidth * 0.2, align: "right" },
+  ];
+  const withText = (texts) => itemColumns.map((column, i) => ({ ...column, text: texts[i] }));
+
+  y = drawRow(doc, y, withText(["Deskripsi", "Jumlah", "Malam", "Harga", "Subtotal"]), { bold: true });
+  y = drawDivider(doc, y - 2);
+  for (const line of invoice.lines) {
+    y = ensureSpace(doc, y);
+    y = drawRow(
+      doc,
+      y,
+      withText([
+        line.description,
+        line.quantity,
+        line.nights,
+        line.unitPrice !== null && line.unitPrice !== undefined ? formatRupiah(line.unitPrice) : "",
+        formatRupiah(line.amount),
+      ])
+    );
+  }
+  y = drawDivider(doc, y);
+
+  // Ringkasan: subtotal, pajak & biaya layanan, total
+  const labelColumns = (label, value, options) =>
+    drawRow(
+      doc,
+      y,
+      [
+        { width: contentWidth * 0.5, text: "" },
+        { width: contentWidth * 0.3, text: label, align: "right" },
+        { width: contentWidth * 0.2, text: value, align: "right" },
+      ],
+      options
+    );
+
+  y = ensureSpace(doc, y, 60 + invoice.charges.length * 15);
+  y = labelColumns("Subtotal (sebelum pajak)", formatRupiah(invoice.subtotal));
+  for (const charge of invoice.charges) {
+    y = labelColumns(`${charge.description}${charge.inclusive ? " (termasuk)" : ""}`, formatRupiah(charge.amount));
+  }
+  y = labelColumns("Total", formatRupiah(invoice.totalPrice), { bold: true });
+  y += 10;
+
+  // Pembayaran
+  y = ensureSpace(doc, y, 60);
+  doc.font("Helvetica-Bold").fontSize(10).fillColor(COLORS.primary).text("Pembayaran", PAGE_MARGIN, y);
+  y += 16;
+
+  const paymentColumns = [
+    { width: contentWidth * 0.25 },
+    { width: contentWidth * 0.2 },
+    { width: contentWidth * 0.35 },
+    { width: contentWidth * 0.2, align: "right" },
+  ];
+  const paymentRow = (texts) => paymentColumns.map((column, i) => ({ ...column, text: texts[i] }));
+
+  if (invoice.payments.length === 0) {
+    doc.font("Helvetica").fontSize(9).fillColor(COLORS.muted).text("Belum ada pembayaran.", PAGE_MARGIN + 4, y);
+    y += 16;
+  } else {
+    y = drawRow(doc, y, paymentRow(["Tanggal", "Metode", "Referensi", "Jumlah"]), { bold: true });
+    y = drawDivider(doc, y - 2);
+    for (const payment of invoice.payments) {
+      y = ensureSpace(doc, y);
+      y = drawRow(
+        doc,
+        y,
+        paymentRow([formatDate(payment.date), payment.method, payment.reference || "-", formatRupiah(payment.amount)])
+      );
+    }
+    y = drawDivider(doc, y);
+  }
+
+  y = ensureSpace(doc, y, 40);
+  y = labelColumns("Total dibayar", formatRupiah(invoice.amountPaid));
+  y = labelColumns("Sisa tagihan", formatRupiah(Math.max(0, invoice.balanceDue)), { bold: true });
+
+  // Catatan kaki
+  y = ensureSpace(doc, y + 20, 30);
+  doc
+    .font("Helvetica")
+    .fontSize(8)
+    .fillColor(COLORS.muted)
+    .text(
+      invoice.isPaid
+        ? "Invoice ini telah lunas dan sekaligus berlaku sebagai bukti pembayaran (e-receipt)."
+        : "Silakan lunasi sisa tagihan sebelum check in. Invoice ini bukan bukti pelunasan.",
+      PAGE_MARGIN,
+      y,
+      { width: contentWidth, align: "center" }
+    )
+    .text("Dokumen ini dibuat secara elektronik dan sah tanpa tanda tangan.", { width: contentWidth, align: "center" });
+
+  return doc;
+};
+
+module.exports = {
+  assignInvoiceNumber,
+  loadInvoiceData,
+  buildInvoicePdf,
+};
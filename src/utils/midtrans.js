@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+const midtransClient = require("midtrans-client");
+
+let snapClient = null;
+
+/**
+ * Buat client Snap dari env MIDTRANS_SERVER_KEY / MIDTRANS_CLIENT_KEY / MIDTRANS_IS_PRODUCTION.
+ * MIDTRANS_SNAP_BASE_URL mengarahkan Snap ke server lain, misal fake server lokal saat test.
+ */
+const createSnapClient = () => {
+  const snap = new midtransClient.Snap({
+    isProduction: process.env.MIDTRANS_IS_PRODUCTION === "true",
+    serverKey: process.env.MIDTRANS_SERVER_KEY || "",
+    clientKey: process.env.MIDTRANS_CLIENT_KEY || "",
+  });
+
+  if (process.env.MIDTRANS_SNAP_BASE_URL) {
+    const baseUrl = process.env.MIDTRANS_SNAP_BASE_URL.replace(/\/+$/, "");
+    snap.apiConfig.getSnapApiBaseUrl = () => baseUrl;
+  }
+
+  return snap;
+};
+
+/**
+ * Client Snap yang dipakai aplikasi (dibuat saat pertama dipakai)
+ * @returns {Object} - Objek dengan createTransaction(parameter) → { token, redirect_url }
+ */
+const getSnapClient = () => {
+  if (!snapClient) snapClient = createSnapClient();
+  return snapClient;
+};
+
+/**
+ * Ganti client Snap (misal dengan fake saat test). null = kembali ke client bawaan
+ * @param {Object|null} client - Objek dengan createTransaction(parameter)
+ */
+const setSnapClient = (client) => {
+  snapClient = client;
+};
+
+const isMidtransConfigured = () => Boolean(process.env.MIDTRANS_SERVER_KEY);
+
+/**
+ * Verifikasi signature_key notifikasi: SHA512(order_id + status_code + gross_amount + server key)
+ * @param {Object} notification - Body notifikasi Midtrans
+ * @param {string} [serverKey]
+ * @returns {boolean}
+ */
+const verifyNotificationSignature = (notification, serverKey = process.env.MIDTRANS_SERVER_KEY) => {
+  const { order_id: orderId, status_code: statusCode, gross_amount: grossAmount, signature_key: signatureKey } =
+    notification || {};
+
+  if (!serverKey || !orderId || !statusCode || !grossAmount || typeof signatureKey !== "string") {
+    return false;
+  }
+
+  const expected = crypto
+    .createHash("sha512")
+    .update(`${orderId}${statusCode}${grossAmount}${serverKey}`)
+    .digest("hex");
+
+  if (expected.length !== signatureKey.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signatureKey));
+};
+
+/**
+ * Petakan status transaksi Midtrans ke status booking
+ * settlement / capture (fraud accept) → PAID, expire / cancel → CANCELLED.
+ * pending, deny, dan capture challenge tidak mengubah booking (tamu masih bisa mencoba lagi).
+ * @param {Object} notification - { transaction_status, fraud_status }
+ * @returns {string|null} - Status booking tujuan atau null
+ */
+const mapTransactionStatus = ({ transaction_status: transactionStatus, fraud_status: fraudStatus } = {}) => {
+  switch (transactionStatus) {
+    case "capture":
+      return !fraudStatus || fraudStatus === "accept" ? "PAID" : null;
+    case "settlement":
+      return "PAID";
+    case "expire":
+    case "cancel":
+      return "CANCELLED";
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  createSnapClient,
+  getSnapClient,
+  setSnapClient,
+  isMidtransConfigured,
+  verifyNotificationSignature,
+  mapTransactionStatus,
+};
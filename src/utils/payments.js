@@ -0,0 +1,174 @@
+const { reverseVoucherRedemption } = require("./giftVouchers");
+
+const PAYMENT_METHODS = ["TRANSFER", "QRIS", "EWALLET", "CASH", "MIDTRANS", "VOUCHER"];
+const PAYMENT_STATUSES = ["PENDING", "CONFIRMED", "REJECTED", "VOID"];
+
+// Jumlah pembayaran CONFIRMED untuk booking alias b (dipakai di SELECT)
+const AMOUNT_PAID_SQL = `(SELECT COALESCE(SUM(p.amount), 0)::int FROM "payments" p
+  WHERE p.booking_id = b.id AND p.status = 'CONFIRMED')`;
+
+// Uang yang diterima untuk booking alias b, tanpa baris refund (amount negatif).
+// AMOUNT_PAID_SQL = AMOUNT_RECEIVED_SQL - refund yang sudah dibayarkan
+const AMOUNT_RECEIVED_SQL = `(SELECT COALESCE(SUM(p.amount), 0)::int FROM "payments" p
+  WHERE p.booking_id = b.id AND p.status = 'CONFIRMED' AND p.amount > 0)`;
+
+// Sisa tagihan booking alias b, negatif = kelebihan bayar
+const BALANCE_DUE_SQL = `(b.total_price - ${AMOUNT_PAID_SQL})`;
+
+const PAYMENT_COLUMNS = `p.public_id, p.amount, p.method, p.provider_reference, p.proof_url, p.status, p.note,
+  p.created_at, p.voided_at, p.void_reason, u.username AS recorded_by_username`;
+
+const formatPayment = (row) => ({
+  id: row.public_id,
+  amount: row.amount,
+  method: row.method,
+  providerReference: row.provider_reference,
+  proofUrl: row.proof_url,
+  status: row.status,
+  note: row.note,
+  recordedBy: row.recorded_by_username || null,
+  createdAt: row.created_at,
+  voidedAt: row.voided_at,
+  voidReason: row.void_reason,
+});
+
+/**
+ * Hitung amount_paid dan balance_due satu booking.
+ * depositDue = kekurangan untuk mencapai DP (deposit_amount, atau total_price jika tanpa DP)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} bookingId - ID internal booking
+ * @returns {Promise<Object>} - { totalPrice, depositAmount, amountPaid, depositDue, balanceDue }
+ */
+const getBookingBalance = async (queryable, bookingId) => {
+  const { rows } = await queryable.query(
+    `SELECT b.total_price, b.deposit_amount, ${AMOUNT_PAID_SQL} AS amount_paid FROM "bookings" b WHERE b.id = $1`,
+    [bookingId]
+  );
+  if (rows.length === 0) return null;
+  const totalPrice = Number(rows[0].total_price);
+  const depositAmount = rows[0].deposit_amount !== null ? Number(rows[0].deposit_amount) : totalPrice;
+  const amountPaid = Number(rows[0].amount_paid);
+  return {
+    totalPrice,
+    depositAmount,
+    amountPaid,
+    depositDue: Math.max(0, depositAmount - amountPaid),
+    balanceDue: totalPrice - amountPaid,
+  };
+};
+
+/**
+ * Tambah baris ke ledger payments
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Object} entry - { bookingId, amount, method, providerReference, proofUrl, status, note, recordedBy }
+ * @returns {Promise<Object>} - Baris payments yang dibuat
+ */
+const recordPayment = async (
+  queryable,
+  { bookingId, amount, method, providerReference = null, proofUrl = null, status = "CONFIRMED", note = null, recordedBy = null }
+) => {
+  const { rows } = await queryable.query(
+    `INSERT INTO "payments" (booking_id, amount, method, provider_reference, proof_url, status, note, recorded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [bookingId, amount, method, providerReference, proofUrl, status, note, recordedBy]
+  );
+  return rows[0];
+};
+
+/**
+ * Konfirmasi bukti bayar sebesar nominal yang benar-benar diterima (diverifikasi admin).
+ * Pembayaran PENDING milik bukti bayar booking dikonfirmasi dengan nominal tersebut; jika belum ada,
+ * nominal dicatat sebagai pembayaran baru. Tidak ada pembayaran lain yang dibuat, sehingga
+ * pemanggil harus mengecek depositDue sebelum menjadikan booking PAID.
+ * @param {Object} client - Client transaksi
+ * @param {Object} booking - Baris booking (id, payment_proof)
+ * @param {Object} entry - { amount, method, recordedBy, note }
+ * @returns {Promise<Object>} - Saldo setelah dikonfirmasi (getBookingBalance)
+ */
+const confirmProofPayment = async (client, booking, { amount, method = "TRANSFER", recordedBy = null, note = null }) => {
+  const { rows } = await client.query(
+    `UPDATE "payments"
+     SET status = 'CONFIRMED', amount = $3, recorded_by = $4, note = COALESCE($5, note)
+     WHERE id = (
+       SELECT id FROM "payments"
+       WHERE booking_id = $1 AND status = 'PENDING' AND proof_url IS NOT DISTINCT FROM $2
+       ORDER BY id DESC
+       LIMIT 1
+     )
+     RETURNING id`,
+    [booking.id, booking.payment_proof || null, amount, recordedBy, note]
+  );
+
+  if (rows.length === 0) {
+    await recordPayment(client, {
+      bookingId: booking.id,
+      amount,
+      method,
+      proofUrl: booking.payment_proof || null,
+      note,
+      recordedBy,
+    });
+  }
+  return getBookingBalance(client, booking.id);
+};
+
+/**
+ * Pesan error jika pembayaran terkonfirmasi belum mencapai DP (booking belum boleh PAID)
+ * @param {Object} balance - Hasil getBookingBalance
+ * @returns {string|null}
+ */
+const getDepositShortfallMessage = (balance) =>
+  balance.depositDue > 0
+    ? `Pembayaran terverifikasi Rp${balance.amountPaid} belum mencapai DP Rp${balance.depositAmount} (kurang Rp${balance.depositDue})`
+    : null;
+
+/**
+ * Rapikan ledger saat booking dibatalkan (panggil di dalam transaksi pembatalan).
+ * Pembayaran PENDING (belum diverifikasi) menjadi REJECTED, pembayaran VOUCHER di-VOID dan saldonya
+ * dikembalikan ke voucher. Sisanya (pembayaran tunai/transfer terkonfirmasi) menjadi dasar refund.
+ * @param {Object} client - Client transaksi
+ * @param {number} bookingId - ID internal booking
+ * @param {Object} [options] - { reason, voidedBy, now } (now = waktu pembatalan, default NOW() database)
+ * @returns {Promise<Object>} - { cashPaid, voucherRestored }
+ */
+const releaseCancelledPayments = async (
+  client,
+  bookingId,
+  { reason = "Booking dibatalkan", voidedBy = null, now = null } = {}
+) => {
+  await client.query(
+    `UPDATE "payments" SET status = 'REJECTED', void_reason = $2, voided_at = COALESCE($4, NOW()), voided_by = $3
+     WHERE booking_id = $1 AND status = 'PENDING'`,
+    [bookingId, reason, voidedBy, now]
+  );
+
+  const vouchers = await client.query(
+    `UPDATE "payments" SET status = 'VOID', void_reason = $2, voided_at = COALESCE($4, NOW()), voided_by = $3
+     WHERE booking_id = $1 AND status = 'CONFIRMED' AND method = 'VOUCHER'
+     RETURNING id`,
+    [bookingId, reason, voidedBy, now]
+  );
+  let voucherRestored = 0;
+  for (const payment of vouchers.rows) {
+    voucherRestored += await reverseVoucherRedemption(client, payment.id, { now });
+  }
+
+  const balance = await getBookingBalance(client, bookingId);
+  return { cashPaid: balance.amountPaid, voucherRestored };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  AMOUNT_PAID_SQL,
+  AMOUNT_RECEIVED_SQL,
+  BALANCE_DUE_SQL,
+  PAYMENT_COLUMNS,
+  formatPayment,
+  getBookingBalance,
+  recordPayment,
+  confirmProofPayment,
+  getDepositShortfallMessage,
+  releaseCancelledPayments,
+};
@@ -0,0 +1,291 @@
+const PRICE_MODELS = ["PER_PERSON", "PER_PITCH", "PER_PERSON_WITH_BASE"];
+const DEFAULT_PEOPLE_PER_PITCH = 4;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Hitung jumlah malam antara dua tanggal (minimal 1 malam)
+ * @param {string|Date} startDate - Tanggal mulai menginap
+ * @param {string|Date} endDate - Tanggal selesai menginap
+ * @returns {number}
+ */
+const countNights = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const startUTC = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const endUTC = Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate());
+  return Math.max(1, Math.floor((endUTC - startUTC) / MS_PER_DAY));
+};
+
+/**
+ * Format Date ke YYYY-MM-DD (UTC)
+ */
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Ambil aturan tarif aktif camp yang bersinggungan dengan rentang tanggal
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} campId - ID internal camp
+ * @param {string|Date} startDate - Tanggal mulai menginap
+ * @param {string|Date} endDate - Tanggal selesai menginap
+ * @returns {Promise<Array>}
+ */
+const loadCampRates = async (queryable, campId, startDate, endDate) => {
+  const { rows } = await queryable.query(
+    `SELECT id, name, nightly_price, priority, weekdays,
+            to_char(start_date, 'YYYY-MM-DD') AS start_date,
+            to_char(end_date, 'YYYY-MM-DD') AS end_date
+     FROM "camp_rates"
+     WHERE camp_id = $1
+       AND is_active = true
+       AND (start_date IS NULL OR start_date < $3::date)
+       AND (end_date IS NULL OR end_date >= $2::date)
+     ORDER BY priority DESC, id DESC`,
+    [campId, toDateKey(startDate), toDateKey(endDate)]
+  );
+  return rows;
+};
+
+/**
+ * Aturan tarif aktif beberapa camp sekaligus (untuk pencarian camp), urutan sama seperti loadCampRates
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Array<number>} campIds - ID internal camp
+ * @param {string|Date} startDate - Tanggal mulai menginap
+ * @param {string|Date} endDate - Tanggal selesai menginap
+ * @returns {Promise<Map>} - camp_id -> hasil loadCampRates
+ */
+const loadCampsRates = async (queryable, campIds, startDate, endDate) => {
+  const result = new Map(campIds.map((campId) => [campId, []]));
+  if (campIds.length === 0) return result;
+
+  const { rows } = await queryable.query(
+    `SELECT camp_id, id, name, nightly_price, priority, weekdays,
+            to_char(start_date, 'YYYY-MM-DD') AS start_date,
+            to_char(end_date, 'YYYY-MM-DD') AS end_date
+     FROM "camp_rates"
+     WHERE camp_id = ANY($1::int[])
+       AND is_active = true
+       AND (start_date IS NULL OR start_date < $3::date)
+       AND (end_date IS NULL OR end_date >= $2::date)
+     ORDER BY priority DESC, id DESC`,
+    [campIds, toDateKey(startDate), toDateKey(endDate)]
+  );
+  for (const { camp_id: campId, ...rate } of rows) {
+    result.get(campId).push(rate);
+  }
+  return result;
+};
+
+/**
+ * Tentukan harga tiap malam. Aturan tarif dengan priority tertinggi yang cocok
+ * (rentang tanggal inklusif + hari dalam minggu, 0 = Minggu) menggantikan nightly_price camp.
+ * @param {Object} camp - Baris camp (nightly_price)
+ * @param {Array} rates - Hasil loadCampRates (sudah terurut priority)
+ * @param {string|Date} startDate - Malam pertama
+ * @param {number} nights - Jumlah malam
+ * @returns {Array} - [{ date, rateName, unitPrice }]
+ */
+const resolveNightlyPrices = (camp, rates, startDate, nights) => {
+  const basePrice = Number(camp.nightly_price) || 0;
+  const first = new Date(`${toDateKey(startDate)}T00:00:00Z`);
+  const result = [];
+
+  for (let i = 0; i < nights; i++) {
+    const day = new Date(first.getTime() + i * MS_PER_DAY);
+    const dateKey = toDateKey(day);
+    const weekday = day.getUTCDay();
+
+    const rate = (rates || []).find((r) => {
+      if (r.start_date && dateKey < r.start_date) return false;
+      if (r.end_date && dateKey > r.end_date) return false;
+      if (Array.isArray(r.weekdays) && r.weekdays.length > 0 && !r.weekdays.map(Number).includes(weekday)) return false;
+      return true;
+    });
+
+    result.push({
+      date: dateKey,
+      rateName: rate ? rate.name : null,
+      unitPrice: rate ? Number(rate.nightly_price) : basePrice,
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Baris harga camp sesuai price_model camp
+ * PER_PERSON: harga malam × orang, dijumlah per malam
+ * PER_PITCH: harga malam × jumlah pitch, dijumlah per malam (pitch = ceil(orang / people_per_pitch))
+ * PER_PERSON_WITH_BASE: seperti PER_PERSON + base_fee sekali per booking
+ */
+const buildCampLines = (camp, { nightlyPrices, peopleCount }) => {
+  const model = PRICE_MODELS.includes(camp.price_model) ? camp.price_model : "PER_PERSON";
+  const people = Number(peopleCount);
+  const nights = nightlyPrices.length;
+  let quantity = people;
+  let description = `${camp.name || "Camp"} (${people} orang)`;
+
+  if (model === "PER_PITCH") {
+    const perPitch = Number(camp.people_per_pitch) > 0 ? Number(camp.people_per_pitch) : DEFAULT_PEOPLE_PER_PITCH;
+    quantity = Math.ceil(people / perPitch);
+    description = `${camp.name || "Camp"} (${quantity} pitch)`;
+  }
+
+  const perNight = nightlyPrices.map((night) => ({
+    ...night,
+    quantity,
+    amount: night.unitPrice * quantity,
+  }));
+  const isUniform = perNight.every((night) => night.unitPrice === perNight[0].unitPrice);
+
+  const lines = [
+    {
+      type: "camp",
+      description,
+      unitPrice: isUniform && nights > 0 ? perNight[0].unitPrice : null,
+      quantity,
+      nights,
+      amount: perNight.reduce((sum, night) => sum + night.amount, 0),
+    },
+  ];
+
+  if (model === "PER_PERSON_WITH_BASE" && Number(camp.base_fee) > 0) {
+    lines.push({
+      type: "base_fee",
+      description: "Biaya dasar",
+      unitPrice: Number(camp.base_fee),
+      quantity: 1,
+      nights: null,
+      amount: Number(camp.base_fee),
+    });
+  }
+
+  return { lines, perNight };
+};
+
+/**
+ * Hitung rincian harga booking (camp + sewa alat)
+ * @param {Object} params
+ * @param {Object} params.camp - Baris camp (nightly_price, price_model, base_fee, people_per_pitch, name)
+ * @param {string|Date} params.startDate - Tanggal mulai menginap
+ * @param {number} params.nights - Durasi menginap
+ * @param {number} params.peopleCount - Jumlah orang
+ * @param {Array} [params.rates] - Aturan tarif camp (hasil loadCampRates)
+ * @param {Array} [params.equipments] - [{ equipment: baris equipments, quantity, nights }]
+ * @param {Array} [params.sites] - Baris camp_sites yang dipesan (price_modifier per malam)
+ * @returns {Object} - { priceModel, nights, peopleCount, lines, perNight, campTotal, equipmentTotal, totalPrice }
+ */
+const buildQuote = ({ camp, startDate, nights, peopleCount, rates = [], equipments = [], sites = [] }) => {
+  const nightlyPrices = resolveNightlyPrices(camp, rates, startDate, nights);
+  const { lines: baseLines, perNight } = buildCampLines(camp, { nightlyPrices, peopleCount });
+
+  // Selisih harga per site (bisa negatif untuk site yang lebih murah) masuk ke total camp
+  const siteLines = sites.map((site) => ({
+    type: "site",
+    siteId: site.public_id,
+    description: `Site ${site.name}`,
+    unitPrice: Number(site.price_modifier),
+    quantity: 1,
+    nights,
+    amount: Number(site.price_modifier) * nights,
+  }));
+  const campLines = [...baseLines, ...siteLines];
+
+  const equipmentLines = equipments.map(({ equipment, quantity, nights: rentalNights }) => ({
+    type: "equipment",
+    equipmentId: equipment.public_id,
+    description: equipment.name,
+    unitPrice: Number(equipment.price),
+    quantity: Number(quantity),
+    nights: rentalNights,
+    amount: Number(equipment.price) * Number(quantity) * rentalNights,
+  }));
+
+  const campTotal = campLines.reduce((sum, line) => sum + line.amount, 0);
+  const equipmentTotal = equipmentLines.reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    priceModel: PRICE_MODELS.includes(camp.price_model) ? camp.price_model : "PER_PERSON",
+    nights,
+    peopleCount: Number(peopleCount),
+    lines: [...campLines, ...equipmentLines],
+    perNight,
+    campTotal,
+    equipmentTotal,
+    totalPrice: campTotal + equipmentTotal,
+  };
+};
+
+/**
+ * Hitung uang muka (DP) dari total harga. 0 = booking harus dibayar lunas
+ * @param {number} totalPrice - Total harga booking
+ * @param {number} depositPercent - Persentase DP camp (0-100)
+ * @returns {number} - Nominal DP (dibulatkan ke atas), sama dengan totalPrice jika tanpa DP
+ */
+const calculateDeposit = (totalPrice, depositPercent) => {
+  const percent = Number(depositPercent) || 0;
+  if (percent <= 0 || percent >= 100) return Number(totalPrice);
+  return Math.ceil((Number(totalPrice) * percent) / 100);
+};
+
+const isValidDepositPercent = (value) =>
+  Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= 100;
+
+/**
+ * Ambil rincian harga dari baris booking yang sudah tersimpan.
+ * Booking baru menyimpan price_breakdown saat dibuat; booking lama direkonstruksi
+ * dari total_price dan booking_equipments agar tetap sama dengan yang ditagihkan.
+ * @param {Object} row - Baris booking (price_breakdown, total_price, start_date, end_date, people_count, equipments)
+ * @returns {Object}
+ */
+const getBookingQuote = (row) => {
+  if (row.price_breakdown) {
+    return typeof row.price_breakdown === "string" ? JSON.parse(row.price_breakdown) : row.price_breakdown;
+  }
+
+  const nights = countNights(row.start_date, row.end_date);
+  const equipmentLines = (row.equipments || []).map((eq) => ({
+    type: "equipment",
+    description: eq.name,
+    unitPrice: eq.quantity && eq.nights ? Math.round(Number(eq.price) / (eq.quantity * eq.nights)) : Number(eq.price),
+    quantity: Number(eq.quantity),
+    nights: Number(eq.nights),
+    amount: Number(eq.price),
+  }));
+  const equipmentTotal = equipmentLines.reduce((sum, line) => sum + line.amount, 0);
+  const totalPrice = Number(row.total_price) || 0;
+  const campTotal = totalPrice - equipmentTotal;
+
+  return {
+    priceModel: null,
+    nights,
+    peopleCount: Number(row.people_count),
+    lines: [
+      {
+        type: "camp",
+        description: row.camp_name || "Camp",
+        unitPrice: null,
+        quantity: Number(row.people_count),
+        nights,
+        amount: campTotal,
+      },
+      ...equipmentLines,
+    ],
+    campTotal,
+    equipmentTotal,
+    totalPrice,
+  };
+};
+
+module.exports = {
+  PRICE_MODELS,
+  DEFAULT_PEOPLE_PER_PITCH,
+  countNights,
+  toDateKey,
+  loadCampRates,
+  loadCampsRates,
+  resolveNightlyPrices,
+  buildQuote,
+  calculateDeposit,
+  isValidDepositPercent,
+  getBookingQuote,
+};
@@ -0,0 +1,183 @@
+const { toDateKey } = require("./pricing");
+
+const DISCOUNT_TYPES = ["PERCENT", "FIXED"];
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const normalizePromoCode = (code) => String(code || "").trim().toUpperCase();
+
+const promoError = (message, status = 400) => ({ error: { status, body: { message } } });
+
+/**
+ * Hitung potongan harga promo dari harga bruto
+ * PERCENT: persen dari harga bruto (dibulatkan ke bawah), dibatasi max_discount jika diisi
+ * FIXED: nominal tetap, tidak melebihi harga bruto
+ * @param {Object} promo - Baris promo_codes
+ * @param {number} grossPrice - Total harga sebelum diskon
+ * @returns {number}
+ */
+const calculateDiscount = (promo, grossPrice) => {
+  const gross = Number(grossPrice) || 0;
+  let discount = 0;
+
+  if (promo.discount_type === "PERCENT") {
+    discount = Math.floor((gross * Number(promo.discount_value)) / 100);
+    if (promo.max_discount !== null && promo.max_discount !== undefined) {
+      discount = Math.min(discount, Number(promo.max_discount));
+    }
+  } else {
+    discount = Number(promo.discount_value);
+  }
+
+  return Math.max(0, Math.min(discount, gross));
+};
+
+/**
+ * Tambahkan potongan promo ke hasil buildQuote. totalPrice menjadi harga bersih,
+ * harga sebelum diskon tetap tersedia di grossPrice.
+ * @param {Object} quote - Hasil buildQuote
+ * @param {Object|null} promo - Baris promo_codes, null = tanpa promo
+ * @returns {Object}
+ */
+const applyPromoToQuote = (quote, promo) => {
+  if (!promo) {
+    return { ...quote, grossPrice: quote.totalPrice, discountAmount: 0, promoCode: null };
+  }
+
+  const discountAmount = calculateDiscount(promo, quote.totalPrice);
+  return {
+    ...quote,
+    lines: [
+      ...quote.lines,
+      {
+        type: "discount",
+        description: `Promo ${promo.code}`,
+        unitPrice: null,
+        quantity: 1,
+        nights: null,
+        amount: -discountAmount,
+      },
+    ],
+    grossPrice: quote.totalPrice,
+    discountAmount,
+    promoCode: promo.code,
+    totalPrice: quote.totalPrice - discountAmount,
+  };
+};
+
+/**
+ * Cek syarat promo terhadap booking: masa berlaku (setiap malam menginap), hari dalam minggu,
+ * minimal malam, dan camp. Dengan checkUsage juga dicek status aktif, max_uses, dan per_user_limit
+ * (booking CANCELLED tidak dihitung).
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Object} promo - Baris promo_codes
+ * @param {Object} booking - { campId, startDate, nights, userId }
+ * @param {Object} [options]
+ * @param {boolean} [options.checkUsage] - Cek is_active dan batas pemakaian (default true)
+ * @param {number} [options.excludeBookingId] - Booking yang sedang diubah, tidak ikut dihitung pemakaiannya
+ * @returns {Promise<Object|null>} - { error: { status, body } } atau null jika berlaku
+ */
+const checkPromoEligibility = async (
+  queryable,
+  promo,
+  { campId, startDate, nights, userId },
+  { checkUsage = true, excludeBookingId = null } = {}
+) => {
+  if (checkUsage && !promo.is_active) {
+    return promoError(`Kode promo ${promo.code} sudah tidak aktif`);
+  }
+
+  const first = new Date(`${toDateKey(startDate)}T00:00:00Z`);
+  const weekdays = Array.isArray(promo.weekdays) ? promo.weekdays.map(Number) : [];
+  for (let i = 0; i < nights; i++) {
+    const day = new Date(first.getTime() + i * MS_PER_DAY);
+    const dateKey = toDateKey(day);
+    if ((promo.valid_from && dateKey < promo.valid_from) || (promo.valid_until && dateKey > promo.valid_until)) {
+      return promoError(`Kode promo ${promo.code} tidak berlaku untuk tanggal ${dateKey}`);
+    }
+    if (weekdays.length > 0 && !weekdays.includes(day.getUTCDay())) {
+      return promoError(`Kode promo ${promo.code} tidak berlaku untuk hari menginap ${dateKey}`);
+    }
+  }
+
+  if (Number(nights) < Number(promo.min_nights || 1)) {
+    return promoError(`Kode promo ${promo.code} membutuhkan minimal ${promo.min_nights} malam`);
+  }
+
+  const campResult = await queryable.query(
+    `SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE camp_id = $2)::int AS matched
+     FROM "promo_code_camps" WHERE promo_code_id = $1`,
+    [promo.id, campId]
+  );
+  if (campResult.rows[0].total > 0 && campResult.rows[0].matched === 0) {
+    return promoError(`Kode promo ${promo.code} tidak berlaku untuk camp ini`);
+  }
+
+  if (!checkUsage) return null;
+
+  const usageResult = await queryable.query(
+    `SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE user_id = $2)::int AS by_user
+     FROM "bookings"
+     WHERE promo_code_id = $1 AND status <> 'CANCELLED' AND ($3::int IS NULL OR id <> $3)`,
+    [promo.id, userId, excludeBookingId]
+  );
+  const usage = usageResult.rows[0];
+
+  if (promo.max_uses !== null && usage.total >= Number(promo.max_uses)) {
+    return promoError(`Kuota kode promo ${promo.code} sudah habis`);
+  }
+  if (promo.per_user_limit !== null && usage.by_user >= Number(promo.per_user_limit)) {
+    return promoError(`Kode promo ${promo.code} sudah mencapai batas pemakaian untuk akun ini`);
+  }
+
+  return null;
+};
+
+const PROMO_SELECT = `SELECT id, public_id, code, discount_type, discount_value, max_discount,
+    to_char(valid_from, 'YYYY-MM-DD') AS valid_from, to_char(valid_until, 'YYYY-MM-DD') AS valid_until,
+    weekdays, min_nights, max_uses, per_user_limit, is_active
+  FROM "promo_codes"`;
+
+/**
+ * Cari promo berdasarkan kode lalu cek syaratnya untuk booking baru
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {string} code - Kode promo dari user (tidak peka huruf besar/kecil)
+ * @param {Object} booking - { campId, startDate, nights, userId }
+ * @param {Object} [options]
+ * @param {boolean} [options.lock] - Kunci baris promo (FOR UPDATE) agar max_uses tidak terlewati
+ * @returns {Promise<Object>} - { promo } atau { error: { status, body } }
+ */
+const resolvePromoCode = async (queryable, code, booking, { lock = false } = {}) => {
+  const { rows } = await queryable.query(`${PROMO_SELECT} WHERE code = $1${lock ? " FOR UPDATE" : ""}`, [
+    normalizePromoCode(code),
+  ]);
+  if (rows.length === 0) {
+    return promoError("Kode promo tidak ditemukan", 404);
+  }
+
+  const error = await checkPromoEligibility(queryable, rows[0], booking);
+  if (error) return error;
+
+  return { promo: rows[0] };
+};
+
+/**
+ * Ambil promo yang sudah tercatat di booking (tanpa cek status aktif)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number|null} promoCodeId
+ * @returns {Promise<Object|null>}
+ */
+const findPromoById = async (queryable, promoCodeId) => {
+  if (!promoCodeId) return null;
+  const { rows } = await queryable.query(`${PROMO_SELECT} WHERE id = $1`, [promoCodeId]);
+  return rows[0] || null;
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizePromoCode,
+  calculateDiscount,
+  applyPromoToQuote,
+  checkPromoEligibility,
+  resolvePromoCode,
+  findPromoById,
+};
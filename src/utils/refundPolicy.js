@@ -0,0 +1,72 @@
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Default: >= 7 hari sebelum check-in 100%, >= 3 hari 50%, kurang dari itu tidak ada refund
+const DEFAULT_REFUND_POLICY = [
+  { minDaysBefore: 7, percent: 100 },
+  { minDaysBefore: 3, percent: 50 },
+  { minDaysBefore: 0, percent: 0 },
+];
+
+/**
+ * Ambil kebijakan refund dari env REFUND_POLICY (JSON array { minDaysBefore, percent }),
+ * diurutkan dari minDaysBefore terbesar. Jika env tidak valid, pakai DEFAULT_REFUND_POLICY.
+ * @returns {Array}
+ */
+const getRefundPolicy = () => {
+  if (process.env.REFUND_POLICY) {
+    try {
+      const tiers = JSON.parse(process.env.REFUND_POLICY);
+      const valid =
+        Array.isArray(tiers) &&
+        tiers.length > 0 &&
+        tiers.every(
+          (t) => Number.isFinite(Number(t.minDaysBefore)) && Number(t.percent) >= 0 && Number(t.percent) <= 100
+        );
+      if (valid) {
+        return tiers
+          .map((t) => ({ minDaysBefore: Number(t.minDaysBefore), percent: Number(t.percent) }))
+          .sort((a, b) => b.minDaysBefore - a.minDaysBefore);
+      }
+      console.warn("[RefundPolicy] REFUND_POLICY tidak valid, memakai kebijakan default");
+    } catch (err) {
+      console.warn(`[RefundPolicy] Gagal membaca REFUND_POLICY: ${err.message}`);
+    }
+  }
+  return DEFAULT_REFUND_POLICY;
+};
+
+/**
+ * Jumlah hari kalender dari hari ini sampai tanggal check-in
+ * @param {string|Date} startDate
+ * @param {Date} [now]
+ * @returns {number}
+ */
+const daysBeforeStart = (startDate, now = new Date()) => {
+  const start = new Date(startDate);
+  const startUTC = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const todayUTC = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return Math.floor((startUTC - todayUTC) / MS_PER_DAY);
+};
+
+/**
+ * Hitung refund pembatalan berdasarkan tier kebijakan
+ * @param {Object} params
+ * @param {number} params.amountPaid - Jumlah yang sudah dibayar tamu
+ * @param {string|Date} params.startDate - Tanggal check-in
+ * @param {Date} [params.now] - Waktu pembatalan
+ * @param {Array} [params.policy] - Tier kebijakan, default getRefundPolicy()
+ * @returns {Object} - { daysBefore, percent, amount }
+ */
+const calculateRefund = ({ amountPaid, startDate, now = new Date(), policy = getRefundPolicy() }) => {
+  const daysBefore = daysBeforeStart(startDate, now);
+  const tier = policy.find((t) => daysBefore >= t.minDaysBefore);
+  const percent = tier ? tier.percent : 0;
+
+  return {
+    daysBefore,
+    percent,
+    amount: Math.floor((Number(amountPaid) || 0) * percent / 100),
+  };
+};
+
+module.exports = { DEFAULT_REFUND_POLICY, getRefundPolicy, daysBeforeStart, calculateRefund };
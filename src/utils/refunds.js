@@ -0,0 +1,82 @@
+const REFUND_STATUSES = ["REQUESTED", "APPROVED", "PAID", "REJECTED"];
+const PAYOUT_METHODS = ["TRANSFER", "EWALLET", "CASH"];
+
+const REFUND_COLUMNS = `r.public_id, r.eligible_amount, r.approved_amount, r.payout_method, r.bank_name,
+  r.account_number, r.account_holder, r.status, r.reason, r.admin_note, r.payout_reference,
+  r.created_at, r.reviewed_at, r.paid_at`;
+
+const formatRefund = (row) => ({
+  id: row.public_id,
+  bookingId: row.booking_public_id,
+  eligibleAmount: row.eligible_amount,
+  approvedAmount: row.approved_amount,
+  payoutMethod: row.payout_method,
+  bankName: row.bank_name,
+  accountNumber: row.account_number,
+  accountHolder: row.account_holder,
+  status: row.status,
+  reason: row.reason,
+  adminNote: row.admin_note,
+  payoutReference: row.payout_reference,
+  createdAt: row.created_at,
+  reviewedAt: row.reviewed_at,
+  paidAt: row.paid_at,
+});
+
+// Ambil data rekening tujuan refund dari body request. Mengembalikan { error } atau { payout }
+const parsePayoutDetails = (body = {}) => {
+  const { payoutMethod, bankName, accountNumber, accountHolder } = body;
+
+  if (payoutMethod !== undefined && !PAYOUT_METHODS.includes(payoutMethod)) {
+    return { error: `payoutMethod harus salah satu dari: ${PAYOUT_METHODS.join(", ")}` };
+  }
+  if ((payoutMethod === "TRANSFER" || payoutMethod === "EWALLET") && (!accountNumber || !accountHolder)) {
+    return { error: "accountNumber dan accountHolder wajib diisi untuk refund transfer/e-wallet" };
+  }
+
+  return {
+    payout: {
+      payoutMethod: payoutMethod || null,
+      bankName: bankName || null,
+      accountNumber: accountNumber || null,
+      accountHolder: accountHolder || null,
+    },
+  };
+};
+
+/**
+ * Buat permintaan refund untuk booking yang dibatalkan (panggil di dalam transaksi pembatalan)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Object} request - { bookingId, eligibleAmount, reason, requestedBy, payout }
+ * @returns {Promise<Object|null>} - Baris refunds, atau null jika tidak ada yang bisa direfund
+ */
+const createRefundRequest = async (queryable, { bookingId, eligibleAmount, reason = null, requestedBy = null, payout = {} }) => {
+  if (!(Number(eligibleAmount) > 0)) return null;
+
+  const { rows } = await queryable.query(
+    `INSERT INTO "refunds"
+      (booking_id, eligible_amount, payout_method, bank_name, account_number, account_holder, reason, requested_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      bookingId,
+      Number(eligibleAmount),
+      payout.payoutMethod || null,
+      payout.bankName || null,
+      payout.accountNumber || null,
+      payout.accountHolder || null,
+      reason,
+      requestedBy,
+    ]
+  );
+  return rows[0];
+};
+
+module.exports = {
+  REFUND_STATUSES,
+  PAYOUT_METHODS,
+  REFUND_COLUMNS,
+  formatRefund,
+  parsePayoutDetails,
+  createRefundRequest,
+};
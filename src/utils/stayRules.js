@@ -0,0 +1,299 @@
+const { toDateKey, countNights } = require("./pricing");
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
+const WEEKDAY_NAMES = ["Minggu", "Senin", "Selasa", "Rabu", "Kamis", "Jumat", "Sabtu"];
+
+// Jam check-in (WIB) sebagai acuan min_lead_hours, bisa diubah lewat env CHECK_IN_HOUR
+const DEFAULT_CHECK_IN_HOUR = 14;
+const WIB_OFFSET_HOURS = 7;
+
+// Kode pelanggaran yang dikembalikan ke frontend (field `code`)
+const STAY_RULE_CODES = {
+  MIN_NIGHTS: "MIN_NIGHTS",
+  MAX_NIGHTS: "MAX_NIGHTS",
+  ARRIVAL_WEEKDAY: "ARRIVAL_WEEKDAY",
+  MIN_LEAD_TIME: "MIN_LEAD_TIME",
+  MAX_ADVANCE: "MAX_ADVANCE",
+  MAX_PEOPLE: "MAX_PEOPLE",
+};
+
+const STAY_RULE_COLUMNS = `id, public_id, name, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date, min_nights, max_nights, arrival_weekdays,
+  min_lead_hours, max_advance_days, max_people, is_active, created_at, updated_at`;
+
+const formatStayRule = (row) => ({
+  id: row.public_id,
+  name: row.name,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  minNights: row.min_nights,
+  maxNights: row.max_nights,
+  arrivalWeekdays: row.arrival_weekdays || [],
+  minLeadHours: row.min_lead_hours,
+  maxAdvanceDays: row.max_advance_days,
+  maxPeople: row.max_people,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const LIMIT_FIELDS = ["minNights", "maxNights", "minLeadHours", "maxAdvanceDays", "maxPeople"];
+
+/**
+ * Validasi body aturan booking. Mengembalikan pesan error atau null
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Update sebagian (field wajib boleh tidak dikirim)
+ * @returns {string|null}
+ */
+const validateStayRuleBody = (body, { partial = false } = {}) => {
+  const { name, startDate, endDate, arrivalWeekdays } = body;
+
+  if (!partial && !name) {
+    return "name wajib diisi";
+  }
+  const hasLimit =
+    LIMIT_FIELDS.some((field) => body[field] !== undefined && body[field] !== null) ||
+    (Array.isArray(arrivalWeekdays) && arrivalWeekdays.length > 0);
+  if (!partial && !hasLimit) {
+    return "Isi minimal satu aturan: minNights, maxNights, arrivalWeekdays, minLeadHours, maxAdvanceDays, atau maxPeople";
+  }
+  for (const field of LIMIT_FIELDS) {
+    const value = body[field];
+    if (value !== undefined && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+      return `${field} harus berupa angka bulat >= 0`;
+    }
+  }
+  for (const field of ["minNights", "maxNights", "maxPeople"]) {
+    if (body[field] !== undefined && body[field] !== null && Number(body[field]) < 1) {
+      return `${field} minimal 1`;
+    }
+  }
+  if (body.minNights && body.maxNights && Number(body.maxNights) < Number(body.minNights)) {
+    return "maxNights tidak boleh lebih kecil dari minNights";
+  }
+  if (startDate && !DATE_REGEX.test(startDate)) {
+    return "startDate harus berformat YYYY-MM-DD";
+  }
+  if (endDate && !DATE_REGEX.test(endDate)) {
+    return "endDate harus berformat YYYY-MM-DD";
+  }
+  if (startDate && endDate && endDate < startDate) {
+    return "endDate tidak boleh lebih kecil dari startDate";
+  }
+  if (arrivalWeekdays !== undefined && arrivalWeekdays !== null) {
+    if (
+      !Array.isArray(arrivalWeekdays) ||
+      arrivalWeekdays.some((d) => !Number.isInteger(Number(d)) || d < 0 || d > 6)
+    ) {
+      return "arrivalWeekdays harus berupa array angka 0 (Minggu) sampai 6 (Sabtu)";
+    }
+  }
+  return null;
+};
+
+/**
+ * Ambil aturan booking aktif camp yang mencakup salah satu malam menginap
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {number} campId - ID internal camp
+ * @param {string|Date} startDate - Tanggal check-in
+ * @param {string|Date|null} endDate - Tanggal check-out (null = tanpa batas akhir)
+ * @returns {Promise<Array>}
+ */
+const loadStayRules = async (queryable, campId, startDate, endDate) => {
+  const { rows } = await queryable.query(
+    `SELECT ${STAY_RULE_COLUMNS}
+     FROM "camp_stay_rules"
+     WHERE camp_id = $1
+       AND is_active = true
+       AND (start_date IS NULL OR $3::date IS NULL OR start_date < $3::date)
+       AND (end_date IS NULL OR end_date >= $2::date)
+     ORDER BY id ASC`,
+    [campId, toDateKey(startDate), endDate ? toDateKey(endDate) : null]
+  );
+  return rows;
+};
+
+/**
+ * Aturan booking aktif beberapa camp sekaligus untuk satu rentang menginap (untuk pencarian camp)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Array<number>} campIds - ID internal camp
+ * @param {string|Date} startDate - Tanggal check-in
+ * @param {string|Date} endDate - Tanggal check-out
+ * @returns {Promise<Map>} - camp_id -> hasil loadStayRules
+ */
+const loadCampsStayRules = async (queryable, campIds, startDate, endDate) => {
+  const result = new Map(campIds.map((campId) => [campId, []]));
+  if (campIds.length === 0) return result;
+
+  const { rows } = await queryable.query(
+    `SELECT camp_id, ${STAY_RULE_COLUMNS}
+     FROM "camp_stay_rules"
+     WHERE camp_id = ANY($1::int[])
+       AND is_active = true
+       AND (start_date IS NULL OR start_date < $3::date)
+       AND (end_date IS NULL OR end_date >= $2::date)
+     ORDER BY id ASC`,
+    [campIds, toDateKey(startDate), toDateKey(endDate)]
+  );
+  for (const { camp_id: campId, ...rule } of rows) {
+    result.get(campId).push(rule);
+  }
+  return result;
+};
+
+/**
+ * Aturan yang mencakup salah satu malam menginap (sama dengan filter loadStayRules)
+ * @param {Array} rules - Baris aturan (start_date/end_date YYYY-MM-DD)
+ * @param {string|Date} startDate - Tanggal check-in
+ * @param {string|Date} endDate - Tanggal check-out
+ * @returns {Array}
+ */
+const filterStayRules = (rules, startDate, endDate) => {
+  const start = toDateKey(startDate);
+  const end = toDateKey(endDate);
+  return rules.filter(
+    (rule) => (!rule.start_date || rule.start_date < end) && (!rule.end_date || rule.end_date >= start)
+  );
+};
+
+/**
+ * Aturan booking aktif yang belum berakhir untuk beberapa camp sekaligus (untuk daftar camp publik)
+ * @param {Object} queryable - db pool atau client transaksi
+ * @param {Array<number>} campIds - ID internal camp
+ * @returns {Promise<Map>} - camp_id -> [{ id, name, startDate, endDate, minNights, ... }]
+ */
+const loadUpcomingStayRules = async (queryable, campIds) => {
+  const result = new Map(campIds.map((campId) => [campId, []]));
+  if (campIds.length === 0) return result;
+
+  const { rows } = await queryable.query(
+    `SELECT camp_id, ${STAY_RULE_COLUMNS}
+     FROM "camp_stay_rules"
+     WHERE camp_id = ANY($1::int[])
+       AND is_active = true
+       AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+     ORDER BY start_date ASC NULLS FIRST, id ASC`,
+    [campIds]
+  );
+  for (const row of rows) {
+    const { isActive, createdAt, updatedAt, ...rule } = formatStayRule(row);
+    result.get(row.camp_id).push(rule);
+  }
+  return result;
+};
+
+/**
+ * Waktu check-in (jam CHECK_IN_HOUR WIB) pada tanggal mulai menginap
+ * @param {string|Date} startDate
+ * @returns {Date}
+ */
+const getCheckInTime = (startDate) => {
+  const hour = Number(process.env.CHECK_IN_HOUR);
+  const checkInHour = Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_CHECK_IN_HOUR;
+  return new Date(new Date(`${toDateKey(startDate)}T00:00:00Z`).getTime() + (checkInHour - WIB_OFFSET_HOURS) * MS_PER_HOUR);
+};
+
+/**
+ * Cek permintaan booking terhadap aturan camp. Semua aturan yang berlaku harus terpenuhi.
+ * @param {Array} rules - Hasil loadStayRules
+ * @param {Object} stay - { startDate, endDate, peopleCount }
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {boolean} [options.checkTiming] - Cek min_lead_hours dan max_advance_days (false jika tanggal check-in tidak berubah)
+ * @returns {Array} - [{ code, message, ruleId, ruleName, limit, actual }]
+ */
+const evaluateStayRules = (rules, { startDate, endDate, peopleCount }, { now = new Date(), checkTiming = true } = {}) => {
+  const nights = countNights(startDate, endDate);
+  const arrival = new Date(`${toDateKey(startDate)}T00:00:00Z`);
+  const weekday = arrival.getUTCDay();
+  const leadHours = Math.floor((getCheckInTime(startDate).getTime() - now.getTime()) / MS_PER_HOUR);
+  const todayUTC = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const advanceDays = Math.floor((arrival.getTime() - todayUTC) / MS_PER_DAY);
+  const violations = [];
+
+  const violate = (rule, code, message, limit, actual) =>
+    violations.push({ code, message, ruleId: rule.public_id, ruleName: rule.name, limit, actual });
+
+  for (const rule of rules) {
+    if (rule.min_nights && nights < rule.min_nights) {
+      violate(rule, STAY_RULE_CODES.MIN_NIGHTS, `Minimal menginap ${rule.min_nights} malam`, rule.min_nights, nights);
+    }
+    if (rule.max_nights && nights > rule.max_nights) {
+      violate(rule, STAY_RULE_CODES.MAX_NIGHTS, `Maksimal menginap ${rule.max_nights} malam`, rule.max_nights, nights);
+    }
+    const weekdays = (rule.arrival_weekdays || []).map(Number);
+    if (weekdays.length > 0 && !weekdays.includes(weekday)) {
+      violate(
+        rule,
+        STAY_RULE_CODES.ARRIVAL_WEEKDAY,
+        `Check-in hanya bisa pada hari ${weekdays.map((d) => WEEKDAY_NAMES[d]).join(", ")}`,
+        weekdays,
+        weekday
+      );
+    }
+    if (rule.max_people && Number(peopleCount) > rule.max_people) {
+      violate(rule, STAY_RULE_CODES.MAX_PEOPLE, `Maksimal ${rule.max_people} orang per booking`, rule.max_people, Number(peopleCount));
+    }
+    if (!checkTiming) continue;
+    if (rule.min_lead_hours !== null && rule.min_lead_hours !== undefined && leadHours < rule.min_lead_hours) {
+      violate(
+        rule,
+        STAY_RULE_CODES.MIN_LEAD_TIME,
+        `Booking paling lambat ${rule.min_lead_hours} jam sebelum check-in`,
+        rule.min_lead_hours,
+        leadHours
+      );
+    }
+    if (rule.max_advance_days !== null && rule.max_advance_days !== undefined && advanceDays > rule.max_advance_days) {
+      violate(
+        rule,
+        STAY_RULE_CODES.MAX_ADVANCE,
+        `Booking paling jauh ${rule.max_advance_days} hari sebelum check-in`,
+        rule.max_advance_days,
+        advanceDays
+      );
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * Cek menginap terhadap aturan yang mencakup malam-malamnya. Dipakai POST /booking, pencarian camp,
+ * dan kalender agar hasilnya sama untuk tanggal yang sama.
+ * @param {Array} rules - Hasil loadStayRules untuk rentang yang mencakup menginap ini
+ * @param {Object} stay - { startDate, endDate, peopleCount }
+ * @param {Object} [options] - Sama dengan evaluateStayRules
+ * @returns {Array} - Pelanggaran (lihat evaluateStayRules)
+ */
+const checkStayRules = (rules, stay, options) =>
+  evaluateStayRules(filterStayRules(rules, stay.startDate, stay.endDate), stay, options);
+
+/**
+ * Body error 400 untuk pelanggaran aturan booking
+ * @param {Array} violations - Hasil evaluateStayRules (tidak kosong)
+ * @returns {Object}
+ */
+const violationsToResponse = (violations) => ({
+  message: violations[0].message,
+  code: "STAY_RULE_VIOLATION",
+  violations,
+});
+
+module.exports = {
+  STAY_RULE_CODES,
+  STAY_RULE_COLUMNS,
+  formatStayRule,
+  validateStayRuleBody,
+  loadStayRules,
+  loadCampsStayRules,
+  filterStayRules,
+  loadUpcomingStayRules,
+  getCheckInTime,
+  evaluateStayRules,
+  checkStayRules,
+  violationsToResponse,
+};
@@ -0,0 +1,20 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { generateVoucherCode, normalizeVoucherCode } = require("../src/utils/giftVouchers");
+
+test("generateVoucherCode: format GV-XXXX-XXXX tanpa karakter yang mirip (0/O, 1/I)", () => {
+  for (let i = 0; i < 200; i++) {
+    const code = generateVoucherCode();
+    assert.match(code, /^GV-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+  }
+});
+
+test("generateVoucherCode: kode acak", () => {
+  const codes = new Set(Array.from({ length: 200 }, generateVoucherCode));
+  assert.ok(codes.size > 195);
+});
+
+test("normalizeVoucherCode: trim dan huruf besar", () => {
+  assert.equal(normalizeVoucherCode("  gv-abcd-efgh "), "GV-ABCD-EFGH");
+  assert.equal(normalizeVoucherCode(undefined), "");
+});
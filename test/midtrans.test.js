@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { verifyNotificationSignature } = require("../src/utils/midtrans");
+
+const SERVER_KEY = "SB-Mid-server-test";
+const sign = (notification, key = SERVER_KEY) => ({
+  ...notification,
+  signature_key: crypto
+    .createHash("sha512")
+    .update(`${notification.order_id}${notification.status_code}${notification.gross_amount}${key}`)
+    .digest("hex"),
+});
+const notification = { order_id: "BOOK-1-1700000000", status_code: "200", gross_amount: "150000.00", transaction_status: "settlement" };
+
+test("verifyNotificationSignature: signature yang benar diterima", () => {
+  assert.equal(verifyNotificationSignature(sign(notification), SERVER_KEY), true);
+});
+
+test("verifyNotificationSignature: notifikasi yang diubah atau key lain ditolak", () => {
+  assert.equal(verifyNotificationSignature({ ...sign(notification), gross_amount: "1.00" }, SERVER_KEY), false);
+  assert.equal(verifyNotificationSignature(sign(notification, "key-lain"), SERVER_KEY), false);
+  assert.equal(verifyNotificationSignature({ ...sign(notification), signature_key: "abc" }, SERVER_KEY), false);
+});
+
+test("verifyNotificationSignature: field wajib atau server key kosong ditolak", () => {
+  assert.equal(verifyNotificationSignature(notification, SERVER_KEY), false);
+  assert.equal(verifyNotificationSignature({ ...sign(notification), status_code: undefined }, SERVER_KEY), false);
+  assert.equal(verifyNotificationSignature(sign(notification), ""), false);
+  assert.equal(verifyNotificationSignature(null, SERVER_KEY), false);
+});
@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { expireOverdueBookings, EXPIRED_REASON } = require("../src/jobs/paymentExpiry");
+
+const NOW = new Date("2027-03-01T10:00:00Z");
+
+// Queryable palsu: mencatat semua query dan membalas berdasarkan isi SQL
+const createFakeQueryable = ({ candidates, expirable }) => {
+  const calls = [];
+  const query = async (sql, params = []) => {
+    calls.push({ sql, params });
+    if (sql.startsWith('SELECT b.id FROM "bookings" b')) {
+      return { rows: candidates.map((id) => ({ id })) };
+    }
+    if (sql.startsWith('UPDATE "bookings" b')) {
+      const id = params[2];
+      if (!expirable.includes(id)) return { rows: [] };
+      return {
+        rows: [{ id, public_id: `booking-${id}`, user_id: 7, status: "CANCELLED", payment_deadline: new Date("2027-03-01T09:00:00Z") }],
+      };
+    }
+    if (sql.includes("AS amount_paid")) {
+      return { rows: [{ total_price: 100000, deposit_amount: null, amount_paid: 0 }] };
+    }
+    return { rows: [] };
+  };
+  return { query, calls };
+};
+
+test("expireOverdueBookings: membatalkan booking kedaluwarsa dengan jam yang diberikan", async () => {
+  const queryable = createFakeQueryable({ candidates: [1, 2], expirable: [1] });
+  const events = [];
+
+  const expired = await expireOverdueBookings({
+    now: () => NOW,
+    queryable,
+    emit: (event, payload) => events.push({ event, payload }),
+  });
+
+  assert.deepEqual(expired.map((booking) => booking.id), [1]);
+  assert.deepEqual(events, [
+    {
+      event: "booking:expired",
+      payload: {
+        id: "booking-1",
+        userId: 7,
+        status: "CANCELLED",
+        reason: EXPIRED_REASON,
+        paymentDeadline: new Date("2027-03-01T09:00:00Z"),
+      },
+    },
+  ]);
+
+  // Kandidat dan pembatalan memakai jam yang sama, bukan NOW() database
+  const select = queryable.calls.find((call) => call.sql.startsWith('SELECT b.id FROM "bookings" b'));
+  assert.equal(select.params[0], NOW);
+  const updates = queryable.calls.filter((call) => call.sql.startsWith('UPDATE "bookings" b'));
+  assert.deepEqual(updates.map((call) => call.params[2]), [1, 2]);
+  assert.ok(updates.every((call) => call.params[0] === NOW));
+
+  const voided = queryable.calls.filter((call) => call.sql.startsWith('UPDATE "payments"'));
+  assert.ok(voided.length > 0 && voided.every((call) => call.params[3] === NOW));
+  const history = queryable.calls.find((call) => call.sql.includes('"booking_status_history"'));
+  assert.equal(history.params[5], NOW);
+
+  // Booking kedua sudah tidak memenuhi syarat saat dikunci: transaksinya dibatalkan
+  const statements = queryable.calls.map((call) => call.sql).filter((sql) => ["BEGIN", "COMMIT", "ROLLBACK"].includes(sql));
+  assert.deepEqual(statements, ["BEGIN", "COMMIT", "BEGIN", "ROLLBACK"]);
+});
+
+test("expireOverdueBookings: checkout Midtrans terbuka ditunggu sampai masa tenggang habis", async () => {
+  const queryable = createFakeQueryable({ candidates: [], expirable: [] });
+
+  await expireOverdueBookings({ now: () => NOW, queryable, emit: () => {} });
+
+  const [select] = queryable.calls;
+  assert.match(select.sql, /midtrans_transactions/);
+  assert.equal(select.params[1].getTime(), NOW.getTime() - 60 * 60 * 1000);
+});
+
+test("expireOverdueBookings: tanpa database tidak melakukan apa pun", async () => {
+  assert.deepEqual(await expireOverdueBookings({ queryable: null }), []);
+});
@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateDeposit, buildQuote } = require("../src/utils/pricing");
+
+const camp = { name: "Riverside", nightly_price: 50000, price_model: "PER_PERSON", base_fee: 0, people_per_pitch: 4 };
+
+test("buildQuote: PER_PERSON = harga malam x orang x malam", () => {
+  const quote = buildQuote({ camp, startDate: "2027-05-03", nights: 2, peopleCount: 3 });
+  assert.equal(quote.priceModel, "PER_PERSON");
+  assert.equal(quote.campTotal, 300000);
+  assert.equal(quote.equipmentTotal, 0);
+  assert.equal(quote.totalPrice, 300000);
+});
+
+test("buildQuote: PER_PITCH membulatkan jumlah pitch ke atas", () => {
+  const quote = buildQuote({
+    camp: { ...camp, price_model: "PER_PITCH", nightly_price: 120000 },
+    startDate: "2027-05-03",
+    nights: 1,
+    peopleCount: 5,
+  });
+  assert.equal(quote.lines[0].quantity, 2);
+  assert.equal(quote.totalPrice, 240000);
+});
+
+test("buildQuote: PER_PERSON_WITH_BASE menambah base_fee sekali", () => {
+  const quote = buildQuote({
+    camp: { ...camp, price_model: "PER_PERSON_WITH_BASE", base_fee: 25000 },
+    startDate: "2027-05-03",
+    nights: 2,
+    peopleCount: 2,
+  });
+  assert.equal(quote.lines.find((line) => line.type === "base_fee").amount, 25000);
+  assert.equal(quote.totalPrice, 225000);
+});
+
+test("buildQuote: price_model tidak dikenal dihitung sebagai PER_PERSON", () => {
+  const quote = buildQuote({ camp: { ...camp, price_model: null }, startDate: "2027-05-03", nights: 1, peopleCount: 2 });
+  assert.equal(quote.priceModel, "PER_PERSON");
+  assert.equal(quote.totalPrice, 100000);
+});
+
+test("buildQuote: tarif musiman dengan priority tertinggi menggantikan harga malam itu", () => {
+  const rates = [
+    { name: "Lebaran", nightly_price: 90000, start_date: "2027-05-04", end_date: "2027-05-04", weekdays: [] },
+    { name: "Weekend", nightly_price: 70000, start_date: null, end_date: null, weekdays: [0, 6] },
+  ];
+  // 2027-05-03 Senin, 2027-05-04 Selasa, 2027-05-08 Sabtu
+  const quote = buildQuote({ camp, startDate: "2027-05-03", nights: 2, peopleCount: 1, rates });
+  assert.deepEqual(quote.perNight.map((night) => night.date), ["2027-05-03", "2027-05-04"]);
+  assert.deepEqual(quote.perNight.map((night) => night.unitPrice), [50000, 90000]);
+  assert.equal(quote.lines[0].unitPrice, null);
+
+  const weekend = buildQuote({ camp, startDate: "2027-05-08", nights: 1, peopleCount: 1, rates });
+  assert.equal(weekend.perNight[0].rateName, "Weekend");
+  assert.equal(weekend.totalPrice, 70000);
+});
+
+test("calculateDeposit: persentase DP dibulatkan ke atas", () => {
+  assert.equal(calculateDeposit(200000, 50), 100000);
+  assert.equal(calculateDeposit(100001, 30), 30001);
+  assert.equal(calculateDeposit("150000", "25"), 37500);
+});
+
+test("calculateDeposit: 0, kosong, atau >= 100 berarti bayar lunas", () => {
+  assert.equal(calculateDeposit(200000, 0), 200000);
+  assert.equal(calculateDeposit(200000, null), 200000);
+  assert.equal(calculateDeposit(200000, 100), 200000);
+});
+
+test("buildQuote: sewa alat dan selisih harga site", () => {
+  const quote = buildQuote({
+    camp,
+    startDate: "2027-05-03",
+    nights: 2,
+    peopleCount: 2,
+    equipments: [{ equipment: { public_id: "eq-1", name: "Tenda", price: 15000 }, quantity: 2, nights: 1 }],
+    sites: [{ public_id: "site-1", name: "A1", price_modifier: -10000 }],
+  });
+  assert.equal(quote.campTotal, 200000 - 20000);
+  assert.equal(quote.equipmentTotal, 30000);
+  assert.equal(quote.totalPrice, 210000);
+});
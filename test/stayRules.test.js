@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { STAY_RULE_CODES, evaluateStayRules, checkStayRules } = require("../src/utils/stayRules");
+
+// 2027-05-01 00:00 UTC; check-in default jam 14 WIB (07:00 UTC)
+const now = new Date("2027-05-01T00:00:00Z");
+const rule = (fields) => ({ public_id: "rule-1", name: "Aturan", start_date: null, end_date: null, ...fields });
+const codes = (violations) => violations.map((violation) => violation.code);
+
+test("evaluateStayRules: menginap yang memenuhi semua aturan tidak menghasilkan pelanggaran", () => {
+  const rules = [rule({ min_nights: 2, max_nights: 5, max_people: 6, arrival_weekdays: [5] })];
+  // 2027-05-07 Jumat
+  assert.deepEqual(evaluateStayRules(rules, { startDate: "2027-05-07", endDate: "2027-05-09", peopleCount: 4 }, { now }), []);
+});
+
+test("evaluateStayRules: minimal/maksimal malam, hari kedatangan, dan jumlah orang", () => {
+  const rules = [rule({ min_nights: 3, arrival_weekdays: [5, 6], max_people: 2 }), rule({ max_nights: 1 })];
+  const violations = evaluateStayRules(rules, { startDate: "2027-05-03", endDate: "2027-05-05", peopleCount: 3 }, { now });
+  assert.deepEqual(codes(violations), [
+    STAY_RULE_CODES.MIN_NIGHTS,
+    STAY_RULE_CODES.ARRIVAL_WEEKDAY,
+    STAY_RULE_CODES.MAX_PEOPLE,
+    STAY_RULE_CODES.MAX_NIGHTS,
+  ]);
+  assert.equal(violations[0].limit, 3);
+  assert.equal(violations[0].actual, 2);
+});
+
+test("evaluateStayRules: jarak waktu pemesanan hanya dicek jika checkTiming", () => {
+  const rules = [rule({ min_lead_hours: 48, max_advance_days: 10 })];
+  assert.deepEqual(
+    codes(evaluateStayRules(rules, { startDate: "2027-05-02", endDate: "2027-05-03", peopleCount: 1 }, { now })),
+    [STAY_RULE_CODES.MIN_LEAD_TIME]
+  );
+  assert.deepEqual(
+    codes(evaluateStayRules(rules, { startDate: "2027-05-20", endDate: "2027-05-21", peopleCount: 1 }, { now })),
+    [STAY_RULE_CODES.MAX_ADVANCE]
+  );
+  assert.deepEqual(
+    evaluateStayRules(rules, { startDate: "2027-05-02", endDate: "2027-05-03", peopleCount: 1 }, { now, checkTiming: false }),
+    []
+  );
+});
+
+test("checkStayRules: hanya aturan yang mencakup malam-malam menginap yang berlaku", () => {
+  const rules = [
+    rule({ public_id: "a", start_date: "2027-05-05", end_date: "2027-05-05", min_nights: 2 }),
+    rule({ public_id: "b", start_date: "2027-05-06", end_date: "2027-05-20", arrival_weekdays: [5] }),
+  ];
+  // Malam 05-04 saja: tidak ada aturan yang berlaku
+  assert.deepEqual(checkStayRules(rules, { startDate: "2027-05-04", endDate: "2027-05-05", peopleCount: 1 }, { now }), []);
+  // Malam 05-05 dan 05-06: aturan b ikut berlaku walau tidak mencakup malam pertama
+  const violations = checkStayRules(rules, { startDate: "2027-05-05", endDate: "2027-05-07", peopleCount: 1 }, { now });
+  assert.deepEqual(codes(violations), [STAY_RULE_CODES.ARRIVAL_WEEKDAY]);
+  assert.equal(violations[0].ruleId, "b");
+});